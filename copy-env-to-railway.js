@@ -30,7 +30,11 @@ const envVars = [
     'IP_BLOCK_DURATION_MS',
     'IP_VIOLATION_RESET_MS',
     'DB_MONITORING_ENABLED',
-    'DB_SLOW_QUERY_THRESHOLD_MS'
+    'DB_SLOW_QUERY_THRESHOLD_MS',
+    'JOB_SCHEDULER_ENABLED',
+    'PAYMENT_PROVIDER_GCASH',
+    'PAYMENT_MOCK_ENABLED',
+    'MOCK_PAYMENT_WEBHOOK_SECRET'
 ];
 
 envVars.forEach(key => {
@@ -0,0 +1,23 @@
+-- 001_seller_delivery_fees.sql
+-- Per-seller drop-off delivery fee settings used by deliveryFeeService.
+-- Run in Supabase SQL Editor.
+
+ALTER TABLE seller_profiles
+  ADD COLUMN IF NOT EXISTS delivery_base_fee NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS delivery_per_km_fee NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS free_delivery_threshold NUMERIC(10, 2),
+  ADD COLUMN IF NOT EXISTS max_delivery_radius_km NUMERIC(6, 2);
+
+ALTER TABLE seller_profiles
+  DROP CONSTRAINT IF EXISTS seller_profiles_delivery_fees_check;
+
+ALTER TABLE seller_profiles
+  ADD CONSTRAINT seller_profiles_delivery_fees_check CHECK (
+    delivery_base_fee >= 0
+    AND delivery_per_km_fee >= 0
+    AND (free_delivery_threshold IS NULL OR free_delivery_threshold >= 0)
+    AND (max_delivery_radius_km IS NULL OR max_delivery_radius_km > 0)
+  );
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS delivery_distance_km NUMERIC(8, 2);
@@ -0,0 +1,85 @@
+-- 002_atomic_stock_reservation.sql
+-- Atomic stock changes used by orderModel.reserveProductStock / releaseProductStock.
+-- Each call runs in a single transaction: if any item cannot be reserved the
+-- whole call is rolled back and no partial decrements are left behind.
+-- Run in Supabase SQL Editor.
+
+-- p_items: [{ "product_id": "<uuid>", "quantity": <int> }, ...]
+CREATE OR REPLACE FUNCTION reserve_product_stock(p_items JSONB)
+RETURNS TABLE (product_id UUID, available_quantity INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item RECORD;
+  v_remaining INTEGER;
+BEGIN
+  -- Aggregate duplicates and lock rows in a stable order so concurrent
+  -- checkouts touching the same products cannot deadlock.
+  FOR v_item IN
+    SELECT (elem->>'product_id')::UUID AS id,
+           SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    IF v_item.quantity IS NULL OR v_item.quantity <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item.id
+        USING ERRCODE = '22023', DETAIL = v_item.id::TEXT;
+    END IF;
+
+    UPDATE products AS p
+    SET available_quantity = p.available_quantity - v_item.quantity,
+        order_count = COALESCE(p.order_count, 0) + 1,
+        updated_at = NOW()
+    WHERE p.id = v_item.id
+      AND p.status = 'active'
+      AND p.available_quantity >= v_item.quantity
+    RETURNING p.available_quantity INTO v_remaining;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for product %', v_item.id
+        USING ERRCODE = 'P0001', DETAIL = v_item.id::TEXT;
+    END IF;
+
+    product_id := v_item.id;
+    available_quantity := v_remaining;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION release_product_stock(p_items JSONB)
+RETURNS TABLE (product_id UUID, available_quantity INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item RECORD;
+  v_remaining INTEGER;
+BEGIN
+  FOR v_item IN
+    SELECT (elem->>'product_id')::UUID AS id,
+           SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    UPDATE products AS p
+    SET available_quantity = p.available_quantity + v_item.quantity,
+        order_count = GREATEST(0, COALESCE(p.order_count, 0) - 1),
+        updated_at = NOW()
+    WHERE p.id = v_item.id
+    RETURNING p.available_quantity INTO v_remaining;
+
+    IF FOUND THEN
+      product_id := v_item.id;
+      available_quantity := v_remaining;
+      RETURN NEXT;
+    END IF;
+  END LOOP;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION reserve_product_stock(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION release_product_stock(JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_product_stock(JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION release_product_stock(JSONB) TO service_role;
@@ -0,0 +1,11 @@
+-- 003_multi_seller_checkout.sql
+-- Groups the per-seller orders created by one POST /api/orders/checkout.
+-- Run in Supabase SQL Editor.
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS checkout_id UUID,
+  ADD COLUMN IF NOT EXISTS checkout_reference VARCHAR(30);
+
+CREATE INDEX IF NOT EXISTS idx_orders_checkout_id
+  ON orders (checkout_id)
+  WHERE checkout_id IS NOT NULL;
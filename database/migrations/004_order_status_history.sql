@@ -0,0 +1,19 @@
+-- 004_order_status_history.sql
+-- One row per order status transition, written by orderLifecycleService.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  changed_by_role VARCHAR(20) NOT NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order
+  ON order_status_history (order_id, created_at);
+
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
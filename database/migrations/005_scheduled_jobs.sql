@@ -0,0 +1,29 @@
+-- 005_scheduled_jobs.sql
+-- Persisted state for the in-process job scheduler (src/utils/jobScheduler.js)
+-- so run times survive restarts, plus the timestamp used for auto-completion.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name VARCHAR(100) PRIMARY KEY,
+  interval_ms INTEGER NOT NULL,
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_success_at TIMESTAMPTZ,
+  last_error TEXT,
+  last_result JSONB,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMPTZ,
+  locked_by VARCHAR(100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_orders_pending_created
+  ON orders (created_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_orders_ready_seller_confirmed
+  ON orders (seller_confirmed_at)
+  WHERE status = 'ready' AND seller_confirmed = TRUE AND buyer_confirmed = FALSE;
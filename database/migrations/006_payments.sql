@@ -0,0 +1,53 @@
+-- 006_payments.sql
+-- Online payments (paymentService) and the order payment lifecycle:
+-- unpaid -> pending_payment -> paid -> refunded. COD orders stay unpaid
+-- until completion.
+-- Run in Supabase SQL Editor.
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders
+  ADD CONSTRAINT orders_payment_status_check
+  CHECK (payment_status IN ('unpaid', 'pending_payment', 'paid', 'refunded'));
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_method_check;
+ALTER TABLE orders
+  ADD CONSTRAINT orders_payment_method_check
+  CHECK (payment_method IN ('cod', 'gcash'));
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  provider_reference VARCHAR(100) NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'PHP',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'paid', 'failed', 'expired', 'refunded')),
+  checkout_url TEXT,
+  expires_at TIMESTAMPTZ,
+  paid_at TIMESTAMPTZ,
+  failure_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (provider, provider_reference)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_order ON payments (order_id, created_at DESC);
+
+-- Webhook deliveries, unique per provider event so retries are idempotent
+CREATE TABLE IF NOT EXISTS payment_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payment_id UUID REFERENCES payments(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  event_id VARCHAR(100) NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,34 @@
+-- 007_refunds.sql
+-- Money record for refund / partial_refund issue outcomes (refundService).
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  issue_id UUID REFERENCES issue_reports(id) ON DELETE SET NULL,
+  buyer_id UUID NOT NULL REFERENCES buyer_profiles(id) ON DELETE CASCADE,
+  seller_id UUID NOT NULL REFERENCES seller_profiles(id) ON DELETE CASCADE,
+  payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+  refund_type VARCHAR(20) NOT NULL CHECK (refund_type IN ('full', 'partial')),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processed', 'failed')),
+  approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  provider_reference VARCHAR(100),
+  failure_reason TEXT,
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds (order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_buyer ON refunds (buyer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_refunds_seller ON refunds (seller_id, created_at DESC);
+
+-- At most one live refund per issue; a failed one can be retried
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_issue_active
+  ON refunds (issue_id)
+  WHERE issue_id IS NOT NULL AND status <> 'failed';
+
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,158 @@
+-- 008_seller_earnings_ledger.sql
+-- Append-only seller earnings ledger. Every change to seller_profiles.total_sales
+-- goes through record_seller_earning(), which writes the ledger entry and
+-- updates the running totals in one statement.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS seller_earnings_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  seller_id UUID NOT NULL REFERENCES seller_profiles(id) ON DELETE CASCADE,
+  entry_type VARCHAR(20) NOT NULL
+    CHECK (entry_type IN ('order_completed', 'refund', 'adjustment')),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount <> 0),
+  balance_after NUMERIC(12, 2) NOT NULL,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  refund_id UUID REFERENCES refunds(id) ON DELETE SET NULL,
+  description TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_seller_earnings_ledger_seller
+  ON seller_earnings_ledger (seller_id, created_at DESC);
+
+-- An order is credited once and a refund is debited once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seller_earnings_ledger_order_completed
+  ON seller_earnings_ledger (order_id)
+  WHERE entry_type = 'order_completed' AND order_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seller_earnings_ledger_refund
+  ON seller_earnings_ledger (refund_id)
+  WHERE refund_id IS NOT NULL;
+
+-- Opening entries for orders and refunds completed before the ledger existed
+INSERT INTO seller_earnings_ledger (
+  seller_id, entry_type, amount, balance_after, order_id, refund_id, description, created_at
+)
+SELECT
+  history.seller_id,
+  history.entry_type,
+  history.amount,
+  SUM(history.amount) OVER (
+    PARTITION BY history.seller_id
+    ORDER BY history.created_at, history.entry_type
+    ROWS UNBOUNDED PRECEDING
+  ),
+  history.order_id,
+  history.refund_id,
+  history.description,
+  history.created_at
+FROM (
+  SELECT
+    o.seller_id,
+    'order_completed' AS entry_type,
+    o.total_amount AS amount,
+    o.id AS order_id,
+    NULL::UUID AS refund_id,
+    'Order ' || o.order_number AS description,
+    COALESCE(o.completed_at, o.updated_at) AS created_at
+  FROM orders o
+  WHERE o.status = 'completed' AND o.total_amount > 0
+
+  UNION ALL
+
+  SELECT
+    r.seller_id,
+    'refund',
+    -r.amount,
+    r.order_id,
+    r.id,
+    'Refund for order ' || o.order_number,
+    COALESCE(r.processed_at, r.created_at)
+  FROM refunds r
+  JOIN orders o ON o.id = r.order_id
+  WHERE r.status = 'processed' AND o.status = 'completed'
+) history
+WHERE NOT EXISTS (SELECT 1 FROM seller_earnings_ledger);
+
+-- total_sales becomes a cache of the ledger balance
+UPDATE seller_profiles sp
+SET total_sales = COALESCE((
+  SELECT l.balance_after
+  FROM seller_earnings_ledger l
+  WHERE l.seller_id = sp.id
+  ORDER BY l.created_at DESC
+  LIMIT 1
+), 0);
+
+CREATE OR REPLACE FUNCTION record_seller_earning(
+  p_seller_id UUID,
+  p_entry_type TEXT,
+  p_amount NUMERIC,
+  p_order_id UUID DEFAULT NULL,
+  p_refund_id UUID DEFAULT NULL,
+  p_description TEXT DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL
+)
+RETURNS seller_earnings_ledger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_entry seller_earnings_ledger;
+  v_balance NUMERIC(12, 2);
+BEGIN
+  -- Repeat calls for the same order or refund return the original entry
+  SELECT * INTO v_entry
+  FROM seller_earnings_ledger
+  WHERE (p_entry_type = 'order_completed' AND entry_type = 'order_completed' AND order_id = p_order_id)
+     OR (p_refund_id IS NOT NULL AND refund_id = p_refund_id);
+
+  IF FOUND THEN
+    RETURN v_entry;
+  END IF;
+
+  -- The seller row lock serialises ledger writes per seller
+  UPDATE seller_profiles
+  SET total_sales = COALESCE(total_sales, 0) + p_amount,
+      total_orders = COALESCE(total_orders, 0) + CASE WHEN p_entry_type = 'order_completed' THEN 1 ELSE 0 END,
+      updated_at = NOW()
+  WHERE id = p_seller_id
+  RETURNING total_sales INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Seller profile % not found', p_seller_id;
+  END IF;
+
+  INSERT INTO seller_earnings_ledger (
+    seller_id, entry_type, amount, balance_after, order_id, refund_id, description, created_by
+  )
+  VALUES (
+    p_seller_id, p_entry_type, p_amount, v_balance, p_order_id, p_refund_id, p_description, p_created_by
+  )
+  RETURNING * INTO v_entry;
+
+  RETURN v_entry;
+END;
+$$;
+
+-- Direct updates and deletes are rejected. Cascades from deleting a seller,
+-- order or refund run at trigger depth > 1 and are let through.
+CREATE OR REPLACE FUNCTION prevent_seller_earnings_ledger_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF pg_trigger_depth() > 1 THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+
+  RAISE EXCEPTION 'seller_earnings_ledger is append-only; record an adjustment instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS seller_earnings_ledger_append_only ON seller_earnings_ledger;
+CREATE TRIGGER seller_earnings_ledger_append_only
+  BEFORE UPDATE OR DELETE ON seller_earnings_ledger
+  FOR EACH ROW EXECUTE FUNCTION prevent_seller_earnings_ledger_changes();
+
+ALTER TABLE seller_earnings_ledger ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,201 @@
+-- 009_order_adjustments.sql
+-- Seller-proposed item changes on pending/confirmed orders (weighed quantities,
+-- removals, substitutions). The buyer accepts or rejects; accepting applies the
+-- change through apply_order_adjustment() in one transaction.
+-- Run in Supabase SQL Editor.
+
+-- Weighed items (kg, liter) can settle on a fractional quantity. Stock is still
+-- counted in whole units: an item holds CEIL(quantity) units of stock.
+ALTER TABLE order_items ALTER COLUMN quantity TYPE NUMERIC(10, 2);
+
+CREATE TABLE IF NOT EXISTS order_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'rejected', 'withdrawn', 'cancelled')),
+  reason TEXT,
+  -- [{ action, order_item_id, product_id, product_name, unit_type, price_per_unit,
+  --    quantity_before, subtotal_before, quantity_after, subtotal_after,
+  --    substitute_product_id, substitute_product_name, substitute_category,
+  --    substitute_unit_type, substitute_price_per_unit }]
+  changes JSONB NOT NULL,
+  subtotal_before NUMERIC(12, 2) NOT NULL,
+  subtotal_after NUMERIC(12, 2) NOT NULL,
+  total_before NUMERIC(12, 2) NOT NULL,
+  total_after NUMERIC(12, 2) NOT NULL,
+  responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  response_note TEXT,
+  responded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_adjustments_order
+  ON order_adjustments (order_id, created_at DESC);
+
+-- One open proposal per order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_adjustments_pending
+  ON order_adjustments (order_id)
+  WHERE status = 'pending';
+
+-- Applies an accepted adjustment: order items, stock and order totals. Raises
+-- if the order or its items changed since the proposal; on a stock shortage
+-- DETAIL holds the product id. The delivery fee is left as quoted at checkout.
+CREATE OR REPLACE FUNCTION apply_order_adjustment(
+  p_adjustment_id UUID,
+  p_responded_by UUID,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS order_adjustments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_adjustment order_adjustments;
+  v_order orders;
+  v_item order_items;
+  v_change JSONB;
+  v_units INTEGER;
+  v_new_units INTEGER;
+  v_quantity NUMERIC(10, 2);
+  v_subtotal NUMERIC(12, 2);
+BEGIN
+  SELECT * INTO v_adjustment
+  FROM order_adjustments
+  WHERE id = p_adjustment_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_adjustment.status <> 'pending' THEN
+    RAISE EXCEPTION 'Adjustment % is no longer pending', p_adjustment_id;
+  END IF;
+
+  SELECT * INTO v_order
+  FROM orders
+  WHERE id = v_adjustment.order_id
+  FOR UPDATE;
+
+  IF v_order.status NOT IN ('pending', 'confirmed') OR v_order.payment_status <> 'unpaid' THEN
+    RAISE EXCEPTION 'Order % can no longer be adjusted', v_order.id;
+  END IF;
+
+  FOR v_change IN SELECT * FROM jsonb_array_elements(v_adjustment.changes)
+  LOOP
+    SELECT * INTO v_item
+    FROM order_items
+    WHERE id = (v_change->>'order_item_id')::UUID
+      AND order_id = v_order.id
+    FOR UPDATE;
+
+    IF NOT FOUND
+       OR v_item.product_id <> (v_change->>'product_id')::UUID
+       OR v_item.quantity <> (v_change->>'quantity_before')::NUMERIC THEN
+      RAISE EXCEPTION 'Order item % changed since the adjustment was proposed', v_change->>'order_item_id';
+    END IF;
+
+    v_units := CEIL(v_item.quantity);
+
+    IF v_change->>'action' = 'remove' THEN
+      DELETE FROM order_items WHERE id = v_item.id;
+
+      UPDATE products
+      SET available_quantity = available_quantity + v_units,
+          order_count = GREATEST(0, COALESCE(order_count, 0) - 1),
+          updated_at = NOW()
+      WHERE id = v_item.product_id;
+
+    ELSIF v_change->>'action' = 'adjust_quantity' THEN
+      v_quantity := (v_change->>'quantity_after')::NUMERIC;
+      v_new_units := CEIL(v_quantity);
+
+      IF v_new_units > v_units THEN
+        UPDATE products
+        SET available_quantity = available_quantity - (v_new_units - v_units),
+            updated_at = NOW()
+        WHERE id = v_item.product_id
+          AND available_quantity >= v_new_units - v_units;
+
+        IF NOT FOUND THEN
+          RAISE EXCEPTION 'Insufficient stock for product %', v_item.product_id
+            USING ERRCODE = 'P0001', DETAIL = v_item.product_id::TEXT;
+        END IF;
+      ELSIF v_new_units < v_units THEN
+        UPDATE products
+        SET available_quantity = available_quantity + (v_units - v_new_units),
+            updated_at = NOW()
+        WHERE id = v_item.product_id;
+      END IF;
+
+      UPDATE order_items
+      SET quantity = v_quantity,
+          subtotal = ROUND(v_item.price_per_unit * v_quantity, 2)
+      WHERE id = v_item.id;
+
+    ELSIF v_change->>'action' = 'substitute' THEN
+      v_quantity := (v_change->>'quantity_after')::NUMERIC;
+      v_new_units := CEIL(v_quantity);
+
+      UPDATE products
+      SET available_quantity = available_quantity - v_new_units,
+          order_count = COALESCE(order_count, 0) + 1,
+          updated_at = NOW()
+      WHERE id = (v_change->>'substitute_product_id')::UUID
+        AND seller_id = v_order.seller_id
+        AND status = 'active'
+        AND available_quantity >= v_new_units;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Insufficient stock for product %', v_change->>'substitute_product_id'
+          USING ERRCODE = 'P0001', DETAIL = v_change->>'substitute_product_id';
+      END IF;
+
+      UPDATE products
+      SET available_quantity = available_quantity + v_units,
+          order_count = GREATEST(0, COALESCE(order_count, 0) - 1),
+          updated_at = NOW()
+      WHERE id = v_item.product_id;
+
+      UPDATE order_items
+      SET product_id = (v_change->>'substitute_product_id')::UUID,
+          product_name = v_change->>'substitute_product_name',
+          category = v_change->>'substitute_category',
+          unit_type = v_change->>'substitute_unit_type',
+          price_per_unit = (v_change->>'substitute_price_per_unit')::NUMERIC,
+          quantity = v_quantity,
+          subtotal = ROUND((v_change->>'substitute_price_per_unit')::NUMERIC * v_quantity, 2)
+      WHERE id = v_item.id;
+
+    ELSE
+      RAISE EXCEPTION 'Unknown adjustment action %', v_change->>'action';
+    END IF;
+  END LOOP;
+
+  SELECT COALESCE(SUM(subtotal), 0) INTO v_subtotal
+  FROM order_items
+  WHERE order_id = v_order.id;
+
+  IF v_subtotal <= 0 THEN
+    RAISE EXCEPTION 'An adjustment cannot remove every item from order %', v_order.id;
+  END IF;
+
+  UPDATE orders
+  SET subtotal = v_subtotal,
+      total_amount = v_subtotal + COALESCE(delivery_fee, 0),
+      updated_at = NOW()
+  WHERE id = v_order.id;
+
+  UPDATE order_adjustments
+  SET status = 'accepted',
+      subtotal_after = v_subtotal,
+      total_after = v_subtotal + COALESCE(v_order.delivery_fee, 0),
+      responded_by = p_responded_by,
+      response_note = p_note,
+      responded_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_adjustment_id
+  RETURNING * INTO v_adjustment;
+
+  RETURN v_adjustment;
+END;
+$$;
+
+ALTER TABLE order_adjustments ENABLE ROW LEVEL SECURITY;
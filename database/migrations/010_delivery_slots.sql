@@ -0,0 +1,106 @@
+-- 010_delivery_slots.sql
+-- Seller-defined weekly pickup/delivery windows with a per-slot order capacity,
+-- plus blackout dates. A slot is one window on one calendar date; orders book
+-- it through book_delivery_slot().
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS seller_delivery_windows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  seller_id UUID NOT NULL REFERENCES seller_profiles(id) ON DELETE CASCADE,
+  -- 0 = Sunday ... 6 = Saturday, same as EXTRACT(DOW)
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  capacity INTEGER NOT NULL CHECK (capacity > 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seller_delivery_windows_seller
+  ON seller_delivery_windows (seller_id, day_of_week)
+  WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS seller_blackout_dates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  seller_id UUID NOT NULL REFERENCES seller_profiles(id) ON DELETE CASCADE,
+  blackout_date DATE NOT NULL,
+  reason VARCHAR(200),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (seller_id, blackout_date)
+);
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS delivery_window_id UUID REFERENCES seller_delivery_windows(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_delivery_slot
+  ON orders (delivery_window_id, preferred_date)
+  WHERE delivery_window_id IS NOT NULL;
+
+-- Books a slot for an existing order. The window row lock serialises bookings
+-- for the same window, so capacity cannot be oversold. Cancelled orders free
+-- their place automatically because they are not counted.
+CREATE OR REPLACE FUNCTION book_delivery_slot(
+  p_order_id UUID,
+  p_window_id UUID,
+  p_slot_date DATE
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_window seller_delivery_windows;
+  v_order orders;
+  v_booked INTEGER;
+BEGIN
+  SELECT * INTO v_window
+  FROM seller_delivery_windows
+  WHERE id = p_window_id
+  FOR UPDATE;
+
+  SELECT * INTO v_order
+  FROM orders
+  WHERE id = p_order_id;
+
+  IF NOT FOUND OR v_window.id IS NULL OR NOT v_window.is_active
+     OR v_window.seller_id <> v_order.seller_id
+     OR v_window.day_of_week <> EXTRACT(DOW FROM p_slot_date) THEN
+    RAISE EXCEPTION 'Delivery window % is not available on %', p_window_id, p_slot_date
+      USING ERRCODE = 'P0001', DETAIL = 'unavailable';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM seller_blackout_dates
+    WHERE seller_id = v_window.seller_id AND blackout_date = p_slot_date
+  ) THEN
+    RAISE EXCEPTION 'Seller is closed on %', p_slot_date
+      USING ERRCODE = 'P0001', DETAIL = 'blackout';
+  END IF;
+
+  SELECT COUNT(*) INTO v_booked
+  FROM orders
+  WHERE delivery_window_id = p_window_id
+    AND preferred_date = p_slot_date
+    AND status <> 'cancelled'
+    AND id <> p_order_id;
+
+  IF v_booked >= v_window.capacity THEN
+    RAISE EXCEPTION 'Delivery slot is full'
+      USING ERRCODE = 'P0001', DETAIL = 'full';
+  END IF;
+
+  UPDATE orders
+  SET delivery_window_id = p_window_id,
+      preferred_date = p_slot_date,
+      preferred_time = to_char(v_window.start_time, 'HH24:MI') || '-' || to_char(v_window.end_time, 'HH24:MI'),
+      updated_at = NOW()
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  RETURN v_order;
+END;
+$$;
+
+ALTER TABLE seller_delivery_windows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE seller_blackout_dates ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,202 @@
+-- 011_preorders.sql
+-- Pre-orders against an upcoming harvest. A product in pre-order mode takes
+-- orders up to preorder_quota; those orders wait in the 'preorder' status
+-- until the seller records the harvest, then allocate_preorder_harvest()
+-- fills them first-come-first-served from the harvested quantity.
+-- Run in Supabase SQL Editor.
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS is_preorder BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS expected_harvest_date DATE,
+  ADD COLUMN IF NOT EXISTS preorder_quota INTEGER CHECK (preorder_quota IS NULL OR preorder_quota > 0),
+  ADD COLUMN IF NOT EXISTS preorder_reserved INTEGER NOT NULL DEFAULT 0 CHECK (preorder_reserved >= 0),
+  ADD COLUMN IF NOT EXISTS harvested_at TIMESTAMPTZ;
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS is_preorder BOOLEAN NOT NULL DEFAULT FALSE,
+  -- When a pre-order moved to 'pending'; the confirmation timeout runs from here
+  ADD COLUMN IF NOT EXISTS allocated_at TIMESTAMPTZ;
+
+-- Allow the new status on orders
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'orders_status_check' AND conrelid = 'orders'::regclass
+  ) THEN
+    ALTER TABLE orders DROP CONSTRAINT orders_status_check;
+    ALTER TABLE orders ADD CONSTRAINT orders_status_check
+      CHECK (status IN ('preorder', 'pending', 'confirmed', 'ready', 'completed', 'cancelled'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_orders_preorder_queue
+  ON orders (created_at, id)
+  WHERE status = 'preorder';
+
+-- p_items: [{ "product_id": "<uuid>", "quantity": <int> }, ...]
+-- Takes quota on pre-order products in one transaction; on shortage DETAIL
+-- holds the product id, same as reserve_product_stock.
+CREATE OR REPLACE FUNCTION reserve_preorder_quota(p_items JSONB)
+RETURNS TABLE (product_id UUID, preorder_remaining INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item RECORD;
+  v_remaining INTEGER;
+BEGIN
+  FOR v_item IN
+    SELECT (elem->>'product_id')::UUID AS id,
+           SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    IF v_item.quantity IS NULL OR v_item.quantity <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item.id
+        USING ERRCODE = '22023', DETAIL = v_item.id::TEXT;
+    END IF;
+
+    UPDATE products AS p
+    SET preorder_reserved = p.preorder_reserved + v_item.quantity,
+        order_count = COALESCE(p.order_count, 0) + 1,
+        updated_at = NOW()
+    WHERE p.id = v_item.id
+      AND p.status = 'active'
+      AND p.is_preorder
+      AND p.preorder_reserved + v_item.quantity <= p.preorder_quota
+    RETURNING p.preorder_quota - p.preorder_reserved INTO v_remaining;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient pre-order quota for product %', v_item.id
+        USING ERRCODE = 'P0001', DETAIL = v_item.id::TEXT;
+    END IF;
+
+    product_id := v_item.id;
+    preorder_remaining := v_remaining;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION release_preorder_quota(p_items JSONB)
+RETURNS TABLE (product_id UUID, preorder_remaining INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item RECORD;
+  v_remaining INTEGER;
+BEGIN
+  FOR v_item IN
+    SELECT (elem->>'product_id')::UUID AS id,
+           SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    UPDATE products AS p
+    SET preorder_reserved = GREATEST(0, p.preorder_reserved - v_item.quantity),
+        order_count = GREATEST(0, COALESCE(p.order_count, 0) - 1),
+        updated_at = NOW()
+    WHERE p.id = v_item.id
+      AND p.is_preorder
+    RETURNING COALESCE(p.preorder_quota, 0) - p.preorder_reserved INTO v_remaining;
+
+    IF FOUND THEN
+      product_id := v_item.id;
+      preorder_remaining := v_remaining;
+      RETURN NEXT;
+    END IF;
+  END LOOP;
+END;
+$$;
+
+-- Records the harvest for a pre-order product. Waiting orders are filled
+-- oldest first while the harvested quantity lasts and move to 'pending';
+-- the rest are cancelled. Whatever is left over becomes regular stock and
+-- the product leaves pre-order mode. Pre-order orders hold a single product
+-- (checkout splits them), so each order is filled whole or not at all.
+CREATE OR REPLACE FUNCTION allocate_preorder_harvest(
+  p_product_id UUID,
+  p_harvested_quantity INTEGER,
+  p_cancellation_reason TEXT
+)
+RETURNS TABLE (order_id UUID, allocated BOOLEAN)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_product products;
+  v_order RECORD;
+  v_remaining INTEGER := p_harvested_quantity;
+BEGIN
+  SELECT * INTO v_product
+  FROM products
+  WHERE id = p_product_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR NOT v_product.is_preorder THEN
+    RAISE EXCEPTION 'Product % is not taking pre-orders', p_product_id
+      USING ERRCODE = 'P0001', DETAIL = 'not_preorder';
+  END IF;
+
+  IF p_harvested_quantity IS NULL OR p_harvested_quantity < 0 THEN
+    RAISE EXCEPTION 'Invalid harvested quantity'
+      USING ERRCODE = '22023', DETAIL = 'invalid_quantity';
+  END IF;
+
+  FOR v_order IN
+    SELECT o.id,
+           (SELECT CEIL(SUM(oi.quantity))::INTEGER
+            FROM order_items oi
+            WHERE oi.order_id = o.id AND oi.product_id = p_product_id) AS units
+    FROM orders o
+    WHERE o.status = 'preorder'
+      AND EXISTS (
+        SELECT 1 FROM order_items oi
+        WHERE oi.order_id = o.id AND oi.product_id = p_product_id
+      )
+    ORDER BY o.created_at, o.id
+    FOR UPDATE
+  LOOP
+    IF v_order.units <= v_remaining THEN
+      v_remaining := v_remaining - v_order.units;
+
+      UPDATE orders
+      SET status = 'pending',
+          allocated_at = NOW(),
+          updated_at = NOW()
+      WHERE id = v_order.id;
+
+      order_id := v_order.id;
+      allocated := TRUE;
+    ELSE
+      UPDATE orders
+      SET status = 'cancelled',
+          cancellation_reason = p_cancellation_reason,
+          cancelled_at = NOW(),
+          updated_at = NOW()
+      WHERE id = v_order.id;
+
+      order_id := v_order.id;
+      allocated := FALSE;
+    END IF;
+
+    RETURN NEXT;
+  END LOOP;
+
+  UPDATE products
+  SET available_quantity = available_quantity + v_remaining,
+      is_preorder = FALSE,
+      preorder_reserved = 0,
+      harvested_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_product_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION reserve_preorder_quota(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION release_preorder_quota(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION allocate_preorder_harvest(UUID, INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_preorder_quota(JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION release_preorder_quota(JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION allocate_preorder_harvest(UUID, INTEGER, TEXT) TO service_role;
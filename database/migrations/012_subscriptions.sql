@@ -0,0 +1,55 @@
+-- 012_subscriptions.sql
+-- Recurring orders: a buyer keeps a basket template with one seller and the
+-- scheduler places a normal order for it every week or two. Cycles whose
+-- items went out of stock or changed price wait for the buyer to confirm.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  buyer_id UUID NOT NULL REFERENCES buyer_profiles(id) ON DELETE CASCADE,
+  seller_id UUID NOT NULL REFERENCES seller_profiles(id) ON DELETE CASCADE,
+  frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly')),
+  delivery_option VARCHAR(20) NOT NULL CHECK (delivery_option IN ('pickup', 'drop-off')),
+  delivery_window_id UUID REFERENCES seller_delivery_windows(id) ON DELETE SET NULL,
+  preferred_time VARCHAR(50),
+  order_notes TEXT,
+  -- needs_review: this cycle's items changed and the buyer has to confirm
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'paused', 'needs_review', 'cancelled')),
+  next_delivery_date DATE NOT NULL,
+  review_issues JSONB,
+  last_order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  last_generated_at TIMESTAMPTZ,
+  paused_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_buyer ON subscriptions (buyer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_seller ON subscriptions (seller_id, status);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_due
+  ON subscriptions (next_delivery_date)
+  WHERE status IN ('active', 'needs_review');
+
+-- price_snapshot is the price the buyer last agreed to; a different current
+-- price flags the cycle for review
+CREATE TABLE IF NOT EXISTS subscription_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  price_snapshot DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (subscription_id, product_id)
+);
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_subscription
+  ON orders (subscription_id, created_at DESC)
+  WHERE subscription_id IS NOT NULL;
+
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_items ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,56 @@
+-- 013_delivery_tracking.sql
+-- Live location for drop-off orders that are out for delivery. The seller's
+-- device posts its position to the API, which updates the order's session row;
+-- the buyer receives the change through Supabase Realtime. Only the backend
+-- writes here, and RLS limits reads to the two parties of the order.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS delivery_tracking_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  seller_id UUID NOT NULL REFERENCES seller_profiles(id) ON DELETE CASCADE,
+  -- Copied from the order so the read policy needs no joins
+  buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  seller_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'ended')),
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  accuracy_m DECIMAL(8, 2),
+  heading DECIMAL(5, 2),
+  speed_mps DECIMAL(6, 2),
+  location_updated_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMPTZ,
+  -- stopped, completed, cancelled or expired
+  end_reason VARCHAR(20),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_tracking_active
+  ON delivery_tracking_sessions (started_at)
+  WHERE status = 'active';
+
+ALTER TABLE delivery_tracking_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Realtime delivers row changes only to clients that pass this policy.
+-- The app JWT carries the user id in the "id" claim.
+DROP POLICY IF EXISTS delivery_tracking_parties_read ON delivery_tracking_sessions;
+CREATE POLICY delivery_tracking_parties_read
+  ON delivery_tracking_sessions
+  FOR SELECT
+  USING (
+    (auth.jwt() ->> 'id') IN (buyer_user_id::TEXT, seller_user_id::TEXT)
+  );
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+      AND schemaname = 'public'
+      AND tablename = 'delivery_tracking_sessions'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE delivery_tracking_sessions;
+  END IF;
+END $$;
@@ -0,0 +1,95 @@
+-- 014_handover_codes.sql
+-- One-time handover codes. The buyer shows a six-digit code when they get
+-- their items and the seller enters it to complete the order, which counts as
+-- both confirmations. The time and the seller's position at that moment are
+-- kept on the order as evidence for disputes.
+-- Run in Supabase SQL Editor.
+
+-- Kept apart from orders so order payloads sent to the seller never carry it
+CREATE TABLE IF NOT EXISTS order_handover_codes (
+  order_id UUID PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+  code VARCHAR(6) NOT NULL CHECK (code ~ '^[0-9]{6}$'),
+  failed_attempts SMALLINT NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE order_handover_codes ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS handover_verified_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS handover_verified_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS handover_latitude DECIMAL(10, 8),
+  ADD COLUMN IF NOT EXISTS handover_longitude DECIMAL(11, 8),
+  ADD COLUMN IF NOT EXISTS handover_accuracy_m DECIMAL(8, 2);
+
+-- Checks a code entered by the seller. Both rows are locked so two attempts
+-- cannot race past the attempt limit or confirm the order twice.
+-- Returns 'ok', 'invalid', 'locked', 'missing', 'already_verified' or 'not_ready'.
+CREATE OR REPLACE FUNCTION verify_order_handover(
+  p_order_id UUID,
+  p_code TEXT,
+  p_seller_user_id UUID,
+  p_latitude NUMERIC,
+  p_longitude NUMERIC,
+  p_accuracy NUMERIC,
+  p_max_attempts INTEGER
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders;
+  v_code order_handover_codes;
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND OR v_order.status <> 'ready' THEN
+    RETURN 'not_ready';
+  END IF;
+
+  IF v_order.handover_verified_at IS NOT NULL THEN
+    RETURN 'already_verified';
+  END IF;
+
+  SELECT * INTO v_code FROM order_handover_codes WHERE order_id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN 'missing';
+  END IF;
+
+  IF v_code.failed_attempts >= p_max_attempts THEN
+    RETURN 'locked';
+  END IF;
+
+  IF v_code.code <> p_code THEN
+    UPDATE order_handover_codes
+    SET failed_attempts = failed_attempts + 1,
+        last_failed_at = NOW()
+    WHERE order_id = p_order_id;
+
+    IF v_code.failed_attempts + 1 >= p_max_attempts THEN
+      RETURN 'locked';
+    END IF;
+    RETURN 'invalid';
+  END IF;
+
+  UPDATE orders
+  SET buyer_confirmed = TRUE,
+      buyer_confirmed_at = COALESCE(buyer_confirmed_at, NOW()),
+      seller_confirmed = TRUE,
+      seller_confirmed_at = COALESCE(seller_confirmed_at, NOW()),
+      handover_verified_at = NOW(),
+      handover_verified_by = p_seller_user_id,
+      handover_latitude = p_latitude,
+      handover_longitude = p_longitude,
+      handover_accuracy_m = p_accuracy,
+      updated_at = NOW()
+  WHERE id = p_order_id;
+
+  RETURN 'ok';
+END;
+$$;
+
+REVOKE ALL ON FUNCTION verify_order_handover(UUID, TEXT, UUID, NUMERIC, NUMERIC, NUMERIC, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION verify_order_handover(UUID, TEXT, UUID, NUMERIC, NUMERIC, NUMERIC, INTEGER) TO service_role;
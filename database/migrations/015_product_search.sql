@@ -0,0 +1,289 @@
+-- 015_product_search.sql
+-- Full-text product search. Each product keeps a tsvector of its name, tags
+-- and description (weighted in that order), typos in names are caught with
+-- trigram similarity, and a synonym dictionary links local produce names
+-- between Tagalog and English so "sibuyas" finds "onion".
+-- Run in Supabase SQL Editor.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Each pair is stored once, lowercase, and matched in both directions
+CREATE TABLE IF NOT EXISTS search_synonyms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  term VARCHAR(100) NOT NULL CHECK (term = LOWER(BTRIM(term)) AND term <> ''),
+  synonym VARCHAR(100) NOT NULL CHECK (synonym = LOWER(BTRIM(synonym)) AND synonym <> ''),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (term <> synonym)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_search_synonyms_pair
+  ON search_synonyms (LEAST(term, synonym), GREATEST(term, synonym));
+
+CREATE INDEX IF NOT EXISTS idx_search_synonyms_term_trgm
+  ON search_synonyms USING GIN (term gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_search_synonyms_synonym_trgm
+  ON search_synonyms USING GIN (synonym gin_trgm_ops);
+
+ALTER TABLE search_synonyms ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+-- 'simple' has no stemming or stop words, which suits names that mix
+-- Tagalog and English
+CREATE OR REPLACE FUNCTION build_product_search_vector(p_product_id UUID, p_name TEXT, p_description TEXT)
+RETURNS TSVECTOR
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    SETWEIGHT(TO_TSVECTOR('simple', COALESCE(p_name, '')), 'A') ||
+    SETWEIGHT(TO_TSVECTOR('simple', COALESCE((
+      SELECT STRING_AGG(REPLACE(pt.tag, '_', ' '), ' ')
+      FROM product_tags pt
+      WHERE pt.product_id = p_product_id
+    ), '')), 'B') ||
+    SETWEIGHT(TO_TSVECTOR('simple', COALESCE(p_description, '')), 'C');
+$$;
+
+CREATE OR REPLACE FUNCTION products_search_vector_trigger()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.search_vector := build_product_search_vector(NEW.id, NEW.name, NEW.description);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_search_vector ON products;
+CREATE TRIGGER products_search_vector
+  BEFORE INSERT OR UPDATE OF name, description ON products
+  FOR EACH ROW EXECUTE FUNCTION products_search_vector_trigger();
+
+-- Tags live in their own table, so changes there refresh the product row
+CREATE OR REPLACE FUNCTION product_tags_search_vector_trigger()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_product_ids UUID[];
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    v_product_ids := ARRAY[NEW.product_id];
+  ELSIF TG_OP = 'DELETE' THEN
+    v_product_ids := ARRAY[OLD.product_id];
+  ELSE
+    v_product_ids := ARRAY[OLD.product_id, NEW.product_id];
+  END IF;
+
+  UPDATE products
+  SET search_vector = build_product_search_vector(id, name, description)
+  WHERE id = ANY (v_product_ids);
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS product_tags_search_vector ON product_tags;
+CREATE TRIGGER product_tags_search_vector
+  AFTER INSERT OR UPDATE OR DELETE ON product_tags
+  FOR EACH ROW EXECUTE FUNCTION product_tags_search_vector_trigger();
+
+UPDATE products
+SET search_vector = build_product_search_vector(id, name, description);
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector
+  ON products USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm
+  ON products USING GIN (LOWER(name) gin_trgm_ops);
+
+-- Everything the dictionary links to p_word. Entries within p_min_similarity
+-- count as a match, so a typo in a dictionary word still expands, and the
+-- corrected spelling comes back along with its synonyms.
+CREATE OR REPLACE FUNCTION search_synonyms_for(p_word TEXT, p_min_similarity REAL)
+RETURNS SETOF TEXT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT DISTINCT UNNEST(ARRAY[s.term, s.synonym])::TEXT
+  FROM search_synonyms s
+  WHERE s.term = p_word
+    OR s.synonym = p_word
+    OR SIMILARITY(s.term, p_word) >= p_min_similarity
+    OR SIMILARITY(s.synonym, p_word) >= p_min_similarity;
+$$;
+
+-- Ranked product search for GET /api/products?search=. Every word must match
+-- (as a prefix, or through one of its synonyms); a product whose name is
+-- close to the whole query by trigram similarity, or whose seller name
+-- contains it, also matches. Returns one page of ids in display order with
+-- the total match count on every row.
+CREATE OR REPLACE FUNCTION search_products(
+  p_query TEXT,
+  p_category TEXT DEFAULT NULL,
+  p_municipality TEXT DEFAULT NULL,
+  p_seller_id UUID DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL,
+  p_min_price NUMERIC DEFAULT NULL,
+  p_max_price NUMERIC DEFAULT NULL,
+  p_sort_by TEXT DEFAULT 'relevance',
+  p_sort_order TEXT DEFAULT 'desc',
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0,
+  p_fuzzy_threshold REAL DEFAULT 0.3,
+  p_synonym_similarity REAL DEFAULT 0.5
+)
+RETURNS TABLE (product_id UUID, rank REAL, total_count BIGINT)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_query TEXT := BTRIM(REGEXP_REPLACE(LOWER(COALESCE(p_query, '')), '[^[:alnum:]]+', ' ', 'g'));
+  v_word TEXT;
+  v_alt TEXT;
+  v_word_query TSQUERY;
+  v_tsquery TSQUERY;
+BEGIN
+  IF v_query = '' THEN
+    RETURN;
+  END IF;
+
+  FOREACH v_word IN ARRAY STRING_TO_ARRAY(v_query, ' ') LOOP
+    v_word_query := TO_TSQUERY('simple', QUOTE_LITERAL(v_word) || ':*');
+
+    FOR v_alt IN SELECT * FROM search_synonyms_for(v_word, p_synonym_similarity) LOOP
+      v_word_query := v_word_query || PHRASETO_TSQUERY('simple', v_alt);
+    END LOOP;
+
+    v_tsquery := CASE WHEN v_tsquery IS NULL THEN v_word_query ELSE v_tsquery && v_word_query END;
+  END LOOP;
+
+  -- Multi-word entries such as "bitter gourd" also match as a whole phrase
+  IF POSITION(' ' IN v_query) > 0 THEN
+    FOR v_alt IN SELECT * FROM search_synonyms_for(v_query, p_synonym_similarity) LOOP
+      v_tsquery := v_tsquery || PHRASETO_TSQUERY('simple', v_alt);
+    END LOOP;
+  END IF;
+
+  RETURN QUERY
+  WITH matches AS (
+    SELECT
+      p.id,
+      p.name,
+      p.price_per_unit,
+      p.view_count,
+      p.order_count,
+      p.created_at,
+      (
+        TS_RANK_CD(COALESCE(p.search_vector, ''::TSVECTOR), v_tsquery)
+        + WORD_SIMILARITY(v_query, LOWER(p.name)) * 0.5
+        + CASE WHEN LOWER(u.full_name) LIKE '%' || v_query || '%' THEN 0.1 ELSE 0 END
+      )::REAL AS score
+    FROM products p
+    JOIN seller_profiles sp ON sp.id = p.seller_id
+    JOIN users u ON u.id = sp.user_id
+    WHERE p.status = 'active'
+      AND u.status = 'verified'
+      AND (p_category IS NULL OR p.category = p_category)
+      AND (p_municipality IS NULL OR sp.municipality = p_municipality)
+      AND (p_seller_id IS NULL OR p.seller_id = p_seller_id)
+      AND (p_min_price IS NULL OR p.price_per_unit >= p_min_price)
+      AND (p_max_price IS NULL OR p.price_per_unit <= p_max_price)
+      AND (p_tags IS NULL OR EXISTS (
+        SELECT 1 FROM product_tags pt
+        WHERE pt.product_id = p.id AND pt.tag = ANY (p_tags)
+      ))
+      AND (
+        p.search_vector @@ v_tsquery
+        OR WORD_SIMILARITY(v_query, LOWER(p.name)) >= p_fuzzy_threshold
+        OR LOWER(u.full_name) LIKE '%' || v_query || '%'
+      )
+  )
+  SELECT m.id, m.score, COUNT(*) OVER ()
+  FROM matches m
+  ORDER BY
+    CASE WHEN p_sort_by = 'relevance' THEN m.score END DESC,
+    CASE WHEN p_sort_by = 'price_per_unit' AND p_sort_order = 'asc' THEN m.price_per_unit END ASC,
+    CASE WHEN p_sort_by = 'price_per_unit' AND p_sort_order = 'desc' THEN m.price_per_unit END DESC,
+    CASE WHEN p_sort_by = 'name' AND p_sort_order = 'asc' THEN m.name END ASC,
+    CASE WHEN p_sort_by = 'name' AND p_sort_order = 'desc' THEN m.name END DESC,
+    CASE WHEN p_sort_by = 'view_count' AND p_sort_order = 'asc' THEN m.view_count END ASC,
+    CASE WHEN p_sort_by = 'view_count' AND p_sort_order = 'desc' THEN m.view_count END DESC,
+    CASE WHEN p_sort_by = 'order_count' AND p_sort_order = 'asc' THEN m.order_count END ASC,
+    CASE WHEN p_sort_by = 'order_count' AND p_sort_order = 'desc' THEN m.order_count END DESC,
+    CASE WHEN p_sort_by = 'created_at' AND p_sort_order = 'asc' THEN m.created_at END ASC,
+    CASE WHEN p_sort_by = 'created_at' AND p_sort_order = 'desc' THEN m.created_at END DESC,
+    m.score DESC,
+    m.created_at DESC
+  LIMIT p_limit OFFSET p_offset;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION search_products(TEXT, TEXT, TEXT, UUID, TEXT[], NUMERIC, NUMERIC, TEXT, TEXT, INTEGER, INTEGER, REAL, REAL) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_products(TEXT, TEXT, TEXT, UUID, TEXT[], NUMERIC, NUMERIC, TEXT, TEXT, INTEGER, INTEGER, REAL, REAL) TO service_role;
+
+-- Starter dictionary of common Rizal market produce; admins add more
+-- through /api/admin/search-synonyms
+INSERT INTO search_synonyms (term, synonym) VALUES
+  ('sibuyas', 'onion'),
+  ('sibuyas tagalog', 'shallot'),
+  ('bawang', 'garlic'),
+  ('luya', 'ginger'),
+  ('kamatis', 'tomato'),
+  ('talong', 'eggplant'),
+  ('patatas', 'potato'),
+  ('kamote', 'sweet potato'),
+  ('gabi', 'taro'),
+  ('repolyo', 'cabbage'),
+  ('pechay', 'bok choy'),
+  ('kangkong', 'water spinach'),
+  ('ampalaya', 'bitter gourd'),
+  ('ampalaya', 'bitter melon'),
+  ('kalabasa', 'squash'),
+  ('kalabasa', 'pumpkin'),
+  ('sitaw', 'string beans'),
+  ('sitaw', 'yardlong beans'),
+  ('upo', 'bottle gourd'),
+  ('patola', 'sponge gourd'),
+  ('labanos', 'radish'),
+  ('malunggay', 'moringa'),
+  ('munggo', 'mung beans'),
+  ('mais', 'corn'),
+  ('sili', 'chili'),
+  ('siling labuyo', 'bird''s eye chili'),
+  ('bigas', 'rice'),
+  ('saging', 'banana'),
+  ('mangga', 'mango'),
+  ('pinya', 'pineapple'),
+  ('niyog', 'coconut'),
+  ('buko', 'young coconut'),
+  ('pakwan', 'watermelon'),
+  ('kalamansi', 'calamansi'),
+  ('kalamansi', 'philippine lime'),
+  ('dalandan', 'orange'),
+  ('bayabas', 'guava'),
+  ('langka', 'jackfruit'),
+  ('abokado', 'avocado'),
+  ('isda', 'fish'),
+  ('bangus', 'milkfish'),
+  ('tilapya', 'tilapia'),
+  ('hito', 'catfish'),
+  ('dalag', 'mudfish'),
+  ('hipon', 'shrimp'),
+  ('sugpo', 'prawn'),
+  ('alimango', 'mud crab'),
+  ('alimasag', 'crab'),
+  ('pusit', 'squid'),
+  ('tahong', 'mussels'),
+  ('talaba', 'oysters'),
+  ('manok', 'chicken'),
+  ('baboy', 'pork'),
+  ('baka', 'beef'),
+  ('kambing', 'goat'),
+  ('itlog', 'eggs'),
+  ('itlog na pula', 'salted egg')
+ON CONFLICT DO NOTHING;
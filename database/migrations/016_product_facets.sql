@@ -0,0 +1,256 @@
+-- 016_product_facets.sql
+-- Filter counts for the buyer's browse page. Each facet is counted with
+-- every other active filter applied but not its own, so picking a category
+-- still shows how many products the other categories have.
+-- Run in Supabase SQL Editor.
+
+CREATE INDEX IF NOT EXISTS idx_product_tags_tag_product
+  ON product_tags (tag, product_id);
+
+CREATE OR REPLACE FUNCTION normalize_search_query(p_query TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT BTRIM(REGEXP_REPLACE(LOWER(COALESCE(p_query, '')), '[^[:alnum:]]+', ' ', 'g'));
+$$;
+
+-- The tsquery search_products matches against, or NULL for an empty query.
+-- Moved out of search_products so product_facets counts the same matches.
+CREATE OR REPLACE FUNCTION product_search_tsquery(p_query TEXT, p_synonym_similarity REAL)
+RETURNS TSQUERY
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_query TEXT := normalize_search_query(p_query);
+  v_word TEXT;
+  v_alt TEXT;
+  v_word_query TSQUERY;
+  v_tsquery TSQUERY;
+BEGIN
+  IF v_query = '' THEN
+    RETURN NULL;
+  END IF;
+
+  FOREACH v_word IN ARRAY STRING_TO_ARRAY(v_query, ' ') LOOP
+    v_word_query := TO_TSQUERY('simple', QUOTE_LITERAL(v_word) || ':*');
+
+    FOR v_alt IN SELECT * FROM search_synonyms_for(v_word, p_synonym_similarity) LOOP
+      v_word_query := v_word_query || PHRASETO_TSQUERY('simple', v_alt);
+    END LOOP;
+
+    v_tsquery := CASE WHEN v_tsquery IS NULL THEN v_word_query ELSE v_tsquery && v_word_query END;
+  END LOOP;
+
+  -- Multi-word entries such as "bitter gourd" also match as a whole phrase
+  IF POSITION(' ' IN v_query) > 0 THEN
+    FOR v_alt IN SELECT * FROM search_synonyms_for(v_query, p_synonym_similarity) LOOP
+      v_tsquery := v_tsquery || PHRASETO_TSQUERY('simple', v_alt);
+    END LOOP;
+  END IF;
+
+  RETURN v_tsquery;
+END;
+$$;
+
+-- Ranked product search for GET /api/products?search=. Every word must match
+-- (as a prefix, or through one of its synonyms); a product whose name is
+-- close to the whole query by trigram similarity, or whose seller name
+-- contains it, also matches. Returns one page of ids in display order with
+-- the total match count on every row. Unchanged from 015 apart from using
+-- the helpers above.
+CREATE OR REPLACE FUNCTION search_products(
+  p_query TEXT,
+  p_category TEXT DEFAULT NULL,
+  p_municipality TEXT DEFAULT NULL,
+  p_seller_id UUID DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL,
+  p_min_price NUMERIC DEFAULT NULL,
+  p_max_price NUMERIC DEFAULT NULL,
+  p_sort_by TEXT DEFAULT 'relevance',
+  p_sort_order TEXT DEFAULT 'desc',
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0,
+  p_fuzzy_threshold REAL DEFAULT 0.3,
+  p_synonym_similarity REAL DEFAULT 0.5
+)
+RETURNS TABLE (product_id UUID, rank REAL, total_count BIGINT)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_query TEXT := normalize_search_query(p_query);
+  v_tsquery TSQUERY := product_search_tsquery(p_query, p_synonym_similarity);
+BEGIN
+  IF v_tsquery IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  WITH matches AS (
+    SELECT
+      p.id,
+      p.name,
+      p.price_per_unit,
+      p.view_count,
+      p.order_count,
+      p.created_at,
+      (
+        TS_RANK_CD(COALESCE(p.search_vector, ''::TSVECTOR), v_tsquery)
+        + WORD_SIMILARITY(v_query, LOWER(p.name)) * 0.5
+        + CASE WHEN LOWER(u.full_name) LIKE '%' || v_query || '%' THEN 0.1 ELSE 0 END
+      )::REAL AS score
+    FROM products p
+    JOIN seller_profiles sp ON sp.id = p.seller_id
+    JOIN users u ON u.id = sp.user_id
+    WHERE p.status = 'active'
+      AND u.status = 'verified'
+      AND (p_category IS NULL OR p.category = p_category)
+      AND (p_municipality IS NULL OR sp.municipality = p_municipality)
+      AND (p_seller_id IS NULL OR p.seller_id = p_seller_id)
+      AND (p_min_price IS NULL OR p.price_per_unit >= p_min_price)
+      AND (p_max_price IS NULL OR p.price_per_unit <= p_max_price)
+      AND (p_tags IS NULL OR EXISTS (
+        SELECT 1 FROM product_tags pt
+        WHERE pt.product_id = p.id AND pt.tag = ANY (p_tags)
+      ))
+      AND (
+        p.search_vector @@ v_tsquery
+        OR WORD_SIMILARITY(v_query, LOWER(p.name)) >= p_fuzzy_threshold
+        OR LOWER(u.full_name) LIKE '%' || v_query || '%'
+      )
+  )
+  SELECT m.id, m.score, COUNT(*) OVER ()
+  FROM matches m
+  ORDER BY
+    CASE WHEN p_sort_by = 'relevance' THEN m.score END DESC,
+    CASE WHEN p_sort_by = 'price_per_unit' AND p_sort_order = 'asc' THEN m.price_per_unit END ASC,
+    CASE WHEN p_sort_by = 'price_per_unit' AND p_sort_order = 'desc' THEN m.price_per_unit END DESC,
+    CASE WHEN p_sort_by = 'name' AND p_sort_order = 'asc' THEN m.name END ASC,
+    CASE WHEN p_sort_by = 'name' AND p_sort_order = 'desc' THEN m.name END DESC,
+    CASE WHEN p_sort_by = 'view_count' AND p_sort_order = 'asc' THEN m.view_count END ASC,
+    CASE WHEN p_sort_by = 'view_count' AND p_sort_order = 'desc' THEN m.view_count END DESC,
+    CASE WHEN p_sort_by = 'order_count' AND p_sort_order = 'asc' THEN m.order_count END ASC,
+    CASE WHEN p_sort_by = 'order_count' AND p_sort_order = 'desc' THEN m.order_count END DESC,
+    CASE WHEN p_sort_by = 'created_at' AND p_sort_order = 'asc' THEN m.created_at END ASC,
+    CASE WHEN p_sort_by = 'created_at' AND p_sort_order = 'desc' THEN m.created_at END DESC,
+    m.score DESC,
+    m.created_at DESC
+  LIMIT p_limit OFFSET p_offset;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION search_products(TEXT, TEXT, TEXT, UUID, TEXT[], NUMERIC, NUMERIC, TEXT, TEXT, INTEGER, INTEGER, REAL, REAL) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_products(TEXT, TEXT, TEXT, UUID, TEXT[], NUMERIC, NUMERIC, TEXT, TEXT, INTEGER, INTEGER, REAL, REAL) TO service_role;
+
+-- Counts per category, municipality, tag and price bucket for the products
+-- GET /api/products would list with these filters. p_price_bounds splits
+-- prices into ranges: {50,100} gives 0-50, 50-100 and 100 and up. A bucket
+-- includes both of its ends, matching how min_price and max_price filter,
+-- so a product priced exactly on a bound is counted in both ranges.
+CREATE OR REPLACE FUNCTION product_facets(
+  p_query TEXT DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_municipality TEXT DEFAULT NULL,
+  p_seller_id UUID DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL,
+  p_min_price NUMERIC DEFAULT NULL,
+  p_max_price NUMERIC DEFAULT NULL,
+  p_price_bounds NUMERIC[] DEFAULT ARRAY[50, 100, 250, 500]::NUMERIC[],
+  p_fuzzy_threshold REAL DEFAULT 0.3,
+  p_synonym_similarity REAL DEFAULT 0.5
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_query TEXT := normalize_search_query(p_query);
+  v_tsquery TSQUERY := product_search_tsquery(p_query, p_synonym_similarity);
+  v_result JSONB;
+BEGIN
+  WITH base AS (
+    SELECT
+      p.id,
+      p.category,
+      sp.municipality,
+      p.price_per_unit,
+      (p_category IS NULL OR p.category = p_category) AS in_category,
+      (p_municipality IS NULL OR sp.municipality = p_municipality) AS in_municipality,
+      (p_tags IS NULL OR EXISTS (
+        SELECT 1 FROM product_tags pt
+        WHERE pt.product_id = p.id AND pt.tag = ANY (p_tags)
+      )) AS in_tags,
+      (
+        (p_min_price IS NULL OR p.price_per_unit >= p_min_price)
+        AND (p_max_price IS NULL OR p.price_per_unit <= p_max_price)
+      ) AS in_price
+    FROM products p
+    JOIN seller_profiles sp ON sp.id = p.seller_id
+    JOIN users u ON u.id = sp.user_id
+    WHERE p.status = 'active'
+      AND u.status = 'verified'
+      AND (p_seller_id IS NULL OR p.seller_id = p_seller_id)
+      AND (
+        v_tsquery IS NULL
+        OR p.search_vector @@ v_tsquery
+        OR WORD_SIMILARITY(v_query, LOWER(p.name)) >= p_fuzzy_threshold
+        OR LOWER(u.full_name) LIKE '%' || v_query || '%'
+      )
+  ),
+  price_ranges AS (
+    SELECT
+      i AS position,
+      CASE WHEN i = 1 THEN 0 ELSE p_price_bounds[i - 1] END AS min_price,
+      p_price_bounds[i] AS max_price
+    FROM GENERATE_SERIES(1, COALESCE(ARRAY_LENGTH(p_price_bounds, 1), 0) + 1) AS i
+  )
+  SELECT JSONB_BUILD_OBJECT(
+    'total', (
+      SELECT COUNT(*) FROM base
+      WHERE in_category AND in_municipality AND in_tags AND in_price
+    ),
+    'categories', COALESCE((
+      SELECT JSONB_AGG(JSONB_BUILD_OBJECT('value', c.category, 'count', c.total) ORDER BY c.total DESC, c.category)
+      FROM (
+        SELECT category, COUNT(*) AS total FROM base
+        WHERE in_municipality AND in_tags AND in_price
+        GROUP BY category
+      ) c
+    ), '[]'::JSONB),
+    'municipalities', COALESCE((
+      SELECT JSONB_AGG(JSONB_BUILD_OBJECT('value', m.municipality, 'count', m.total) ORDER BY m.total DESC, m.municipality)
+      FROM (
+        SELECT municipality, COUNT(*) AS total FROM base
+        WHERE in_category AND in_tags AND in_price AND municipality IS NOT NULL
+        GROUP BY municipality
+      ) m
+    ), '[]'::JSONB),
+    'tags', COALESCE((
+      SELECT JSONB_AGG(JSONB_BUILD_OBJECT('value', t.tag, 'count', t.total) ORDER BY t.total DESC, t.tag)
+      FROM (
+        SELECT pt.tag, COUNT(DISTINCT b.id) AS total
+        FROM base b
+        JOIN product_tags pt ON pt.product_id = b.id
+        WHERE b.in_category AND b.in_municipality AND b.in_price
+        GROUP BY pt.tag
+      ) t
+    ), '[]'::JSONB),
+    'price_buckets', COALESCE((
+      SELECT JSONB_AGG(JSONB_BUILD_OBJECT('min', r.min_price, 'max', r.max_price, 'count', (
+        SELECT COUNT(*) FROM base b
+        WHERE b.in_category AND b.in_municipality AND b.in_tags
+          AND b.price_per_unit >= r.min_price
+          AND (r.max_price IS NULL OR b.price_per_unit <= r.max_price)
+      )) ORDER BY r.position)
+      FROM price_ranges r
+    ), '[]'::JSONB)
+  ) INTO v_result;
+
+  RETURN v_result;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION product_facets(TEXT, TEXT, TEXT, UUID, TEXT[], NUMERIC, NUMERIC, NUMERIC[], REAL, REAL) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION product_facets(TEXT, TEXT, TEXT, UUID, TEXT[], NUMERIC, NUMERIC, NUMERIC[], REAL, REAL) TO service_role;
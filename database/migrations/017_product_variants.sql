@@ -0,0 +1,418 @@
+-- 017_product_variants.sql
+-- Variants under one product, such as size, grade or pack size, each with
+-- its own price, unit, stock and SKU. While a product has active variants
+-- its price_per_unit and unit_type follow the cheapest one and its
+-- available_quantity is their total, so listings, sorting and facets keep
+-- working off the product row. Cart lines and order items record the variant
+-- they were bought as, and stock is taken from and returned to the variant.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS product_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL CHECK (BTRIM(name) <> ''),
+  sku VARCHAR(64),
+  price_per_unit NUMERIC(10, 2) NOT NULL CHECK (price_per_unit > 0),
+  unit_type VARCHAR(20) NOT NULL,
+  available_quantity INTEGER NOT NULL DEFAULT 0 CHECK (available_quantity >= 0),
+  sort_order SMALLINT NOT NULL DEFAULT 0,
+  -- Removed variants are kept inactive so past orders can still point at them
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product
+  ON product_variants (product_id, sort_order);
+
+-- Names and SKUs are unique among a product's active variants
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_name
+  ON product_variants (product_id, LOWER(name))
+  WHERE is_active;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_sku
+  ON product_variants (product_id, LOWER(sku))
+  WHERE is_active AND sku IS NOT NULL;
+
+ALTER TABLE product_variants ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE shopping_carts
+  ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE;
+
+-- Each variant of a product is its own cart line
+ALTER TABLE shopping_carts DROP CONSTRAINT IF EXISTS shopping_carts_buyer_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shopping_carts_buyer_line
+  ON shopping_carts (buyer_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::UUID));
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS variant_name VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS variant_sku VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_variant
+  ON order_items (variant_id)
+  WHERE variant_id IS NOT NULL;
+
+-- Copies the active variants onto the product row. A product with no active
+-- variants is left as it is.
+CREATE OR REPLACE FUNCTION sync_product_from_variants(p_product_id UUID)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE products AS p
+  SET price_per_unit = v.min_price,
+      unit_type = v.unit_type,
+      available_quantity = v.total_quantity,
+      updated_at = NOW()
+  FROM (
+    SELECT
+      MIN(pv.price_per_unit) AS min_price,
+      (ARRAY_AGG(pv.unit_type ORDER BY pv.price_per_unit, pv.sort_order))[1] AS unit_type,
+      SUM(pv.available_quantity)::INTEGER AS total_quantity
+    FROM product_variants pv
+    WHERE pv.product_id = p_product_id
+      AND pv.is_active
+    HAVING COUNT(*) > 0
+  ) AS v
+  WHERE p.id = p_product_id;
+$$;
+
+CREATE OR REPLACE FUNCTION product_variants_sync_trigger()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM sync_product_from_variants(OLD.product_id);
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') AND (TG_OP = 'INSERT' OR NEW.product_id <> OLD.product_id) THEN
+    PERFORM sync_product_from_variants(NEW.product_id);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS product_variants_sync ON product_variants;
+CREATE TRIGGER product_variants_sync
+  AFTER INSERT OR UPDATE OR DELETE ON product_variants
+  FOR EACH ROW EXECUTE FUNCTION product_variants_sync_trigger();
+
+-- Moves p_delta units into (positive) or out of (negative) the stock an order
+-- item draws from: its variant when it has one, otherwise the product.
+-- Returns false when there is not enough stock to take.
+CREATE OR REPLACE FUNCTION change_item_stock(p_product_id UUID, p_variant_id UUID, p_delta INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF p_delta = 0 THEN
+    RETURN TRUE;
+  END IF;
+
+  IF p_variant_id IS NULL THEN
+    UPDATE products
+    SET available_quantity = available_quantity + p_delta,
+        updated_at = NOW()
+    WHERE id = p_product_id
+      AND available_quantity + p_delta >= 0;
+  ELSE
+    UPDATE product_variants
+    SET available_quantity = available_quantity + p_delta,
+        updated_at = NOW()
+    WHERE id = p_variant_id
+      AND product_id = p_product_id
+      AND available_quantity + p_delta >= 0;
+  END IF;
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Replaces 002's version. p_items entries may carry a variant_id; those take
+-- stock from the variant. A product with active variants can only be
+-- reserved through one of them. order_count still goes up once per product.
+-- p_items: [{ "product_id": "<uuid>", "variant_id": "<uuid>|null", "quantity": <int> }, ...]
+CREATE OR REPLACE FUNCTION reserve_product_stock(p_items JSONB)
+RETURNS TABLE (product_id UUID, available_quantity INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item RECORD;
+  v_remaining INTEGER;
+  v_last_product UUID;
+BEGIN
+  -- Lock rows in a stable order so concurrent checkouts cannot deadlock
+  FOR v_item IN
+    SELECT (elem->>'product_id')::UUID AS id,
+           NULLIF(elem->>'variant_id', '')::UUID AS variant_id,
+           SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1, 2
+    ORDER BY 1, 2 NULLS FIRST
+  LOOP
+    IF v_item.quantity IS NULL OR v_item.quantity <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item.id
+        USING ERRCODE = '22023', DETAIL = v_item.id::TEXT;
+    END IF;
+
+    IF v_item.variant_id IS NULL THEN
+      UPDATE products AS p
+      SET available_quantity = p.available_quantity - v_item.quantity,
+          order_count = COALESCE(p.order_count, 0) + 1,
+          updated_at = NOW()
+      WHERE p.id = v_item.id
+        AND p.status = 'active'
+        AND p.available_quantity >= v_item.quantity
+        AND NOT EXISTS (
+          SELECT 1 FROM product_variants pv
+          WHERE pv.product_id = p.id AND pv.is_active
+        )
+      RETURNING p.available_quantity INTO v_remaining;
+    ELSE
+      UPDATE product_variants AS pv
+      SET available_quantity = pv.available_quantity - v_item.quantity,
+          updated_at = NOW()
+      WHERE pv.id = v_item.variant_id
+        AND pv.product_id = v_item.id
+        AND pv.is_active
+        AND pv.available_quantity >= v_item.quantity;
+
+      IF FOUND THEN
+        UPDATE products AS p
+        SET order_count = COALESCE(p.order_count, 0)
+              + CASE WHEN v_item.id IS DISTINCT FROM v_last_product THEN 1 ELSE 0 END,
+            updated_at = NOW()
+        WHERE p.id = v_item.id
+          AND p.status = 'active'
+        RETURNING p.available_quantity INTO v_remaining;
+      END IF;
+    END IF;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Insufficient stock for product %', v_item.id
+        USING ERRCODE = 'P0001', DETAIL = v_item.id::TEXT;
+    END IF;
+
+    v_last_product := v_item.id;
+    product_id := v_item.id;
+    available_quantity := v_remaining;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION release_product_stock(p_items JSONB)
+RETURNS TABLE (product_id UUID, available_quantity INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item RECORD;
+  v_remaining INTEGER;
+  v_last_product UUID;
+BEGIN
+  FOR v_item IN
+    SELECT (elem->>'product_id')::UUID AS id,
+           NULLIF(elem->>'variant_id', '')::UUID AS variant_id,
+           SUM((elem->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY 1, 2
+    ORDER BY 1, 2 NULLS FIRST
+  LOOP
+    IF v_item.variant_id IS NULL THEN
+      UPDATE products AS p
+      SET available_quantity = p.available_quantity + v_item.quantity,
+          order_count = GREATEST(0, COALESCE(p.order_count, 0) - 1),
+          updated_at = NOW()
+      WHERE p.id = v_item.id
+      RETURNING p.available_quantity INTO v_remaining;
+    ELSE
+      UPDATE product_variants AS pv
+      SET available_quantity = pv.available_quantity + v_item.quantity,
+          updated_at = NOW()
+      WHERE pv.id = v_item.variant_id
+        AND pv.product_id = v_item.id;
+
+      UPDATE products AS p
+      SET order_count = GREATEST(0, COALESCE(p.order_count, 0)
+            - CASE WHEN v_item.id IS DISTINCT FROM v_last_product THEN 1 ELSE 0 END),
+          updated_at = NOW()
+      WHERE p.id = v_item.id
+      RETURNING p.available_quantity INTO v_remaining;
+    END IF;
+
+    v_last_product := v_item.id;
+
+    IF FOUND THEN
+      product_id := v_item.id;
+      available_quantity := v_remaining;
+      RETURN NEXT;
+    END IF;
+  END LOOP;
+END;
+$$;
+
+-- Replaces 009's version so removed or resized items go back to their
+-- variant's stock. Substitutes are products without variants; the item
+-- drops its variant when substituted.
+CREATE OR REPLACE FUNCTION apply_order_adjustment(
+  p_adjustment_id UUID,
+  p_responded_by UUID,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS order_adjustments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_adjustment order_adjustments;
+  v_order orders;
+  v_item order_items;
+  v_change JSONB;
+  v_units INTEGER;
+  v_new_units INTEGER;
+  v_quantity NUMERIC(10, 2);
+  v_subtotal NUMERIC(12, 2);
+BEGIN
+  SELECT * INTO v_adjustment
+  FROM order_adjustments
+  WHERE id = p_adjustment_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_adjustment.status <> 'pending' THEN
+    RAISE EXCEPTION 'Adjustment % is no longer pending', p_adjustment_id;
+  END IF;
+
+  SELECT * INTO v_order
+  FROM orders
+  WHERE id = v_adjustment.order_id
+  FOR UPDATE;
+
+  IF v_order.status NOT IN ('pending', 'confirmed') OR v_order.payment_status <> 'unpaid' THEN
+    RAISE EXCEPTION 'Order % can no longer be adjusted', v_order.id;
+  END IF;
+
+  FOR v_change IN SELECT * FROM jsonb_array_elements(v_adjustment.changes)
+  LOOP
+    SELECT * INTO v_item
+    FROM order_items
+    WHERE id = (v_change->>'order_item_id')::UUID
+      AND order_id = v_order.id
+    FOR UPDATE;
+
+    IF NOT FOUND
+       OR v_item.product_id <> (v_change->>'product_id')::UUID
+       OR v_item.quantity <> (v_change->>'quantity_before')::NUMERIC THEN
+      RAISE EXCEPTION 'Order item % changed since the adjustment was proposed', v_change->>'order_item_id';
+    END IF;
+
+    v_units := CEIL(v_item.quantity);
+
+    IF v_change->>'action' = 'remove' THEN
+      DELETE FROM order_items WHERE id = v_item.id;
+
+      PERFORM change_item_stock(v_item.product_id, v_item.variant_id, v_units);
+
+      UPDATE products
+      SET order_count = GREATEST(0, COALESCE(order_count, 0) - 1),
+          updated_at = NOW()
+      WHERE id = v_item.product_id;
+
+    ELSIF v_change->>'action' = 'adjust_quantity' THEN
+      v_quantity := (v_change->>'quantity_after')::NUMERIC;
+      v_new_units := CEIL(v_quantity);
+
+      IF NOT change_item_stock(v_item.product_id, v_item.variant_id, v_units - v_new_units) THEN
+        RAISE EXCEPTION 'Insufficient stock for product %', v_item.product_id
+          USING ERRCODE = 'P0001', DETAIL = v_item.product_id::TEXT;
+      END IF;
+
+      UPDATE order_items
+      SET quantity = v_quantity,
+          subtotal = ROUND(v_item.price_per_unit * v_quantity, 2)
+      WHERE id = v_item.id;
+
+    ELSIF v_change->>'action' = 'substitute' THEN
+      v_quantity := (v_change->>'quantity_after')::NUMERIC;
+      v_new_units := CEIL(v_quantity);
+
+      UPDATE products
+      SET available_quantity = available_quantity - v_new_units,
+          order_count = COALESCE(order_count, 0) + 1,
+          updated_at = NOW()
+      WHERE id = (v_change->>'substitute_product_id')::UUID
+        AND seller_id = v_order.seller_id
+        AND status = 'active'
+        AND available_quantity >= v_new_units
+        AND NOT EXISTS (
+          SELECT 1 FROM product_variants pv
+          WHERE pv.product_id = products.id AND pv.is_active
+        );
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Insufficient stock for product %', v_change->>'substitute_product_id'
+          USING ERRCODE = 'P0001', DETAIL = v_change->>'substitute_product_id';
+      END IF;
+
+      PERFORM change_item_stock(v_item.product_id, v_item.variant_id, v_units);
+
+      UPDATE products
+      SET order_count = GREATEST(0, COALESCE(order_count, 0) - 1),
+          updated_at = NOW()
+      WHERE id = v_item.product_id;
+
+      UPDATE order_items
+      SET product_id = (v_change->>'substitute_product_id')::UUID,
+          variant_id = NULL,
+          variant_name = NULL,
+          variant_sku = NULL,
+          product_name = v_change->>'substitute_product_name',
+          category = v_change->>'substitute_category',
+          unit_type = v_change->>'substitute_unit_type',
+          price_per_unit = (v_change->>'substitute_price_per_unit')::NUMERIC,
+          quantity = v_quantity,
+          subtotal = ROUND((v_change->>'substitute_price_per_unit')::NUMERIC * v_quantity, 2)
+      WHERE id = v_item.id;
+
+    ELSE
+      RAISE EXCEPTION 'Unknown adjustment action %', v_change->>'action';
+    END IF;
+  END LOOP;
+
+  SELECT COALESCE(SUM(subtotal), 0) INTO v_subtotal
+  FROM order_items
+  WHERE order_id = v_order.id;
+
+  IF v_subtotal <= 0 THEN
+    RAISE EXCEPTION 'An adjustment cannot remove every item from order %', v_order.id;
+  END IF;
+
+  UPDATE orders
+  SET subtotal = v_subtotal,
+      total_amount = v_subtotal + COALESCE(delivery_fee, 0),
+      updated_at = NOW()
+  WHERE id = v_order.id;
+
+  UPDATE order_adjustments
+  SET status = 'accepted',
+      subtotal_after = v_subtotal,
+      total_after = v_subtotal + COALESCE(v_order.delivery_fee, 0),
+      responded_by = p_responded_by,
+      response_note = p_note,
+      responded_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_adjustment_id
+  RETURNING * INTO v_adjustment;
+
+  RETURN v_adjustment;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sync_product_from_variants(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION change_item_stock(UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION reserve_product_stock(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION release_product_stock(JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_product_from_variants(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION change_item_stock(UUID, UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION reserve_product_stock(JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION release_product_stock(JSONB) TO service_role;
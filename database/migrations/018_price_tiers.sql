@@ -0,0 +1,46 @@
+-- 018_price_tiers.sql
+-- Quantity price breaks for bulk buyers. A product keeps its price_per_unit
+-- for small quantities and can add tiers such as 10+ kg at a lower price.
+-- The cart and checkout charge the tier with the highest min_quantity the
+-- line reaches; order items record which break was applied and the base
+-- price it replaced.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS product_price_tiers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  -- Quantity 1 is always the product's own price
+  min_quantity INTEGER NOT NULL CHECK (min_quantity >= 2),
+  price_per_unit NUMERIC(10, 2) NOT NULL CHECK (price_per_unit > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, min_quantity)
+);
+
+ALTER TABLE product_price_tiers ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS tier_min_quantity INTEGER,
+  ADD COLUMN IF NOT EXISTS base_price_per_unit NUMERIC(10, 2);
+
+-- Swaps a product's whole tier table in one transaction so buyers never see
+-- a half-saved set. p_tiers is [{ "min_quantity": 10, "price_per_unit": 70 }].
+CREATE OR REPLACE FUNCTION replace_product_price_tiers(
+  p_product_id UUID,
+  p_tiers JSONB
+)
+RETURNS SETOF product_price_tiers
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM product_price_tiers WHERE product_id = p_product_id;
+
+  RETURN QUERY
+  INSERT INTO product_price_tiers (product_id, min_quantity, price_per_unit)
+  SELECT p_product_id, (tier->>'min_quantity')::INTEGER, (tier->>'price_per_unit')::NUMERIC
+  FROM jsonb_array_elements(COALESCE(p_tiers, '[]'::JSONB)) AS tier
+  RETURNING *;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION replace_product_price_tiers(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION replace_product_price_tiers(UUID, JSONB) TO service_role;
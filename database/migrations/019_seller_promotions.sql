@@ -0,0 +1,120 @@
+-- 019_seller_promotions.sql
+-- Seller promotions: a percentage or fixed amount off selected products or
+-- whole categories, running between starts_at and ends_at. usage_limit caps
+-- how many orders can use a promotion; each placed order that carries a
+-- discounted line claims one use and gives it back if the order is cancelled.
+-- Order items keep the promotion and the amount it took off the line.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  seller_id UUID NOT NULL REFERENCES seller_profiles(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),
+  -- 'products' uses promotion_products, 'categories' uses categories
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('products', 'categories')),
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  usage_limit INTEGER CHECK (usage_limit IS NULL OR usage_limit > 0),
+  usage_count INTEGER NOT NULL DEFAULT 0 CHECK (usage_count >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (ends_at > starts_at),
+  CHECK (discount_type <> 'percentage' OR discount_value < 100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_seller_window
+  ON promotions (seller_id, starts_at, ends_at)
+  WHERE is_active;
+
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS promotion_products (
+  promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  PRIMARY KEY (promotion_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_products_product
+  ON promotion_products (product_id);
+
+ALTER TABLE promotion_products ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS promotion_id UUID REFERENCES promotions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS promotion_name VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS promotion_discount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_promotion
+  ON order_items (promotion_id)
+  WHERE promotion_id IS NOT NULL;
+
+-- Takes one use of every promotion in p_promotion_ids, or none of them.
+-- Rows are locked in id order so concurrent checkouts cannot deadlock or
+-- both take the last use. A promotion that has ended, been switched off or
+-- run out raises with its id in DETAIL.
+CREATE OR REPLACE FUNCTION claim_promotion_uses(p_promotion_ids UUID[])
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_id UUID;
+BEGIN
+  FOR v_id IN
+    SELECT DISTINCT id FROM unnest(p_promotion_ids) AS id ORDER BY 1
+  LOOP
+    UPDATE promotions
+    SET usage_count = usage_count + 1,
+        updated_at = NOW()
+    WHERE id = v_id
+      AND is_active
+      AND starts_at <= NOW()
+      AND ends_at > NOW()
+      AND (usage_limit IS NULL OR usage_count < usage_limit);
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Promotion % is no longer available', v_id
+        USING ERRCODE = 'P0001', DETAIL = v_id::TEXT;
+    END IF;
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION release_promotion_uses(p_promotion_ids UUID[])
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE promotions
+  SET usage_count = GREATEST(0, usage_count - 1),
+      updated_at = NOW()
+  WHERE id IN (SELECT DISTINCT id FROM unnest(p_promotion_ids) AS id);
+END;
+$$;
+
+-- Saves a promotion's product list in one go
+CREATE OR REPLACE FUNCTION replace_promotion_products(
+  p_promotion_id UUID,
+  p_product_ids UUID[]
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM promotion_products WHERE promotion_id = p_promotion_id;
+
+  INSERT INTO promotion_products (promotion_id, product_id)
+  SELECT DISTINCT p_promotion_id, product_id
+  FROM unnest(COALESCE(p_product_ids, '{}'::UUID[])) AS product_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION claim_promotion_uses(UUID[]) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION release_promotion_uses(UUID[]) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION replace_promotion_products(UUID, UUID[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_promotion_uses(UUID[]) TO service_role;
+GRANT EXECUTE ON FUNCTION release_promotion_uses(UUID[]) TO service_role;
+GRANT EXECUTE ON FUNCTION replace_promotion_products(UUID, UUID[]) TO service_role;
@@ -0,0 +1,331 @@
+-- 020_vouchers.sql
+-- Checkout voucher codes. A voucher without a seller works on every shop and
+-- is paid for by the platform; a seller voucher only works on that seller's
+-- orders and comes out of their earnings. Vouchers can require a minimum
+-- spend and be limited to buyers in some municipalities or to items in some
+-- categories. Each order takes at most one voucher, recorded in
+-- voucher_redemptions; cancelling the order releases the redemption so it no
+-- longer counts against the per-user or total limits.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS vouchers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Stored upper-case; buyers can type it in any case
+  code VARCHAR(30) NOT NULL,
+  description VARCHAR(255),
+  -- NULL for platform-wide vouchers
+  seller_id UUID REFERENCES seller_profiles(id) ON DELETE CASCADE,
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),
+  -- Cap on what a percentage voucher can take off
+  max_discount NUMERIC(10, 2) CHECK (max_discount IS NULL OR max_discount > 0),
+  min_spend NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (min_spend >= 0),
+  per_user_limit INTEGER NOT NULL DEFAULT 1 CHECK (per_user_limit > 0),
+  total_limit INTEGER CHECK (total_limit IS NULL OR total_limit > 0),
+  redemption_count INTEGER NOT NULL DEFAULT 0 CHECK (redemption_count >= 0),
+  -- Empty means no restriction
+  municipalities TEXT[] NOT NULL DEFAULT '{}',
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (code = UPPER(code)),
+  CHECK (expires_at > starts_at),
+  CHECK (discount_type <> 'percentage' OR discount_value < 100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vouchers_code
+  ON vouchers (code);
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_seller
+  ON vouchers (seller_id)
+  WHERE seller_id IS NOT NULL;
+
+ALTER TABLE vouchers ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS voucher_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  voucher_id UUID NOT NULL REFERENCES vouchers(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  buyer_id UUID NOT NULL REFERENCES buyer_profiles(id) ON DELETE CASCADE,
+  discount_amount NUMERIC(10, 2) NOT NULL CHECK (discount_amount > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Set when the order is cancelled
+  released_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_voucher
+  ON voucher_redemptions (voucher_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_buyer
+  ON voucher_redemptions (voucher_id, buyer_id)
+  WHERE released_at IS NULL;
+
+ALTER TABLE voucher_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- total_amount is charged after the voucher. Platform vouchers are credited
+-- back to the seller when the order completes.
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS voucher_discount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS voucher_funded_by VARCHAR(20)
+    CHECK (voucher_funded_by IS NULL OR voucher_funded_by IN ('platform', 'seller'));
+
+-- Records a voucher against a freshly placed order. The voucher row is locked
+-- so two checkouts cannot both take the last redemption or go over the
+-- buyer's limit. Returns 'ok', 'not_found', 'inactive', 'not_started',
+-- 'expired', 'used_up' or 'user_limit'.
+CREATE OR REPLACE FUNCTION redeem_voucher(
+  p_voucher_id UUID,
+  p_order_id UUID,
+  p_buyer_id UUID,
+  p_discount NUMERIC
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_voucher vouchers;
+  v_used INTEGER;
+BEGIN
+  SELECT * INTO v_voucher
+  FROM vouchers
+  WHERE id = p_voucher_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN 'not_found';
+  END IF;
+
+  IF NOT v_voucher.is_active THEN
+    RETURN 'inactive';
+  END IF;
+
+  IF v_voucher.starts_at > NOW() THEN
+    RETURN 'not_started';
+  END IF;
+
+  IF v_voucher.expires_at <= NOW() THEN
+    RETURN 'expired';
+  END IF;
+
+  IF v_voucher.total_limit IS NOT NULL AND v_voucher.redemption_count >= v_voucher.total_limit THEN
+    RETURN 'used_up';
+  END IF;
+
+  SELECT COUNT(*) INTO v_used
+  FROM voucher_redemptions
+  WHERE voucher_id = p_voucher_id
+    AND buyer_id = p_buyer_id
+    AND released_at IS NULL;
+
+  IF v_used >= v_voucher.per_user_limit THEN
+    RETURN 'user_limit';
+  END IF;
+
+  INSERT INTO voucher_redemptions (voucher_id, order_id, buyer_id, discount_amount)
+  VALUES (p_voucher_id, p_order_id, p_buyer_id, p_discount);
+
+  UPDATE vouchers
+  SET redemption_count = redemption_count + 1,
+      updated_at = NOW()
+  WHERE id = p_voucher_id;
+
+  RETURN 'ok';
+END;
+$$;
+
+-- Gives a cancelled order's redemption back. Safe to call for orders without
+-- a voucher or more than once.
+CREATE OR REPLACE FUNCTION release_voucher_redemption(p_order_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_voucher_id UUID;
+BEGIN
+  UPDATE voucher_redemptions
+  SET released_at = NOW()
+  WHERE order_id = p_order_id
+    AND released_at IS NULL
+  RETURNING voucher_id INTO v_voucher_id;
+
+  IF v_voucher_id IS NOT NULL THEN
+    UPDATE vouchers
+    SET redemption_count = GREATEST(0, redemption_count - 1),
+        updated_at = NOW()
+    WHERE id = v_voucher_id;
+  END IF;
+END;
+$$;
+
+-- Replaces 017's version so an adjusted order keeps its voucher discount.
+-- The discount never goes above the new subtotal.
+CREATE OR REPLACE FUNCTION apply_order_adjustment(
+  p_adjustment_id UUID,
+  p_responded_by UUID,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS order_adjustments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_adjustment order_adjustments;
+  v_order orders;
+  v_item order_items;
+  v_change JSONB;
+  v_units INTEGER;
+  v_new_units INTEGER;
+  v_quantity NUMERIC(10, 2);
+  v_subtotal NUMERIC(12, 2);
+  v_voucher_discount NUMERIC(10, 2);
+BEGIN
+  SELECT * INTO v_adjustment
+  FROM order_adjustments
+  WHERE id = p_adjustment_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_adjustment.status <> 'pending' THEN
+    RAISE EXCEPTION 'Adjustment % is no longer pending', p_adjustment_id;
+  END IF;
+
+  SELECT * INTO v_order
+  FROM orders
+  WHERE id = v_adjustment.order_id
+  FOR UPDATE;
+
+  IF v_order.status NOT IN ('pending', 'confirmed') OR v_order.payment_status <> 'unpaid' THEN
+    RAISE EXCEPTION 'Order % can no longer be adjusted', v_order.id;
+  END IF;
+
+  FOR v_change IN SELECT * FROM jsonb_array_elements(v_adjustment.changes)
+  LOOP
+    SELECT * INTO v_item
+    FROM order_items
+    WHERE id = (v_change->>'order_item_id')::UUID
+      AND order_id = v_order.id
+    FOR UPDATE;
+
+    IF NOT FOUND
+       OR v_item.product_id <> (v_change->>'product_id')::UUID
+       OR v_item.quantity <> (v_change->>'quantity_before')::NUMERIC THEN
+      RAISE EXCEPTION 'Order item % changed since the adjustment was proposed', v_change->>'order_item_id';
+    END IF;
+
+    v_units := CEIL(v_item.quantity);
+
+    IF v_change->>'action' = 'remove' THEN
+      DELETE FROM order_items WHERE id = v_item.id;
+
+      PERFORM change_item_stock(v_item.product_id, v_item.variant_id, v_units);
+
+      UPDATE products
+      SET order_count = GREATEST(0, COALESCE(order_count, 0) - 1),
+          updated_at = NOW()
+      WHERE id = v_item.product_id;
+
+    ELSIF v_change->>'action' = 'adjust_quantity' THEN
+      v_quantity := (v_change->>'quantity_after')::NUMERIC;
+      v_new_units := CEIL(v_quantity);
+
+      IF NOT change_item_stock(v_item.product_id, v_item.variant_id, v_units - v_new_units) THEN
+        RAISE EXCEPTION 'Insufficient stock for product %', v_item.product_id
+          USING ERRCODE = 'P0001', DETAIL = v_item.product_id::TEXT;
+      END IF;
+
+      UPDATE order_items
+      SET quantity = v_quantity,
+          subtotal = ROUND(v_item.price_per_unit * v_quantity, 2)
+      WHERE id = v_item.id;
+
+    ELSIF v_change->>'action' = 'substitute' THEN
+      v_quantity := (v_change->>'quantity_after')::NUMERIC;
+      v_new_units := CEIL(v_quantity);
+
+      UPDATE products
+      SET available_quantity = available_quantity - v_new_units,
+          order_count = COALESCE(order_count, 0) + 1,
+          updated_at = NOW()
+      WHERE id = (v_change->>'substitute_product_id')::UUID
+        AND seller_id = v_order.seller_id
+        AND status = 'active'
+        AND available_quantity >= v_new_units
+        AND NOT EXISTS (
+          SELECT 1 FROM product_variants pv
+          WHERE pv.product_id = products.id AND pv.is_active
+        );
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Insufficient stock for product %', v_change->>'substitute_product_id'
+          USING ERRCODE = 'P0001', DETAIL = v_change->>'substitute_product_id';
+      END IF;
+
+      PERFORM change_item_stock(v_item.product_id, v_item.variant_id, v_units);
+
+      UPDATE products
+      SET order_count = GREATEST(0, COALESCE(order_count, 0) - 1),
+          updated_at = NOW()
+      WHERE id = v_item.product_id;
+
+      UPDATE order_items
+      SET product_id = (v_change->>'substitute_product_id')::UUID,
+          variant_id = NULL,
+          variant_name = NULL,
+          variant_sku = NULL,
+          product_name = v_change->>'substitute_product_name',
+          category = v_change->>'substitute_category',
+          unit_type = v_change->>'substitute_unit_type',
+          price_per_unit = (v_change->>'substitute_price_per_unit')::NUMERIC,
+          quantity = v_quantity,
+          subtotal = ROUND((v_change->>'substitute_price_per_unit')::NUMERIC * v_quantity, 2)
+      WHERE id = v_item.id;
+
+    ELSE
+      RAISE EXCEPTION 'Unknown adjustment action %', v_change->>'action';
+    END IF;
+  END LOOP;
+
+  SELECT COALESCE(SUM(subtotal), 0) INTO v_subtotal
+  FROM order_items
+  WHERE order_id = v_order.id;
+
+  IF v_subtotal <= 0 THEN
+    RAISE EXCEPTION 'An adjustment cannot remove every item from order %', v_order.id;
+  END IF;
+
+  v_voucher_discount := LEAST(COALESCE(v_order.voucher_discount, 0), v_subtotal);
+
+  UPDATE orders
+  SET subtotal = v_subtotal,
+      voucher_discount = v_voucher_discount,
+      total_amount = v_subtotal - v_voucher_discount + COALESCE(delivery_fee, 0),
+      updated_at = NOW()
+  WHERE id = v_order.id;
+
+  IF v_voucher_discount > 0 THEN
+    UPDATE voucher_redemptions
+    SET discount_amount = v_voucher_discount
+    WHERE order_id = v_order.id;
+  END IF;
+
+  UPDATE order_adjustments
+  SET status = 'accepted',
+      subtotal_after = v_subtotal,
+      total_after = v_subtotal - v_voucher_discount + COALESCE(v_order.delivery_fee, 0),
+      responded_by = p_responded_by,
+      response_note = p_note,
+      responded_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_adjustment_id
+  RETURNING * INTO v_adjustment;
+
+  RETURN v_adjustment;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION redeem_voucher(UUID, UUID, UUID, NUMERIC) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION release_voucher_redemption(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION redeem_voucher(UUID, UUID, UUID, NUMERIC) TO service_role;
+GRANT EXECUTE ON FUNCTION release_voucher_redemption(UUID) TO service_role;
@@ -0,0 +1,135 @@
+-- 021_inventory_movements.sql
+-- Inventory ledger: one row for every change to a product's or a variant's
+-- available_quantity, with the signed change, the stock left afterwards and
+-- why it moved. Rows are written by a trigger, so every path that touches
+-- stock (checkout, cancellations, order adjustments, harvests, seller edits)
+-- is covered. The API says why through the X-Inventory-Context request header
+-- ({"reason", "actor_id", "order_id", "note"}), which PostgREST exposes in
+-- request.headers; changes made without it are logged as 'adjustment'.
+-- Run in Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+  change INTEGER NOT NULL,
+  quantity_after INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL CHECK (reason IN (
+    'initial_stock', 'manual_edit', 'order_placed', 'order_cancelled',
+    'order_adjusted', 'harvest', 'adjustment', 'spoilage'
+  )),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  -- No foreign key: stock is reserved before the order row is written, and
+  -- an order that fails to place is deleted while its movements stay
+  order_id UUID,
+  note VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product
+  ON inventory_movements (product_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_order
+  ON inventory_movements (order_id)
+  WHERE order_id IS NOT NULL;
+
+ALTER TABLE inventory_movements ENABLE ROW LEVEL SECURITY;
+
+-- The X-Inventory-Context header of the current request, or {} outside one
+CREATE OR REPLACE FUNCTION inventory_context()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  RETURN COALESCE(
+    (current_setting('request.headers', true)::JSONB ->> 'x-inventory-context')::JSONB,
+    '{}'::JSONB
+  );
+EXCEPTION WHEN OTHERS THEN
+  RETURN '{}'::JSONB;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION log_inventory_movement()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_context JSONB := inventory_context();
+  v_old INTEGER := 0;
+  v_reason TEXT;
+  v_actor_id UUID;
+  v_order_id UUID;
+  v_product_id UUID;
+  v_variant_id UUID;
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    v_old := OLD.available_quantity;
+  END IF;
+
+  IF NEW.available_quantity IS NOT DISTINCT FROM v_old THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_TABLE_NAME = 'products' THEN
+    -- A product's total is copied from its variants by
+    -- sync_product_from_variants; the variant rows already record the change
+    IF pg_trigger_depth() > 1 THEN
+      RETURN NULL;
+    END IF;
+    v_product_id := NEW.id;
+  ELSE
+    v_product_id := NEW.product_id;
+    v_variant_id := NEW.id;
+  END IF;
+
+  v_reason := COALESCE(
+    v_context->>'reason',
+    CASE WHEN TG_OP = 'INSERT' THEN 'initial_stock' ELSE 'adjustment' END
+  );
+
+  IF v_reason NOT IN (
+    'initial_stock', 'manual_edit', 'order_placed', 'order_cancelled',
+    'order_adjusted', 'harvest', 'adjustment', 'spoilage'
+  ) THEN
+    v_reason := 'adjustment';
+  END IF;
+
+  -- A malformed id must not block the stock change itself
+  BEGIN
+    v_actor_id := (v_context->>'actor_id')::UUID;
+    v_order_id := (v_context->>'order_id')::UUID;
+  EXCEPTION WHEN invalid_text_representation THEN
+    v_actor_id := NULL;
+    v_order_id := NULL;
+  END;
+
+  INSERT INTO inventory_movements (
+    product_id, variant_id, change, quantity_after,
+    reason, actor_id, order_id, note
+  )
+  VALUES (
+    v_product_id,
+    v_variant_id,
+    NEW.available_quantity - v_old,
+    NEW.available_quantity,
+    v_reason,
+    v_actor_id,
+    v_order_id,
+    LEFT(v_context->>'note', 255)
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS products_inventory_log ON products;
+CREATE TRIGGER products_inventory_log
+  AFTER INSERT OR UPDATE OF available_quantity ON products
+  FOR EACH ROW EXECUTE FUNCTION log_inventory_movement();
+
+DROP TRIGGER IF EXISTS product_variants_inventory_log ON product_variants;
+CREATE TRIGGER product_variants_inventory_log
+  AFTER INSERT OR UPDATE OF available_quantity ON product_variants
+  FOR EACH ROW EXECUTE FUNCTION log_inventory_movement();
@@ -0,0 +1,75 @@
+-- 022_atomic_refunds.sql
+-- Records a refund only if it fits in what is left of the order total.
+-- The order row is locked while the balance is read and the refund written,
+-- so two refunds issued at the same time cannot together pay back more than
+-- the buyer paid. Failed refunds do not count against the balance.
+-- Run in Supabase SQL Editor.
+
+-- p_refund_type 'full' takes the whole remaining balance and ignores
+-- p_amount. Raises with DETAIL 'not_found', 'fully_refunded',
+-- 'invalid_amount' or 'exceeds_balance'.
+CREATE OR REPLACE FUNCTION create_refund(
+  p_order_id UUID,
+  p_issue_id UUID,
+  p_refund_type VARCHAR,
+  p_amount NUMERIC,
+  p_reason TEXT,
+  p_approved_by UUID
+)
+RETURNS refunds
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders;
+  v_refundable NUMERIC(12, 2);
+  v_amount NUMERIC(12, 2);
+  v_refund refunds;
+BEGIN
+  SELECT * INTO v_order
+  FROM orders
+  WHERE id = p_order_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', p_order_id
+      USING ERRCODE = 'P0001', DETAIL = 'not_found';
+  END IF;
+
+  SELECT v_order.total_amount - COALESCE(SUM(amount), 0) INTO v_refundable
+  FROM refunds
+  WHERE order_id = p_order_id
+    AND status <> 'failed';
+
+  IF v_refundable <= 0 THEN
+    RAISE EXCEPTION 'Order % has already been fully refunded', p_order_id
+      USING ERRCODE = 'P0001', DETAIL = 'fully_refunded';
+  END IF;
+
+  v_amount := CASE WHEN p_refund_type = 'full' THEN v_refundable ELSE ROUND(p_amount, 2) END;
+
+  IF v_amount IS NULL OR v_amount <= 0 THEN
+    RAISE EXCEPTION 'Refund amount must be greater than zero'
+      USING ERRCODE = 'P0001', DETAIL = 'invalid_amount';
+  END IF;
+
+  IF v_amount > v_refundable THEN
+    RAISE EXCEPTION 'Refund of % exceeds the refundable balance of %', v_amount, v_refundable
+      USING ERRCODE = 'P0001', DETAIL = 'exceeds_balance';
+  END IF;
+
+  INSERT INTO refunds (
+    order_id, issue_id, buyer_id, seller_id, refund_type,
+    amount, reason, status, approved_by
+  )
+  VALUES (
+    p_order_id, p_issue_id, v_order.buyer_id, v_order.seller_id, p_refund_type,
+    v_amount, p_reason, 'pending', p_approved_by
+  )
+  RETURNING * INTO v_refund;
+
+  RETURN v_refund;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION create_refund(UUID, UUID, VARCHAR, NUMERIC, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_refund(UUID, UUID, VARCHAR, NUMERIC, TEXT, UUID) TO service_role;
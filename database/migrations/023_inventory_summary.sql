@@ -0,0 +1,35 @@
+-- 023_inventory_summary.sql
+-- Units in and out per reason for a product's inventory history. Totalled
+-- in the database so the summary covers every movement in the range, not
+-- just the rows one API response is allowed to return.
+-- Run in Supabase SQL Editor.
+
+-- Takes the same filters as the history list; NULL leaves a filter off.
+-- One row per reason that has movements.
+CREATE OR REPLACE FUNCTION inventory_movement_summary(
+  p_product_id UUID,
+  p_variant_id UUID DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (reason VARCHAR, movement_count BIGINT, units_in BIGINT, units_out BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    m.reason,
+    COUNT(*) AS movement_count,
+    COALESCE(SUM(m.change) FILTER (WHERE m.change > 0), 0) AS units_in,
+    COALESCE(-SUM(m.change) FILTER (WHERE m.change < 0), 0) AS units_out
+  FROM inventory_movements m
+  WHERE m.product_id = p_product_id
+    AND (p_variant_id IS NULL OR m.variant_id = p_variant_id)
+    AND (p_reason IS NULL OR m.reason = p_reason)
+    AND (p_from IS NULL OR m.created_at >= p_from)
+    AND (p_to IS NULL OR m.created_at <= p_to)
+  GROUP BY m.reason;
+$$;
+
+REVOKE ALL ON FUNCTION inventory_movement_summary(UUID, UUID, TEXT, TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION inventory_movement_summary(UUID, UUID, TEXT, TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
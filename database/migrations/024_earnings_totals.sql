@@ -0,0 +1,52 @@
+-- 024_earnings_totals.sql
+-- Seller earnings totals per period, summed in the database so summaries and
+-- statements count every ledger entry rather than just the rows one API
+-- response is allowed to return.
+-- Run in Supabase SQL Editor.
+
+-- p_bounds are consecutive period edges; each pair [p_bounds[i], p_bounds[i + 1])
+-- gets one row, in order. A NULL edge leaves that side open, so
+-- ARRAY[NULL, NULL] totals the whole ledger.
+CREATE OR REPLACE FUNCTION seller_earnings_totals(
+  p_seller_id UUID,
+  p_bounds TIMESTAMPTZ[]
+)
+RETURNS TABLE (
+  period_from TIMESTAMPTZ,
+  period_to TIMESTAMPTZ,
+  order_earnings NUMERIC,
+  refunds NUMERIC,
+  adjustments NUMERIC,
+  completed_orders BIGINT,
+  entry_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH periods AS (
+    SELECT
+      b.edge AS period_from,
+      LEAD(b.edge) OVER (ORDER BY b.position) AS period_to,
+      b.position
+    FROM UNNEST(p_bounds) WITH ORDINALITY AS b(edge, position)
+  )
+  SELECT
+    p.period_from,
+    p.period_to,
+    COALESCE(SUM(l.amount) FILTER (WHERE l.entry_type = 'order_completed'), 0),
+    COALESCE(SUM(l.amount) FILTER (WHERE l.entry_type = 'refund'), 0),
+    COALESCE(SUM(l.amount) FILTER (WHERE l.entry_type = 'adjustment'), 0),
+    COUNT(l.id) FILTER (WHERE l.entry_type = 'order_completed'),
+    COUNT(l.id)
+  FROM periods p
+  LEFT JOIN seller_earnings_ledger l
+    ON l.seller_id = p_seller_id
+   AND (p.period_from IS NULL OR l.created_at >= p.period_from)
+   AND (p.period_to IS NULL OR l.created_at < p.period_to)
+  WHERE p.position < CARDINALITY(p_bounds)
+  GROUP BY p.position, p.period_from, p.period_to
+  ORDER BY p.position;
+$$;
+
+REVOKE ALL ON FUNCTION seller_earnings_totals(UUID, TIMESTAMPTZ[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION seller_earnings_totals(UUID, TIMESTAMPTZ[]) TO service_role;
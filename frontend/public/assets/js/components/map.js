@@ -118,11 +118,103 @@ const centerMap = (lat, lng, zoom = 15) => {
   }
 };
 
+// Standalone map for following one delivery: a fixed destination pin, a
+// courier marker that moves, and the current route between them. Kept apart
+// from the shared browse map above so both can be open at once.
+const createTrackingMap = (containerId, options = {}) => {
+  const { destination = null, zoom = 14 } = options;
+
+  const container = document.getElementById(containerId);
+  if (!container || typeof L === 'undefined') {
+    console.warn('Map container not found or Leaflet not loaded');
+    return null;
+  }
+
+  const center = destination ? [destination.lat, destination.lng] : [14.6037, 121.3084];
+  const trackingMap = L.map(containerId).setView(center, destination ? zoom : 11);
+
+  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    attribution: '© OpenStreetMap contributors',
+    maxZoom: 18,
+    crossOrigin: 'anonymous',
+    className: 'map-tile-layer'
+  }).addTo(trackingMap);
+
+  if (destination) {
+    L.marker([destination.lat, destination.lng])
+      .bindPopup('Delivery address')
+      .addTo(trackingMap);
+  }
+
+  let courierMarker = null;
+  let routeLine = null;
+
+  const setCourier = (lat, lng) => {
+    if (!courierMarker) {
+      courierMarker = L.circleMarker([lat, lng], {
+        radius: 9,
+        color: '#ffffff',
+        weight: 3,
+        fillColor: '#28a745',
+        fillOpacity: 1
+      }).bindPopup('Seller').addTo(trackingMap);
+    } else {
+      courierMarker.setLatLng([lat, lng]);
+    }
+  };
+
+  const setRoute = (coordinates) => {
+    if (routeLine) {
+      trackingMap.removeLayer(routeLine);
+      routeLine = null;
+    }
+    if (!Array.isArray(coordinates) || coordinates.length < 2) return;
+
+    routeLine = L.polyline(coordinates, {
+      color: '#28a745',
+      weight: 4,
+      opacity: 0.8,
+      dashArray: '5, 10'
+    }).addTo(trackingMap);
+  };
+
+  const fitToDelivery = () => {
+    const points = [];
+    if (destination) points.push([destination.lat, destination.lng]);
+    if (courierMarker) points.push(courierMarker.getLatLng());
+    if (routeLine) {
+      trackingMap.fitBounds(routeLine.getBounds().pad(0.15), { maxZoom: 16 });
+    } else if (points.length > 1) {
+      trackingMap.fitBounds(L.latLngBounds(points).pad(0.2), { maxZoom: 16 });
+    } else if (points.length === 1) {
+      trackingMap.setView(points[0], zoom);
+    }
+  };
+
+  const clearCourier = () => {
+    if (courierMarker) {
+      trackingMap.removeLayer(courierMarker);
+      courierMarker = null;
+    }
+    setRoute(null);
+  };
+
+  return {
+    map: trackingMap,
+    setCourier,
+    setRoute,
+    fitToDelivery,
+    clearCourier,
+    destroy: () => trackingMap.remove()
+  };
+};
+
 export {
   initMap,
   addMarkers,
   clearMarkers,
   filterByMunicipality,
   centerMap,
-  createPopupContent
+  createPopupContent,
+  createTrackingMap
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
-import { formatCurrency } from '../utils/formatters.js';
+import { formatCurrency, formatDiscount } from '../utils/formatters.js';
+import { getPromotionPrice } from '../utils/helpers.js';
 import { isAuthenticated, isBuyer } from '../core/auth.js';
 
 const createProductCard = (product, options = {}) => {
@@ -23,9 +24,36 @@ const createProductCard = (product, options = {}) => {
   const canBuy = isAuth && isBuyer();
   const detailsId = `pc-details-${String(product.id || '').replace(/[^a-zA-Z0-9_-]/g, '') || Math.random().toString(36).slice(2)}`;
   
+  const isPreorder = Boolean(product.is_preorder);
+  const preorderRemaining = Math.max(0, Number(product.preorder_quota || 0) - Number(product.preorder_reserved || 0));
+
+  // Sizes, grades or pack sizes; the product row carries the cheapest one
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  const hasVariants = variants.length > 0;
+  const firstVariant = variants.find(variant => variant.available_quantity > 0) || variants[0];
+
+  // Deepest bulk price break, e.g. "₱70 for 10+ kg"
+  const priceTiers = !hasVariants && Array.isArray(product.price_tiers) ? product.price_tiers : [];
+  const bestTier = priceTiers.reduce((best, tier) => (!best || tier.min_quantity > best.min_quantity ? tier : best), null);
+
+  // Running seller promotion; the regular price is shown struck through
+  const promotion = product.promotion || null;
+  const renderPrice = (price) => {
+    const salePrice = getPromotionPrice(promotion, price);
+    return {
+      current: formatCurrency(salePrice ?? price),
+      original: salePrice !== null ? `<s>${formatCurrency(price)}</s> <span class="text-danger font-semibold">${formatDiscount(promotion)}</span>` : ''
+    };
+  };
+  const initialPrice = renderPrice(hasVariants ? firstVariant.price_per_unit : product.price_per_unit);
+
   // Badge for tags
   let badgeHtml = '';
-  if (product.tags?.includes('fresh')) {
+  if (isPreorder) {
+    badgeHtml = '<div class="product-card-badge" style="background-color: var(--color-info);">Pre-order</div>';
+  } else if (promotion) {
+    badgeHtml = '<div class="product-card-badge" style="background-color: var(--color-danger);">Sale</div>';
+  } else if (product.tags?.includes('fresh')) {
     badgeHtml = '<div class="product-card-badge">Fresh</div>';
   } else if (product.tags?.includes('organic')) {
     badgeHtml = '<div class="product-card-badge" style="background-color: var(--color-success);">Organic</div>';
@@ -117,16 +145,37 @@ const createProductCard = (product, options = {}) => {
         </div>
       ` : detailsContent}
       
+      ${hasVariants ? `
+        <select class="form-select pc-variant-select mt-3" aria-label="Choose an option for ${product.name}">
+          ${variants.map(variant => `
+            <option value="${variant.id}" ${variant.id === firstVariant.id ? 'selected' : ''} ${variant.available_quantity > 0 ? '' : 'disabled'}>
+              ${variant.name}${variant.available_quantity > 0 ? '' : ' (sold out)'}
+            </option>
+          `).join('')}
+        </select>
+      ` : ''}
+
       <div class="flex items-center justify-between mt-4">
         <div>
-          <p class="text-xl font-bold text-primary pc-price">${formatCurrency(product.price_per_unit)}</p>
-          <p class="text-sm text-gray-500">per ${product.unit_type}</p>
+          <p class="text-xl font-bold text-primary pc-price">${initialPrice.current}</p>
+          <p class="text-sm text-gray-500 pc-original-price" ${initialPrice.original ? '' : 'hidden'}>${initialPrice.original}</p>
+          <p class="text-sm text-gray-500 pc-unit">per ${hasVariants ? firstVariant.unit_type : product.unit_type}</p>
+          ${bestTier ? `
+            <p class="text-xs text-success pc-bulk-price">${formatCurrency(bestTier.price_per_unit)} for ${bestTier.min_quantity}+ ${product.unit_type}</p>
+          ` : ''}
         </div>
         
-        <div class="text-right">
-          <p class="text-sm text-gray-600 pc-stock-label">Available</p>
-          <p class="font-semibold pc-stock-value">${product.available_quantity}</p>
-        </div>
+        ${isPreorder ? `
+          <div class="text-right">
+            <p class="text-sm text-gray-600 pc-stock-label">Harvest ${product.expected_harvest_date || 'TBA'}</p>
+            <p class="font-semibold pc-stock-value">${preorderRemaining} left</p>
+          </div>
+        ` : `
+          <div class="text-right">
+            <p class="text-sm text-gray-600 pc-stock-label">Available</p>
+            <p class="font-semibold pc-stock-value">${hasVariants ? firstVariant.available_quantity : product.available_quantity}</p>
+          </div>
+        `}
       </div>
     </div>
     
@@ -140,7 +189,7 @@ const createProductCard = (product, options = {}) => {
           ` : ''}
           ${canBuy ? `
             <button class="btn-add-cart btn btn-primary pc-action-btn flex-1">
-              <i class="bi bi-cart-plus"></i> Add Cart
+              <i class="bi bi-cart-plus"></i> ${isPreorder ? 'Pre-order' : 'Add Cart'}
             </button>
           ` : onEdit ? `
             <button class="btn-edit btn btn-secondary flex-1">
@@ -161,9 +210,24 @@ const createProductCard = (product, options = {}) => {
     btnView.addEventListener('click', () => onView(product));
   }
   
+  const variantSelect = card.querySelector('.pc-variant-select');
+  if (variantSelect) {
+    variantSelect.addEventListener('change', () => {
+      const variant = variants.find(entry => entry.id === variantSelect.value);
+      if (!variant) return;
+      const price = renderPrice(variant.price_per_unit);
+      const originalPrice = card.querySelector('.pc-original-price');
+      card.querySelector('.pc-price').textContent = price.current;
+      originalPrice.innerHTML = price.original;
+      originalPrice.hidden = !price.original;
+      card.querySelector('.pc-unit').textContent = `per ${variant.unit_type}`;
+      card.querySelector('.pc-stock-value').textContent = variant.available_quantity;
+    });
+  }
+
   const btnAddCart = card.querySelector('.btn-add-cart');
   if (btnAddCart && onAddToCart) {
-    btnAddCart.addEventListener('click', () => onAddToCart(product));
+    btnAddCart.addEventListener('click', () => onAddToCart(product, 1, variantSelect?.value || null));
   }
   
   const btnEdit = card.querySelector('.btn-edit');
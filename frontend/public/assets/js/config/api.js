@@ -52,7 +52,20 @@ const ENDPOINTS = {
     STATS: '/products/seller/stats',
     ANALYTICS: '/products/seller/analytics',
     SALES_OVER_TIME: '/products/seller/sales-over-time',
-    TOP_PRODUCTS: '/products/seller/top-products'
+    TOP_PRODUCTS: '/products/seller/top-products',
+    EARNINGS: '/products/seller/earnings',
+    EARNINGS_STATEMENTS: '/products/seller/earnings/statements',
+    EARNINGS_STATEMENT: (periodStart) => `/products/seller/earnings/statements/${periodStart}`,
+    PROMOTIONS: '/products/seller/promotions',
+    PROMOTION: (id) => `/products/seller/promotions/${id}`,
+    PREORDER: (id) => `/products/${id}/preorder`,
+    PREORDER_QUEUE: (id) => `/products/${id}/preorders`,
+    HARVEST: (id) => `/products/${id}/harvest`,
+    VARIANTS: (id) => `/products/${id}/variants`,
+    VARIANT: (id, variantId) => `/products/${id}/variants/${variantId}`,
+    PRICE_TIERS: (id) => `/products/${id}/price-tiers`,
+    INVENTORY: (id) => `/products/${id}/inventory`,
+    INVENTORY_ADJUSTMENTS: (id) => `/products/${id}/inventory/adjustments`
   },
   
   // Cart endpoints (buyer only)
@@ -70,12 +83,66 @@ const ENDPOINTS = {
   ORDERS: {
     LIST: '/orders',
     CREATE: '/orders',
+    CHECKOUT: '/orders/checkout',
+    VOUCHER_QUOTE: '/orders/vouchers/quote',
     BY_ID: (id) => `/orders/${id}`,
     UPDATE_STATUS: (id) => `/orders/${id}/status`,
     CONFIRM: (id) => `/orders/${id}/confirm`,
+    HANDOVER_CODE: (id) => `/orders/${id}/handover-code`,
     CANCEL: (id) => `/orders/${id}/cancel`,
     STATS: '/orders/stats',
-    RATE: (id) => `/orders/${id}/rate`
+    EXPORT: '/orders/export',
+    PICK_LIST: '/orders/pick-list',
+    BULK_STATUS: '/orders/bulk-status',
+    RATE: (id) => `/orders/${id}/rate`,
+    RECEIPT: (id) => `/orders/${id}/receipt`,
+    REORDER: (id) => `/orders/${id}/reorder`,
+    TRACKING: (id) => `/orders/${id}/tracking`,
+    TRACKING_START: (id) => `/orders/${id}/tracking/start`,
+    TRACKING_LOCATION: (id) => `/orders/${id}/tracking/location`,
+    TRACKING_STOP: (id) => `/orders/${id}/tracking/stop`,
+    ADJUSTMENTS: (id) => `/orders/${id}/adjustments`,
+    ADJUSTMENT_ACCEPT: (id, adjustmentId) => `/orders/${id}/adjustments/${adjustmentId}/accept`,
+    ADJUSTMENT_REJECT: (id, adjustmentId) => `/orders/${id}/adjustments/${adjustmentId}/reject`,
+    ADJUSTMENT_WITHDRAW: (id, adjustmentId) => `/orders/${id}/adjustments/${adjustmentId}/withdraw`
+  },
+  
+  // Payment endpoints
+  PAYMENTS: {
+    METHODS: '/payments/methods',
+    INTENT: (orderId) => `/payments/orders/${orderId}/intent`,
+    STATUS: (orderId) => `/payments/orders/${orderId}/status`
+  },
+  
+  // Refund endpoints
+  REFUNDS: {
+    BUYER: '/refunds/buyer',
+    SELLER: '/refunds/seller',
+    BY_ORDER: (orderId) => `/refunds/order/${orderId}`
+  },
+
+  // Delivery slot endpoints
+  DELIVERY_SLOTS: {
+    SELLER: '/delivery-slots/seller',
+    SCHEDULE: '/delivery-slots/seller/schedule',
+    WINDOWS: '/delivery-slots/seller/windows',
+    WINDOW_BY_ID: (windowId) => `/delivery-slots/seller/windows/${windowId}`,
+    BLACKOUTS: '/delivery-slots/seller/blackouts',
+    BLACKOUT_BY_ID: (blackoutId) => `/delivery-slots/seller/blackouts/${blackoutId}`,
+    AVAILABLE: (sellerId) => `/delivery-slots/sellers/${sellerId}/available`
+  },
+
+  // Recurring order endpoints
+  SUBSCRIPTIONS: {
+    LIST: '/subscriptions',
+    CREATE: '/subscriptions',
+    SELLER: '/subscriptions/seller',
+    BY_ID: (id) => `/subscriptions/${id}`,
+    CONFIRM: (id) => `/subscriptions/${id}/confirm`,
+    SKIP: (id) => `/subscriptions/${id}/skip`,
+    PAUSE: (id) => `/subscriptions/${id}/pause`,
+    RESUME: (id) => `/subscriptions/${id}/resume`,
+    CANCEL: (id) => `/subscriptions/${id}/cancel`
   },
   
   // Message endpoints
@@ -148,7 +215,11 @@ const ENDPOINTS = {
     APPROVE_PRODUCT: (id) => `/admin/products/${id}/approve`,
     REJECT_PRODUCT: (id) => `/admin/products/${id}/reject`,
     DISPUTE_ORDERS: '/admin/dispute/orders',
-    DISPUTE_MESSAGES: '/admin/dispute/messages'
+    DISPUTE_MESSAGES: '/admin/dispute/messages',
+    SEARCH_SYNONYMS: '/admin/search-synonyms',
+    SEARCH_SYNONYM: (id) => `/admin/search-synonyms/${id}`,
+    VOUCHERS: '/admin/vouchers',
+    VOUCHER: (id) => `/admin/vouchers/${id}`
   },
   
   // Logging endpoints
@@ -157,6 +157,45 @@ class HttpClient {
       body: formData 
     });
   }
+
+  // GET a file (CSV, PDF) as a Blob
+  async download(url, options = {}) {
+    const { headers = {}, includeAuth = true } = options;
+    let response;
+
+    try {
+      response = await fetch(buildUrl(url), {
+        method: 'GET',
+        headers: this.getHeaders(headers, includeAuth)
+      });
+    } catch (error) {
+      throw this.normalizeError({
+        message: 'Network error. Please check your connection.',
+        status: 0
+      });
+    }
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        this.handleUnauthorized(includeAuth);
+      }
+
+      let data = {};
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        data = {};
+      }
+
+      throw this.normalizeError({
+        message: data.message || 'Download failed',
+        errors: data.errors || null,
+        status: response.status
+      });
+    }
+
+    return response.blob();
+  }
 }
 
 // Create singleton instance
@@ -170,6 +209,7 @@ const put = (url, body, options) => http.put(url, body, options);
 const patch = (url, body, options) => http.patch(url, body, options);
 const del = (url, body = null, options) => http.delete(url, body, options);
 const upload = (url, formData, options) => http.upload(url, formData, options);
+const download = (url, options) => http.download(url, options);
 
 // ============ Exports ============
 
@@ -180,7 +220,8 @@ export {
   put,
   patch,
   del,
-  upload
+  upload,
+  download
 };
 
 export default http;
@@ -28,6 +28,8 @@ import {
   getOrdersForDispute,
   getOrderDetails
 } from '../services/admin.service.js';
+import { downloadOrderReceipt } from '../services/order.service.js';
+import { downloadFile } from '../utils/helpers.js';
 
 // ============ State ============
 
@@ -1810,11 +1812,70 @@ const getOrderStatusBadge = (status) => {
   return badges[status] || 'badge-info';
 };
 
+window.downloadDisputeReceipt = async (orderId, orderNumber) => {
+  try {
+    const blob = await downloadOrderReceipt(orderId);
+    downloadFile(blob, `receipt-${orderNumber || orderId}.pdf`);
+  } catch (error) {
+    showError('Failed to download receipt: ' + error.message);
+  }
+};
+
+const renderHandoverEvidence = (handover) => {
+  if (!handover || (!handover.verified && !handover.code_issued_at)) return '';
+
+  const hasLocation = handover.latitude !== null && handover.longitude !== null;
+  const mapsUrl = hasLocation
+    ? `https://www.google.com/maps?q=${handover.latitude},${handover.longitude}`
+    : null;
+
+  return `
+    <div class="border-b pb-4">
+      <h4 class="font-bold mb-3">Handover Evidence</h4>
+      <div class="grid grid-cols-2 gap-4 text-sm">
+        <div>
+          <p class="text-gray-600">Handover Code</p>
+          ${handover.verified
+            ? '<span class="badge badge-success">Verified</span>'
+            : '<span class="badge badge-secondary">Not entered</span>'}
+        </div>
+        <div>
+          <p class="text-gray-600">Verified At</p>
+          <p>${handover.verified_at ? formatDate(handover.verified_at) : 'N/A'}</p>
+        </div>
+        <div>
+          <p class="text-gray-600">Entered By</p>
+          <p>${escapeHtml(handover.verified_by?.full_name || 'N/A')}</p>
+        </div>
+        <div>
+          <p class="text-gray-600">Seller Location</p>
+          ${mapsUrl
+            ? `<a href="${mapsUrl}" target="_blank" rel="noopener" class="text-primary hover:underline">
+                ${handover.latitude.toFixed(5)}, ${handover.longitude.toFixed(5)}
+              </a>
+              ${handover.accuracy_m !== null ? `<p class="text-xs text-gray-500">Accurate to ~${Math.round(handover.accuracy_m)} m</p>` : ''}`
+            : `<p>${handover.verified ? 'Not shared' : 'N/A'}</p>`}
+        </div>
+        ${handover.distance_from_delivery_km !== null ? `
+          <div>
+            <p class="text-gray-600">Distance From Drop-off</p>
+            <p>${handover.distance_from_delivery_km.toFixed(2)} km</p>
+          </div>
+        ` : ''}
+        <div>
+          <p class="text-gray-600">Wrong Code Attempts</p>
+          <p>${handover.failed_attempts}${handover.last_failed_at ? ` <span class="text-xs text-gray-500">(last ${formatDate(handover.last_failed_at)})</span>` : ''}</p>
+        </div>
+      </div>
+    </div>
+  `;
+};
+
 window.viewOrderForDispute = async (orderId) => {
   showSpinner();
   try {
     const response = await getOrderDetails(orderId);
-    const { order, buyer, seller, messages } = response.data;
+    const { order, buyer, seller, messages, handover } = response.data;
     
     const modal = createModal({
       title: `Order Details - ${orderId.substring(0, 8)}...`,
@@ -1861,6 +1922,8 @@ window.viewOrderForDispute = async (orderId) => {
               ${seller?.municipality ? `<p class="text-xs text-gray-600">${seller.municipality}</p>` : ''}
             </div>
           </div>
+
+          ${renderHandoverEvidence(handover)}
           
           <!-- Messages -->
           <div>
@@ -1881,6 +1944,9 @@ window.viewOrderForDispute = async (orderId) => {
         </div>
       `,
       footer: `
+        <button class="btn btn-outline" onclick="window.downloadDisputeReceipt('${order.id}', '${order.order_number || ''}')">
+          <i class="bi bi-receipt"></i> Receipt (PDF)
+        </button>
         <button class="btn btn-outline" onclick="document.querySelector('.modal-backdrop').remove()">
           <i class="bi bi-x-circle"></i> Close
         </button>
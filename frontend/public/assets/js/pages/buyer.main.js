@@ -8,9 +8,10 @@ import { showSpinner, hideSpinner } from '../components/loading-spinner.js';
 import { createProductCard, renderProductCards } from '../components/product-card.js';
 import { createModal, closeModal } from '../components/modal.js';
 import { createCarousel } from '../components/carousel.js';
+import { createTrackingMap } from '../components/map.js';
 import { requireAuth, getToken, isVerified, getStatus } from '../core/auth.js';
-import { formatCurrency, formatRelativeTime } from '../utils/formatters.js';
-import { debounce } from '../utils/helpers.js';
+import { formatCurrency, formatRelativeTime, formatDateTime, formatDiscount } from '../utils/formatters.js';
+import { debounce, downloadFile, getPromotionPrice } from '../utils/helpers.js';
 import { MUNICIPALITY_COORDINATES, RIZAL_MUNICIPALITIES, PRODUCT_TAGS } from '../utils/constants.js';
 import { ENDPOINTS, buildUrl } from '../config/api.js';
 
@@ -26,13 +27,20 @@ import {
   validateCart
 } from '../services/cart.service.js';
 import {
-  createOrder,
+  checkout,
+  quoteVoucher,
   getOrders,
   getOrderById,
   cancelOrder,
   confirmOrder,
   rateOrder,
-  getOrderStats
+  reorder as reorderService,
+  getDeliveryTracking,
+  getHandoverCode,
+  getOrderStats,
+  downloadOrderReceipt,
+  acceptOrderAdjustment,
+  rejectOrderAdjustment
 } from '../services/order.service.js';
 import {
   getConversations,
@@ -42,6 +50,17 @@ import {
   markMessagesAsRead
 } from '../services/message.service.js';
 import { getMyIssues, getIssue } from '../services/issue.service.js';
+import { getPaymentMethods, createPaymentIntent } from '../services/payment.service.js';
+import { getAvailableSlots } from '../services/delivery-slot.service.js';
+import {
+  getMySubscriptions,
+  createSubscription,
+  confirmSubscriptionDelivery,
+  skipNextDelivery,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+} from '../services/subscription.service.js';
 import { getProfile, updateBuyerProfile } from '../services/user.service.js';
 import { getUserId } from '../core/auth.js';
 import { getDeliveryProofUrl, getIssueEvidenceUrl, getMessageAttachmentUrl } from '../utils/image-helpers.js';
@@ -176,6 +195,8 @@ const DEFAULT_BROWSE_FILTERS = {
   category: '',
   municipality: '',
   tags: [],
+  min_price: '',
+  max_price: '',
   sort_by: 'created_at',
   sort_order: 'desc',
   page: 1,
@@ -349,6 +370,8 @@ const saveBuyerUiState = () => {
         category: safeString(browseFilters.category),
         municipality: safeString(browseFilters.municipality),
         tags: Array.isArray(browseFilters.tags) ? browseFilters.tags : [],
+        min_price: safeString(browseFilters.min_price),
+        max_price: safeString(browseFilters.max_price),
         sort_by: safeString(browseFilters.sort_by, DEFAULT_BROWSE_FILTERS.sort_by),
         sort_order: safeString(browseFilters.sort_order, DEFAULT_BROWSE_FILTERS.sort_order),
         page: clampToPositiveInt(browseFilters.page, 1),
@@ -559,6 +582,8 @@ const updateBrowseQueryParams = () => {
   setOrDelete('search', browseFilters.search);
   setOrDelete('category', browseFilters.category);
   setOrDelete('municipality', browseFilters.municipality);
+  setOrDelete('min_price', browseFilters.min_price);
+  setOrDelete('max_price', browseFilters.max_price);
   setOrDelete('sort_by', browseFilters.sort_by);
   setOrDelete('sort_order', browseFilters.sort_order);
   setOrDelete('page', browseFilters.page > 1 ? browseFilters.page : '');
@@ -575,6 +600,8 @@ const applyBrowseFiltersFromQuery = () => {
   browseFilters.search = params.get('search') || browseFilters.search;
   browseFilters.category = params.get('category') || browseFilters.category;
   browseFilters.municipality = params.get('municipality') || browseFilters.municipality;
+  browseFilters.min_price = params.get('min_price') || browseFilters.min_price;
+  browseFilters.max_price = params.get('max_price') || browseFilters.max_price;
   browseFilters.sort_by = params.get('sort_by') || browseFilters.sort_by;
   browseFilters.sort_order = params.get('sort_order') || browseFilters.sort_order;
   browseFilters.page = clampToPositiveInt(params.get('page'), browseFilters.page);
@@ -626,6 +653,9 @@ const renderActiveFilterChips = () => {
   if (Array.isArray(browseFilters.tags)) {
     browseFilters.tags.forEach(tag => chips.push({ key: `tag:${tag}`, label: `Tag: ${tag}` }));
   }
+  if (browseFilters.min_price || browseFilters.max_price) {
+    chips.push({ key: 'price', label: `Price: ${formatPriceRange(browseFilters.min_price, browseFilters.max_price)}` });
+  }
 
   if (chips.length === 0) {
     chipsContainer.classList.add('hidden');
@@ -650,6 +680,9 @@ const renderActiveFilterChips = () => {
       if (chipKey.startsWith('tag:')) {
         const tag = chipKey.replace('tag:', '');
         browseFilters.tags = browseFilters.tags.filter(item => item !== tag);
+      } else if (chipKey === 'price') {
+        browseFilters.min_price = '';
+        browseFilters.max_price = '';
       } else {
         browseFilters[chipKey] = '';
       }
@@ -668,6 +701,102 @@ const renderActiveFilterChips = () => {
   }
 };
 
+const formatPriceRange = (min, max) => {
+  if (min && max) return `${formatCurrency(min)} - ${formatCurrency(max)}`;
+  if (max) return `Up to ${formatCurrency(max)}`;
+  return `${formatCurrency(min)} and up`;
+};
+
+// Option text from the sidebar filters where there is one ("Fish & Seafood"),
+// otherwise the value with underscores spaced out
+const getFacetLabel = (selector, value) => {
+  const option = document.querySelector(`${selector}[value="${CSS.escape(value)}"]`);
+  const text = option?.closest('label')?.textContent || option?.textContent;
+  if (text && text.trim()) return text.trim();
+  return String(value).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+};
+
+// "Vegetables (42)" chips from the facet counts returned with the listing.
+// Values already applied and ranges with no products are left out.
+const renderBrowseFacetChips = (facets) => {
+  const container = document.getElementById('browse-facet-chips');
+  if (!container) return;
+
+  const selectedTags = Array.isArray(browseFilters.tags) ? browseFilters.tags : [];
+  const hasPriceFilter = Boolean(browseFilters.min_price || browseFilters.max_price);
+
+  const groups = facets ? [
+    {
+      title: 'Category',
+      chips: (facets.categories || [])
+        .filter(item => item.value !== browseFilters.category)
+        .map(item => ({ type: 'category', value: item.value, label: getFacetLabel('#browse-category option', item.value), count: item.count }))
+    },
+    {
+      title: 'Municipality',
+      chips: (facets.municipalities || [])
+        .filter(item => item.value !== browseFilters.municipality)
+        .map(item => ({ type: 'municipality', value: item.value, label: item.value, count: item.count }))
+    },
+    {
+      title: 'Tags',
+      chips: (facets.tags || [])
+        .filter(item => !selectedTags.includes(item.value))
+        .map(item => ({ type: 'tag', value: item.value, label: getFacetLabel('.product-tag-checkbox', item.value), count: item.count }))
+    },
+    {
+      title: 'Price',
+      chips: hasPriceFilter ? [] : (facets.price_buckets || [])
+        .map(item => ({
+          type: 'price',
+          value: `${item.min}:${item.max ?? ''}`,
+          label: formatPriceRange(Number(item.min) > 0 ? item.min : '', item.max ?? ''),
+          count: item.count
+        }))
+    }
+  ].map(group => ({ ...group, chips: group.chips.filter(chip => Number(chip.count) > 0) }))
+    .filter(group => group.chips.length > 0) : [];
+
+  if (groups.length === 0) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  container.classList.remove('hidden');
+  container.innerHTML = groups.map(group => `
+    <div class="buyer-facet-group">
+      <span class="buyer-facet-title">${escapeHtml(group.title)}</span>
+      ${group.chips.map(chip => `
+        <button class="buyer-filter-chip buyer-facet-chip" data-facet-type="${chip.type}" data-facet-value="${escapeHtml(chip.value)}">
+          ${escapeHtml(chip.label)} <span class="buyer-facet-count">(${Number(chip.count)})</span>
+        </button>
+      `).join('')}
+    </div>
+  `).join('');
+
+  container.querySelectorAll('[data-facet-type]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const type = btn.getAttribute('data-facet-type');
+      const value = btn.getAttribute('data-facet-value') || '';
+
+      if (type === 'tag') {
+        browseFilters.tags = [...selectedTags, value];
+      } else if (type === 'price') {
+        const [min, max] = value.split(':');
+        browseFilters.min_price = Number(min) > 0 ? min : '';
+        browseFilters.max_price = max || '';
+      } else {
+        browseFilters[type] = value;
+      }
+
+      syncDraftFiltersFromApplied();
+      applyBrowseFiltersToUi();
+      await applyBrowseFilters({ resetPage: true });
+    });
+  });
+};
+
 const applyConversationFiltersToUi = () => {
   const searchInput = document.getElementById('conversation-search');
   const unreadOnly = document.getElementById('conversation-unread-only');
@@ -1371,8 +1500,16 @@ const loadBrowseProducts = async ({ append = false } = {}) => {
       delete filters.tags;
     }
 
+    // Facet counts only change with the filters, not when paging further
+    if (!append) {
+      filters.include_facets = true;
+    }
+
     const response = await listProducts(filters);
     const products = response.data?.products || [];
+    if (!append) {
+      renderBrowseFacetChips(response.data?.facets);
+    }
     browseTotalItems = Number(response.total) || products.length;
     browseTotalPages = Math.max(1, Number(response.total_pages) || Math.ceil(browseTotalItems / (browseFilters.limit || 12)));
 
@@ -2165,6 +2302,116 @@ const viewProductDetails = async (product) => {
   }
 };
 
+// ============ Product Variants ============
+
+// First variant in stock, or the first one when all are sold out
+const getDefaultVariant = (product) => {
+  const variants = product?.variants || [];
+  return variants.find(variant => variant.available_quantity > 0) || variants[0] || null;
+};
+
+const getSelectionStock = (product, selected) => (
+  selected && selected !== product ? Number(selected.available_quantity || 0) : getOrderableStock(product)
+);
+
+// Size/grade picker for the detail modals. The quantity input id names the
+// picker so the add-to-cart handlers can find it.
+const renderVariantPicker = (product, quantityInputId) => {
+  const variants = product?.variants || [];
+  if (variants.length === 0) return '';
+
+  const selected = getDefaultVariant(product);
+  return `
+    <div class="product-variant-picker mb-3">
+      <label class="form-label" for="${quantityInputId}-variant">Option</label>
+      <select id="${quantityInputId}-variant" class="form-select" onchange="window.selectProductVariant(this, '${quantityInputId}')">
+        ${variants.map(variant => `
+          <option value="${escapeHtml(variant.id)}"
+            data-price="${escapeHtml(String(variant.price_per_unit))}"
+            data-sale-price="${escapeHtml(String(getSalePrice(product, variant.price_per_unit)))}"
+            data-unit="${escapeHtml(variant.unit_type)}"
+            data-stock="${escapeHtml(String(variant.available_quantity))}"
+            ${variant.id === selected.id ? 'selected' : ''}
+            ${variant.available_quantity > 0 ? '' : 'disabled'}>
+            ${escapeHtml(variant.name)} - ${formatCurrency(getSalePrice(product, variant.price_per_unit))} / ${escapeHtml(variant.unit_type)}${variant.available_quantity > 0 ? '' : ' (sold out)'}
+          </option>
+        `).join('')}
+      </select>
+    </div>
+  `;
+};
+
+// ============ Promotions ============
+
+// What a buyer pays per unit while the product's promotion runs
+const getSalePrice = (product, price) => getPromotionPrice(product?.promotion, price) ?? Number(price || 0);
+
+// Regular price struck through next to the sale price; hidden when the
+// selected price gets no discount
+const renderOriginalPrice = (product, price) => {
+  const onSale = getPromotionPrice(product?.promotion, price) !== null;
+  return `<s class="product-original-price text-base font-normal text-gray-500" data-variant-field="original-price" ${onSale ? '' : 'hidden'}>${formatCurrency(price || 0)}</s>`;
+};
+
+const renderPromotionBanner = (product) => {
+  const promotion = product?.promotion;
+  if (!promotion) return '';
+
+  return `
+    <p class="product-promotion text-sm text-danger mb-3">
+      <i class="bi bi-megaphone"></i> <strong>${escapeHtml(promotion.name)}</strong>: ${escapeHtml(formatDiscount(promotion))} until ${escapeHtml(formatDateTime(promotion.ends_at))}
+    </p>
+  `;
+};
+
+// "1-9 kg ₱80 · 10+ kg ₱70" under the price for products with bulk prices
+const renderPriceTiers = (product) => {
+  const tiers = [...(product?.price_tiers || [])].sort((a, b) => a.min_quantity - b.min_quantity);
+  if (tiers.length === 0 || product.variants?.length > 0) return '';
+
+  const unit = escapeHtml(product.unit_type || 'unit');
+  const breaks = [{ min_quantity: 1, price_per_unit: product.price_per_unit }, ...tiers];
+  return `
+    <div class="product-price-tiers text-sm mb-3">
+      <p class="font-semibold"><i class="bi bi-tags"></i> Bulk prices</p>
+      <ul class="flex flex-wrap gap-x-4">
+        ${breaks.map((tier, index) => {
+          const next = breaks[index + 1];
+          const range = next ? `${tier.min_quantity}-${next.min_quantity - 1}` : `${tier.min_quantity}+`;
+          return `<li>${range} ${unit}: <strong>${formatCurrency(tier.price_per_unit)}</strong></li>`;
+        }).join('')}
+      </ul>
+    </div>
+  `;
+};
+
+window.selectProductVariant = (select, quantityInputId) => {
+  const option = select.selectedOptions[0];
+  const scope = select.closest('#product-info-content, .product-view-info') || document;
+  if (!option) return;
+
+  scope.querySelectorAll('[data-variant-field="price"]').forEach(el => {
+    el.textContent = formatCurrency(Number(option.dataset.salePrice));
+  });
+  scope.querySelectorAll('[data-variant-field="original-price"]').forEach(el => {
+    el.textContent = formatCurrency(Number(option.dataset.price));
+    el.hidden = Number(option.dataset.salePrice) >= Number(option.dataset.price);
+  });
+  scope.querySelectorAll('[data-variant-field="unit"]').forEach(el => {
+    el.textContent = option.dataset.unit;
+  });
+  scope.querySelectorAll('[data-variant-field="stock"]').forEach(el => {
+    el.textContent = option.dataset.stock;
+  });
+
+  const quantityInput = document.getElementById(quantityInputId);
+  if (quantityInput) {
+    const stock = Number(option.dataset.stock) || 1;
+    quantityInput.max = stock;
+    quantityInput.value = Math.min(parseInt(quantityInput.value) || 1, stock);
+  }
+};
+
 const renderProductInfo = (product, container) => {
   if (!container) {
     console.error('Product info container not found');
@@ -2186,6 +2433,8 @@ const renderProductInfo = (product, container) => {
       autoPlay: true
     });
 
+    const selected = getDefaultVariant(product) || product;
+
     container.innerHTML = `
       ${carouselHtml}
       
@@ -2195,25 +2444,28 @@ const renderProductInfo = (product, container) => {
       </div>
 
       <div class="product-primary-panel">
-        <p class="product-price">${formatCurrency(product.price_per_unit || 0)} <span class="text-lg font-normal">per ${product.unit_type || 'unit'}</span></p>
+        ${renderVariantPicker(product, 'product-quantity')}
+        <p class="product-price"><span data-variant-field="price">${formatCurrency(getSalePrice(product, selected.price_per_unit))}</span> ${renderOriginalPrice(product, selected.price_per_unit)} <span class="text-lg font-normal">per <span data-variant-field="unit">${escapeHtml(selected.unit_type || 'unit')}</span></span></p>
+        ${renderPromotionBanner(product)}
+        ${renderPriceTiers(product)}
         <div class="product-primary-meta">
           <div class="product-primary-meta-item">
-            <span class="label">Available Stock</span>
-            <span class="value">${product.available_quantity || 0}</span>
+            <span class="label">${product.is_preorder ? `Pre-order (harvest ${escapeHtml(product.expected_harvest_date || 'TBA')})` : 'Available Stock'}</span>
+            <span class="value"><span data-variant-field="stock">${getSelectionStock(product, selected)}</span>${product.is_preorder ? ' left' : ''}</span>
           </div>
           <div class="quantity-selector product-qty-row">
             <label>Quantity:</label>
             <div class="flex items-center gap-2 product-qty-controls">
               <button type="button" class="btn btn-sm btn-outline product-qty-btn" onclick="decrementQuantity('product-quantity')">-</button>
-              <input type="number" id="product-quantity" value="1" min="1" max="${product.available_quantity || 1}" class="form-control product-qty-input" style="width: 80px; text-align: center;">
-              <span class="text-sm text-gray-600 product-qty-unit">${product.unit_type || 'units'}</span>
-              <button type="button" class="btn btn-sm btn-outline product-qty-btn" onclick="incrementQuantity('product-quantity', ${product.available_quantity || 1})">+</button>
+              <input type="number" id="product-quantity" value="1" min="1" max="${getSelectionStock(product, selected) || 1}" class="form-control product-qty-input" style="width: 80px; text-align: center;">
+              <span class="text-sm text-gray-600 product-qty-unit" data-variant-field="unit">${escapeHtml(selected.unit_type || 'units')}</span>
+              <button type="button" class="btn btn-sm btn-outline product-qty-btn" onclick="incrementQuantity('product-quantity')">+</button>
             </div>
           </div>
         </div>
         <div class="product-cta-wrap">
           <button id="add-to-cart-btn" class="btn btn-primary w-full" onclick="handleAddToCartFromModal('${product.id}')">
-            <i class="bi bi-cart-plus"></i> Add to Cart
+            <i class="bi bi-cart-plus"></i> ${product.is_preorder ? 'Pre-order' : 'Add to Cart'}
           </button>
         </div>
       </div>
@@ -2275,6 +2527,8 @@ const renderProductInfoForDynamicModal = (product, container) => {
       autoPlay: false
     });
 
+    const selected = getDefaultVariant(product) || product;
+
     container.innerHTML = `
       <div class="product-view-info space-y-4">
         <!-- Product Carousel -->
@@ -2289,7 +2543,10 @@ const renderProductInfoForDynamicModal = (product, container) => {
             ${product.seller_verified ? '<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800"><i class="bi bi-patch-check-fill mr-1"></i> Verified</span>' : ''}
           </div>
           
-          <p class="text-2xl font-bold text-primary">${formatCurrency(product.price_per_unit || 0)} <span class="text-lg font-normal text-gray-600">per ${product.unit_type || 'unit'}</span></p>
+          ${renderVariantPicker(product, 'dynamic-product-quantity')}
+          <p class="text-2xl font-bold text-primary"><span data-variant-field="price">${formatCurrency(getSalePrice(product, selected.price_per_unit))}</span> ${renderOriginalPrice(product, selected.price_per_unit)} <span class="text-lg font-normal text-gray-600">per <span data-variant-field="unit">${escapeHtml(selected.unit_type || 'unit')}</span></span></p>
+          ${renderPromotionBanner(product)}
+          ${renderPriceTiers(product)}
           
           ${product.description ? `<p class="text-gray-700">${product.description}</p>` : ''}
           
@@ -2305,7 +2562,9 @@ const renderProductInfoForDynamicModal = (product, container) => {
             </div>
             <div class="flex items-center text-gray-600">
               <i class="bi bi-box mr-2"></i>
-              <span>${product.available_quantity || 0} ${product.unit_type || 'units'} available</span>
+              <span>${product.is_preorder
+                ? `Pre-order: ${getOrderableStock(product)} ${product.unit_type || 'units'} left, harvest ${escapeHtml(product.expected_harvest_date || 'TBA')}`
+                : `<span data-variant-field="stock">${getSelectionStock(product, selected)}</span> <span data-variant-field="unit">${escapeHtml(selected.unit_type || 'units')}</span> available`}</span>
             </div>
             <div class="flex items-center text-gray-600">
               <i class="bi bi-tag mr-2"></i>
@@ -2319,14 +2578,14 @@ const renderProductInfoForDynamicModal = (product, container) => {
               <label class="font-medium">Quantity:</label>
               <div class="flex items-center gap-2 flex-wrap">
                 <button type="button" class="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200 flex items-center justify-center" onclick="decrementQuantity('dynamic-product-quantity')">-</button>
-                <input type="number" id="dynamic-product-quantity" value="1" min="1" max="${product.available_quantity || 1}" class="w-16 px-2 py-1 border border-gray-300 rounded text-center">
-                <button type="button" class="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200 flex items-center justify-center" onclick="incrementQuantity('dynamic-product-quantity', ${product.available_quantity || 1})">+</button>
-                <span class="text-sm text-gray-600">${product.unit_type || 'units'}</span>
+                <input type="number" id="dynamic-product-quantity" value="1" min="1" max="${getSelectionStock(product, selected) || 1}" class="w-16 px-2 py-1 border border-gray-300 rounded text-center">
+                <button type="button" class="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200 flex items-center justify-center" onclick="incrementQuantity('dynamic-product-quantity')">+</button>
+                <span class="text-sm text-gray-600" data-variant-field="unit">${escapeHtml(selected.unit_type || 'units')}</span>
               </div>
             </div>
             
             <button class="btn btn-primary w-full" onclick="handleAddToCartFromDynamicModal('${product.id}')">
-              <i class="bi bi-cart-plus"></i> Add to Cart
+              <i class="bi bi-cart-plus"></i> ${product.is_preorder ? 'Pre-order' : 'Add to Cart'}
             </button>
           </div>
         </div>
@@ -3092,16 +3351,25 @@ const resetProductMapSizeState = () => {
   }
 };
 
-const handleAddToCart = async (product, quantity = 1) => {
+const handleAddToCart = async (product, quantity = 1, variantId = null) => {
   try {
-    await addToCartService(product.id, quantity);
+    const variant = (product.variants || []).find(entry => entry.id === variantId) || null;
+
+    // Quick-add buttons without a picker open the details to choose an option
+    if (product.variants?.length > 0 && !variant) {
+      showToast('Choose an option first', 'info');
+      await viewProductDetails(product);
+      return;
+    }
+
+    await addToCartService(product.id, quantity, variant?.id || null);
     showSuccess('Added to cart!');
 
     // Update cart count
     await updateCartUI();
 
     // Update cart store
-    cartStore.add(product, quantity);
+    cartStore.add(product, quantity, variant);
 
   } catch (error) {
     console.error('Error adding to cart:', error);
@@ -3121,7 +3389,7 @@ const loadCart = async () => {
   try {
     const previousPrices = new Map((currentCart?.items || []).map((item) => [
       item.id,
-      Number(item.product?.price_per_unit || 0)
+      getListPrice(item)
     ]));
     const response = await getCart();
     currentCart = response.data?.cart || { items: [], total: 0 };
@@ -3130,7 +3398,7 @@ const loadCart = async () => {
     cartPriceChangeByItemId = new Map();
     nextItems.forEach((item) => {
       const prev = previousPrices.get(item.id);
-      const next = Number(item.product?.price_per_unit || 0);
+      const next = getListPrice(item);
       if (Number.isFinite(prev) && Number.isFinite(next) && prev > 0 && Math.abs(prev - next) > 0.0001) {
         cartPriceChangeByItemId.set(item.id, { oldPrice: prev, newPrice: next });
       }
@@ -3154,7 +3422,34 @@ const loadCart = async () => {
   }
 };
 
-const getUnitPrice = (item) => Number(item?.product?.price_per_unit || 0);
+// Bulk price break a quantity reaches (highest min_quantity at or below it),
+// only while it is cheaper than the base price
+const findPriceTier = (tiers, quantity, basePrice) => (tiers || [])
+  .filter(tier => tier.min_quantity <= quantity && Number(tier.price_per_unit) < Number(basePrice))
+  .sort((a, b) => b.min_quantity - a.min_quantity)[0] || null;
+
+const findNextPriceTier = (tiers, quantity) => (tiers || [])
+  .filter(tier => tier.min_quantity > quantity)
+  .sort((a, b) => a.min_quantity - b.min_quantity)[0] || null;
+
+const getListPrice = (item) => Number((item?.variant || item?.product)?.price_per_unit || 0);
+
+// Lines bought as a variant take its price, unit and stock; other lines get
+// the bulk price their quantity reaches
+const getRegularUnitPrice = (item) => {
+  if (item?.variant) return Number(item.variant.price_per_unit || 0);
+  const basePrice = Number(item?.product?.price_per_unit || 0);
+  const tier = findPriceTier(item?.product?.price_tiers, Number(item?.quantity || 0), basePrice);
+  return tier ? Number(tier.price_per_unit) : basePrice;
+};
+
+// The line's promotion comes off the regular (or bulk) price
+const getUnitPrice = (item) => {
+  const regularPrice = getRegularUnitPrice(item);
+  return getPromotionPrice(item?.promotion, regularPrice) ?? regularPrice;
+};
+
+const getCartItemUnit = (item) => (item?.variant || item?.product)?.unit_type || 'unit';
 
 const getCartItemSubtotal = (item) => getUnitPrice(item) * Number(item?.quantity || 0);
 
@@ -3166,7 +3461,11 @@ const getSelectedCartItems = () => {
 const calculateCartSummary = () => {
   const selectedItems = getSelectedCartItems();
   const subtotal = selectedItems.reduce((sum, item) => sum + getCartItemSubtotal(item), 0);
-  const shippingEstimate = selectedItems.length > 0 ? 49 : 0;
+  // Delivery fees are quoted per seller by the server
+  const selectedSellerIds = new Set(selectedItems.map((item) => item.seller_id));
+  const shippingEstimate = (currentCart?.seller_groups || [])
+    .filter((group) => selectedSellerIds.has(group.seller_id))
+    .reduce((sum, group) => sum + Number(group.delivery_fee || 0), 0);
   const grandTotal = subtotal + shippingEstimate;
   return { selectedItems, subtotal, shippingEstimate, grandTotal };
 };
@@ -3234,13 +3533,44 @@ const getSellerGroups = (items = []) => {
   return Array.from(map.values());
 };
 
+// Pre-order products are limited by their remaining quota, not stock
+const getOrderableStock = (product) => {
+  if (product?.is_preorder) {
+    return Math.max(0, Number(product.preorder_quota || 0) - Number(product.preorder_reserved || 0));
+  }
+  return Number(product?.available_quantity || 0);
+};
+
+const getCartItemStock = (item) => (
+  item?.variant
+    ? (item.variant.is_active ? Number(item.variant.available_quantity || 0) : 0)
+    : getOrderableStock(item?.product)
+);
+
 const getCartItemAlerts = (item) => {
   const alerts = [];
-  const stock = Number(item?.product?.available_quantity || 0);
+  const stock = getCartItemStock(item);
   const quantity = Number(item?.quantity || 0);
   const priceChange = cartPriceChangeByItemId.get(item.id);
   const updateError = cartItemUpdateErrors.get(item.id);
 
+  if (!item?.variant && item?.product?.price_tiers?.length > 0) {
+    const unit = escapeHtml(getCartItemUnit(item));
+    const tier = findPriceTier(item.product.price_tiers, quantity, item.product.price_per_unit);
+    const nextTier = findNextPriceTier(item.product.price_tiers, quantity);
+    if (tier) {
+      alerts.push(`<div class="buyer-cart-alert buyer-cart-alert--info"><i class="bi bi-tags"></i> Bulk price for ${tier.min_quantity}+ ${unit} applied</div>`);
+    }
+    if (nextTier) {
+      alerts.push(`<div class="buyer-cart-alert buyer-cart-alert--info"><i class="bi bi-graph-down-arrow"></i> Add ${nextTier.min_quantity - quantity} more ${unit} to pay ${formatCurrency(nextTier.price_per_unit)} / ${unit}</div>`);
+    }
+  }
+  if (item?.promotion && getUnitPrice(item) < getRegularUnitPrice(item)) {
+    alerts.push(`<div class="buyer-cart-alert buyer-cart-alert--info"><i class="bi bi-megaphone"></i> ${escapeHtml(item.promotion.name)}: ${escapeHtml(formatDiscount(item.promotion))}</div>`);
+  }
+  if (item?.product?.is_preorder) {
+    alerts.push(`<div class="buyer-cart-alert buyer-cart-alert--info"><i class="bi bi-calendar-event"></i> Pre-order for the ${escapeHtml(item.product.expected_harvest_date || 'upcoming')} harvest. Checked out as a separate order.</div>`);
+  }
   if (Number.isFinite(stock) && stock > 0 && stock <= 5) {
     alerts.push(`<div class="buyer-cart-alert buyer-cart-alert--warn"><i class="bi bi-exclamation-circle"></i> Low stock: ${stock} left</div>`);
   }
@@ -3284,7 +3614,7 @@ const renderCart = () => {
   const allSelected = items.every((item) => cartSelectedItemIds.has(item.id));
   const sellerGroups = getSellerGroups(items);
   const cartWarnings = items.filter((item) => {
-    const stock = Number(item?.product?.available_quantity || 0);
+    const stock = getCartItemStock(item);
     return cartPriceChangeByItemId.has(item.id) || stock <= 0 || item.quantity > stock;
   });
   container.innerHTML = `
@@ -3314,7 +3644,7 @@ const renderCart = () => {
               const unitPrice = getUnitPrice(item);
               const lineTotal = getCartItemSubtotal(item);
               const isSelected = cartSelectedItemIds.has(item.id);
-              const maxStock = Number(item?.product?.available_quantity || 0);
+              const maxStock = getCartItemStock(item);
               const isUpdating = cartQuantityUpdateLocks.has(item.id);
               return `
                 <div class="card buyer-cart-card ${isUpdating ? 'is-updating' : ''}" data-item-id="${item.id}">
@@ -3328,8 +3658,9 @@ const renderCart = () => {
                            class="w-24 h-24 object-cover rounded-lg buyer-cart-thumb">
                       <div class="flex-1 buyer-cart-meta">
                         <h4 class="font-bold text-lg">${escapeHtml(item.product?.name || 'Product')}</h4>
+                        ${item.variant ? `<p class="buyer-cart-variant text-sm">${escapeHtml(item.variant.name)}</p>` : ''}
                         <p class="buyer-cart-seller text-sm">${escapeHtml(group.sellerName)}</p>
-                        <p class="buyer-cart-unit-price mt-2"><span>Unit:</span> ${formatCurrency(unitPrice)} / ${escapeHtml(item.product?.unit_type || 'unit')}</p>
+                        <p class="buyer-cart-unit-price mt-2"><span>Unit:</span> ${formatCurrency(unitPrice)}${unitPrice < getRegularUnitPrice(item) ? ` <s class="text-gray-500">${formatCurrency(getRegularUnitPrice(item))}</s>` : ''} / ${escapeHtml(getCartItemUnit(item))}</p>
                         ${getCartItemAlerts(item)}
                       </div>
                       <div class="flex flex-col items-end gap-2 buyer-cart-actions">
@@ -3450,7 +3781,7 @@ window.updateCartQuantity = async (itemId, quantity) => {
   }
 
   const item = currentCart?.items?.find(cartItem => cartItem.id === itemId);
-  const maxQty = parseInt(item?.product?.available_quantity, 10);
+  const maxQty = getCartItemStock(item);
   if (Number.isFinite(maxQty) && maxQty > 0 && quantity > maxQty) {
     cartItemUpdateErrors.set(itemId, {
       message: `Only ${maxQty} item${maxQty !== 1 ? 's are' : ' is'} available.`,
@@ -3672,87 +4003,78 @@ const handleCheckout = async () => {
     return;
   }
 
-  // If only one seller, proceed directly
-  if (uniqueSellers.length === 1) {
-    const sellerItem = selectedItems.find(item => item.seller_id === uniqueSellers[0]);
-    const sellerName = sellerItem?.product?.seller?.user?.full_name || 'Unknown Seller';
-    showCheckoutModal(uniqueSellers[0], sellerName, selectedItems);
-    return;
-  }
-
-  // If multiple sellers, show selection modal
-  const modalContent = `
-    <div class="space-y-4">
-      <p class="text-gray-700 font-semibold">Your cart contains items from multiple sellers.</p>
-      <p class="text-sm text-gray-600">Please select a seller to place an order. You can place separate orders for items from other sellers.</p>
-      <div id="seller-list" class="space-y-2">
-        ${uniqueSellers.map(sellerId => {
+  const checkoutSellers = uniqueSellers.map((sellerId) => {
     const sellerItem = selectedItems.find(item => item.seller_id === sellerId);
-    const sellerName = sellerItem?.product?.seller?.user?.full_name || 'Unknown Seller';
-    const safeSellerName = escapeHtml(sellerName);
-    const sellerItems = selectedItems.filter(item => item.seller_id === sellerId);
-    const subtotal = sellerItems.reduce((sum, item) => sum + ((item.product?.price_per_unit || 0) * item.quantity), 0);
-    return `
-            <div class="border rounded-lg p-4 cursor-pointer hover:bg-gray-50" onclick="window.selectSellerForCheckout('${sellerId}', '${encodeURIComponent(sellerName)}')">
-              <div class="flex justify-between items-center">
-                <div>
-                  <p class="font-semibold">${safeSellerName}</p>
-                  <p class="text-sm text-gray-600">${sellerItems.length} item${sellerItems.length !== 1 ? 's' : ''}</p>
-                </div>
-                <p class="font-bold text-primary">${formatCurrency(subtotal)}</p>
-              </div>
-            </div>
-          `;
-  }).join('')}
-      </div>
-    </div>
-  `;
-
-  const selectSellerCancelId = `btn-select-seller-cancel-${Date.now()}`;
-  const footer = `
-    <button class="btn btn-outline" id="${selectSellerCancelId}">Cancel</button>
-  `;
-
-  const modal = createModal({
-    title: 'Select Seller',
-    content: modalContent,
-    footer: footer,
-    size: 'md'
+    return {
+      sellerId,
+      sellerName: sellerItem?.product?.seller?.user?.full_name || 'Unknown Seller'
+    };
   });
-  const selectSellerCancelBtn = document.getElementById(selectSellerCancelId);
-  selectSellerCancelBtn?.addEventListener('click', () => modal.close());
+  showCheckoutModal(checkoutSellers, selectedItems);
 };
 
-window.selectSellerForCheckout = async (sellerId, sellerNameEncoded) => {
-  const sellerName = decodeURIComponent(sellerNameEncoded || '');
-  closeTopModalBackdrop();
-  showCheckoutModal(sellerId, sellerName, getSelectedCartItems());
-};
-
-const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
-  const safeSellerName = escapeHtml(sellerName || 'Unknown Seller');
+const showCheckoutModal = (checkoutSellers, checkoutItems = null) => {
   const sourceItems = Array.isArray(checkoutItems) && checkoutItems.length > 0
     ? checkoutItems
     : (currentCart?.items || []);
-  // Filter cart items for this seller
-  const sellerItems = sourceItems.filter(item => item.seller_id === sellerId);
-  const subtotal = sellerItems.reduce((sum, item) => sum + ((item.product?.price_per_unit || 0) * item.quantity), 0);
+  const sellerSections = checkoutSellers.map(({ sellerId, sellerName }) => {
+    const sellerItems = sourceItems.filter(item => item.seller_id === sellerId);
+    const subtotal = sellerItems.reduce((sum, item) => sum + getCartItemSubtotal(item), 0);
+    const preorderCount = sellerItems.filter(item => item.product?.is_preorder).length;
+    const savings = sellerItems.reduce((sum, item) => (
+      sum + (getRegularUnitPrice(item) - getUnitPrice(item)) * Number(item.quantity || 0)
+    ), 0);
+    return { sellerId, sellerName, sellerItems, subtotal, preorderCount, savings };
+  });
+  const itemsSubtotal = sellerSections.reduce((sum, section) => sum + section.subtotal, 0);
+  const isMultiSeller = sellerSections.length > 1;
 
   const modalContent = `
     <form id="checkout-form" class="space-y-4">
-      <div class="alert alert-info">
-        <p class="font-semibold">Order Summary</p>
-        <p class="text-sm">${sellerItems.length} item${sellerItems.length !== 1 ? 's' : ''} from <strong>${safeSellerName}</strong></p>
-        <p class="text-sm mt-2">Subtotal: ${formatCurrency(subtotal)}</p>
-      </div>
-      
-      <div class="form-group">
-        <label class="form-label">Delivery Option</label>
-        <select id="delivery-option" class="form-select" required>
-          <option value="pickup">Pickup from seller</option>
-          <option value="drop-off">Drop-off delivery</option>
-        </select>
-      </div>
+      ${isMultiSeller ? `
+        <p class="text-sm text-gray-600">Your cart has items from ${sellerSections.length} sellers. One order will be placed per seller.</p>
+      ` : ''}
+      ${sellerSections.map(({ sellerId, sellerName, sellerItems, subtotal, preorderCount, savings }) => `
+        <div class="alert alert-info" data-checkout-seller="${sellerId}">
+          <p class="font-semibold">Order Summary</p>
+          <p class="text-sm">${sellerItems.length} item${sellerItems.length !== 1 ? 's' : ''} from <strong>${escapeHtml(sellerName || 'Unknown Seller')}</strong></p>
+          <p class="text-sm mt-2">Subtotal: ${formatCurrency(subtotal)}</p>
+          ${savings > 0.005 ? `<p class="text-sm text-success">Promotion savings: ${formatCurrency(savings)}</p>` : ''}
+          <p class="text-sm">Delivery Fee: <span data-checkout-fee>${formatCurrency(0)}</span></p>
+          <p class="text-sm text-success hidden" data-checkout-voucher-line>Voucher: -<span data-checkout-voucher-discount></span></p>
+          <p class="text-sm font-semibold">Total: <span data-checkout-total>${formatCurrency(subtotal)}</span></p>
+          <p data-checkout-error class="text-sm text-red-600 mt-1 hidden"></p>
+          ${preorderCount > 0 ? `
+            <p class="text-sm mt-2"><i class="bi bi-calendar-event"></i> ${preorderCount} pre-order item${preorderCount !== 1 ? 's are' : ' is'} placed as separate order${preorderCount !== 1 ? 's' : ''} and scheduled for the harvest date.</p>
+          ` : ''}
+          <div class="form-group mt-2">
+            <label class="form-label">Delivery Option</label>
+            <select class="form-select" data-checkout-option required>
+              <option value="pickup">Pickup from seller</option>
+              <option value="drop-off">Drop-off delivery</option>
+            </select>
+          </div>
+          <div class="form-group mt-2">
+            <label class="form-label">Voucher Code</label>
+            <div class="flex gap-2">
+              <input type="text" class="form-control" data-checkout-voucher maxlength="30" placeholder="Optional" autocomplete="off">
+              <button type="button" class="btn btn-outline btn-sm" data-checkout-voucher-apply>Apply</button>
+            </div>
+            <small class="hidden" data-checkout-voucher-message></small>
+          </div>
+          <div class="form-group mt-2 hidden" data-checkout-slot-group>
+            <label class="form-label">Delivery Slot</label>
+            <select class="form-select" data-checkout-slot>
+              <option value="">Loading slots...</option>
+            </select>
+            <small class="text-gray-500">This seller delivers and hands over pickups in scheduled slots.</small>
+          </div>
+        </div>
+      `).join('')}
+
+      ${isMultiSeller ? `
+        <p class="font-semibold text-right">Grand Total: <span id="checkout-grand-total">${formatCurrency(itemsSubtotal)}</span></p>
+      ` : ''}
       
       <div class="form-group">
         <label class="form-label">Delivery Address</label>
@@ -3767,7 +4089,7 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
         </select>
       </div>
       
-      <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div id="checkout-preferred-fields" class="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div class="form-group">
           <label class="form-label">Preferred Date</label>
           <input type="date" id="preferred-date" class="form-control" required min="${new Date().toISOString().split('T')[0]}">
@@ -3796,7 +4118,7 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
   const footer = `
     <button class="btn btn-outline" id="${checkoutCancelId}">Cancel</button>
     <button class="btn btn-primary" id="btn-place-order">
-      <i class="bi bi-check-circle"></i> Place Order
+      <i class="bi bi-check-circle"></i> Place Order${isMultiSeller ? 's' : ''}
     </button>
   `;
 
@@ -3809,6 +4131,9 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
   const checkoutCancelBtn = document.getElementById(checkoutCancelId);
   checkoutCancelBtn?.addEventListener('click', () => modal.close());
 
+  const getSellerSectionEl = (sellerId) => document.querySelector(`[data-checkout-seller="${sellerId}"]`);
+  const getSellerDeliveryOption = (sellerId) => getSellerSectionEl(sellerId)?.querySelector('[data-checkout-option]')?.value;
+
   // Store user coordinates for order creation
   let userDeliveryCoordinates = { latitude: null, longitude: null };
   let savedPreferredDeliveryOption = 'drop-off';
@@ -3826,10 +4151,9 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
         const preferredOption = userData.buyer_profile?.preferred_delivery_option || userData.preferred_delivery_option;
         if (preferredOption === 'pickup' || preferredOption === 'drop-off') {
           savedPreferredDeliveryOption = preferredOption;
-          const deliveryOptionSelect = document.getElementById('delivery-option');
-          if (deliveryOptionSelect) {
-            deliveryOptionSelect.value = preferredOption;
-          }
+          document.querySelectorAll('[data-checkout-option]').forEach((select) => {
+            select.value = preferredOption;
+          });
         }
 
         // For buyers, the address is stored in buyer_profile.delivery_address
@@ -3869,8 +4193,199 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
     }
   };
 
-  // Load address when modal is ready
-  loadUserAddress();
+  const unavailableSellerIds = new Set();
+  const sellerDeliveryFees = new Map();
+  // Seller id -> { code, discount } once the server has accepted the code
+  const appliedVouchers = new Map();
+
+  const renderSellerTotal = (sellerId) => {
+    const section = sellerSections.find((entry) => entry.sellerId === sellerId);
+    const sectionEl = getSellerSectionEl(sellerId);
+    if (!section || !sectionEl) return;
+
+    const discount = appliedVouchers.get(sellerId)?.discount || 0;
+    const totalEl = sectionEl.querySelector('[data-checkout-total]');
+    const voucherLineEl = sectionEl.querySelector('[data-checkout-voucher-line]');
+
+    if (totalEl) totalEl.textContent = formatCurrency(section.subtotal - discount + (sellerDeliveryFees.get(sellerId) || 0));
+    if (voucherLineEl) {
+      voucherLineEl.classList.toggle('hidden', discount <= 0);
+      voucherLineEl.querySelector('[data-checkout-voucher-discount]').textContent = formatCurrency(discount);
+    }
+
+    const grandTotalEl = document.getElementById('checkout-grand-total');
+    if (grandTotalEl) {
+      grandTotalEl.textContent = formatCurrency(sellerSections.reduce((sum, entry) => (
+        sum + entry.subtotal - (appliedVouchers.get(entry.sellerId)?.discount || 0) + (sellerDeliveryFees.get(entry.sellerId) || 0)
+      ), 0));
+    }
+  };
+
+  // Quote a seller's delivery fee the same way the server will charge it
+  const refreshDeliveryQuote = async (sellerId) => {
+    const section = sellerSections.find((entry) => entry.sellerId === sellerId);
+    const sectionEl = getSellerSectionEl(sellerId);
+    if (!section || !sectionEl) return;
+
+    try {
+      const response = await validateCart({
+        delivery_option: getSellerDeliveryOption(sellerId) || savedPreferredDeliveryOption,
+        delivery_latitude: userDeliveryCoordinates.latitude,
+        delivery_longitude: userDeliveryCoordinates.longitude
+      });
+      const quote = (response?.data?.validation?.seller_delivery || [])
+        .find((entry) => entry.seller_id === sellerId);
+      if (!quote) return;
+
+      const available = quote.delivery_available !== false;
+      const deliveryFee = available ? Number(quote.delivery_fee || 0) : 0;
+      const feeEl = sectionEl.querySelector('[data-checkout-fee]');
+      const errorEl = sectionEl.querySelector('[data-checkout-error]');
+
+      if (available) {
+        unavailableSellerIds.delete(sellerId);
+      } else {
+        unavailableSellerIds.add(sellerId);
+      }
+      sellerDeliveryFees.set(sellerId, deliveryFee);
+
+      if (feeEl) feeEl.textContent = quote.free_delivery_applied ? 'FREE' : formatCurrency(deliveryFee);
+      if (errorEl) {
+        errorEl.textContent = available ? '' : (quote.delivery_error || 'Drop-off is unavailable for this seller.');
+        errorEl.classList.toggle('hidden', available);
+      }
+
+      renderSellerTotal(sellerId);
+      const btnPlaceOrder = document.getElementById('btn-place-order');
+      if (btnPlaceOrder) btnPlaceOrder.disabled = unavailableSellerIds.size > 0;
+    } catch (error) {
+      console.warn('Could not load delivery fee quote:', error);
+    }
+  };
+
+  sellerSections.forEach(({ sellerId }) => {
+    getSellerSectionEl(sellerId)
+      ?.querySelector('[data-checkout-option]')
+      ?.addEventListener('change', () => refreshDeliveryQuote(sellerId));
+  });
+
+  const showVoucherMessage = (sellerId, message, isError) => {
+    const messageEl = getSellerSectionEl(sellerId)?.querySelector('[data-checkout-voucher-message]');
+    if (!messageEl) return;
+
+    messageEl.textContent = message || '';
+    messageEl.classList.toggle('hidden', !message);
+    messageEl.classList.toggle('text-red-600', Boolean(isError));
+    messageEl.classList.toggle('text-success', !isError);
+  };
+
+  // The server picks the order and works out the discount; this only previews it
+  const applyVoucherCode = async (sellerId) => {
+    const sectionEl = getSellerSectionEl(sellerId);
+    const inputEl = sectionEl?.querySelector('[data-checkout-voucher]');
+    const code = (inputEl?.value || '').trim().toUpperCase();
+
+    appliedVouchers.delete(sellerId);
+    renderSellerTotal(sellerId);
+
+    if (!code) {
+      showVoucherMessage(sellerId, '');
+      return;
+    }
+
+    try {
+      const response = await quoteVoucher(sellerId, code);
+      const discount = Number(response?.data?.discount || 0);
+      appliedVouchers.set(sellerId, { code, discount });
+      inputEl.value = code;
+      showVoucherMessage(sellerId, `${code} applied: ${formatCurrency(discount)} off.`, false);
+      renderSellerTotal(sellerId);
+    } catch (error) {
+      showVoucherMessage(sellerId, error.message || 'This voucher cannot be used.', true);
+    }
+  };
+
+  sellerSections.forEach(({ sellerId }) => {
+    const sectionEl = getSellerSectionEl(sellerId);
+    sectionEl?.querySelector('[data-checkout-voucher-apply]')
+      ?.addEventListener('click', () => applyVoucherCode(sellerId));
+    sectionEl?.querySelector('[data-checkout-voucher]')
+      ?.addEventListener('input', () => {
+        if (!appliedVouchers.has(sellerId)) return;
+        appliedVouchers.delete(sellerId);
+        showVoucherMessage(sellerId, '');
+        renderSellerTotal(sellerId);
+      });
+  });
+
+  // Sellers with delivery windows take orders only in their open slots
+  const slotSellerIds = new Set();
+  const getSellerSlotSelect = (sellerId) => getSellerSectionEl(sellerId)?.querySelector('[data-checkout-slot]');
+
+  const formatSlotDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-PH', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+
+  const loadSellerSlots = async (sellerId) => {
+    const groupEl = getSellerSectionEl(sellerId)?.querySelector('[data-checkout-slot-group]');
+    const selectEl = getSellerSlotSelect(sellerId);
+    if (!groupEl || !selectEl) return;
+
+    try {
+      const response = await getAvailableSlots(sellerId);
+      const { uses_slots: usesSlots, days = [] } = response?.data || {};
+      if (!usesSlots) return;
+
+      slotSellerIds.add(sellerId);
+      groupEl.classList.remove('hidden');
+      selectEl.required = true;
+      selectEl.innerHTML = days.length === 0
+        ? '<option value="" disabled selected>No open slots in the next two weeks</option>'
+        : `
+          <option value="" disabled selected>Select a delivery slot</option>
+          ${days.map(day => `
+            <optgroup label="${escapeHtml(formatSlotDay(day.date))}">
+              ${day.slots.map(slot => `
+                <option value="${slot.window_id}|${slot.date}">
+                  ${escapeHtml(slot.label)} (${slot.remaining} left)
+                </option>
+              `).join('')}
+            </optgroup>
+          `).join('')}
+        `;
+    } catch (error) {
+      console.warn('Could not load delivery slots:', error);
+    }
+  };
+
+  // Pre-order items follow the harvest date, so only the other items need a slot
+  const hasRegularItems = ({ sellerItems, preorderCount }) => preorderCount < sellerItems.length;
+
+  // The shared date/time fields only apply to sellers without slots
+  Promise.all(sellerSections.filter(hasRegularItems).map(({ sellerId }) => loadSellerSlots(sellerId))).then(() => {
+    const allUseSlots = sellerSections.every(section => !hasRegularItems(section) || slotSellerIds.has(section.sellerId));
+    const preferredFields = document.getElementById('checkout-preferred-fields');
+    preferredFields?.classList.toggle('hidden', allUseSlots);
+    preferredFields?.querySelectorAll('input, select').forEach((field) => {
+      field.required = !allUseSlots;
+    });
+  });
+
+  // Offer online payment methods only when the backend has a provider for them
+  getPaymentMethods().then((response) => {
+    const methods = response?.data?.methods || [];
+    const paymentSelect = document.getElementById('payment-method');
+    if (paymentSelect && methods.includes('gcash')) {
+      paymentSelect.insertAdjacentHTML('beforeend', '<option value="gcash">GCash</option>');
+    }
+  }).catch(err => console.error('Error loading payment methods:', err));
+
+  // Load address when modal is ready, then quote delivery for it
+  loadUserAddress().then(() => Promise.all(
+    sellerSections.map(({ sellerId }) => refreshDeliveryQuote(sellerId))
+  ));
 
   const btnPlaceOrder = document.getElementById('btn-place-order');
   btnPlaceOrder.addEventListener('click', async () => {
@@ -3880,23 +4395,28 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
       return;
     }
 
-    const deliveryOption = document.getElementById('delivery-option')?.value;
     const paymentMethod = document.getElementById('payment-method')?.value;
     const deliveryAddress = (document.getElementById('delivery-address')?.value || '').trim();
     const preferredDateValue = document.getElementById('preferred-date')?.value;
     const preferredTimeValue = document.getElementById('preferred-time')?.value;
     const orderNotesValue = (document.getElementById('order-notes')?.value || '').trim();
 
-    if (!sellerId || typeof sellerId !== 'string' || !sellerId.trim()) {
+    if (sellerSections.some(({ sellerId }) => !sellerId || typeof sellerId !== 'string' || !sellerId.trim())) {
       showError('Invalid seller selected. Please reopen checkout and try again.');
       return;
     }
 
-    if (!deliveryOption) {
+    if (sellerSections.some(({ sellerId }) => !getSellerDeliveryOption(sellerId))) {
       showError('Please select a delivery option.');
       return;
     }
 
+    if (unavailableSellerIds.size > 0) {
+      const errorText = getSellerSectionEl([...unavailableSellerIds][0])?.querySelector('[data-checkout-error]')?.textContent;
+      showError(errorText || 'Drop-off is unavailable for one of the sellers.');
+      return;
+    }
+
     const hasInvalidProfileAddress = deliveryAddress.toLowerCase().includes('no address found') ||
       deliveryAddress.toLowerCase().includes('error loading address');
     if (!deliveryAddress || deliveryAddress.length < 10 || hasInvalidProfileAddress) {
@@ -3904,12 +4424,19 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
       return;
     }
 
-    if (!preferredDateValue) {
+    if (sellerSections.some(({ sellerId }) => slotSellerIds.has(sellerId) && !getSellerSlotSelect(sellerId)?.value)) {
+      showError('Please choose a delivery slot for each seller.');
+      return;
+    }
+
+    const needsPreferredTime = sellerSections.some(section => hasRegularItems(section) && !slotSellerIds.has(section.sellerId));
+
+    if (needsPreferredTime && !preferredDateValue) {
       showError('Please select your preferred delivery date.');
       return;
     }
 
-    if (!preferredTimeValue) {
+    if (needsPreferredTime && !preferredTimeValue) {
       showError('Please select your preferred delivery time.');
       return;
     }
@@ -3919,6 +4446,15 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
       return;
     }
 
+    const hasUnappliedVoucher = sellerSections.some(({ sellerId }) => (
+      (getSellerSectionEl(sellerId)?.querySelector('[data-checkout-voucher]')?.value || '').trim()
+      && !appliedVouchers.has(sellerId)
+    ));
+    if (hasUnappliedVoucher) {
+      showError('Please apply your voucher code or clear it before placing the order.');
+      return;
+    }
+
     try {
       const validationResponse = await validateCart();
       const validation = validationResponse?.data?.validation;
@@ -3945,29 +4481,54 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
       return;
     }
 
-    const orderData = {
-      seller_id: sellerId,
-      delivery_option: deliveryOption,
-      payment_method: paymentMethod
-    };
+    const hasCoordinates = Number.isFinite(userDeliveryCoordinates.latitude) && Number.isFinite(userDeliveryCoordinates.longitude);
+    const checkoutData = {
+      payment_method: paymentMethod,
+      sellers: sellerSections.map((section) => {
+        const { sellerId } = section;
+        const sellerOrder = {
+          seller_id: sellerId,
+          delivery_option: getSellerDeliveryOption(sellerId),
+          preferred_date: preferredDateValue,
+          preferred_time: preferredTimeValue,
+          order_notes: orderNotesValue
+        };
 
-    if (deliveryAddress) {
-      orderData.delivery_address = deliveryAddress;
-    }
+        if (slotSellerIds.has(sellerId)) {
+          const [windowId, slotDate] = getSellerSlotSelect(sellerId).value.split('|');
+          sellerOrder.delivery_window_id = windowId;
+          sellerOrder.preferred_date = slotDate;
+          delete sellerOrder.preferred_time;
+        } else if (!hasRegularItems(section)) {
+          delete sellerOrder.preferred_date;
+          delete sellerOrder.preferred_time;
+        }
 
-    if (Number.isFinite(userDeliveryCoordinates.latitude) && Number.isFinite(userDeliveryCoordinates.longitude)) {
-      orderData.delivery_latitude = userDeliveryCoordinates.latitude;
-      orderData.delivery_longitude = userDeliveryCoordinates.longitude;
-    }
+        if (appliedVouchers.has(sellerId)) {
+          sellerOrder.voucher_code = appliedVouchers.get(sellerId).code;
+        }
+
+        if (deliveryAddress) {
+          sellerOrder.delivery_address = deliveryAddress;
+        }
 
-    orderData.preferred_date = preferredDateValue;
-    orderData.preferred_time = preferredTimeValue;
-    orderData.order_notes = orderNotesValue;
+        if (hasCoordinates) {
+          sellerOrder.delivery_latitude = userDeliveryCoordinates.latitude;
+          sellerOrder.delivery_longitude = userDeliveryCoordinates.longitude;
+        }
 
-    if ((deliveryOption === 'pickup' || deliveryOption === 'drop-off') && deliveryOption !== savedPreferredDeliveryOption) {
-      updateBuyerProfile({ preferred_delivery_option: deliveryOption }).catch(() => {
-        // Non-blocking preference save
-      });
+        return sellerOrder;
+      })
+    };
+
+    const chosenOptions = new Set(checkoutData.sellers.map((entry) => entry.delivery_option));
+    if (chosenOptions.size === 1) {
+      const [deliveryOption] = [...chosenOptions];
+      if (deliveryOption !== savedPreferredDeliveryOption) {
+        updateBuyerProfile({ preferred_delivery_option: deliveryOption }).catch(() => {
+          // Non-blocking preference save
+        });
+      }
     }
 
 
@@ -3975,14 +4536,23 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
       btnPlaceOrder.disabled = true;
       btnPlaceOrder.innerHTML = '<i class="bi bi-hourglass-split"></i> Processing...';
 
-      const response = await createOrder(orderData);
+      const response = await checkout(checkoutData);
 
       if (response.success) {
         // Close modal using the modal's close method
         modal.close();
 
         // Show success message
-        showSuccess('Order placed successfully!');
+        showSuccess(response.message || 'Order placed successfully!');
+
+        // Single online order goes straight to the payment page; multi-seller
+        // checkouts pay each order from its card in My Orders.
+        const placedOrders = response.data?.orders || [];
+        if (paymentMethod === 'gcash' && placedOrders.length === 1) {
+          loadCart().catch(err => console.error('Error refreshing cart:', err));
+          await window.payOrder(placedOrders[0].id);
+          return;
+        }
 
         // Reload cart and navigate to orders (don't await to avoid blocking)
         loadCart().then(() => updateCartUI()).catch(err => console.error('Error refreshing cart:', err));
@@ -4009,13 +4579,20 @@ const showCheckoutModal = (sellerId, sellerName, checkoutItems = null) => {
         showError(error.message || 'Failed to place order');
       }
       btnPlaceOrder.disabled = false;
-      btnPlaceOrder.innerHTML = '<i class="bi bi-check-circle"></i> Place Order';
+      btnPlaceOrder.innerHTML = `<i class="bi bi-check-circle"></i> Place Order${isMultiSeller ? 's' : ''}`;
     }
   });
 };
 
 // ============ Orders Management ============
 
+const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  pending_payment: 'Awaiting Payment',
+  paid: 'Paid',
+  refunded: 'Refunded'
+};
+
 const loadOrderStats = async () => {
   const statsContainer = document.getElementById('orders-stats');
   if (!statsContainer) return;
@@ -4087,6 +4664,7 @@ const loadOrders = async () => {
   });
 
   renderOrdersSkeletons(isDesktopBuyerViewport() ? 3 : 2);
+  loadSubscriptions();
 
   try {
     // Don't send status if it's 'all' - backend doesn't accept it
@@ -4107,7 +4685,9 @@ const loadOrders = async () => {
     if (currentOrders.length === 0) {
       // Dynamic empty state message based on filter
       let emptyMessage = 'No orders yet';
-      if (orderFilters.status === 'pending') {
+      if (orderFilters.status === 'preorder') {
+        emptyMessage = 'No pre-orders waiting for harvest';
+      } else if (orderFilters.status === 'pending') {
         emptyMessage = 'No pending orders yet';
       } else if (orderFilters.status === 'confirmed') {
         emptyMessage = 'No confirmed orders yet';
@@ -4149,6 +4729,7 @@ const loadOrders = async () => {
 
 const createOrderCard = (order) => {
   const statusColors = {
+    preorder: 'secondary',
     pending: 'warning',
     confirmed: 'info',
     ready: 'primary',
@@ -4177,6 +4758,10 @@ const createOrderCard = (order) => {
       ? 'Drop-off'
       : 'Unspecified';
   const paymentLabel = order.payment_method ? String(order.payment_method).toUpperCase() : 'COD';
+  const paymentStatusLabel = PAYMENT_STATUS_LABELS[order.payment_status] || 'Unpaid';
+  const canPayOnline = order.payment_method === 'gcash'
+    && ['unpaid', 'pending_payment'].includes(order.payment_status)
+    && !['cancelled', 'preorder'].includes(order.status);
 
   // Debug log for completed orders
   if (isCompleted) {
@@ -4196,6 +4781,11 @@ const createOrderCard = (order) => {
             </div>
 
             <div class="mb-4 buyer-order-meta">
+              ${order.subscription_id ? `
+                <p class="text-sm text-primary mb-2">
+                  <i class="bi bi-arrow-repeat"></i> Subscription delivery
+                </p>
+              ` : ''}
               <p class="text-sm text-gray-600 mb-2">
                 <i class="bi bi-shop"></i> ${safeSellerName}
               </p>
@@ -4207,6 +4797,11 @@ const createOrderCard = (order) => {
                   <i class="bi bi-calendar-check"></i> Preferred: ${preferredLabel}
                 </p>
               ` : ''}
+              ${order.status === 'preorder' ? `
+                <p class="text-sm text-gray-600 mt-1">
+                  <i class="bi bi-hourglass-split"></i> Waiting for harvest. Stock is allocated in order of pre-order once the seller records it.
+                </p>
+              ` : ''}
             </div>
 
             <div class="buyer-order-meta-grid mb-4">
@@ -4220,7 +4815,7 @@ const createOrderCard = (order) => {
               </div>
               <div class="buyer-order-meta-chip">
                 <span>Payment</span>
-                <strong>${paymentLabel}</strong>
+                <strong>${paymentLabel} • ${paymentStatusLabel}</strong>
               </div>
               <div class="buyer-order-meta-chip">
                 <span>Preferred</span>
@@ -4262,6 +4857,20 @@ const createOrderCard = (order) => {
           </div>
         ` : ''}
         
+        ${order.pending_adjustment_id ? `
+          <div class="mb-4 p-4 bg-blue-50 rounded-lg border-l-4 border-blue-400">
+            <p class="text-sm font-semibold mb-2 text-blue-800">
+              <i class="bi bi-pencil-square"></i> Seller Proposed Changes
+            </p>
+            <p class="text-sm text-blue-700 mb-3">
+              The seller adjusted items in this order. Review the new total and accept or reject the changes.
+            </p>
+            <button class="btn btn-sm btn-primary" onclick="window.viewOrderDetails('${order.id}')">
+              <i class="bi bi-eye"></i> Review Changes
+            </button>
+          </div>
+        ` : ''}
+
         ${order.has_unavailable_product && order.status === 'pending' ? `
           <div class="mb-4 p-4 bg-yellow-50 rounded-lg border-l-4 border-yellow-400">
             <p class="text-sm font-semibold mb-2 text-yellow-800">
@@ -4285,12 +4894,17 @@ const createOrderCard = (order) => {
           <button class="btn btn-sm btn-outline buyer-order-action-main" onclick="window.viewOrderDetails('${order.id}')">
             <i class="bi bi-eye"></i> View Details
           </button>
+          ${canPayOnline ? `
+            <button class="btn btn-sm btn-success buyer-order-action-main" onclick="window.payOrder('${order.id}')">
+              <i class="bi bi-wallet2"></i> Pay Now
+            </button>
+          ` : ''}
           ${order.status !== 'cancelled' && order.status !== 'completed' ? `
             <button class="btn btn-sm btn-primary buyer-order-action-main" onclick="window.openOrderChat('${order.id}')">
               <i class="bi bi-chat"></i> Message Seller
             </button>
           ` : ''}
-          ${order.status === 'pending' ? `
+          ${['preorder', 'pending'].includes(order.status) ? `
             <button class="btn btn-sm btn-danger buyer-order-action-danger" onclick="window.cancelOrder('${order.id}')">
               <i class="bi bi-x-circle"></i> Cancel
             </button>
@@ -4315,6 +4929,11 @@ const createOrderCard = (order) => {
               <i class="bi bi-arrow-repeat"></i> Order Again
             </button>
           ` : ''}
+          ${isCompleted && !order.subscription_id ? `
+            <button class="btn btn-sm btn-outline buyer-order-action-main" onclick="window.subscribeFromOrder('${order.id}')">
+              <i class="bi bi-calendar2-week"></i> Subscribe
+            </button>
+          ` : ''}
           ${isCompleted && !hasRating ? `
             <button class="btn btn-sm btn-warning buyer-order-action-main" onclick="window.rateOrderModal('${order.id}', '${order.order_number}')">
               <i class="bi bi-star"></i> Rate Order
@@ -4336,6 +4955,31 @@ const createOrderCard = (order) => {
   `;
 };
 
+window.payOrder = async (orderId) => {
+  try {
+    const response = await createPaymentIntent(orderId);
+    const checkoutUrl = response.data?.payment?.checkout_url;
+    if (!checkoutUrl) {
+      throw new Error('Payment page is unavailable. Please try again.');
+    }
+    // Provider URLs may be relative to the API host
+    window.location.href = new URL(checkoutUrl, buildUrl('/')).href;
+  } catch (error) {
+    console.error('Error starting payment:', error);
+    showError(error.message || 'Failed to start payment');
+  }
+};
+
+window.downloadReceipt = async (orderId, orderNumber) => {
+  try {
+    const blob = await downloadOrderReceipt(orderId);
+    downloadFile(blob, `receipt-${orderNumber || orderId}.pdf`);
+  } catch (error) {
+    console.error('Error downloading receipt:', error);
+    showError(error.message || 'Failed to download receipt');
+  }
+};
+
 window.viewOrderDetails = async (orderId) => {
   try {
     const targetOrderId = resolveOrderApiId(orderId);
@@ -4353,6 +4997,7 @@ window.viewOrderDetails = async (orderId) => {
     }
 
     const statusColors = {
+      preorder: 'secondary',
       pending: 'warning',
       confirmed: 'info',
       ready: 'primary',
@@ -4414,28 +5059,83 @@ window.viewOrderDetails = async (orderId) => {
             <div class="space-y-2">
               ${order.items.map(item => `
                 <div class="buyer-order-item-row ${item.product_status === 'paused' || item.product_status === 'draft' ? 'text-yellow-700 bg-yellow-50 p-2 rounded' : ''}">
-                  <span>${item.product_name} (${item.quantity} ${item.unit_type})${item.product_status === 'paused' || item.product_status === 'draft' ? ` <span class="text-xs italic">[${item.product_status}]</span>` : ''}</span>
+                  <span>${escapeHtml(getItemDisplayName(item))} (${item.quantity} ${item.unit_type})${item.tier_min_quantity ? ` <span class="text-xs text-success">bulk price ${item.tier_min_quantity}+</span>` : ''}${item.promotion_name ? ` <span class="text-xs text-danger">${escapeHtml(item.promotion_name)}</span>` : ''}${item.product_status === 'paused' || item.product_status === 'draft' ? ` <span class="text-xs italic">[${item.product_status}]</span>` : ''}</span>
                   <span class="font-semibold">${formatCurrency(item.subtotal)}</span>
                 </div>
               `).join('')}
             </div>
 
+            ${order.voucher && !order.voucher.released_at ? `
+              <div class="buyer-order-item-row text-success">
+                <span>Voucher ${escapeHtml(order.voucher.code || '')}</span>
+                <span class="font-semibold">-${formatCurrency(order.voucher.discount_amount)}</span>
+              </div>
+            ` : ''}
+
             <div class="buyer-order-total-row">
               <span>Total</span>
               <span class="text-primary">${formatCurrency(order.total_amount)}</span>
             </div>
           </section>
 
-          <section class="buyer-order-details-card">
-            <h4 class="buyer-order-details-section-title">Delivery Details</h4>
-            <p class="text-sm"><strong>Option:</strong> ${order.delivery_option}</p>
-            <p class="text-sm"><strong>Address:</strong> ${order.delivery_address}</p>
+          ${renderOrderAdjustments(order)}
+
+          ${HANDOVER_CODE_STATUSES.includes(order.status) ? `
+            <section class="buyer-order-details-card">
+              <h4 class="buyer-order-details-section-title"><i class="bi bi-key"></i> Handover Code</h4>
+              <div id="order-handover-code" class="text-sm text-gray-600">Loading code...</div>
+            </section>
+          ` : ''}
+
+          ${isTrackableOrder(order) ? `
+            <section class="buyer-order-details-card">
+              <h4 class="buyer-order-details-section-title"><i class="bi bi-truck"></i> Live Delivery</h4>
+              <p id="order-tracking-status" class="text-sm text-gray-600">Checking delivery status...</p>
+              <div id="order-tracking-map" class="hidden w-full rounded-lg border mt-2" style="height: 240px;"></div>
+            </section>
+          ` : ''}
+
+          <section class="buyer-order-details-card">
+            <h4 class="buyer-order-details-section-title">Delivery Details</h4>
+            <p class="text-sm"><strong>Option:</strong> ${order.delivery_option}</p>
+            <p class="text-sm"><strong>Address:</strong> ${order.delivery_address}</p>
             ${order.preferred_date ? `<p class="text-sm"><strong>Preferred Date:</strong> ${new Date(order.preferred_date).toLocaleDateString('en-PH', { year: 'numeric', month: 'long', day: 'numeric' })}</p>` : ''}
             ${order.preferred_time ? `<p class="text-sm"><strong>Preferred Time:</strong> ${order.preferred_time.charAt(0).toUpperCase() + order.preferred_time.slice(1)}</p>` : ''}
-            <p class="text-sm"><strong>Payment:</strong> ${order.payment_method}</p>
+            <p class="text-sm"><strong>Payment:</strong> ${order.payment_method} (${PAYMENT_STATUS_LABELS[order.payment_status] || 'Unpaid'})</p>
             ${order.order_notes ? `<p class="text-sm mt-2"><strong>Notes:</strong> ${order.order_notes}</p>` : ''}
           </section>
 
+          ${Array.isArray(order.refunds) && order.refunds.length > 0 ? `
+            <section class="buyer-order-details-card">
+              <h4 class="buyer-order-details-section-title">Refunds</h4>
+              <ul class="space-y-2">
+                ${order.refunds.map(refund => `
+                  <li class="text-sm">
+                    <strong>${formatCurrency(refund.amount)}</strong>
+                    <span class="text-gray-600">(${refund.refund_type === 'full' ? 'Full' : 'Partial'} • ${refund.status})</span>
+                    <span class="text-xs text-gray-500 block">${new Date(refund.processed_at || refund.created_at).toLocaleString('en-PH')}</span>
+                    ${refund.reason ? `<span class="text-xs text-gray-500 block">${escapeHtml(refund.reason)}</span>` : ''}
+                  </li>
+                `).join('')}
+              </ul>
+            </section>
+          ` : ''}
+
+          ${Array.isArray(order.status_history) && order.status_history.length > 0 ? `
+            <section class="buyer-order-details-card">
+              <h4 class="buyer-order-details-section-title">Order Timeline</h4>
+              <ul class="space-y-2">
+                ${order.status_history.map(entry => `
+                  <li class="text-sm">
+                    <span class="badge badge-${statusColors[entry.to_status] || 'secondary'}">${escapeHtml(entry.to_status.toUpperCase())}</span>
+                    <span class="text-gray-600">${new Date(entry.created_at).toLocaleString('en-PH')}</span>
+                    ${entry.note ? `<p class="text-xs text-gray-500 mt-1">${escapeHtml(entry.note)}</p>` : ''}
+                  </li>
+                `).join('')}
+              </ul>
+            </section>
+          ` : ''}
+
           ${order.buyer_rating ? `
             <section class="buyer-order-details-card">
               <h4 class="buyer-order-details-section-title">
@@ -4501,6 +5201,9 @@ window.viewOrderDetails = async (orderId) => {
               <i class="bi bi-chat"></i> Message Seller
             </button>
           ` : ''}
+          <button type="button" class="btn btn-outline btn-sm" onclick="window.downloadReceipt('${order.id}', '${escapeHtml(order.order_number)}')">
+            <i class="bi bi-receipt"></i> Receipt
+          </button>
           <button type="button" class="btn btn-outline btn-sm" data-modal-close>
             Close
           </button>
@@ -4512,81 +5215,360 @@ window.viewOrderDetails = async (orderId) => {
       title: 'Order Details',
       content: modalContent,
       size: 'md',
-      showCloseButton: false
+      showCloseButton: false,
+      onClose: stopOrderTracking
     });
 
+    if (isTrackableOrder(order)) {
+      startOrderTracking(order);
+    }
+
+    if (HANDOVER_CODE_STATUSES.includes(order.status)) {
+      loadHandoverCode(order.id);
+    }
+
   } catch (error) {
     console.error('Error loading order details:', error);
     showError(error.message || 'Failed to load order details');
   }
 };
 
-window.orderAgain = async (orderId) => {
+// ============ Handover code ============
+
+// The seller enters this code when the buyer receives the items
+const HANDOVER_CODE_STATUSES = ['confirmed', 'ready'];
+
+const loadHandoverCode = async (orderId) => {
+  const container = document.getElementById('order-handover-code');
+  if (!container) return;
+
   try {
-    const targetOrderId = resolveOrderApiId(orderId);
-    if (!targetOrderId) {
-      showError('Unable to resolve order ID');
-      return;
-    }
+    const response = await getHandoverCode(orderId);
+    const handover = response.data?.handover;
+    if (!handover) return;
+
+    container.innerHTML = handover.locked
+      ? `
+        <p class="text-danger">
+          <i class="bi bi-lock"></i> This code was entered wrong too many times and no longer works.
+          Confirm receipt yourself once you have the items.
+        </p>
+      `
+      : `
+        <p class="font-mono font-bold text-3xl tracking-widest text-center my-2">${escapeHtml(handover.code)}</p>
+        <p class="text-xs text-gray-500 text-center">
+          Show this to the seller only when you have your items. Entering it completes the order.
+        </p>
+      `;
+  } catch (error) {
+    console.error('Error loading handover code:', error);
+    container.textContent = 'Could not load the handover code.';
+  }
+};
 
-    const response = await getOrderById(targetOrderId);
-    const order = response.data?.order;
+// ============ Live delivery tracking ============
+
+// Sellers share their location only while a drop-off order is out for delivery
+const isTrackableOrder = (order) => order.delivery_option === 'drop-off' && order.status === 'ready';
+
+const TRACKING_ROUTE_REFRESH_MS = 60 * 1000;
+let orderTrackingState = null;
+
+const stopOrderTracking = () => {
+  if (!orderTrackingState) return;
+  orderTrackingState.unsubscribe?.();
+  orderTrackingState.map?.destroy();
+  orderTrackingState = null;
+};
+
+const routeToLatLngs = (route) => {
+  if (route?.geometry?.coordinates) {
+    return route.geometry.coordinates.map(coord => [coord[1], coord[0]]);
+  }
+  if (Array.isArray(route?.route)) {
+    return route.route.map(point => [point.lat, point.lng]);
+  }
+  return null;
+};
+
+const setTrackingStatus = (html) => {
+  const statusEl = document.getElementById('order-tracking-status');
+  if (statusEl) statusEl.innerHTML = html;
+};
+
+const refreshTrackingRoute = async (state, latitude, longitude) => {
+  const { destination } = state;
+  if (!destination || Date.now() - state.routeFetchedAt < TRACKING_ROUTE_REFRESH_MS) return;
+  state.routeFetchedAt = Date.now();
+
+  try {
+    const routeResponse = await getRouteLazy(latitude, longitude, destination.lat, destination.lng);
+    if (orderTrackingState !== state || !routeResponse?.success) return;
+
+    const route = routeResponse.data || {};
+    state.map?.setRoute(routeToLatLngs(route) || [[latitude, longitude], [destination.lat, destination.lng]]);
+
+    const distanceKm = Number(route.distance_km);
+    state.distanceKm = Number.isFinite(distanceKm) ? distanceKm : null;
+    state.etaMinutes = estimateTrafficAwareEtaMinutes(Number(route.duration_minutes), state.distanceKm || 0);
+  } catch (error) {
+    console.warn('Could not refresh delivery route:', error);
+  }
+};
+
+const applyTrackingUpdate = async (state, tracking) => {
+  if (orderTrackingState !== state) return;
+
+  const mapEl = document.getElementById('order-tracking-map');
+
+  if (!tracking || tracking.status !== 'active') {
+    state.map?.clearCourier();
+    mapEl?.classList.add('hidden');
+    setTrackingStatus(!tracking
+      ? '<i class="bi bi-info-circle"></i> You can follow the seller here once they head out with your order.'
+      : tracking.end_reason === 'completed'
+        ? '<i class="bi bi-check-circle"></i> Delivered.'
+        : '<i class="bi bi-info-circle"></i> The seller is not sharing their location right now.');
+    return;
+  }
+
+  if (tracking.latitude === null || tracking.longitude === null) {
+    setTrackingStatus('<i class="bi bi-truck"></i> The seller is on the way. Waiting for their location...');
+    return;
+  }
 
-    if (!order || !Array.isArray(order.items) || order.items.length === 0) {
-      showError('No order items found to reorder.');
+  // Leaflet needs a visible container to size itself
+  const firstFix = !state.map;
+  if (firstFix) {
+    mapEl?.classList.remove('hidden');
+    state.map = createTrackingMap('order-tracking-map', { destination: state.destination });
+    if (!state.map) return;
+  }
+
+  state.map.setCourier(tracking.latitude, tracking.longitude);
+  await refreshTrackingRoute(state, tracking.latitude, tracking.longitude);
+  if (orderTrackingState !== state) return;
+
+  if (firstFix) {
+    state.map.fitToDelivery();
+  }
+
+  const etaLabel = state.etaMinutes
+    ? `Arriving in about ${state.etaMinutes} min${state.distanceKm !== null ? ` (${state.distanceKm.toFixed(1)} km away)` : ''}`
+    : 'On the way';
+  setTrackingStatus(`
+    <i class="bi bi-truck"></i> ${etaLabel}
+    <span class="block text-xs text-gray-500">Location updated ${formatRelativeTime(tracking.location_updated_at)}</span>
+  `);
+};
+
+const startOrderTracking = async (order) => {
+  stopOrderTracking();
+
+  const latitude = Number(order.delivery_latitude);
+  const longitude = Number(order.delivery_longitude);
+  const state = {
+    orderId: order.id,
+    destination: order.delivery_latitude && order.delivery_longitude && Number.isFinite(latitude) && Number.isFinite(longitude)
+      ? { lat: latitude, lng: longitude }
+      : null,
+    map: null,
+    unsubscribe: null,
+    routeFetchedAt: 0,
+    etaMinutes: null,
+    distanceKm: null
+  };
+  orderTrackingState = state;
+
+  try {
+    const { subscribeDeliveryTracking } = await import('../services/socket.service.js');
+    const unsubscribe = await subscribeDeliveryTracking(order.id, (tracking) => applyTrackingUpdate(state, tracking));
+
+    // The modal may have closed while the channel was connecting
+    if (orderTrackingState !== state) {
+      unsubscribe();
       return;
     }
+    state.unsubscribe = unsubscribe;
 
-    const addedItems = [];
-    const failedItems = [];
+    const response = await getDeliveryTracking(order.id);
+    await applyTrackingUpdate(state, response.data?.tracking || null);
+  } catch (error) {
+    console.error('Error loading delivery tracking:', error);
+    setTrackingStatus('<i class="bi bi-exclamation-circle"></i> Live tracking is unavailable right now.');
+  }
+};
 
-    for (const item of order.items) {
-      if (!item?.product_id) {
-        failedItems.push(`${item?.product_name || 'Unknown product'}: missing product reference`);
-        continue;
-      }
+const ADJUSTMENT_STATUS_BADGES = {
+  pending: 'warning',
+  accepted: 'success',
+  rejected: 'danger',
+  withdrawn: 'secondary',
+  cancelled: 'secondary'
+};
 
-      if (item.product_status === 'paused' || item.product_status === 'draft') {
-        failedItems.push(`${item.product_name}: currently ${item.product_status}`);
-        continue;
-      }
+const describeAdjustmentChange = (change) => {
+  const name = escapeHtml(change.product_name ? getItemDisplayName(change) : 'Item');
 
-      const quantity = clampToPositiveInt(item.quantity, 1);
-      try {
-        await addToCartService(item.product_id, quantity);
-        addedItems.push(`${item.product_name} (${quantity})`);
-      } catch (error) {
-        failedItems.push(`${item.product_name}: ${error?.message || 'cannot add right now'}`);
+  if (change.action === 'remove') {
+    return `${name} removed (${formatCurrency(-change.subtotal_before)})`;
+  }
+
+  if (change.action === 'substitute') {
+    return `${name} replaced with ${escapeHtml(String(change.quantity_after))} ${escapeHtml(change.substitute_unit_type || '')} ${escapeHtml(change.substitute_product_name || '')} at ${formatCurrency(change.substitute_price_per_unit)} each (${formatCurrency(change.subtotal_after)})`;
+  }
+
+  return `${name}: ${escapeHtml(String(change.quantity_before))} → ${escapeHtml(String(change.quantity_after))} ${escapeHtml(change.unit_type || '')} (${formatCurrency(change.subtotal_before)} → ${formatCurrency(change.subtotal_after)})`;
+};
+
+const renderOrderAdjustments = (order) => {
+  const adjustments = Array.isArray(order.adjustments) ? order.adjustments : [];
+  if (adjustments.length === 0) return '';
+
+  return `
+    <section class="buyer-order-details-card">
+      <h4 class="buyer-order-details-section-title">Item Adjustments</h4>
+      <div class="space-y-3">
+        ${adjustments.map(adjustment => `
+          <div class="p-3 rounded-lg border ${adjustment.status === 'pending' ? 'bg-blue-50 border-blue-200' : 'bg-gray-50'}">
+            <div class="flex justify-between items-center mb-2">
+              <span class="badge badge-${ADJUSTMENT_STATUS_BADGES[adjustment.status] || 'secondary'}">${escapeHtml(adjustment.status.toUpperCase())}</span>
+              <span class="text-xs text-gray-500">${new Date(adjustment.created_at).toLocaleString('en-PH')}</span>
+            </div>
+            <ul class="text-sm space-y-1">
+              ${(adjustment.changes || []).map(change => `<li><i class="bi bi-dash"></i> ${describeAdjustmentChange(change)}</li>`).join('')}
+            </ul>
+            <p class="text-sm mt-2">
+              Total: ${formatCurrency(adjustment.total_before)} → <strong>${formatCurrency(adjustment.total_after)}</strong>
+            </p>
+            ${adjustment.reason ? `<p class="text-xs text-gray-600 mt-1">Seller's note: ${escapeHtml(adjustment.reason)}</p>` : ''}
+            ${adjustment.status === 'pending' ? `
+              <div class="flex gap-2 mt-3">
+                <button type="button" class="btn btn-sm btn-success" onclick="window.respondToAdjustment('${order.id}', '${adjustment.id}', 'accept')">
+                  <i class="bi bi-check-circle"></i> Accept Changes
+                </button>
+                <button type="button" class="btn btn-sm btn-danger" onclick="window.respondToAdjustment('${order.id}', '${adjustment.id}', 'reject')">
+                  <i class="bi bi-x-circle"></i> Reject
+                </button>
+              </div>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    </section>
+  `;
+};
+
+window.respondToAdjustment = async (orderId, adjustmentId, decision) => {
+  const accepting = decision === 'accept';
+  const modal = createModal({
+    title: accepting ? 'Accept Changes' : 'Reject Changes',
+    content: `
+      <div class="space-y-3">
+        <p class="text-gray-700">
+          ${accepting
+            ? 'Your order items and total will be updated as proposed by the seller.'
+            : 'The order will stay as you placed it. You can message the seller or cancel the order if it can no longer be fulfilled.'}
+        </p>
+        <textarea id="adjustment-response-note" class="form-control" rows="2" maxlength="500" placeholder="Optional note for the seller"></textarea>
+      </div>
+    `,
+    footer: `
+      <button class="btn btn-outline" data-modal-close>Back</button>
+      <button class="btn ${accepting ? 'btn-success' : 'btn-danger'}" id="btn-confirm-adjustment-response">
+        ${accepting ? 'Accept Changes' : 'Reject Changes'}
+      </button>
+    `,
+    size: 'sm'
+  });
+
+  const confirmBtn = document.getElementById('btn-confirm-adjustment-response');
+  confirmBtn?.addEventListener('click', async () => {
+    const note = document.getElementById('adjustment-response-note')?.value.trim() || '';
+    confirmBtn.disabled = true;
+
+    try {
+      if (accepting) {
+        await acceptOrderAdjustment(orderId, adjustmentId, note);
+        showSuccess('Changes accepted. Your order has been updated.');
+      } else {
+        await rejectOrderAdjustment(orderId, adjustmentId, note);
+        showSuccess('Changes rejected.');
       }
+
+      modal.close();
+      document.querySelectorAll('.modal-backdrop').forEach(backdrop => closeModal(backdrop));
+      loadOrders().catch(err => console.error('Error reloading orders:', err));
+    } catch (error) {
+      console.error('Error responding to adjustment:', error);
+      showError(error.message || 'Failed to respond to the adjustment');
+      confirmBtn.disabled = false;
+    }
+  });
+};
+
+const REORDER_UNAVAILABLE_LABELS = {
+  removed: 'no longer listed',
+  paused: 'paused by the seller',
+  draft: 'temporarily unavailable',
+  seller_unavailable: 'seller is not accepting orders',
+  out_of_stock: 'out of stock',
+  preorder_full: 'pre-orders are fully booked',
+  variant_unavailable: 'this option is no longer sold',
+  choose_variant: 'now sold in options, pick one from the product page',
+  failed: 'could not be added right now'
+};
+
+window.orderAgain = async (orderId) => {
+  try {
+    const targetOrderId = resolveOrderApiId(orderId);
+    if (!targetOrderId) {
+      showError('Unable to resolve order ID');
+      return;
     }
 
-    if (addedItems.length > 0) {
-      showSuccess(`Added ${addedItems.length} item(s) to cart.`);
+    const response = await reorderService(targetOrderId);
+    const {
+      added = [],
+      unavailable = [],
+      price_changes: priceChanges = [],
+      reduced_quantities: reducedQuantities = []
+    } = response.data || {};
+
+    if (added.length > 0) {
+      showSuccess(response.message || `Added ${added.length} item(s) to cart.`);
       await updateCartUI();
       if (currentPage === 'cart') {
         await loadCart();
       }
     }
 
-    if (failedItems.length > 0) {
+    if (unavailable.length > 0 || priceChanges.length > 0 || reducedQuantities.length > 0) {
+      const renderSection = (tone, icon, heading, entries) => entries.length === 0 ? '' : `
+        <div class="p-3 rounded-lg border border-${tone}-200 bg-${tone}-50">
+          <p class="font-semibold text-${tone}-800 mb-1"><i class="bi ${icon}"></i> ${heading}</p>
+          <ul class="text-sm text-${tone}-900">
+            ${entries.map(entry => `<li>${entry}</li>`).join('')}
+          </ul>
+        </div>
+      `;
+
       createModal({
         title: 'Order Again Summary',
         content: `
           <div class="space-y-3">
-            ${addedItems.length > 0 ? `
-              <div class="p-3 rounded-lg border border-green-200 bg-green-50">
-                <p class="font-semibold text-green-800 mb-1"><i class="bi bi-check-circle"></i> Added</p>
-                <ul class="text-sm text-green-900">
-                  ${addedItems.map(entry => `<li>${escapeHtml(entry)}</li>`).join('')}
-                </ul>
-              </div>
-            ` : ''}
-            <div class="p-3 rounded-lg border border-yellow-200 bg-yellow-50">
-              <p class="font-semibold text-yellow-800 mb-1"><i class="bi bi-exclamation-triangle"></i> Not Added</p>
-              <ul class="text-sm text-yellow-900">
-                ${failedItems.map(entry => `<li>${escapeHtml(entry)}</li>`).join('')}
-              </ul>
-            </div>
+            ${renderSection('green', 'bi-check-circle', 'Added', added.map(item =>
+              `${escapeHtml(getItemDisplayName(item))} (${item.quantity} ${escapeHtml(item.unit_type || '')})`
+            ))}
+            ${renderSection('blue', 'bi-arrow-repeat', 'Price Changed', priceChanges.map(item =>
+              `${escapeHtml(getItemDisplayName(item))}: ${formatCurrency(item.old_price)} -> ${formatCurrency(item.new_price)}`
+            ))}
+            ${renderSection('yellow', 'bi-dash-circle', 'Reduced Quantity', reducedQuantities.map(item =>
+              `${escapeHtml(getItemDisplayName(item))}: ${item.added} of ${item.requested} ${escapeHtml(item.unit_type || '')} available`
+            ))}
+            ${renderSection('red', 'bi-x-circle', 'Not Added', unavailable.map(item =>
+              `${escapeHtml(getItemDisplayName(item))}: ${REORDER_UNAVAILABLE_LABELS[item.reason] || 'unavailable'}`
+            ))}
           </div>
         `,
         size: 'md',
@@ -4594,7 +5576,7 @@ window.orderAgain = async (orderId) => {
       });
     }
 
-    if (addedItems.length > 0) {
+    if (added.length > 0) {
       window.location.hash = 'cart';
     }
   } catch (error) {
@@ -4603,6 +5585,334 @@ window.orderAgain = async (orderId) => {
   }
 };
 
+// ============ Subscriptions ============
+
+const SUBSCRIPTION_STATUS_COLORS = {
+  active: 'success',
+  paused: 'secondary',
+  needs_review: 'warning'
+};
+
+const formatSubscriptionDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-PH', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+const describeSubscriptionIssue = (issue) => {
+  const name = escapeHtml(issue.product_name);
+  if (issue.type === 'unavailable') return `${name} is no longer available and will be left out`;
+  if (issue.type === 'out_of_stock') return `${name}: only ${issue.available_quantity} left (you get ${issue.quantity})`;
+  if (issue.type === 'price_changed') return `${name}: price changed ${formatCurrency(issue.old_price)} -> ${formatCurrency(issue.new_price)}`;
+  if (issue.type === 'slot_required' || issue.type === 'slot_unavailable') return 'Your delivery slot is not available on this date';
+  return name;
+};
+
+const createSubscriptionCard = (subscription) => {
+  const sellerName = escapeHtml(subscription.seller?.user?.full_name || 'Seller');
+  const needsReview = subscription.status === 'needs_review';
+  const reviewIssues = needsReview ? (subscription.review_issues?.issues || []) : [];
+  // Live issues only matter while the next cycle has not been flagged yet
+  const issues = needsReview ? reviewIssues : (subscription.item_issues || []);
+  const itemsLabel = (subscription.items || [])
+    .map(item => `${escapeHtml(item.product?.name || 'Removed product')} × ${item.quantity}`)
+    .join(', ');
+  const deliveryDate = needsReview
+    ? subscription.review_issues?.delivery_date || subscription.next_delivery_date
+    : subscription.next_delivery_date;
+
+  return `
+    <div class="card" data-subscription-id="${subscription.id}">
+      <div class="card-body">
+        <div class="flex justify-between items-start mb-2 gap-2">
+          <div>
+            <h4 class="font-bold">${sellerName}</h4>
+            <p class="text-sm text-gray-600">${subscription.frequency === 'biweekly' ? 'Every 2 weeks' : 'Every week'} • ${subscription.delivery_option === 'pickup' ? 'Pickup' : 'Drop-off'}</p>
+          </div>
+          <span class="badge badge-${SUBSCRIPTION_STATUS_COLORS[subscription.status] || 'secondary'}">${subscription.status.replace('_', ' ').toUpperCase()}</span>
+        </div>
+        <p class="text-sm text-gray-600 mb-2"><i class="bi bi-box"></i> ${itemsLabel || 'No items'}</p>
+        ${subscription.status !== 'paused' ? `
+          <p class="text-sm text-primary mb-2">
+            <i class="bi bi-calendar-check"></i> Next delivery: ${formatSubscriptionDate(deliveryDate)}
+          </p>
+        ` : ''}
+        ${issues.length > 0 ? `
+          <div class="p-3 rounded-lg border border-yellow-200 bg-yellow-50 mb-3">
+            <p class="text-sm font-semibold text-yellow-800 mb-1">
+              <i class="bi bi-exclamation-triangle"></i> ${needsReview ? 'Confirm these changes to place this delivery' : 'Will need your confirmation before the next delivery'}
+            </p>
+            <ul class="text-sm text-yellow-900 ml-4">
+              ${issues.map(issue => `<li>${describeSubscriptionIssue(issue)}</li>`).join('')}
+            </ul>
+          </div>
+        ` : ''}
+        <div class="flex gap-2 flex-wrap">
+          ${needsReview ? `
+            <button class="btn btn-sm btn-success" onclick="window.confirmSubscription('${subscription.id}')">
+              <i class="bi bi-check-circle"></i> Confirm Delivery
+            </button>
+          ` : ''}
+          ${subscription.status !== 'paused' ? `
+            <button class="btn btn-sm btn-outline" onclick="window.manageSubscription('${subscription.id}', 'skip')">
+              <i class="bi bi-skip-forward"></i> Skip Next
+            </button>
+            <button class="btn btn-sm btn-outline" onclick="window.manageSubscription('${subscription.id}', 'pause')">
+              <i class="bi bi-pause-circle"></i> Pause
+            </button>
+          ` : `
+            <button class="btn btn-sm btn-primary" onclick="window.manageSubscription('${subscription.id}', 'resume')">
+              <i class="bi bi-play-circle"></i> Resume
+            </button>
+          `}
+          <button class="btn btn-sm btn-danger" onclick="window.manageSubscription('${subscription.id}', 'cancel')">
+            <i class="bi bi-x-circle"></i> Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+};
+
+const loadSubscriptions = async () => {
+  const container = document.getElementById('buyer-subscriptions');
+  if (!container) return;
+
+  try {
+    const response = await getMySubscriptions();
+    const subscriptions = response.data?.subscriptions || [];
+
+    container.classList.toggle('hidden', subscriptions.length === 0);
+    container.innerHTML = subscriptions.length === 0 ? '' : `
+      <h3 class="font-bold text-lg mb-3"><i class="bi bi-calendar2-week"></i> My Subscriptions</h3>
+      <div class="space-y-3">
+        ${subscriptions.map(createSubscriptionCard).join('')}
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading subscriptions:', error);
+    container.classList.add('hidden');
+  }
+};
+
+const SUBSCRIPTION_ACTIONS = {
+  skip: { handler: skipNextDelivery, title: 'Skip Next Delivery', prompt: 'Skip the next delivery? The one after it stays scheduled.', button: 'Skip Delivery', style: 'btn-primary' },
+  pause: { handler: pauseSubscription, title: 'Pause Subscription', prompt: 'Pause this subscription? No orders are placed until you resume it.', button: 'Pause', style: 'btn-primary' },
+  resume: { handler: resumeSubscription, title: 'Resume Subscription', prompt: 'Resume this subscription from its next delivery day?', button: 'Resume', style: 'btn-primary' },
+  cancel: { handler: cancelSubscription, title: 'Cancel Subscription', prompt: 'Cancel this subscription? Orders already placed are not affected.', button: 'Cancel Subscription', style: 'btn-danger' }
+};
+
+window.manageSubscription = (subscriptionId, action) => {
+  const config = SUBSCRIPTION_ACTIONS[action];
+  if (!config) return;
+
+  const modal = createModal({
+    title: config.title,
+    content: `<p class="text-gray-700">${config.prompt}</p>`,
+    footer: `
+      <button class="btn btn-outline" data-modal-close>Back</button>
+      <button class="btn ${config.style}" id="btn-confirm-subscription-action">${config.button}</button>
+    `,
+    size: 'sm'
+  });
+
+  const confirmBtn = document.getElementById('btn-confirm-subscription-action');
+  confirmBtn?.addEventListener('click', async () => {
+    confirmBtn.disabled = true;
+    try {
+      const response = await config.handler(subscriptionId);
+      showSuccess(response.message || 'Subscription updated');
+      modal.close();
+      await loadSubscriptions();
+    } catch (error) {
+      console.error(`Error (${action}) subscription:`, error);
+      showError(error.message || 'Failed to update subscription');
+      confirmBtn.disabled = false;
+    }
+  });
+};
+
+window.confirmSubscription = async (subscriptionId) => {
+  try {
+    const response = await confirmSubscriptionDelivery(subscriptionId);
+    showSuccess(response.message || 'Order placed');
+    await loadOrders();
+    loadOrderStats();
+  } catch (error) {
+    console.error('Error confirming subscription delivery:', error);
+    showError(error.message || 'Failed to place this delivery');
+    await loadSubscriptions();
+  }
+};
+
+// Starts a subscription from a completed order's basket
+window.subscribeFromOrder = async (orderId) => {
+  try {
+    const targetOrderId = resolveOrderApiId(orderId);
+    if (!targetOrderId) {
+      showError('Unable to resolve order ID');
+      return;
+    }
+
+    const response = await getOrderById(targetOrderId);
+    const order = response.data?.order;
+    const sellerId = order?.seller?.id || order?.seller_id;
+    // Products sold in variants cannot go into a subscription basket
+    const items = (order?.items || []).filter(item =>
+      item?.product_id && !item.variant_id && item.product_status !== 'paused' && item.product_status !== 'draft'
+    );
+
+    if (!order || !sellerId || items.length === 0) {
+      showError('None of the products in this order can be subscribed to right now.');
+      return;
+    }
+
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const minDate = `${tomorrow.getFullYear()}-${String(tomorrow.getMonth() + 1).padStart(2, '0')}-${String(tomorrow.getDate()).padStart(2, '0')}`;
+
+    const modal = createModal({
+      title: 'Subscribe to This Basket',
+      content: `
+        <form id="subscription-form" class="space-y-4">
+          <div>
+            <p class="font-semibold mb-2">Items per delivery</p>
+            <div class="space-y-2">
+              ${items.map(item => `
+                <div class="flex items-center justify-between gap-3">
+                  <span class="text-sm">${escapeHtml(item.product_name)} <span class="text-gray-500">(${escapeHtml(item.unit_type || '')})</span></span>
+                  <input type="number" class="form-control" style="max-width: 6rem;" min="0" step="1"
+                    value="${clampToPositiveInt(item.quantity, 1)}" data-subscription-product="${item.product_id}">
+                </div>
+              `).join('')}
+            </div>
+            <p class="text-xs text-gray-500 mt-1">Set a quantity to 0 to leave a product out.</p>
+          </div>
+          <div class="grid grid-cols-2 gap-3">
+            <div class="form-group">
+              <label class="form-label">Frequency</label>
+              <select id="subscription-frequency" class="form-control" required>
+                <option value="weekly">Every week</option>
+                <option value="biweekly">Every 2 weeks</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label class="form-label">Delivery Option</label>
+              <select id="subscription-delivery-option" class="form-control" required>
+                <option value="drop-off" ${order.delivery_option !== 'pickup' ? 'selected' : ''}>Drop-off</option>
+                <option value="pickup" ${order.delivery_option === 'pickup' ? 'selected' : ''}>Pickup</option>
+              </select>
+            </div>
+          </div>
+          <div id="subscription-slot-group" class="form-group hidden">
+            <label class="form-label">First Delivery Slot</label>
+            <select id="subscription-slot" class="form-control"></select>
+            <p class="text-xs text-gray-500 mt-1">Later deliveries use the same slot on the same weekday.</p>
+          </div>
+          <div id="subscription-date-fields" class="grid grid-cols-2 gap-3">
+            <div class="form-group">
+              <label class="form-label">First Delivery</label>
+              <input type="date" id="subscription-start-date" class="form-control" required min="${minDate}">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Preferred Time</label>
+              <input type="text" id="subscription-preferred-time" class="form-control" maxlength="50" placeholder="e.g. Morning" value="${escapeHtml(order.preferred_time || '')}">
+            </div>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Notes for the Seller</label>
+            <textarea id="subscription-notes" class="form-control" rows="2" maxlength="500"></textarea>
+          </div>
+          <p class="text-xs text-gray-500">
+            Each delivery is placed as a cash-on-delivery order two days ahead. If stock or prices change, we ask you to confirm first.
+          </p>
+        </form>
+      `,
+      footer: `
+        <button class="btn btn-outline" data-modal-close>Cancel</button>
+        <button class="btn btn-primary" id="btn-create-subscription">
+          <i class="bi bi-calendar2-week"></i> Subscribe
+        </button>
+      `,
+      size: 'md'
+    });
+
+    // Sellers with delivery windows deliver subscriptions in one of their slots
+    let usesSlots = false;
+    getAvailableSlots(sellerId).then((slotResponse) => {
+      const { uses_slots: hasSlots, days = [] } = slotResponse?.data || {};
+      if (!hasSlots) return;
+
+      usesSlots = true;
+      const slotSelect = document.getElementById('subscription-slot');
+      document.getElementById('subscription-slot-group')?.classList.remove('hidden');
+      document.getElementById('subscription-date-fields')?.classList.add('hidden');
+      document.getElementById('subscription-start-date').required = false;
+      slotSelect.required = true;
+      slotSelect.innerHTML = `
+        <option value="" disabled selected>Select a delivery slot</option>
+        ${days.filter(day => day.date >= minDate).map(day => `
+          <optgroup label="${escapeHtml(formatSubscriptionDate(day.date))}">
+            ${day.slots.map(slot => `
+              <option value="${slot.window_id}|${slot.date}">${escapeHtml(slot.label)}</option>
+            `).join('')}
+          </optgroup>
+        `).join('')}
+      `;
+    }).catch(err => console.warn('Could not load delivery slots:', err));
+
+    const submitBtn = document.getElementById('btn-create-subscription');
+    submitBtn?.addEventListener('click', async () => {
+      const form = document.getElementById('subscription-form');
+      if (!form.checkValidity()) {
+        form.reportValidity();
+        return;
+      }
+
+      const subscriptionItems = [...form.querySelectorAll('[data-subscription-product]')]
+        .map(input => ({ product_id: input.dataset.subscriptionProduct, quantity: parseInt(input.value, 10) || 0 }))
+        .filter(item => item.quantity > 0);
+
+      if (subscriptionItems.length === 0) {
+        showError('Keep at least one product in the subscription.');
+        return;
+      }
+
+      const payload = {
+        seller_id: sellerId,
+        frequency: document.getElementById('subscription-frequency').value,
+        delivery_option: document.getElementById('subscription-delivery-option').value,
+        order_notes: document.getElementById('subscription-notes').value.trim() || null,
+        items: subscriptionItems
+      };
+
+      if (usesSlots) {
+        const [windowId, date] = document.getElementById('subscription-slot').value.split('|');
+        payload.delivery_window_id = windowId;
+        payload.start_date = date;
+      } else {
+        payload.start_date = document.getElementById('subscription-start-date').value;
+        payload.preferred_time = document.getElementById('subscription-preferred-time').value.trim() || null;
+      }
+
+      submitBtn.disabled = true;
+      try {
+        const createResponse = await createSubscription(payload);
+        showSuccess(createResponse.message || 'Subscription created');
+        modal.close();
+        await loadSubscriptions();
+      } catch (error) {
+        console.error('Error creating subscription:', error);
+        showError(error.message || 'Failed to create subscription');
+        submitBtn.disabled = false;
+      }
+    });
+  } catch (error) {
+    console.error('Subscribe from order failed:', error);
+    showError(error?.message || 'Failed to start a subscription.');
+  }
+};
+
 window.cancelOrder = async (orderId) => {
   const targetOrderId = resolveOrderApiId(orderId);
   if (!targetOrderId) {
@@ -4826,7 +6136,7 @@ window.rateOrderModal = async (orderId, orderNumber) => {
       <div class="border border-gray-200 rounded-lg p-4 mb-3" data-product-id="${item.product_id}">
         <div class="flex justify-between items-start mb-2">
           <div>
-            <h4 class="font-semibold">${item.product_name}</h4>
+            <h4 class="font-semibold">${escapeHtml(getItemDisplayName(item))}</h4>
             <p class="text-sm text-gray-600">${item.quantity} ${item.unit_type} • ${formatCurrency(item.subtotal)}</p>
           </div>
         </div>
@@ -6878,6 +8188,11 @@ const escapeHtml = (text) => {
   return safeText.replace(/[&<>"']/g, m => map[m]);
 };
 
+// "Tilapia (Large)" for order and cart lines bought as a variant
+const getItemDisplayName = (item) => (
+  item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name
+);
+
 // Helper to get current user synchronously
 const getCurrentUserSync = () => {
   try {
@@ -6888,16 +8203,6 @@ const getCurrentUserSync = () => {
   }
 };
 
-const closeTopModalBackdrop = () => {
-  const topBackdrop = document.querySelector('.modal-backdrop:last-of-type');
-  if (!topBackdrop) return;
-  if (typeof closeModal === 'function') {
-    closeModal(topBackdrop);
-    return;
-  }
-  topBackdrop.remove();
-};
-
 // ============ Event Listeners ============
 
 let eventListeners = [];
@@ -6993,6 +8298,17 @@ const attachEventListeners = () => {
   if (searchInput) {
     const searchHandler = debounce((e) => {
       draftBrowseFilters.search = e.target.value;
+      // Rank by match while searching, unless the buyer picked another order
+      const hasSearch = draftBrowseFilters.search.trim() !== '';
+      if (hasSearch && draftBrowseFilters.sort_by === DEFAULT_BROWSE_FILTERS.sort_by && draftBrowseFilters.sort_order === DEFAULT_BROWSE_FILTERS.sort_order) {
+        draftBrowseFilters.sort_by = 'relevance';
+        draftBrowseFilters.sort_order = 'desc';
+      } else if (!hasSearch && draftBrowseFilters.sort_by === 'relevance') {
+        draftBrowseFilters.sort_by = DEFAULT_BROWSE_FILTERS.sort_by;
+        draftBrowseFilters.sort_order = DEFAULT_BROWSE_FILTERS.sort_order;
+      }
+      const browseSort = document.getElementById('browse-sort');
+      if (browseSort) browseSort.value = `${draftBrowseFilters.sort_by}:${draftBrowseFilters.sort_order}`;
       applyBrowseFilters({ resetPage: true });
     }, 300);
     searchInput.addEventListener('input', searchHandler);
@@ -7364,7 +8680,8 @@ window.incrementQuantity = (inputId, maxQuantity) => {
     const input = document.getElementById(inputId);
     if (input) {
       const currentValue = parseInt(input.value) || 1;
-      const newValue = Math.min(currentValue + 1, maxQuantity || 999);
+      // The input's max follows the selected variant
+      const newValue = Math.min(currentValue + 1, maxQuantity || Number(input.max) || 999);
       input.value = newValue;
     }
   } catch (error) {
@@ -7389,6 +8706,7 @@ window.handleAddToCartFromDynamicModal = async (productId) => {
   try {
     const quantityInput = document.getElementById('dynamic-product-quantity');
     const quantity = quantityInput ? parseInt(quantityInput.value) || 1 : 1;
+    const variantId = document.getElementById('dynamic-product-quantity-variant')?.value || null;
 
     const response = await getProduct(productId);
     const product = response?.data?.product;
@@ -7398,7 +8716,7 @@ window.handleAddToCartFromDynamicModal = async (productId) => {
       return;
     }
 
-    await handleAddToCart(product, quantity);
+    await handleAddToCart(product, quantity, variantId);
 
     // Close modal after successful add to cart
     const modals = document.querySelectorAll('.modal-backdrop');
@@ -7416,6 +8734,7 @@ window.handleAddToCartFromModal = async (productId) => {
   try {
     const quantityInput = document.getElementById('product-quantity');
     const quantity = quantityInput ? parseInt(quantityInput.value) || 1 : 1;
+    const variantId = document.getElementById('product-quantity-variant')?.value || null;
 
     const response = await getProduct(productId);
     const product = response?.data?.product;
@@ -7425,7 +8744,7 @@ window.handleAddToCartFromModal = async (productId) => {
       return;
     }
 
-    await handleAddToCart(product, quantity);
+    await handleAddToCart(product, quantity, variantId);
 
     // Close product modal after successful add to cart
     closeProductDetailsModal();
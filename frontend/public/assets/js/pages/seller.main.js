@@ -7,7 +7,7 @@ import { showToast, showError, showSuccess, showWarning } from '../components/to
 import { showSpinner, hideSpinner } from '../components/loading-spinner.js';
 import { createModal } from '../components/modal.js';
 import { requireAuth, requireVerification, getUser, getToken, getUserId } from '../core/auth.js';
-import { formatCurrency, formatDate, formatRelativeTime } from '../utils/formatters.js';
+import { formatCurrency, formatDate, formatDateTime, formatRelativeTime, formatDiscount } from '../utils/formatters.js';
 import { ENDPOINTS, buildUrl } from '../config/api.js';
 
 // Services
@@ -18,9 +18,42 @@ import {
   deleteProduct as deleteProductRequest,
   getSellerAnalytics,
   getSalesOverTime,
-  getTopProducts
+  getTopProducts,
+  getEarningsStatements,
+  downloadEarningsStatement,
+  setPreorder,
+  disablePreorder,
+  getPreorderQueue,
+  recordHarvest,
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  getPriceTiers,
+  savePriceTiers,
+  getInventoryHistory,
+  recordInventoryAdjustment,
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  endPromotion
 } from '../services/product.service.js';
-import { getOrders, getOrderById, updateOrderStatus, confirmOrder } from '../services/order.service.js';
+import {
+  getOrders,
+  getOrderById,
+  updateOrderStatus,
+  bulkUpdateOrderStatus,
+  exportOrders,
+  getPickList,
+  downloadPickList,
+  confirmOrder,
+  downloadOrderReceipt,
+  proposeOrderAdjustment,
+  withdrawOrderAdjustment,
+  startDeliveryTracking,
+  sendDeliveryLocation,
+  stopDeliveryTracking
+} from '../services/order.service.js';
 import { getDashboardStats } from '../services/user.service.js';
 import { 
   getConversations,
@@ -30,6 +63,14 @@ import {
   markMessagesAsRead
 } from '../services/message.service.js';
 import { getMyIssues, getIssue } from '../services/issue.service.js';
+import {
+  getSlotSettings,
+  getSlotSchedule,
+  createDeliveryWindow,
+  deleteDeliveryWindow,
+  createBlackoutDate,
+  deleteBlackoutDate
+} from '../services/delivery-slot.service.js';
 import { PRODUCT_CATEGORIES, UNIT_TYPES, RIZAL_MUNICIPALITIES } from '../utils/constants.js';
 import { getDeliveryProofUrl, getIssueEvidenceUrl, getMessageAttachmentUrl } from '../utils/image-helpers.js';
 
@@ -138,6 +179,8 @@ let orderFilters = {
 };
 let ordersTotalPages = 1;
 let ordersTotalItems = 0;
+// Canonical ids of orders ticked for a bulk action on the current page
+const selectedOrderIds = new Set();
 let ordersStatsCollapsed = false;
 let issuesStatsCollapsed = false;
 let productsFiltersCollapsed = false;
@@ -965,13 +1008,14 @@ const createProductRow = (product) => {
         </div>
       </td>
       <td class="seller-product-category">${highlightMatchHtml(category, search)}</td>
-      <td class="seller-price-cell"><strong>${formatCurrency(product.price_per_unit)}</strong> / ${escapeHtml(unitType)}</td>
+      <td class="seller-price-cell">${product.variants?.length > 0 ? 'from ' : ''}<strong>${formatCurrency(product.price_per_unit)}</strong> / ${escapeHtml(unitType)}</td>
       <td class="seller-stock-cell"><strong>${quantity}</strong></td>
       <td><span class="badge ${stockMeta.className}">${stockMeta.label}</span></td>
       <td>
         <span class="badge badge-${statusColors[product.status] || 'secondary'}">
           ${escapeHtml(listingStatus)}
         </span>
+        ${product.is_preorder ? '<span class="badge badge-info">Pre-order</span>' : ''}
       </td>
       <td>
         <div class="seller-action-group">
@@ -991,6 +1035,18 @@ const createProductRow = (product) => {
           <button class="btn btn-sm btn-outline seller-action-btn" data-product-action="edit" data-product-id="${escapeHtml(product.id)}" title="Edit product">
             <i class="bi bi-pencil"></i> Edit
           </button>
+          <button class="btn btn-sm btn-outline seller-action-btn" data-product-action="variants" data-product-id="${escapeHtml(product.id)}" title="Sizes, grades or pack sizes">
+            <i class="bi bi-list-nested"></i> Variants
+          </button>
+          <button class="btn btn-sm btn-outline seller-action-btn" data-product-action="price-tiers" data-product-id="${escapeHtml(product.id)}" title="Lower prices for larger quantities">
+            <i class="bi bi-tags"></i> Bulk Prices
+          </button>
+          <button class="btn btn-sm btn-outline seller-action-btn" data-product-action="inventory" data-product-id="${escapeHtml(product.id)}" title="Every stock change and why it happened">
+            <i class="bi bi-clock-history"></i> Stock History
+          </button>
+          <button class="btn btn-sm btn-outline seller-action-btn" data-product-action="preorder" data-product-id="${escapeHtml(product.id)}" title="Manage pre-orders">
+            <i class="bi bi-calendar-event"></i> Pre-order
+          </button>
           <button class="btn btn-sm btn-danger seller-action-btn" data-product-action="delete" data-product-id="${escapeHtml(product.id)}" title="Delete product">
             <i class="bi bi-trash"></i> Delete
           </button>
@@ -1035,6 +1091,7 @@ const createProductMobileCard = (product) => {
           <p class="text-xs text-gray-600 seller-product-meta mb-1">${highlightMatchHtml(municipality, search)}</p>
           <span class="badge badge-${statusColors[product.status] || 'secondary'}">${escapeHtml(listingStatus)}</span>
           <span class="badge ${stockMeta.className} ml-1">${stockMeta.shortLabel}</span>
+          ${product.is_preorder ? '<span class="badge badge-info ml-1">Pre-order</span>' : ''}
         </div>
       </div>
       <div class="seller-product-card-grid">
@@ -1076,6 +1133,18 @@ const createProductMobileCard = (product) => {
         <button class="btn btn-sm btn-outline" data-product-action="edit" data-product-id="${escapeHtml(product.id)}">
           <i class="bi bi-pencil"></i> Edit
         </button>
+        <button class="btn btn-sm btn-outline" data-product-action="variants" data-product-id="${escapeHtml(product.id)}">
+          <i class="bi bi-list-nested"></i> Variants
+        </button>
+        <button class="btn btn-sm btn-outline" data-product-action="price-tiers" data-product-id="${escapeHtml(product.id)}">
+          <i class="bi bi-tags"></i> Bulk Prices
+        </button>
+        <button class="btn btn-sm btn-outline" data-product-action="inventory" data-product-id="${escapeHtml(product.id)}">
+          <i class="bi bi-clock-history"></i> Stock History
+        </button>
+        <button class="btn btn-sm btn-outline" data-product-action="preorder" data-product-id="${escapeHtml(product.id)}">
+          <i class="bi bi-calendar-event"></i> Pre-order
+        </button>
         <button class="btn btn-sm btn-danger" data-product-action="delete" data-product-id="${escapeHtml(product.id)}">
           <i class="bi bi-trash"></i> Delete
         </button>
@@ -1193,6 +1262,22 @@ const handleProductActionEvents = (event) => {
     window.editProduct(productId);
     return;
   }
+  if (action === 'preorder') {
+    window.managePreorder(productId);
+    return;
+  }
+  if (action === 'variants') {
+    window.manageVariants(productId);
+    return;
+  }
+  if (action === 'price-tiers') {
+    window.managePriceTiers(productId);
+    return;
+  }
+  if (action === 'inventory') {
+    window.manageInventory(productId);
+    return;
+  }
   if (action === 'toggle-status') {
     const nextStatus = actionButton.getAttribute('data-next-status') || 'paused';
     window.toggleProductStatus(productId, nextStatus);
@@ -1463,6 +1548,7 @@ window.removeExistingPhoto = (encodedPhotoUrl) => {
 window.showProductModal = (productId = null) => {
   editingProduct = productId ? currentProducts.find(p => p.id === productId) : null;
   removedExistingPhotos = new Set();
+  const hasVariants = editingProduct?.variants?.length > 0;
   
   // Get seller's municipality from user data
   const user = getUser();
@@ -1506,18 +1592,23 @@ window.showProductModal = (productId = null) => {
       </div>
       
       <!-- Pricing -->
+      ${hasVariants ? `
+        <p class="text-sm text-gray-600">
+          <i class="bi bi-list-nested"></i> Price, unit and stock come from this product's ${editingProduct.variants.length} variant${editingProduct.variants.length === 1 ? '' : 's'}. Change them from Variants.
+        </p>
+      ` : ''}
       <div class="grid grid-cols-2 gap-4 seller-product-form-grid">
         <div class="form-group">
           <label class="form-label">Price per Unit <span class="text-danger">*</span></label>
           <input type="number" id="product-price" class="form-control" 
                  value="${editingProduct?.price_per_unit || ''}" 
-                 step="0.01" min="0" required>
+                 step="0.01" min="0" required ${hasVariants ? 'readonly' : ''}>
           <div class="invalid-feedback"></div>
         </div>
         
         <div class="form-group">
           <label class="form-label">Unit Type <span class="text-danger">*</span></label>
-          <select id="product-unit" class="form-select" required>
+          <select id="product-unit" class="form-select" required ${hasVariants ? 'disabled' : ''}>
             ${Object.entries(UNIT_TYPES).map(([key, value]) => `
               <option value="${value}" ${editingProduct?.unit_type === value ? 'selected' : ''}>
                 ${value}
@@ -1531,7 +1622,7 @@ window.showProductModal = (productId = null) => {
         <label class="form-label">Stock Quantity <span class="text-danger">*</span></label>
         <input type="number" id="product-stock" class="form-control" 
                value="${editingProduct?.available_quantity || ''}" 
-               min="0" required>
+               min="0" required ${hasVariants ? 'readonly' : ''}>
         <div class="invalid-feedback"></div>
       </div>
       
@@ -1990,6 +2081,9 @@ const loadOrders = async () => {
 
   renderOrdersSkeletons(isDesktopSellerViewport() ? 3 : 2);
   if (paginationContainer) paginationContainer.innerHTML = '';
+  selectedOrderIds.clear();
+  updateBulkOrderBar();
+  loadSlotSchedule();
   
   try {
     // Don't send status if it's 'all' - backend doesn't accept it
@@ -2033,7 +2127,9 @@ const loadOrders = async () => {
     if (currentOrders.length === 0) {
       // Dynamic empty state message based on filter
       let emptyMessage = 'No orders yet';
-      if (orderFilters.status === 'pending') {
+      if (orderFilters.status === 'preorder') {
+        emptyMessage = 'No pre-orders waiting for harvest';
+      } else if (orderFilters.status === 'pending') {
         emptyMessage = 'No pending orders yet';
       } else if (orderFilters.status === 'confirmed') {
         emptyMessage = 'No confirmed orders yet';
@@ -2057,6 +2153,7 @@ const loadOrders = async () => {
     }
 
     container.innerHTML = `${currentOrders.map(order => createOrderCard(order)).join('')}`;
+    updateBulkOrderBar();
     
     // Attach filter listeners after rendering
     attachOrderFilterListeners();
@@ -2070,6 +2167,7 @@ const loadOrders = async () => {
 
 const createOrderCard = (order) => {
   const statusColors = {
+    preorder: 'secondary',
     pending: 'warning',
     confirmed: 'info',
     ready: 'primary',
@@ -2107,7 +2205,12 @@ const createOrderCard = (order) => {
           <div class="seller-order-main">
             <div class="flex justify-between items-start mb-4 seller-order-head">
               <div class="seller-order-head-copy">
-                <h4 class="font-bold text-lg seller-order-title">Order #${safeOrderNumber}</h4>
+                <h4 class="font-bold text-lg seller-order-title">
+                  ${BULK_ACTIONS_BY_STATUS[status] ? `
+                    <input type="checkbox" class="order-select" data-order-id="${escapeHtml(canonicalOrderId || '')}" aria-label="Select order ${safeOrderNumber}">
+                  ` : ''}
+                  Order #${safeOrderNumber}
+                </h4>
                 <p class="text-sm text-gray-600">${formatRelativeTime(order?.created_at)}</p>
               </div>
               <span class="badge badge-${statusClass} seller-order-badge">${escapeHtml(status.toUpperCase())}</span>
@@ -2158,7 +2261,7 @@ const createOrderCard = (order) => {
           <p class="text-sm font-semibold mb-2">Order Items:</p>
           <ul class="text-sm space-y-1">
             ${items.map(item => `
-              <li>• ${escapeHtml(item?.product_name || 'Unknown Product')} (${escapeHtml(String(item?.quantity ?? 0))} ${escapeHtml(item?.unit_type || 'unit')}) - ${formatCurrency(item?.subtotal)}</li>
+              <li>• ${escapeHtml(item?.product_name ? getItemDisplayName(item) : 'Unknown Product')} (${escapeHtml(String(item?.quantity ?? 0))} ${escapeHtml(item?.unit_type || 'unit')}) - ${formatCurrency(item?.subtotal)}</li>
             `).join('')}
           </ul>
         </div>
@@ -2207,6 +2310,11 @@ const createOrderCard = (order) => {
         </div>
         
         <div class="flex gap-2 flex-wrap seller-order-actions seller-order-actions-desktop">
+          ${status === 'preorder' ? `
+            <div class="btn btn-sm btn-outline cursor-default">
+              <i class="bi bi-hourglass-split"></i> Waiting for Harvest
+            </div>
+          ` : ''}
           ${status === 'pending' ? `
             <button class="btn btn-sm btn-success" onclick="window.confirmOrder('${safeOrderId}')">
               <i class="bi bi-check-circle"></i> Confirm Order
@@ -2217,6 +2325,25 @@ const createOrderCard = (order) => {
               <i class="bi bi-box-seam"></i> Mark as Ready
             </button>
           ` : ''}
+          ${canAdjustOrder(order) ? `
+            <button class="btn btn-sm btn-outline" onclick="window.openOrderAdjustment('${safeOrderId}')">
+              <i class="bi bi-pencil-square"></i> Adjust Items
+            </button>
+          ` : ''}
+          ${order.pending_adjustment_id && ADJUSTABLE_ORDER_STATUSES.includes(status) ? `
+            <div class="btn btn-sm btn-outline cursor-default">
+              <i class="bi bi-hourglass-split"></i> Adjustment Awaiting Buyer
+            </div>
+          ` : ''}
+          ${status === 'ready' && order.delivery_option === 'drop-off' ? (activeDeliveryShares.has(canonicalOrderId) ? `
+            <button class="btn btn-sm btn-outline" onclick="window.stopDelivery('${safeOrderId}')">
+              <i class="bi bi-geo-alt-fill"></i> Stop Sharing Location
+            </button>
+          ` : `
+            <button class="btn btn-sm btn-primary" onclick="window.startDelivery('${safeOrderId}')">
+              <i class="bi bi-truck"></i> Start Delivery
+            </button>
+          `) : ''}
           ${status === 'ready' && !order.seller_confirmed ? `
             <button class="btn btn-sm btn-success" onclick="window.completeOrder('${safeOrderId}')">
               <i class="bi bi-check-all"></i> Complete Order
@@ -2249,6 +2376,408 @@ const createOrderCard = (order) => {
   `;
 };
 
+// ============ Live delivery tracking ============
+
+// orderId -> geolocation watch id for deliveries this device is sharing
+const activeDeliveryShares = new Map();
+
+const stopSharingLocation = (orderId) => {
+  const watchId = activeDeliveryShares.get(orderId);
+  if (watchId !== undefined) {
+    navigator.geolocation.clearWatch(watchId);
+  }
+  activeDeliveryShares.delete(orderId);
+};
+
+window.startDelivery = async (orderRef) => {
+  const orderId = resolveOrderApiId(orderRef);
+  if (!orderId) {
+    showError('Unable to resolve order ID');
+    return;
+  }
+
+  if (!navigator.geolocation) {
+    showError('Location is not available on this device.');
+    return;
+  }
+
+  try {
+    const response = await startDeliveryTracking(orderId);
+    showSuccess(response.message || 'Delivery started.');
+  } catch (error) {
+    console.error('Error starting delivery:', error);
+    showError(error.message || 'Failed to start delivery');
+    return;
+  }
+
+  stopSharingLocation(orderId);
+  const watchId = navigator.geolocation.watchPosition(
+    async (position) => {
+      const { latitude, longitude, accuracy, heading, speed } = position.coords;
+      try {
+        await sendDeliveryLocation(orderId, {
+          latitude,
+          longitude,
+          accuracy,
+          heading: Number.isFinite(heading) ? heading : null,
+          speed: Number.isFinite(speed) ? speed : null
+        });
+      } catch (error) {
+        // The server ends tracking when the order is completed or cancelled
+        if (error.status === 404 || error.status === 409) {
+          stopSharingLocation(orderId);
+          loadOrders();
+        } else {
+          console.warn('Failed to send delivery location:', error);
+        }
+      }
+    },
+    (error) => {
+      console.warn('Geolocation error:', error);
+      showWarning('Could not read your location. Check the location permission for this site.');
+    },
+    { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+  );
+
+  activeDeliveryShares.set(orderId, watchId);
+  await loadOrders();
+};
+
+window.stopDelivery = async (orderRef) => {
+  const orderId = resolveOrderApiId(orderRef);
+  stopSharingLocation(orderId);
+
+  try {
+    const response = await stopDeliveryTracking(orderId);
+    showSuccess(response.message || 'Location sharing stopped.');
+  } catch (error) {
+    console.error('Error stopping delivery tracking:', error);
+    showError(error.message || 'Failed to stop location sharing');
+  }
+
+  await loadOrders();
+};
+
+// ============ Bulk order actions & export ============
+
+// The next step each selectable status can be moved to in bulk
+const BULK_ACTIONS_BY_STATUS = {
+  pending: 'confirmed',
+  confirmed: 'ready'
+};
+
+const getSelectedOrdersFor = (targetStatus) => currentOrders.filter(order => (
+  selectedOrderIds.has(getCanonicalOrderId(order)) &&
+  BULK_ACTIONS_BY_STATUS[order.status] === targetStatus
+));
+
+const updateBulkOrderBar = () => {
+  const countLabel = document.getElementById('orders-selected-count');
+  const selectAll = document.getElementById('orders-select-all');
+  const confirmBtn = document.getElementById('orders-bulk-confirm');
+  const readyBtn = document.getElementById('orders-bulk-ready');
+  const selectable = currentOrders.filter(order => BULK_ACTIONS_BY_STATUS[order.status]);
+
+  if (countLabel) {
+    countLabel.textContent = selectedOrderIds.size > 0 ? `${selectedOrderIds.size} selected` : 'Select orders';
+  }
+  if (selectAll) {
+    selectAll.disabled = selectable.length === 0;
+    selectAll.checked = selectable.length > 0 && selectedOrderIds.size === selectable.length;
+  }
+  if (confirmBtn) confirmBtn.disabled = getSelectedOrdersFor('confirmed').length === 0;
+  if (readyBtn) readyBtn.disabled = getSelectedOrdersFor('ready').length === 0;
+};
+
+const handleOrderSelectChange = (e) => {
+  const checkbox = e.target.closest('.order-select');
+  if (!checkbox) return;
+
+  if (checkbox.checked) {
+    selectedOrderIds.add(checkbox.dataset.orderId);
+  } else {
+    selectedOrderIds.delete(checkbox.dataset.orderId);
+  }
+  updateBulkOrderBar();
+};
+
+const handleSelectAllOrders = (e) => {
+  selectedOrderIds.clear();
+  document.querySelectorAll('#orders-list .order-select').forEach(checkbox => {
+    checkbox.checked = e.target.checked;
+    if (e.target.checked) selectedOrderIds.add(checkbox.dataset.orderId);
+  });
+  updateBulkOrderBar();
+};
+
+const showBulkOrderResults = (data) => {
+  const failures = (data.results || []).filter(result => !result.success);
+  const statusLabel = data.status === 'ready' ? 'ready' : 'confirmed';
+
+  if (failures.length === 0) {
+    showSuccess(`${data.succeeded} order${data.succeeded === 1 ? '' : 's'} marked as ${statusLabel}`);
+    return;
+  }
+
+  createModal({
+    title: 'Bulk Update Results',
+    content: `
+      <div class="space-y-3">
+        <p class="text-sm">
+          <strong>${data.succeeded}</strong> order${data.succeeded === 1 ? '' : 's'} marked as ${statusLabel}.
+          <strong class="text-danger">${failures.length}</strong> could not be updated:
+        </p>
+        <ul class="text-sm space-y-2">
+          ${failures.map(result => {
+            const order = findOrderByReference(result.order_id);
+            return `
+              <li class="p-2 bg-red-50 rounded">
+                <p class="font-semibold">Order #${escapeHtml(order?.order_number || result.order_id)}</p>
+                <p class="text-xs text-gray-700">${escapeHtml(result.error)}</p>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+      </div>
+    `,
+    footer: '<button class="btn btn-primary" data-modal-close>OK</button>',
+    size: 'md'
+  });
+};
+
+const runBulkOrderAction = async (targetStatus, button) => {
+  const orders = getSelectedOrdersFor(targetStatus);
+  if (orders.length === 0) return;
+
+  const originalHtml = button.innerHTML;
+  button.disabled = true;
+  button.innerHTML = '<i class="bi bi-hourglass-split"></i> Updating...';
+
+  try {
+    const response = await bulkUpdateOrderStatus(
+      orders.map(order => resolveOrderApiId(getCanonicalOrderId(order))),
+      targetStatus
+    );
+    showBulkOrderResults(response.data || {});
+    await Promise.all([loadOrders(), loadOrderStats()]);
+    await loadDashboardStats();
+  } catch (error) {
+    console.error('Error updating orders in bulk:', error);
+    showError(error.message || 'Failed to update orders');
+  } finally {
+    button.innerHTML = originalHtml;
+    updateBulkOrderBar();
+  }
+};
+
+const openOrderExport = () => {
+  const statusFilter = orderFilters.status && orderFilters.status !== 'all' ? orderFilters.status : '';
+  const statusOptions = ['', 'preorder', 'pending', 'confirmed', 'ready', 'completed', 'cancelled'];
+
+  const modal = createModal({
+    title: 'Export Orders',
+    content: `
+      <div class="space-y-4">
+        <p class="text-sm text-gray-600">Download a spreadsheet with one row per order item.</p>
+        <div class="form-group">
+          <label class="form-label" for="order-export-status">Status</label>
+          <select id="order-export-status" class="form-control">
+            ${statusOptions.map(value => `
+              <option value="${value}" ${value === statusFilter ? 'selected' : ''}>${value ? value.charAt(0).toUpperCase() + value.slice(1) : 'All statuses'}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="grid grid-cols-2 gap-3">
+          <div class="form-group">
+            <label class="form-label" for="order-export-from">From</label>
+            <input type="date" id="order-export-from" class="form-control">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="order-export-to">To</label>
+            <input type="date" id="order-export-to" class="form-control">
+          </div>
+        </div>
+      </div>
+    `,
+    footer: `
+      <button class="btn btn-outline" data-modal-close>Cancel</button>
+      <button class="btn btn-primary" id="btn-order-export">
+        <i class="bi bi-download"></i> Download CSV
+      </button>
+    `,
+    size: 'sm'
+  });
+
+  const downloadBtn = document.getElementById('btn-order-export');
+  downloadBtn.addEventListener('click', async () => {
+    const filters = {
+      status: document.getElementById('order-export-status').value,
+      date_from: document.getElementById('order-export-from').value,
+      date_to: document.getElementById('order-export-to').value
+    };
+
+    if (filters.date_from && filters.date_to && filters.date_to < filters.date_from) {
+      showError('The end date must not be before the start date');
+      return;
+    }
+
+    downloadBtn.disabled = true;
+    try {
+      const blob = await exportOrders(filters);
+      const stamp = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `orders-${filters.status || 'all'}-${stamp}.csv`);
+      modal.close();
+    } catch (error) {
+      console.error('Error exporting orders:', error);
+      showError(error.message || 'Failed to export orders');
+      downloadBtn.disabled = false;
+    }
+  });
+};
+
+// ============ Pick list & packing slips ============
+
+const PICK_LIST_STATUS_OPTIONS = ['pending', 'confirmed', 'ready'];
+
+const readPickListFilters = () => ({
+  date: document.getElementById('pick-list-date')?.value || toPhDateString(),
+  statuses: [...document.querySelectorAll('.pick-list-status:checked')].map(input => input.value),
+  include_unscheduled: document.getElementById('pick-list-unscheduled')?.checked !== false
+});
+
+const renderPickListPreview = async () => {
+  const preview = document.getElementById('pick-list-preview');
+  if (!preview) return;
+
+  const filters = readPickListFilters();
+  if (filters.statuses.length === 0) {
+    preview.innerHTML = '<p class="text-sm text-gray-500">Choose at least one order status.</p>';
+    return;
+  }
+
+  preview.innerHTML = '<p class="text-sm text-gray-500">Loading...</p>';
+
+  try {
+    const response = await getPickList(filters);
+    const pickList = response.data?.pick_list;
+    if (!pickList) return;
+
+    if (pickList.products.length === 0) {
+      preview.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">No orders to pick for this day.</p>';
+      return;
+    }
+
+    preview.innerHTML = `
+      <p class="text-sm text-gray-600 mb-2">
+        ${pickList.order_count} order${pickList.order_count === 1 ? '' : 's'}
+        ${pickList.slips.some(slip => slip.unscheduled) ? ` • ${pickList.slips.filter(slip => slip.unscheduled).length} with no date set` : ''}
+      </p>
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="text-left text-gray-500">
+            <th class="py-1">Product</th>
+            <th class="py-1 text-right">Total</th>
+            <th class="py-1 text-right">Orders</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${pickList.products.map(line => `
+            <tr class="border-t">
+              <td class="py-1">${escapeHtml(getItemDisplayName(line))}</td>
+              <td class="py-1 text-right font-semibold">${line.total_quantity} ${escapeHtml(line.unit_type)}</td>
+              <td class="py-1 text-right">${line.order_count}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('Error loading pick list:', error);
+    preview.innerHTML = `<p class="text-sm text-danger">${escapeHtml(error.message || 'Failed to load the pick list')}</p>`;
+  }
+};
+
+const openPickList = () => {
+  createModal({
+    title: 'Pick List & Packing Slips',
+    content: `
+      <div class="space-y-4">
+        <div class="grid grid-cols-2 gap-3">
+          <div class="form-group">
+            <label class="form-label" for="pick-list-date">Delivery Day</label>
+            <input type="date" id="pick-list-date" class="form-control" value="${toPhDateString()}">
+          </div>
+          <div class="form-group">
+            <p class="form-label">Order Status</p>
+            <div class="flex gap-3 flex-wrap text-sm">
+              ${PICK_LIST_STATUS_OPTIONS.map(status => `
+                <label class="flex items-center gap-1">
+                  <input type="checkbox" class="pick-list-status" value="${status}" ${status === 'confirmed' ? 'checked' : ''}>
+                  ${status.charAt(0).toUpperCase() + status.slice(1)}
+                </label>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+        <label class="flex items-center gap-2 text-sm">
+          <input type="checkbox" id="pick-list-unscheduled" checked>
+          Include orders with no delivery date
+        </label>
+        <div id="pick-list-preview" class="max-h-72 overflow-y-auto"></div>
+      </div>
+    `,
+    footer: `
+      <button class="btn btn-outline" data-modal-close>Close</button>
+      <button class="btn btn-outline" id="btn-pick-list-pdf"><i class="bi bi-file-earmark-pdf"></i> Download PDF</button>
+      <button class="btn btn-primary" id="btn-pick-list-print"><i class="bi bi-printer"></i> Print</button>
+    `,
+    size: 'lg'
+  });
+
+  ['pick-list-date', 'pick-list-unscheduled'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', renderPickListPreview);
+  });
+  document.querySelectorAll('.pick-list-status').forEach(input => {
+    input.addEventListener('change', renderPickListPreview);
+  });
+
+  document.getElementById('btn-pick-list-pdf')?.addEventListener('click', async () => {
+    const filters = readPickListFilters();
+    if (filters.statuses.length === 0) return;
+
+    try {
+      const blob = await downloadPickList(filters, 'pdf');
+      downloadBlob(blob, `pick-list-${filters.date}.pdf`);
+    } catch (error) {
+      showError(error.message || 'Failed to download the pick list');
+    }
+  });
+
+  document.getElementById('btn-pick-list-print')?.addEventListener('click', async () => {
+    const filters = readPickListFilters();
+    if (filters.statuses.length === 0) return;
+
+    // Opened before the request so the browser does not treat it as a popup
+    const printWindow = window.open('', '_blank');
+
+    try {
+      const blob = await downloadPickList(filters, 'html');
+      const url = URL.createObjectURL(blob);
+      if (printWindow) {
+        printWindow.location.href = url;
+      } else {
+        window.open(url, '_blank');
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (error) {
+      printWindow?.close();
+      showError(error.message || 'Failed to open the pick list');
+    }
+  });
+
+  renderPickListPreview();
+};
+
 window.confirmOrder = async (orderId) => {
   try {
     await updateOrderStatus(orderId, 'confirmed');
@@ -2272,6 +2801,25 @@ window.markOrderReady = async (orderId) => {
   }
 };
 
+// Best-effort position for the handover record; the code is still sent if
+// the seller declines the location prompt.
+const getHandoverPosition = () => new Promise((resolve) => {
+  if (!navigator.geolocation) {
+    resolve({});
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    (position) => resolve({
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy
+    }),
+    () => resolve({}),
+    { enableHighAccuracy: true, timeout: 10000, maximumAge: 30000 }
+  );
+});
+
 window.completeOrder = async (orderId) => {
   const order = findOrderByReference(orderId);
   if (!order) {
@@ -2302,15 +2850,27 @@ window.completeOrder = async (orderId) => {
           </p>
         </div>
         
+        <div class="form-group">
+          <label class="form-label">
+            <i class="bi bi-key" style="margin-right: 4px;"></i>
+            Buyer's Handover Code
+          </label>
+          <input type="text" id="handover-code-complete" class="form-control font-mono text-lg tracking-widest"
+                 inputmode="numeric" pattern="[0-9]{6}" maxlength="6" autocomplete="off" placeholder="000000">
+          <p class="text-sm text-gray-600 mt-1">
+            <i class="bi bi-info-circle"></i> Ask the buyer for the 6-digit code in their order. With the code, the order completes right away and the photo is optional. Your location is recorded with the code.
+          </p>
+        </div>
+
         <div class="form-group">
           <label class="form-label">
             <i class="bi bi-camera" style="margin-right: 4px;"></i>
-            Upload Delivery Proof (Image) <span class="text-danger">*</span>
+            Upload Delivery Proof (Image) <span class="text-danger" id="delivery-proof-required">*</span>
           </label>
           <input type="file" id="delivery-proof-complete" class="form-control" 
-                 accept="image/jpeg,image/jpg,image/png" required>
+                 accept="image/jpeg,image/jpg,image/png">
           <p class="text-sm text-gray-600 mt-1">
-            <i class="bi bi-info-circle"></i> <strong>Required:</strong> Upload proof that items were delivered (photo of delivered items, buyer receiving, or customer signature)
+            <i class="bi bi-info-circle"></i> <strong>Required without a code:</strong> Upload proof that items were delivered (photo of delivered items, buyer receiving, or customer signature)
           </p>
           <div id="image-preview-complete" class="mt-2"></div>
         </div>
@@ -2348,21 +2908,39 @@ window.completeOrder = async (orderId) => {
     }
   });
   
+  const codeInput = document.getElementById('handover-code-complete');
+  const proofRequiredMark = document.getElementById('delivery-proof-required');
+
+  codeInput.addEventListener('input', () => {
+    codeInput.value = codeInput.value.replace(/\D/g, '').slice(0, 6);
+    proofRequiredMark.classList.toggle('hidden', codeInput.value.length > 0);
+  });
+  
   const btnConfirm = document.getElementById('btn-confirm-complete');
   btnConfirm.addEventListener('click', async () => {
     const file = fileInput.files[0];
+    const handoverCode = codeInput.value.trim();
     
-    if (!file) {
-      showError('Please upload delivery proof image - this is required to complete the order');
+    if (handoverCode && !/^\d{6}$/.test(handoverCode)) {
+      showError('The handover code has 6 digits');
+      return;
+    }
+
+    if (!file && !handoverCode) {
+      showError('Enter the buyer\'s handover code or upload a delivery proof image to complete the order');
       return;
     }
     
     try {
       btnConfirm.disabled = true;
-      btnConfirm.innerHTML = '<i class="bi bi-hourglass-split"></i> Uploading & Completing...';
+      btnConfirm.innerHTML = '<i class="bi bi-hourglass-split"></i> Completing...';
       
-      await confirmOrder(targetOrderId, file);
-      showSuccess('Order completed with delivery proof!');
+      const handover = handoverCode
+        ? { code: handoverCode, ...(await getHandoverPosition()) }
+        : null;
+
+      await confirmOrder(targetOrderId, file || null, handover);
+      showSuccess(handover ? 'Handover code accepted. Order completed!' : 'Order completed with delivery proof!');
       
       // Close modal
       document.querySelector('.modal-backdrop').remove();
@@ -2890,6 +3468,7 @@ window.viewOrderDetails = async (orderId) => {
     const safeDeliveryLocation = escapeHtml(order.delivery_location_name || '');
     const safeOrderNotes = escapeHtml(order.order_notes || '');
     const orderItems = Array.isArray(order.items) ? order.items : [];
+    const pendingAdjustment = (order.adjustments || []).find(adjustment => adjustment.status === 'pending');
 
     const detailsHtml = `
     <div class="space-y-4">
@@ -2908,160 +3487,1476 @@ window.viewOrderDetails = async (orderId) => {
         </div>
       </div>
 
-      <div class="grid grid-cols-2 gap-4">
-        <div>
-          <p class="text-sm text-gray-600">Order Date</p>
-          <p class="font-semibold">${formatDate(order.created_at)}</p>
-        </div>
-        <div>
-          <p class="text-sm text-gray-600">Delivery Option</p>
-          <p class="font-semibold">${safeDeliveryOption}</p>
-        </div>
-      </div>
+      <div class="grid grid-cols-2 gap-4">
+        <div>
+          <p class="text-sm text-gray-600">Order Date</p>
+          <p class="font-semibold">${formatDate(order.created_at)}</p>
+        </div>
+        <div>
+          <p class="text-sm text-gray-600">Delivery Option</p>
+          <p class="font-semibold">${safeDeliveryOption}</p>
+        </div>
+      </div>
+
+      <div>
+        <p class="text-sm text-gray-600 mb-2">Buyer Information</p>
+        <div class="bg-gray-50 p-3 rounded-lg space-y-1">
+          <p class="font-semibold">${safeBuyerName}</p>
+          ${safeBuyerEmail ? `<p class="text-sm text-gray-600"><i class="bi bi-envelope"></i> ${safeBuyerEmail}</p>` : ''}
+          ${safeBuyerPhone ? `<p class="text-sm text-gray-600"><i class="bi bi-telephone"></i> ${safeBuyerPhone}</p>` : ''}
+        </div>
+      </div>
+
+      <div>
+        <p class="text-sm text-gray-600 mb-2">Delivery Address</p>
+        <div class="bg-gray-50 p-3 rounded-lg">
+          <p class="text-sm">${safeDeliveryAddress}</p>
+          <p class="text-sm text-gray-600">${safeDeliveryLocation}</p>
+        </div>
+      </div>
+
+      ${order.preferred_date || order.preferred_time ? `
+        <div>
+          <p class="text-sm text-gray-600 mb-2">
+            <i class="bi bi-calendar-check"></i> Buyer's Preferred Delivery
+          </p>
+          <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
+            ${order.preferred_date ? `<p class="text-sm font-semibold"><i class="bi bi-calendar3"></i> ${new Date(order.preferred_date).toLocaleDateString('en-PH', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>` : ''}
+            ${order.preferred_time ? `<p class="text-sm mt-1"><i class="bi bi-clock"></i> ${order.preferred_time.charAt(0).toUpperCase() + order.preferred_time.slice(1)}</p>` : ''}
+          </div>
+        </div>
+      ` : ''}
+
+      ${order.order_notes ? `
+        <div>
+          <p class="text-sm text-gray-600 mb-2">
+            <i class="bi bi-chat-left-text"></i> Buyer's Special Notes
+          </p>
+          <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
+            <p class="text-sm italic">"${safeOrderNotes}"</p>
+          </div>
+        </div>
+      ` : ''}
+
+      <div>
+        <p class="text-sm text-gray-600 mb-2">Order Items</p>
+        <div class="space-y-2">
+          ${orderItems.map(item => `
+            <div class="flex justify-between items-start bg-gray-50 p-2 rounded">
+              <div>
+                <p class="font-semibold">${escapeHtml(item?.product_name ? getItemDisplayName(item) : 'Unknown Product')}</p>
+                <p class="text-sm text-gray-600">${escapeHtml(String(item?.quantity ?? 0))} ${escapeHtml(item?.unit_type || 'unit')}</p>
+              </div>
+              <p class="font-semibold">${formatCurrency(item.subtotal)}</p>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+
+      <div class="border-t pt-4">
+        ${order.voucher && !order.voucher.released_at ? `
+          <p class="text-sm text-gray-600 mb-2">
+            <i class="bi bi-ticket-perforated"></i> Voucher ${escapeHtml(order.voucher.code || '')}: -${formatCurrency(order.voucher.discount_amount)}
+            ${order.voucher.funded_by === 'platform' ? '(covered by AgriMarket, paid out to you on completion)' : '(from your shop)'}
+          </p>
+        ` : ''}
+        <div class="flex justify-between items-center">
+          <p class="text-lg font-bold">Total Amount:</p>
+          <p class="text-2xl font-bold text-success">${formatCurrency(order.total_amount)}</p>
+        </div>
+      </div>
+
+      ${renderOrderAdjustments(order)}
+
+      ${productReviews.length > 0 ? `
+        <div class="border-t pt-4">
+          <p class="text-sm text-gray-600 mb-3">
+            <i class="bi bi-star-fill text-warning"></i> Buyer Ratings & Reviews
+          </p>
+          <div class="space-y-3">
+            ${productReviews.map(review => `
+              <div class="bg-yellow-50 p-3 rounded-lg border border-yellow-200">
+                <div class="flex items-start justify-between mb-2">
+                  <div class="flex-1">
+                    <p class="font-semibold text-sm">${escapeHtml(review.product_name || 'Product')}</p>
+                    <p class="text-xs text-gray-500">${new Date(review.created_at).toLocaleDateString('en-US', { 
+                      month: 'long', 
+                      day: 'numeric', 
+                      year: 'numeric' 
+                    })}</p>
+                  </div>
+                  <div class="flex gap-1 text-warning">
+                    ${[1,2,3,4,5].map(star => 
+                      `<i class="bi bi-star${star <= review.rating ? '-fill' : ''}"></i>`
+                    ).join('')}
+                  </div>
+                </div>
+                ${review.comment ? `
+                  <p class="text-sm text-gray-700 mt-2 italic">"${escapeHtml(review.comment)}"</p>
+                ` : ''}
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      ` : ''}
+
+      ${order.seller_delivery_proof_url ? `
+        <div class="border-t pt-4">
+          <p class="text-sm text-gray-600 mb-2">
+            <i class="bi bi-image"></i> Your Delivery Proof (Seller)
+          </p>
+          <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
+            <img src="${getDeliveryProofUrl(order.seller_delivery_proof_url)}" 
+                 alt="Seller Delivery Proof" 
+                 class="w-full h-64 object-cover rounded-lg border cursor-pointer"
+                 onclick="window.open('${getDeliveryProofUrl(order.seller_delivery_proof_url)}', '_blank')">
+            <p class="text-xs text-gray-600 mt-2">
+              <i class="bi bi-info-circle"></i> Click to view full size
+            </p>
+          </div>
+        </div>
+      ` : ''}
+
+      ${order.buyer_delivery_proof_url ? `
+        <div class="border-t pt-4">
+          <p class="text-sm text-gray-600 mb-2">
+            <i class="bi bi-image"></i> Buyer's Receipt Proof
+          </p>
+          <div class="bg-green-50 p-3 rounded-lg border border-green-200">
+            <img src="${getDeliveryProofUrl(order.buyer_delivery_proof_url)}" 
+                 alt="Buyer Receipt Proof" 
+                 class="w-full h-64 object-cover rounded-lg border cursor-pointer"
+                 onclick="window.open('${getDeliveryProofUrl(order.buyer_delivery_proof_url)}', '_blank')">
+            <p class="text-xs text-gray-600 mt-2">
+              <i class="bi bi-info-circle"></i> Click to view full size
+            </p>
+          </div>
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+  const modal = createModal({
+    title: `Order Details - #${escapeHtml(order.order_number || 'N/A')}`,
+    content: detailsHtml,
+    size: 'lg',
+    footer: `
+      ${canAdjustOrder({ ...order, pending_adjustment_id: pendingAdjustment?.id }) ? `
+        <button class="btn btn-outline" id="btn-order-adjust-${order.id}"><i class="bi bi-pencil-square"></i> Adjust Items</button>
+      ` : ''}
+      <button class="btn btn-outline" id="btn-order-receipt-${order.id}"><i class="bi bi-receipt"></i> Receipt</button>
+      <button class="btn btn-outline" data-modal-close>Close</button>
+    `
+  });
+
+  document.getElementById(`btn-order-adjust-${order.id}`)?.addEventListener('click', () => {
+    modal.close();
+    window.openOrderAdjustment(order.id);
+  });
+
+  document.getElementById(`btn-withdraw-adjustment-${pendingAdjustment?.id}`)?.addEventListener('click', async () => {
+    const withdrawn = await handleWithdrawAdjustment(order.id, pendingAdjustment.id);
+    if (withdrawn) modal.close();
+  });
+
+  document.getElementById(`btn-order-receipt-${order.id}`)?.addEventListener('click', async () => {
+    try {
+      const blob = await downloadOrderReceipt(order.id);
+      downloadBlob(blob, `receipt-${order.order_number || order.id}.pdf`);
+    } catch (error) {
+      showError(error.message || 'Failed to download receipt');
+    }
+  });
+  
+  } catch (error) {
+    console.error('Error loading order details:', error);
+    showError(error.message || 'Failed to load order details');
+  }
+};
+
+// ============ Order Adjustments ============
+
+const ADJUSTABLE_ORDER_STATUSES = ['pending', 'confirmed'];
+// Weighed units settle on two decimals; the rest stay whole
+const MEASURED_UNIT_TYPES = ['kg', 'liter'];
+
+const ADJUSTMENT_STATUS_BADGES = {
+  pending: 'warning',
+  accepted: 'success',
+  rejected: 'danger',
+  withdrawn: 'secondary',
+  cancelled: 'secondary'
+};
+
+const canAdjustOrder = (order) => (
+  ADJUSTABLE_ORDER_STATUSES.includes(order?.status)
+  && (order?.payment_status || 'unpaid') === 'unpaid'
+  && !order?.pending_adjustment_id
+);
+
+const describeAdjustmentChange = (change) => {
+  const name = escapeHtml(change.product_name || 'Item');
+  const unit = escapeHtml(change.unit_type || '');
+
+  if (change.action === 'remove') {
+    return `Remove ${name} (${formatCurrency(-change.subtotal_before)})`;
+  }
+
+  if (change.action === 'substitute') {
+    return `Replace ${name} with ${escapeHtml(String(change.quantity_after))} ${escapeHtml(change.substitute_unit_type || '')} ${escapeHtml(change.substitute_product_name || '')} (${formatCurrency(change.subtotal_after)})`;
+  }
+
+  return `${name}: ${escapeHtml(String(change.quantity_before))} → ${escapeHtml(String(change.quantity_after))} ${unit} (${formatCurrency(change.subtotal_after)})`;
+};
+
+const renderOrderAdjustments = (order) => {
+  const adjustments = Array.isArray(order.adjustments) ? order.adjustments : [];
+  if (adjustments.length === 0) return '';
+
+  return `
+    <div class="border-t pt-4">
+      <p class="text-sm text-gray-600 mb-2"><i class="bi bi-pencil-square"></i> Item Adjustments</p>
+      <div class="space-y-2">
+        ${adjustments.map(adjustment => `
+          <div class="bg-gray-50 p-3 rounded-lg">
+            <div class="flex justify-between items-center mb-1">
+              <span class="badge badge-${ADJUSTMENT_STATUS_BADGES[adjustment.status] || 'secondary'}">${escapeHtml(adjustment.status.toUpperCase())}</span>
+              <span class="text-xs text-gray-500">${formatDate(adjustment.created_at)}</span>
+            </div>
+            <ul class="text-sm space-y-1">
+              ${(adjustment.changes || []).map(change => `<li>• ${describeAdjustmentChange(change)}</li>`).join('')}
+            </ul>
+            <p class="text-sm mt-1">Total: ${formatCurrency(adjustment.total_before)} → <strong>${formatCurrency(adjustment.total_after)}</strong></p>
+            ${adjustment.reason ? `<p class="text-xs text-gray-600 mt-1">Reason: ${escapeHtml(adjustment.reason)}</p>` : ''}
+            ${adjustment.response_note ? `<p class="text-xs text-gray-600 mt-1">Buyer note: ${escapeHtml(adjustment.response_note)}</p>` : ''}
+            ${adjustment.status === 'pending' ? `
+              <button class="btn btn-sm btn-outline mt-2" id="btn-withdraw-adjustment-${adjustment.id}">
+                <i class="bi bi-arrow-counterclockwise"></i> Withdraw
+              </button>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+};
+
+const handleWithdrawAdjustment = async (orderId, adjustmentId) => {
+  try {
+    await withdrawOrderAdjustment(orderId, adjustmentId);
+    showSuccess('Adjustment withdrawn');
+    await loadOrders();
+    return true;
+  } catch (error) {
+    console.error('Error withdrawing adjustment:', error);
+    showError(error.message || 'Failed to withdraw adjustment');
+    return false;
+  }
+};
+
+window.openOrderAdjustment = async (orderId) => {
+  try {
+    const targetOrderId = resolveOrderApiId(orderId);
+    const [orderResponse, productsResponse] = await Promise.all([
+      getOrderById(targetOrderId),
+      getMyProducts({ status: 'active' })
+    ]);
+    const order = orderResponse.data?.order;
+
+    if (!order) {
+      showError('Order not found');
+      return;
+    }
+
+    const items = Array.isArray(order.items) ? order.items : [];
+    // Products sold in variants cannot stand in as a single substitute line
+    const activeProducts = (productsResponse.data?.products || [])
+      .filter(product => product.status === 'active' && !(product.variants?.length > 0));
+    const quantityStep = (unitType) => (MEASURED_UNIT_TYPES.includes(unitType) ? '0.01' : '1');
+
+    const content = `
+      <div class="space-y-4">
+        <p class="text-sm text-gray-600">
+          Changes are sent to the buyer for approval. Stock and the order total update once the buyer accepts.
+        </p>
+        ${items.map(item => `
+          <div class="bg-gray-50 p-3 rounded-lg space-y-2" data-adjust-item="${escapeHtml(item.id)}">
+            <div class="flex justify-between">
+              <p class="font-semibold">${escapeHtml(getItemDisplayName(item))}</p>
+              <p class="text-sm text-gray-600">${escapeHtml(String(item.quantity))} ${escapeHtml(item.unit_type || '')} × ${formatCurrency(item.price_per_unit)}</p>
+            </div>
+            <div class="grid grid-cols-2 gap-2">
+              <select class="form-select" data-adjust-action>
+                <option value="">No change</option>
+                <option value="adjust_quantity">Change quantity / weight</option>
+                <option value="substitute">Substitute product</option>
+                <option value="remove">Remove item</option>
+              </select>
+              <input type="number" class="form-control hidden" data-adjust-quantity
+                     min="${quantityStep(item.unit_type)}" step="${quantityStep(item.unit_type)}"
+                     value="${escapeHtml(String(item.quantity))}" placeholder="New quantity">
+            </div>
+            <select class="form-select hidden" data-adjust-substitute>
+              <option value="">Choose a substitute...</option>
+              ${activeProducts.filter(product => product.id !== item.product_id).map(product => `
+                <option value="${escapeHtml(product.id)}" data-unit="${escapeHtml(product.unit_type || '')}">
+                  ${escapeHtml(product.name)} - ${formatCurrency(product.price_per_unit)}/${escapeHtml(product.unit_type || 'unit')} (${product.available_quantity} left)
+                </option>
+              `).join('')}
+            </select>
+          </div>
+        `).join('')}
+        <div>
+          <label class="form-label" for="adjustment-reason">Reason for the buyer</label>
+          <textarea id="adjustment-reason" class="form-control" rows="2" maxlength="500"
+                    placeholder="e.g. Tomatoes weighed out at 2.3 kg"></textarea>
+        </div>
+      </div>
+    `;
+
+    const modal = createModal({
+      title: `Adjust Items - #${escapeHtml(order.order_number || 'N/A')}`,
+      content,
+      size: 'lg',
+      footer: `
+        <button class="btn btn-outline" data-modal-close>Cancel</button>
+        <button class="btn btn-primary" id="btn-submit-adjustment"><i class="bi bi-send"></i> Send to Buyer</button>
+      `
+    });
+
+    const rows = [...document.querySelectorAll('[data-adjust-item]')];
+
+    rows.forEach(row => {
+      const actionSelect = row.querySelector('[data-adjust-action]');
+      const quantityInput = row.querySelector('[data-adjust-quantity]');
+      const substituteSelect = row.querySelector('[data-adjust-substitute]');
+
+      actionSelect.addEventListener('change', () => {
+        const action = actionSelect.value;
+        quantityInput.classList.toggle('hidden', !['adjust_quantity', 'substitute'].includes(action));
+        substituteSelect.classList.toggle('hidden', action !== 'substitute');
+      });
+
+      substituteSelect.addEventListener('change', () => {
+        const unit = substituteSelect.selectedOptions[0]?.dataset.unit || '';
+        quantityInput.step = quantityStep(unit);
+        quantityInput.min = quantityStep(unit);
+      });
+    });
+
+    const submitButton = document.getElementById('btn-submit-adjustment');
+    submitButton?.addEventListener('click', async () => {
+      const changes = [];
+
+      for (const row of rows) {
+        const action = row.querySelector('[data-adjust-action]').value;
+        if (!action) continue;
+
+        const change = { order_item_id: row.dataset.adjustItem, action };
+        if (action !== 'remove') {
+          change.quantity = parseFloat(row.querySelector('[data-adjust-quantity]').value);
+          if (!(change.quantity > 0)) {
+            showWarning('Enter a quantity greater than zero.');
+            return;
+          }
+        }
+        if (action === 'substitute') {
+          change.substitute_product_id = row.querySelector('[data-adjust-substitute]').value;
+          if (!change.substitute_product_id) {
+            showWarning('Choose a substitute product.');
+            return;
+          }
+        }
+        changes.push(change);
+      }
+
+      if (changes.length === 0) {
+        showWarning('Choose at least one change.');
+        return;
+      }
+
+      submitButton.disabled = true;
+      try {
+        await proposeOrderAdjustment(order.id, changes, document.getElementById('adjustment-reason')?.value.trim() || '');
+        modal.close();
+        showSuccess('Adjustment sent to the buyer');
+        await loadOrders();
+      } catch (error) {
+        console.error('Error proposing adjustment:', error);
+        showError(error.message || 'Failed to send adjustment');
+        submitButton.disabled = false;
+      }
+    });
+  } catch (error) {
+    console.error('Error opening order adjustment:', error);
+    showError(error.message || 'Failed to load order');
+  }
+};
+
+// ============ Delivery Slots ============
+
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const SLOT_STATUS_BADGES = {
+  pending: 'warning',
+  confirmed: 'info',
+  ready: 'primary',
+  completed: 'success'
+};
+
+// Calendar dates are YYYY-MM-DD in Philippine time, matching the server
+const toPhDateString = (date = new Date()) => new Date(date.getTime() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const shiftDateString = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const formatSlotDate = (dateStr) => new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-PH', {
+  weekday: 'long',
+  month: 'short',
+  day: 'numeric'
+});
+
+let slotScheduleDate = null;
+
+const renderSlotOrders = (orders = []) => {
+  if (orders.length === 0) {
+    return '<p class="text-xs text-gray-500">No bookings yet</p>';
+  }
+
+  return `
+    <ul class="space-y-1">
+      ${orders.map(order => `
+        <li class="flex items-center justify-between gap-2 text-sm">
+          <button type="button" class="text-left text-primary hover:underline" onclick="viewOrderDetails('${escapeHtml(order.id)}')">
+            #${escapeHtml(order.order_number || 'N/A')} • ${escapeHtml(order.buyer?.user?.full_name || 'Buyer')}
+          </button>
+          <span class="badge badge-${SLOT_STATUS_BADGES[order.status] || 'secondary'}">${escapeHtml(order.status || '')}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+};
+
+const loadSlotSchedule = async () => {
+  const container = document.getElementById('orders-slot-schedule');
+  if (!container) return;
+
+  if (!slotScheduleDate) slotScheduleDate = toPhDateString();
+
+  try {
+    const response = await getSlotSchedule({ dateFrom: slotScheduleDate, days: 1 });
+    const schedule = response.data || {};
+    const day = schedule.days?.[0];
+
+    container.classList.remove('hidden');
+
+    if (!schedule.uses_slots) {
+      container.innerHTML = `
+        <div class="card">
+          <div class="card-body flex items-center justify-between gap-3 flex-wrap">
+            <p class="text-sm text-gray-600"><i class="bi bi-calendar-week"></i> Set weekly delivery slots so buyers pick a time you can handle.</p>
+            <button class="btn btn-sm btn-outline" onclick="manageDeliverySlots()"><i class="bi bi-gear"></i> Set Up Slots</button>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    const slots = day?.slots || [];
+    const unscheduled = day?.unscheduled_orders || [];
+
+    container.innerHTML = `
+      <div class="card">
+        <div class="card-body space-y-3">
+          <div class="flex items-center justify-between gap-2 flex-wrap">
+            <div class="flex items-center gap-2">
+              <button class="btn btn-sm btn-outline" id="slot-day-prev" aria-label="Previous day"><i class="bi bi-chevron-left"></i></button>
+              <p class="font-semibold">${escapeHtml(formatSlotDate(slotScheduleDate))}</p>
+              <button class="btn btn-sm btn-outline" id="slot-day-next" aria-label="Next day"><i class="bi bi-chevron-right"></i></button>
+              ${slotScheduleDate !== toPhDateString() ? '<button class="btn btn-sm btn-outline" id="slot-day-today">Today</button>' : ''}
+            </div>
+            <button class="btn btn-sm btn-outline" onclick="manageDeliverySlots()"><i class="bi bi-gear"></i> Manage Slots</button>
+          </div>
+          ${day?.is_blackout ? `
+            <div class="alert alert-warning text-sm">
+              <i class="bi bi-calendar-x"></i> Closed${day.blackout_reason ? `: ${escapeHtml(day.blackout_reason)}` : ''}
+            </div>
+          ` : ''}
+          ${slots.length === 0 ? '<p class="text-sm text-gray-500">No delivery windows on this day.</p>' : `
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+              ${slots.map(slot => `
+                <div class="bg-gray-50 p-3 rounded-lg">
+                  <div class="flex justify-between items-center mb-2">
+                    <p class="font-semibold"><i class="bi bi-clock"></i> ${escapeHtml(slot.label)}</p>
+                    <span class="badge badge-${slot.booked >= slot.capacity ? 'danger' : 'success'}">${slot.booked}/${slot.capacity} booked</span>
+                  </div>
+                  ${renderSlotOrders(slot.orders)}
+                </div>
+              `).join('')}
+            </div>
+          `}
+          ${unscheduled.length > 0 ? `
+            <div>
+              <p class="text-sm text-gray-600 mb-1">Other orders for this day</p>
+              ${renderSlotOrders(unscheduled)}
+            </div>
+          ` : ''}
+        </div>
+      </div>
+    `;
+
+    const moveDay = (target) => {
+      slotScheduleDate = target;
+      loadSlotSchedule();
+    };
+    document.getElementById('slot-day-prev')?.addEventListener('click', () => moveDay(shiftDateString(slotScheduleDate, -1)));
+    document.getElementById('slot-day-next')?.addEventListener('click', () => moveDay(shiftDateString(slotScheduleDate, 1)));
+    document.getElementById('slot-day-today')?.addEventListener('click', () => moveDay(toPhDateString()));
+  } catch (error) {
+    console.error('Error loading slot schedule:', error);
+    container.classList.add('hidden');
+  }
+};
+
+const renderSlotSettings = (settings) => {
+  const windows = settings.windows || [];
+  const blackouts = settings.blackout_dates || [];
+
+  return `
+    <div class="space-y-5">
+      <div>
+        <p class="font-semibold mb-2">Weekly Windows</p>
+        ${windows.length === 0 ? '<p class="text-sm text-gray-500">No windows yet. Buyers pick any date and time until you add one.</p>' : `
+          <ul class="space-y-1">
+            ${windows.map(slotWindow => `
+              <li class="flex items-center justify-between bg-gray-50 p-2 rounded-lg text-sm">
+                <span>${WEEKDAY_LABELS[slotWindow.day_of_week]} • ${escapeHtml(String(slotWindow.start_time).slice(0, 5))}-${escapeHtml(String(slotWindow.end_time).slice(0, 5))} • ${slotWindow.capacity} orders</span>
+                <button class="btn btn-sm btn-outline" data-delete-window="${escapeHtml(slotWindow.id)}" aria-label="Remove window"><i class="bi bi-trash"></i></button>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+        <div class="grid grid-cols-2 md:grid-cols-5 gap-2 mt-3">
+          <select id="slot-window-day" class="form-select">
+            ${WEEKDAY_LABELS.map((label, index) => `<option value="${index}">${label}</option>`).join('')}
+          </select>
+          <input type="time" id="slot-window-start" class="form-control" value="08:00">
+          <input type="time" id="slot-window-end" class="form-control" value="10:00">
+          <input type="number" id="slot-window-capacity" class="form-control" min="1" max="100" value="5" placeholder="Capacity">
+          <button class="btn btn-primary" id="btn-add-slot-window"><i class="bi bi-plus"></i> Add</button>
+        </div>
+      </div>
+
+      <div class="border-t pt-4">
+        <p class="font-semibold mb-2">Blackout Dates</p>
+        ${blackouts.length === 0 ? '<p class="text-sm text-gray-500">No upcoming blackout dates.</p>' : `
+          <ul class="space-y-1">
+            ${blackouts.map(blackout => `
+              <li class="flex items-center justify-between bg-gray-50 p-2 rounded-lg text-sm">
+                <span>${escapeHtml(formatSlotDate(blackout.blackout_date))}${blackout.reason ? ` • ${escapeHtml(blackout.reason)}` : ''}</span>
+                <button class="btn btn-sm btn-outline" data-delete-blackout="${escapeHtml(blackout.id)}" aria-label="Remove blackout date"><i class="bi bi-trash"></i></button>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-2 mt-3">
+          <input type="date" id="slot-blackout-date" class="form-control" min="${toPhDateString()}">
+          <input type="text" id="slot-blackout-reason" class="form-control" maxlength="200" placeholder="Reason (optional)">
+          <button class="btn btn-primary" id="btn-add-blackout"><i class="bi bi-plus"></i> Block Date</button>
+        </div>
+      </div>
+    </div>
+  `;
+};
+
+window.manageDeliverySlots = async () => {
+  let settings;
+  try {
+    const response = await getSlotSettings();
+    settings = response.data || {};
+  } catch (error) {
+    console.error('Error loading slot settings:', error);
+    showError(error.message || 'Failed to load delivery slots');
+    return;
+  }
+
+  const modal = createModal({
+    title: 'Delivery Slots',
+    content: '<div id="slot-settings-body"></div>',
+    size: 'lg',
+    footer: '<button class="btn btn-outline" data-modal-close>Close</button>'
+  });
+
+  const runAction = async (action, successMessage) => {
+    try {
+      const response = await action();
+      showSuccess(response?.message || successMessage);
+      const refreshed = await getSlotSettings();
+      settings = refreshed.data || {};
+      render();
+      loadSlotSchedule();
+    } catch (error) {
+      console.error('Error updating delivery slots:', error);
+      showError(error.message || 'Failed to update delivery slots');
+    }
+  };
+
+  const render = () => {
+    const body = document.getElementById('slot-settings-body');
+    if (!body) return;
+    body.innerHTML = renderSlotSettings(settings);
+
+    document.getElementById('btn-add-slot-window')?.addEventListener('click', () => {
+      const capacity = parseInt(document.getElementById('slot-window-capacity')?.value, 10);
+      const startTime = document.getElementById('slot-window-start')?.value;
+      const endTime = document.getElementById('slot-window-end')?.value;
+
+      if (!startTime || !endTime || endTime <= startTime) {
+        showWarning('End time must be after start time.');
+        return;
+      }
+      if (!(capacity > 0)) {
+        showWarning('Capacity must be at least 1.');
+        return;
+      }
+
+      runAction(() => createDeliveryWindow({
+        day_of_week: parseInt(document.getElementById('slot-window-day')?.value, 10),
+        start_time: startTime,
+        end_time: endTime,
+        capacity
+      }), 'Delivery window added');
+    });
+
+    document.getElementById('btn-add-blackout')?.addEventListener('click', () => {
+      const blackoutDate = document.getElementById('slot-blackout-date')?.value;
+      if (!blackoutDate) {
+        showWarning('Choose a date to block.');
+        return;
+      }
+      runAction(
+        () => createBlackoutDate(blackoutDate, document.getElementById('slot-blackout-reason')?.value.trim() || ''),
+        'Blackout date added'
+      );
+    });
+
+    body.querySelectorAll('[data-delete-window]').forEach(button => {
+      button.addEventListener('click', () => runAction(() => deleteDeliveryWindow(button.dataset.deleteWindow), 'Delivery window removed'));
+    });
+
+    body.querySelectorAll('[data-delete-blackout]').forEach(button => {
+      button.addEventListener('click', () => runAction(() => deleteBlackoutDate(button.dataset.deleteBlackout), 'Blackout date removed'));
+    });
+  };
+
+  render();
+  return modal;
+};
+
+// ============ Variants ============
+
+const renderVariantRow = (variant = {}) => `
+  <div class="grid grid-cols-2 md:grid-cols-6 gap-2 items-center" data-variant-row="${escapeHtml(variant.id || '')}">
+    <input type="text" class="form-control md:col-span-2" data-variant-input="name" maxlength="100" placeholder="Name (e.g. Large)" value="${escapeHtml(variant.name || '')}">
+    <input type="text" class="form-control" data-variant-input="sku" maxlength="64" placeholder="SKU (optional)" value="${escapeHtml(variant.sku || '')}">
+    <input type="number" class="form-control" data-variant-input="price_per_unit" min="1" step="0.01" placeholder="Price" value="${escapeHtml(String(variant.price_per_unit ?? ''))}">
+    <div class="flex gap-1">
+      <select class="form-select" data-variant-input="unit_type">
+        ${Object.values(UNIT_TYPES).map(value => `
+          <option value="${value}" ${variant.unit_type === value ? 'selected' : ''}>${value}</option>
+        `).join('')}
+      </select>
+      <input type="number" class="form-control" data-variant-input="available_quantity" min="0" step="1" placeholder="Stock" value="${escapeHtml(String(variant.available_quantity ?? ''))}">
+    </div>
+    <div class="flex gap-1 justify-end">
+      <button class="btn btn-sm btn-primary" data-variant-save title="Save"><i class="bi bi-check2"></i></button>
+      ${variant.id ? '<button class="btn btn-sm btn-danger" data-variant-delete title="Remove"><i class="bi bi-trash"></i></button>' : ''}
+    </div>
+  </div>
+`;
+
+const readVariantRow = (row) => {
+  const value = (field) => row.querySelector(`[data-variant-input="${field}"]`)?.value.trim() ?? '';
+  return {
+    name: value('name'),
+    sku: value('sku') || null,
+    price_per_unit: parseFloat(value('price_per_unit')),
+    unit_type: value('unit_type'),
+    available_quantity: parseInt(value('available_quantity'), 10)
+  };
+};
+
+window.manageVariants = async (productId) => {
+  let variants;
+  try {
+    const response = await getVariants(productId);
+    variants = response.data?.variants || [];
+  } catch (error) {
+    console.error('Error loading variants:', error);
+    showError(error.message || 'Failed to load variants');
+    return;
+  }
+
+  const product = currentProducts.find(item => String(item.id) === String(productId));
+  const modal = createModal({
+    title: `Variants: ${product?.name || 'Product'}`,
+    content: `
+      <p class="text-sm text-gray-600 mb-3">
+        Sell sizes, grades or pack sizes under one listing. Buyers pick one; the listing shows the lowest price and the total stock.
+      </p>
+      <div id="variant-rows" class="space-y-2"></div>
+    `,
+    size: 'lg',
+    footer: '<button class="btn btn-outline" data-modal-close>Close</button>'
+  });
+
+  const runAction = async (action, successMessage) => {
+    try {
+      const response = await action();
+      showSuccess(response?.message || successMessage);
+      const refreshed = await getVariants(productId);
+      variants = refreshed.data?.variants || [];
+      render();
+      await loadProducts();
+    } catch (error) {
+      console.error('Error updating variants:', error);
+      showError(error.message || 'Failed to update variants');
+    }
+  };
+
+  const render = () => {
+    const container = document.getElementById('variant-rows');
+    if (!container) return;
+    container.innerHTML = `
+      ${variants.map(variant => renderVariantRow(variant)).join('')}
+      <p class="text-sm font-semibold pt-2">Add a variant</p>
+      ${renderVariantRow({ unit_type: product?.unit_type })}
+    `;
+
+    container.querySelectorAll('[data-variant-row]').forEach(row => {
+      const variantId = row.dataset.variantRow;
+
+      row.querySelector('[data-variant-save]')?.addEventListener('click', () => {
+        const data = readVariantRow(row);
+        if (!data.name) {
+          showWarning('Enter a variant name.');
+          return;
+        }
+        if (!(data.price_per_unit >= 1)) {
+          showWarning('Price must be at least ₱1.');
+          return;
+        }
+        if (!Number.isInteger(data.available_quantity) || data.available_quantity < 0) {
+          showWarning('Enter the stock for this variant.');
+          return;
+        }
+
+        runAction(
+          () => (variantId ? updateVariant(productId, variantId, data) : createVariant(productId, data)),
+          variantId ? 'Variant updated' : 'Variant added'
+        );
+      });
+
+      row.querySelector('[data-variant-delete]')?.addEventListener('click', () => {
+        runAction(() => deleteVariant(productId, variantId), 'Variant removed');
+      });
+    });
+  };
+
+  render();
+  return modal;
+};
+
+// ============ Bulk Prices ============
+
+const renderPriceTierRow = (tier = {}, unitType = 'unit') => `
+  <div class="grid grid-cols-3 gap-2 items-center" data-price-tier-row>
+    <div class="flex items-center gap-1">
+      <input type="number" class="form-control" data-tier-input="min_quantity" min="2" step="1" placeholder="From" value="${escapeHtml(String(tier.min_quantity ?? ''))}">
+      <span class="text-sm text-gray-600">${escapeHtml(unitType)}+</span>
+    </div>
+    <input type="number" class="form-control" data-tier-input="price_per_unit" min="1" step="0.01" placeholder="Price per ${escapeHtml(unitType)}" value="${escapeHtml(String(tier.price_per_unit ?? ''))}">
+    <div class="text-right">
+      <button type="button" class="btn btn-sm btn-danger" data-tier-remove title="Remove"><i class="bi bi-trash"></i></button>
+    </div>
+  </div>
+`;
+
+window.managePriceTiers = async (productId) => {
+  let pricing;
+  try {
+    const response = await getPriceTiers(productId);
+    pricing = response.data || {};
+  } catch (error) {
+    console.error('Error loading bulk prices:', error);
+    showError(error.message || 'Failed to load bulk prices');
+    return;
+  }
+
+  const product = currentProducts.find(item => String(item.id) === String(productId));
+  const unitType = pricing.unit_type || product?.unit_type || 'unit';
+
+  const modal = createModal({
+    title: `Bulk Prices: ${product?.name || 'Product'}`,
+    content: `
+      <p class="text-sm text-gray-600 mb-3">
+        Buyers pay ${formatCurrency(pricing.base_price_per_unit)} / ${escapeHtml(unitType)} below your first break.
+        Each break must be cheaper than the one before it.
+      </p>
+      <div id="price-tier-rows" class="space-y-2">
+        ${(pricing.tiers || []).map(tier => renderPriceTierRow(tier, unitType)).join('')}
+      </div>
+      <button type="button" class="btn btn-sm btn-outline mt-3" id="btn-add-price-tier"><i class="bi bi-plus"></i> Add Break</button>
+    `,
+    size: 'md',
+    footer: `
+      <button class="btn btn-outline" data-modal-close>Cancel</button>
+      <button class="btn btn-primary" id="btn-save-price-tiers"><i class="bi bi-check2"></i> Save</button>
+    `
+  });
+
+  const rows = document.getElementById('price-tier-rows');
+
+  rows?.addEventListener('click', (event) => {
+    event.target.closest('[data-tier-remove]')?.closest('[data-price-tier-row]')?.remove();
+  });
+
+  document.getElementById('btn-add-price-tier')?.addEventListener('click', () => {
+    rows?.insertAdjacentHTML('beforeend', renderPriceTierRow({}, unitType));
+  });
+
+  document.getElementById('btn-save-price-tiers')?.addEventListener('click', async () => {
+    const tiers = [...(rows?.querySelectorAll('[data-price-tier-row]') || [])]
+      .map(row => ({
+        min_quantity: parseInt(row.querySelector('[data-tier-input="min_quantity"]')?.value, 10),
+        price_per_unit: parseFloat(row.querySelector('[data-tier-input="price_per_unit"]')?.value)
+      }))
+      .filter(tier => Number.isFinite(tier.min_quantity) || Number.isFinite(tier.price_per_unit));
+
+    if (tiers.some(tier => !(tier.min_quantity >= 2) || !(tier.price_per_unit >= 1))) {
+      showWarning('Each break needs a quantity of 2 or more and a price of at least ₱1.');
+      return;
+    }
+
+    try {
+      const response = await savePriceTiers(productId, tiers);
+      showSuccess(response?.message || 'Bulk prices saved');
+      modal.close();
+      await loadProducts();
+    } catch (error) {
+      console.error('Error saving bulk prices:', error);
+      showError(error.message || 'Failed to save bulk prices');
+    }
+  });
+
+  return modal;
+};
+
+// ============ Stock History ============
+
+const INVENTORY_REASON_LABELS = {
+  initial_stock: 'Opening stock',
+  manual_edit: 'Edited listing',
+  order_placed: 'Order placed',
+  order_cancelled: 'Order cancelled',
+  order_adjusted: 'Order adjusted',
+  harvest: 'Harvest',
+  adjustment: 'Adjustment',
+  spoilage: 'Spoilage'
+};
+
+const renderInventoryMovementRow = (movement) => {
+  const orderLabel = movement.order
+    ? `#${escapeHtml(movement.order.order_number)}`
+    : (movement.order_id ? '<span class="text-gray-500">Not placed</span>' : '');
+
+  return `
+    <tr>
+      <td class="text-xs">${escapeHtml(formatDateTime(movement.created_at))}</td>
+      <td>
+        ${escapeHtml(INVENTORY_REASON_LABELS[movement.reason] || movement.reason)}
+        ${movement.variant ? `<br><span class="text-xs text-gray-500">${escapeHtml(movement.variant.name)}</span>` : ''}
+      </td>
+      <td class="font-semibold ${movement.change < 0 ? 'text-danger' : 'text-success'}">
+        ${movement.change > 0 ? '+' : ''}${escapeHtml(String(movement.change))}
+      </td>
+      <td>${escapeHtml(String(movement.quantity_after))}</td>
+      <td class="text-xs">${escapeHtml(movement.actor?.full_name || 'System')}</td>
+      <td class="text-xs">${orderLabel}</td>
+      <td class="text-xs">${escapeHtml(movement.note || '')}</td>
+    </tr>
+  `;
+};
+
+window.manageInventory = async (productId) => {
+  const filters = { reason: '', variant_id: '', date_from: '', date_to: '', page: 1 };
+  let history;
+
+  const load = async () => {
+    const response = await getInventoryHistory(productId, filters);
+    history = response.data || {};
+  };
+
+  try {
+    await load();
+  } catch (error) {
+    console.error('Error loading stock history:', error);
+    showError(error.message || 'Failed to load stock history');
+    return;
+  }
+
+  const product = history.product || {};
+  const variants = product.variants || [];
+  const unitType = product.unit_type || 'unit';
+  const variantOptions = variants.map(variant => `
+    <option value="${escapeHtml(variant.id)}">${escapeHtml(variant.name)}</option>
+  `).join('');
+
+  const modal = createModal({
+    title: `Stock History: ${product.name || 'Product'}`,
+    content: `
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+        <select class="form-select" data-inventory-filter="reason">
+          <option value="">All reasons</option>
+          ${Object.entries(INVENTORY_REASON_LABELS).map(([value, label]) => `
+            <option value="${value}">${label}</option>
+          `).join('')}
+        </select>
+        ${variants.length > 0 ? `
+          <select class="form-select" data-inventory-filter="variant_id">
+            <option value="">All variants</option>
+            ${variantOptions}
+          </select>
+        ` : ''}
+        <input type="date" class="form-control" data-inventory-filter="date_from" title="From">
+        <input type="date" class="form-control" data-inventory-filter="date_to" title="To">
+      </div>
+      <div data-inventory-summary class="text-sm mb-3"></div>
+      <div class="overflow-x-auto" data-inventory-movements></div>
+      <div class="flex items-center justify-between mt-2" data-inventory-pagination></div>
+
+      <div class="border-t mt-4 pt-3">
+        <p class="text-sm font-semibold mb-2">Record a recount or spoilage</p>
+        <div class="grid grid-cols-2 md:grid-cols-5 gap-2 items-center">
+          ${variants.length > 0 ? `
+            <select class="form-select" data-inventory-adjust="variant_id">
+              <option value="">Choose variant</option>
+              ${variantOptions}
+            </select>
+          ` : ''}
+          <select class="form-select" data-inventory-adjust="reason">
+            <option value="adjustment">Add / remove (recount)</option>
+            <option value="spoilage">Spoilage (remove)</option>
+          </select>
+          <input type="number" class="form-control" data-inventory-adjust="change" step="1" placeholder="Units, e.g. -5">
+          <input type="text" class="form-control" data-inventory-adjust="note" maxlength="255" placeholder="Note (optional)">
+          <button class="btn btn-primary" data-inventory-adjust-save><i class="bi bi-check2"></i> Record</button>
+        </div>
+      </div>
+    `,
+    size: 'xl',
+    footer: '<button class="btn btn-outline" data-modal-close>Close</button>'
+  });
+
+  const root = modal.backdrop;
+
+  const render = () => {
+    const { movements = [], summary, pagination = {} } = history;
+    const current = history.product?.available_quantity ?? product.available_quantity;
+
+    root.querySelector('[data-inventory-summary]').innerHTML = `
+      <span class="mr-4">In stock now: <strong>${escapeHtml(String(current))} ${escapeHtml(unitType)}</strong></span>
+      <span class="mr-4 text-success">In: +${escapeHtml(String(summary?.units_in || 0))}</span>
+      <span class="mr-4 text-danger">Out: -${escapeHtml(String(summary?.units_out || 0))}</span>
+      ${Object.entries(summary?.by_reason || {}).map(([reason, entry]) => `
+        <span class="badge badge-secondary mr-1">
+          ${escapeHtml(INVENTORY_REASON_LABELS[reason] || reason)}: ${entry.units_in ? `+${entry.units_in}` : ''}${entry.units_in && entry.units_out ? ' / ' : ''}${entry.units_out ? `-${entry.units_out}` : ''}
+        </span>
+      `).join('')}
+    `;
+
+    root.querySelector('[data-inventory-movements]').innerHTML = movements.length > 0 ? `
+      <table class="table w-full text-sm">
+        <thead>
+          <tr><th>When</th><th>Reason</th><th>Change</th><th>Left</th><th>By</th><th>Order</th><th>Note</th></tr>
+        </thead>
+        <tbody>${movements.map(renderInventoryMovementRow).join('')}</tbody>
+      </table>
+    ` : '<p class="text-sm text-gray-600">No stock changes recorded for these filters.</p>';
+
+    root.querySelector('[data-inventory-pagination]').innerHTML = pagination.total_pages > 1 ? `
+      <p class="text-xs text-gray-600">Page ${pagination.page} of ${pagination.total_pages} (${pagination.total} changes)</p>
+      <div class="flex items-center gap-2">
+        <button class="btn btn-sm btn-outline" data-inventory-page="${pagination.page - 1}" ${pagination.page <= 1 ? 'disabled' : ''}>Prev</button>
+        <button class="btn btn-sm btn-outline" data-inventory-page="${pagination.page + 1}" ${pagination.page >= pagination.total_pages ? 'disabled' : ''}>Next</button>
+      </div>
+    ` : '';
+  };
+
+  const reload = async () => {
+    try {
+      await load();
+      render();
+    } catch (error) {
+      console.error('Error loading stock history:', error);
+      showError(error.message || 'Failed to load stock history');
+    }
+  };
+
+  root.querySelectorAll('[data-inventory-filter]').forEach(input => {
+    input.addEventListener('change', () => {
+      filters[input.dataset.inventoryFilter] = input.value;
+      filters.page = 1;
+      reload();
+    });
+  });
+
+  root.querySelector('[data-inventory-pagination]')?.addEventListener('click', (event) => {
+    const page = parseInt(event.target.closest('[data-inventory-page]')?.dataset.inventoryPage, 10);
+    if (!page) return;
+    filters.page = page;
+    reload();
+  });
+
+  root.querySelector('[data-inventory-adjust-save]')?.addEventListener('click', async () => {
+    const value = (field) => root.querySelector(`[data-inventory-adjust="${field}"]`)?.value.trim() ?? '';
+    const reason = value('reason');
+    let change = parseInt(value('change'), 10);
+
+    if (!Number.isInteger(change) || change === 0) {
+      showWarning('Enter how many units to add or remove.');
+      return;
+    }
+    // Spoilage always takes stock away, whichever sign was typed
+    if (reason === 'spoilage') change = -Math.abs(change);
+
+    if (variants.length > 0 && !value('variant_id')) {
+      showWarning('Choose which variant this is for.');
+      return;
+    }
+
+    try {
+      const response = await recordInventoryAdjustment(productId, {
+        change,
+        reason,
+        note: value('note') || null,
+        variant_id: value('variant_id') || null
+      });
+      showSuccess(response?.message || 'Stock updated');
+      root.querySelector('[data-inventory-adjust="change"]').value = '';
+      root.querySelector('[data-inventory-adjust="note"]').value = '';
+      filters.page = 1;
+      await reload();
+      await loadProducts();
+    } catch (error) {
+      console.error('Error recording stock adjustment:', error);
+      showError(error.message || 'Failed to record stock adjustment');
+    }
+  });
+
+  render();
+  return modal;
+};
+
+// ============ Promotions ============
+
+// datetime-local inputs work in local time without a zone
+const toLocalDateTimeInput = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const describePromotionScope = (promotion) => {
+  if (promotion.scope === 'categories') {
+    return promotion.categories.map(category => category.replace('_', ' ')).join(', ');
+  }
+  const names = promotion.product_ids
+    .map(id => currentProducts.find(product => String(product.id) === String(id))?.name)
+    .filter(Boolean);
+  return names.length > 0 ? names.join(', ') : `${promotion.product_ids.length} product${promotion.product_ids.length === 1 ? '' : 's'}`;
+};
+
+const renderPromotionRow = (promotion) => `
+  <tr>
+    <td>
+      <p class="font-semibold">${escapeHtml(promotion.name)}</p>
+      <p class="text-xs text-gray-600">${escapeHtml(describePromotionScope(promotion))}</p>
+    </td>
+    <td>${escapeHtml(formatDiscount(promotion))}</td>
+    <td class="text-xs">${escapeHtml(formatDateTime(promotion.starts_at))}<br>to ${escapeHtml(formatDateTime(promotion.ends_at))}</td>
+    <td>${promotion.usage_count}${promotion.usage_limit ? ` / ${promotion.usage_limit}` : ''}</td>
+    <td class="text-xs">${formatCurrency(promotion.performance.revenue)}<br>${formatCurrency(promotion.performance.discount_given)} off</td>
+    <td><span class="badge ${promotion.status === 'active' ? 'badge-success' : 'badge-secondary'}">${PROMOTION_STATUS_LABELS[promotion.status] || escapeHtml(promotion.status)}</span></td>
+    <td class="text-right whitespace-nowrap">
+      <button class="btn btn-sm btn-outline" data-promotion-edit="${escapeHtml(promotion.id)}"><i class="bi bi-pencil"></i></button>
+      ${['active', 'scheduled'].includes(promotion.status) ? `
+        <button class="btn btn-sm btn-danger" data-promotion-end="${escapeHtml(promotion.id)}" title="End now"><i class="bi bi-stop-circle"></i></button>
+      ` : ''}
+    </td>
+  </tr>
+`;
+
+let promotionsModal = null;
+
+const refreshAfterPromotionChange = async () => {
+  if (latestAnalyticsSnapshot) await loadAnalytics();
+  await window.managePromotions();
+};
+
+const openPromotionForm = (promotion = null) => {
+  const selectedProducts = new Set((promotion?.product_ids || []).map(String));
+  const selectedCategories = new Set(promotion?.categories || []);
+  const scope = promotion?.scope || 'products';
+  const defaultStart = new Date();
+  const defaultEnd = new Date(defaultStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+  const modal = createModal({
+    title: promotion ? `Edit Promotion: ${promotion.name}` : 'New Promotion',
+    content: `
+      <form id="promotion-form" class="space-y-3">
+        <div class="form-group">
+          <label class="form-label">Name</label>
+          <input id="promotion-name" class="form-control" maxlength="100" required value="${escapeHtml(promotion?.name || '')}" placeholder="e.g. Weekend Harvest Sale">
+        </div>
+        <div class="grid grid-cols-2 gap-3">
+          <div class="form-group">
+            <label class="form-label">Discount</label>
+            <select id="promotion-discount-type" class="form-select">
+              <option value="percentage" ${promotion?.discount_type !== 'fixed' ? 'selected' : ''}>Percent off</option>
+              <option value="fixed" ${promotion?.discount_type === 'fixed' ? 'selected' : ''}>Amount off per unit (₱)</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Value</label>
+            <input id="promotion-discount-value" type="number" class="form-control" min="0.01" step="0.01" required value="${escapeHtml(String(promotion?.discount_value ?? ''))}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Starts</label>
+            <input id="promotion-starts-at" type="datetime-local" class="form-control" required value="${toLocalDateTimeInput(promotion?.starts_at || defaultStart)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Ends</label>
+            <input id="promotion-ends-at" type="datetime-local" class="form-control" required value="${toLocalDateTimeInput(promotion?.ends_at || defaultEnd)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Usage limit (orders)</label>
+            <input id="promotion-usage-limit" type="number" class="form-control" min="1" step="1" placeholder="No limit" value="${escapeHtml(String(promotion?.usage_limit ?? ''))}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Applies to</label>
+            <select id="promotion-scope" class="form-select">
+              <option value="products" ${scope === 'products' ? 'selected' : ''}>Selected products</option>
+              <option value="categories" ${scope === 'categories' ? 'selected' : ''}>Whole categories</option>
+            </select>
+          </div>
+        </div>
+        <div id="promotion-products" class="form-group ${scope === 'products' ? '' : 'hidden'}">
+          <label class="form-label">Products</label>
+          <div class="max-h-48 overflow-y-auto border rounded p-2 space-y-1">
+            ${currentProducts.length > 0 ? currentProducts.map(product => `
+              <label class="flex items-center gap-2 text-sm">
+                <input type="checkbox" data-promotion-product value="${escapeHtml(product.id)}" ${selectedProducts.has(String(product.id)) ? 'checked' : ''}>
+                ${escapeHtml(product.name)} <span class="text-gray-500">${formatCurrency(product.price_per_unit)} / ${escapeHtml(product.unit_type)}</span>
+              </label>
+            `).join('') : '<p class="text-sm text-gray-600">Add products first.</p>'}
+          </div>
+        </div>
+        <div id="promotion-categories" class="form-group ${scope === 'categories' ? '' : 'hidden'}">
+          <label class="form-label">Categories</label>
+          <div class="flex flex-wrap gap-3">
+            ${Object.values(PRODUCT_CATEGORIES).map(category => `
+              <label class="flex items-center gap-2 text-sm">
+                <input type="checkbox" data-promotion-category value="${category}" ${selectedCategories.has(category) ? 'checked' : ''}>
+                ${category.replace('_', ' ')}
+              </label>
+            `).join('')}
+          </div>
+        </div>
+      </form>
+    `,
+    size: 'lg',
+    footer: `
+      <button class="btn btn-outline" data-modal-close>Cancel</button>
+      <button class="btn btn-primary" id="btn-save-promotion"><i class="bi bi-check2"></i> Save</button>
+    `
+  });
+
+  document.getElementById('promotion-scope')?.addEventListener('change', (event) => {
+    document.getElementById('promotion-products')?.classList.toggle('hidden', event.target.value !== 'products');
+    document.getElementById('promotion-categories')?.classList.toggle('hidden', event.target.value !== 'categories');
+  });
+
+  document.getElementById('btn-save-promotion')?.addEventListener('click', async () => {
+    const form = document.getElementById('promotion-form');
+    if (!form?.reportValidity()) return;
+
+    const startsAt = new Date(document.getElementById('promotion-starts-at').value);
+    const endsAt = new Date(document.getElementById('promotion-ends-at').value);
+    const usageLimit = document.getElementById('promotion-usage-limit').value;
+    const payload = {
+      name: document.getElementById('promotion-name').value.trim(),
+      discount_type: document.getElementById('promotion-discount-type').value,
+      discount_value: parseFloat(document.getElementById('promotion-discount-value').value),
+      scope: document.getElementById('promotion-scope').value,
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString(),
+      usage_limit: usageLimit ? parseInt(usageLimit, 10) : null,
+      product_ids: [...form.querySelectorAll('[data-promotion-product]:checked')].map(input => input.value),
+      categories: [...form.querySelectorAll('[data-promotion-category]:checked')].map(input => input.value)
+    };
+
+    if (endsAt <= startsAt) {
+      showWarning('The promotion must end after it starts.');
+      return;
+    }
+
+    if (payload.scope === 'products' ? payload.product_ids.length === 0 : payload.categories.length === 0) {
+      showWarning(`Choose at least one ${payload.scope === 'products' ? 'product' : 'category'}.`);
+      return;
+    }
+
+    try {
+      const response = promotion
+        ? await updatePromotion(promotion.id, payload)
+        : await createPromotion(payload);
+      showSuccess(response?.message || 'Promotion saved');
+      modal.close();
+      await refreshAfterPromotionChange();
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      showError(error.message || 'Failed to save promotion');
+    }
+  });
+
+  return modal;
+};
+
+window.managePromotions = async () => {
+  let promotions;
+  try {
+    if (currentProducts.length === 0) {
+      const productsResponse = await getMyProducts();
+      currentProducts = productsResponse?.data?.products || [];
+    }
+    const response = await getPromotions();
+    promotions = response.data?.promotions || [];
+  } catch (error) {
+    console.error('Error loading promotions:', error);
+    showError(error.message || 'Failed to load promotions');
+    return;
+  }
 
-      <div>
-        <p class="text-sm text-gray-600 mb-2">Buyer Information</p>
-        <div class="bg-gray-50 p-3 rounded-lg space-y-1">
-          <p class="font-semibold">${safeBuyerName}</p>
-          ${safeBuyerEmail ? `<p class="text-sm text-gray-600"><i class="bi bi-envelope"></i> ${safeBuyerEmail}</p>` : ''}
-          ${safeBuyerPhone ? `<p class="text-sm text-gray-600"><i class="bi bi-telephone"></i> ${safeBuyerPhone}</p>` : ''}
-        </div>
-      </div>
+  promotionsModal?.close();
 
-      <div>
-        <p class="text-sm text-gray-600 mb-2">Delivery Address</p>
-        <div class="bg-gray-50 p-3 rounded-lg">
-          <p class="text-sm">${safeDeliveryAddress}</p>
-          <p class="text-sm text-gray-600">${safeDeliveryLocation}</p>
-        </div>
+  const modal = createModal({
+    title: 'Promotions',
+    content: `
+      <p class="text-sm text-gray-600 mb-3">
+        Buyers see the regular price struck through while a promotion runs. When several apply to a product, the biggest discount wins.
+      </p>
+      <div class="overflow-x-auto" data-promotions-list>
+        ${promotions.length > 0 ? `
+          <table class="table w-full text-sm">
+            <thead>
+              <tr><th>Promotion</th><th>Discount</th><th>Runs</th><th>Uses</th><th>Revenue</th><th>Status</th><th></th></tr>
+            </thead>
+            <tbody>${promotions.map(renderPromotionRow).join('')}</tbody>
+          </table>
+        ` : '<p class="text-sm text-gray-600">No promotions yet.</p>'}
       </div>
+    `,
+    size: 'xl',
+    footer: `
+      <button class="btn btn-outline" data-modal-close>Close</button>
+      <button class="btn btn-primary" data-promotion-new><i class="bi bi-plus"></i> New Promotion</button>
+    `
+  });
+  promotionsModal = modal;
 
-      ${order.preferred_date || order.preferred_time ? `
-        <div>
-          <p class="text-sm text-gray-600 mb-2">
-            <i class="bi bi-calendar-check"></i> Buyer's Preferred Delivery
-          </p>
-          <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
-            ${order.preferred_date ? `<p class="text-sm font-semibold"><i class="bi bi-calendar3"></i> ${new Date(order.preferred_date).toLocaleDateString('en-PH', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>` : ''}
-            ${order.preferred_time ? `<p class="text-sm mt-1"><i class="bi bi-clock"></i> ${order.preferred_time.charAt(0).toUpperCase() + order.preferred_time.slice(1)}</p>` : ''}
-          </div>
-        </div>
-      ` : ''}
+  // The previous list may still be fading out, so look inside this modal only
+  modal.backdrop.querySelector('[data-promotion-new]')?.addEventListener('click', () => openPromotionForm());
 
-      ${order.order_notes ? `
-        <div>
-          <p class="text-sm text-gray-600 mb-2">
-            <i class="bi bi-chat-left-text"></i> Buyer's Special Notes
-          </p>
-          <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
-            <p class="text-sm italic">"${safeOrderNotes}"</p>
-          </div>
-        </div>
-      ` : ''}
+  modal.backdrop.querySelector('[data-promotions-list]')?.addEventListener('click', async (event) => {
+    const editId = event.target.closest('[data-promotion-edit]')?.dataset.promotionEdit;
+    const endId = event.target.closest('[data-promotion-end]')?.dataset.promotionEnd;
 
-      <div>
-        <p class="text-sm text-gray-600 mb-2">Order Items</p>
-        <div class="space-y-2">
-          ${orderItems.map(item => `
-            <div class="flex justify-between items-start bg-gray-50 p-2 rounded">
-              <div>
-                <p class="font-semibold">${escapeHtml(item?.product_name || 'Unknown Product')}</p>
-                <p class="text-sm text-gray-600">${escapeHtml(String(item?.quantity ?? 0))} ${escapeHtml(item?.unit_type || 'unit')}</p>
-              </div>
-              <p class="font-semibold">${formatCurrency(item.subtotal)}</p>
-            </div>
-          `).join('')}
-        </div>
-      </div>
+    if (editId) {
+      openPromotionForm(promotions.find(promotion => promotion.id === editId));
+      return;
+    }
 
-      <div class="border-t pt-4">
-        <div class="flex justify-between items-center">
-          <p class="text-lg font-bold">Total Amount:</p>
-          <p class="text-2xl font-bold text-success">${formatCurrency(order.total_amount)}</p>
-        </div>
-      </div>
+    if (endId) {
+      const target = promotions.find(promotion => promotion.id === endId);
+      const confirmModal = createModal({
+        title: 'End Promotion',
+        content: `<p class="text-gray-700">End <strong>${escapeHtml(target?.name || 'this promotion')}</strong> now? Buyers pay the regular price from then on.</p>`,
+        footer: `
+          <button class="btn btn-outline" data-modal-close>Cancel</button>
+          <button class="btn btn-danger" id="btn-confirm-end-promotion"><i class="bi bi-stop-circle"></i> End Now</button>
+        `,
+        size: 'sm'
+      });
 
-      ${productReviews.length > 0 ? `
-        <div class="border-t pt-4">
-          <p class="text-sm text-gray-600 mb-3">
-            <i class="bi bi-star-fill text-warning"></i> Buyer Ratings & Reviews
-          </p>
-          <div class="space-y-3">
-            ${productReviews.map(review => `
-              <div class="bg-yellow-50 p-3 rounded-lg border border-yellow-200">
-                <div class="flex items-start justify-between mb-2">
-                  <div class="flex-1">
-                    <p class="font-semibold text-sm">${escapeHtml(review.product_name || 'Product')}</p>
-                    <p class="text-xs text-gray-500">${new Date(review.created_at).toLocaleDateString('en-US', { 
-                      month: 'long', 
-                      day: 'numeric', 
-                      year: 'numeric' 
-                    })}</p>
-                  </div>
-                  <div class="flex gap-1 text-warning">
-                    ${[1,2,3,4,5].map(star => 
-                      `<i class="bi bi-star${star <= review.rating ? '-fill' : ''}"></i>`
-                    ).join('')}
-                  </div>
-                </div>
-                ${review.comment ? `
-                  <p class="text-sm text-gray-700 mt-2 italic">"${escapeHtml(review.comment)}"</p>
-                ` : ''}
-              </div>
-            `).join('')}
-          </div>
+      document.getElementById('btn-confirm-end-promotion')?.addEventListener('click', async () => {
+        try {
+          const response = await endPromotion(endId);
+          showSuccess(response?.message || 'Promotion ended');
+          confirmModal.close();
+          await refreshAfterPromotionChange();
+        } catch (error) {
+          console.error('Error ending promotion:', error);
+          showError(error.message || 'Failed to end promotion');
+        }
+      });
+    }
+  });
+
+  return modal;
+};
+
+// ============ Pre-orders ============
+
+const renderPreorderSettings = (product, orders) => {
+  const remaining = Math.max(0, Number(product.preorder_quota || 0) - Number(product.preorder_reserved || 0));
+  const unitType = escapeHtml(product.unit_type || 'units');
+
+  return `
+    <div class="space-y-5">
+      <div>
+        <p class="font-semibold mb-1">${product.is_preorder ? 'Pre-orders are open' : 'Take orders before harvest'}</p>
+        <p class="text-sm text-gray-600 mb-3">
+          ${product.is_preorder
+            ? `${Number(product.preorder_reserved || 0)} of ${Number(product.preorder_quota || 0)} ${unitType} reserved, ${remaining} left.`
+            : 'Buyers can order up to the quota. Their orders wait until you record the harvest.'}
+        </p>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-2">
+          <input type="date" id="preorder-harvest-date" class="form-control" min="${toPhDateString()}" value="${escapeHtml(product.expected_harvest_date || '')}">
+          <input type="number" id="preorder-quota" class="form-control" min="1" step="1" value="${escapeHtml(String(product.preorder_quota || ''))}" placeholder="Quota (${unitType})">
+          <button class="btn btn-primary" id="btn-save-preorder">
+            <i class="bi bi-check2"></i> ${product.is_preorder ? 'Update' : 'Open Pre-orders'}
+          </button>
         </div>
-      ` : ''}
+      </div>
 
-      ${order.seller_delivery_proof_url ? `
+      ${product.is_preorder ? `
         <div class="border-t pt-4">
-          <p class="text-sm text-gray-600 mb-2">
-            <i class="bi bi-image"></i> Your Delivery Proof (Seller)
-          </p>
-          <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
-            <img src="${getDeliveryProofUrl(order.seller_delivery_proof_url)}" 
-                 alt="Seller Delivery Proof" 
-                 class="w-full h-64 object-cover rounded-lg border cursor-pointer"
-                 onclick="window.open('${getDeliveryProofUrl(order.seller_delivery_proof_url)}', '_blank')">
-            <p class="text-xs text-gray-600 mt-2">
-              <i class="bi bi-info-circle"></i> Click to view full size
-            </p>
-          </div>
+          <p class="font-semibold mb-2">Waiting Orders (${orders.length})</p>
+          ${orders.length === 0 ? '<p class="text-sm text-gray-500">No pre-orders yet.</p>' : `
+            <ul class="space-y-1">
+              ${orders.map(order => `
+                <li class="flex items-center justify-between bg-gray-50 p-2 rounded-lg text-sm">
+                  <span>#${order.queue_position} • Order #${escapeHtml(order.order_number)} • ${escapeHtml(order.buyer?.user?.full_name || 'Buyer')}</span>
+                  <span class="font-semibold">${escapeHtml(String(order.quantity))} ${unitType}</span>
+                </li>
+              `).join('')}
+            </ul>
+          `}
         </div>
-      ` : ''}
 
-      ${order.buyer_delivery_proof_url ? `
         <div class="border-t pt-4">
-          <p class="text-sm text-gray-600 mb-2">
-            <i class="bi bi-image"></i> Buyer's Receipt Proof
-          </p>
-          <div class="bg-green-50 p-3 rounded-lg border border-green-200">
-            <img src="${getDeliveryProofUrl(order.buyer_delivery_proof_url)}" 
-                 alt="Buyer Receipt Proof" 
-                 class="w-full h-64 object-cover rounded-lg border cursor-pointer"
-                 onclick="window.open('${getDeliveryProofUrl(order.buyer_delivery_proof_url)}', '_blank')">
-            <p class="text-xs text-gray-600 mt-2">
-              <i class="bi bi-info-circle"></i> Click to view full size
-            </p>
+          <p class="font-semibold mb-1">Record Harvest</p>
+          <p class="text-sm text-gray-600 mb-3">Orders are filled oldest first. Any that do not fit are cancelled and leftovers become regular stock.</p>
+          <div class="grid grid-cols-1 md:grid-cols-3 gap-2">
+            <input type="number" id="preorder-harvested-quantity" class="form-control" min="0" step="1" placeholder="Harvested (${unitType})">
+            <button class="btn btn-success" id="btn-record-harvest"><i class="bi bi-basket"></i> Record Harvest</button>
+            ${orders.length === 0 ? `
+              <button class="btn btn-outline" id="btn-close-preorder"><i class="bi bi-x-circle"></i> Close Pre-orders</button>
+            ` : ''}
           </div>
         </div>
       ` : ''}
     </div>
   `;
+};
+
+window.managePreorder = async (productId) => {
+  let queue;
+  try {
+    const response = await getPreorderQueue(productId);
+    queue = response.data || {};
+  } catch (error) {
+    console.error('Error loading pre-orders:', error);
+    showError(error.message || 'Failed to load pre-orders');
+    return;
+  }
 
   const modal = createModal({
-    title: `Order Details - #${escapeHtml(order.order_number || 'N/A')}`,
-    content: detailsHtml,
+    title: `Pre-orders: ${queue.product?.name || 'Product'}`,
+    content: '<div id="preorder-settings-body"></div>',
     size: 'lg',
-    footer: `
-      <button class="btn btn-outline" data-modal-close>Close</button>
-    `
+    footer: '<button class="btn btn-outline" data-modal-close>Close</button>'
   });
-  
-  } catch (error) {
-    console.error('Error loading order details:', error);
-    showError(error.message || 'Failed to load order details');
-  }
+
+  const runAction = async (action, successMessage) => {
+    try {
+      const response = await action();
+      showSuccess(response?.message || successMessage);
+      const refreshed = await getPreorderQueue(productId);
+      queue = refreshed.data || {};
+      render();
+      await Promise.all([loadProducts(), loadOrders()]);
+    } catch (error) {
+      console.error('Error updating pre-orders:', error);
+      showError(error.message || 'Failed to update pre-orders');
+    }
+  };
+
+  const render = () => {
+    const body = document.getElementById('preorder-settings-body');
+    if (!body) return;
+    body.innerHTML = renderPreorderSettings(queue.product || {}, queue.orders || []);
+
+    document.getElementById('btn-save-preorder')?.addEventListener('click', () => {
+      const harvestDate = document.getElementById('preorder-harvest-date')?.value;
+      const quota = parseInt(document.getElementById('preorder-quota')?.value, 10);
+
+      if (!harvestDate) {
+        showWarning('Choose the expected harvest date.');
+        return;
+      }
+      if (!(quota > 0)) {
+        showWarning('Quota must be at least 1.');
+        return;
+      }
+
+      runAction(() => setPreorder(productId, {
+        expected_harvest_date: harvestDate,
+        preorder_quota: quota
+      }), 'Pre-order settings saved');
+    });
+
+    document.getElementById('btn-record-harvest')?.addEventListener('click', () => {
+      const harvested = parseInt(document.getElementById('preorder-harvested-quantity')?.value, 10);
+      if (!Number.isInteger(harvested) || harvested < 0) {
+        showWarning('Enter the harvested quantity.');
+        return;
+      }
+      const confirmModal = createModal({
+        title: 'Record Harvest',
+        content: `<p class="text-gray-700">Allocate ${harvested} ${escapeHtml(queue.product?.unit_type || 'units')} to waiting pre-orders? This cannot be undone.</p>`,
+        footer: `
+          <button class="btn btn-outline" data-modal-close>Cancel</button>
+          <button class="btn btn-success" id="btn-confirm-harvest"><i class="bi bi-basket"></i> Allocate</button>
+        `,
+        size: 'sm'
+      });
+      document.getElementById('btn-confirm-harvest')?.addEventListener('click', () => {
+        confirmModal.close();
+        runAction(() => recordHarvest(productId, harvested), 'Harvest recorded');
+      });
+    });
+
+    document.getElementById('btn-close-preorder')?.addEventListener('click', () => {
+      runAction(() => disablePreorder(productId), 'Pre-orders closed');
+    });
+  };
+
+  render();
+  return modal;
 };
 
 // ============ Analytics ============
@@ -3083,8 +4978,7 @@ const analyticsState = {
   defaultMargin: 30,
   goalSales: 0,
   goalOrders: 0,
-  promoStartDate: '',
-  promoDiscount: 0
+  promoId: ''
 };
 
 const getAnalyticsRangeLabel = () => {
@@ -3201,8 +5095,7 @@ const loadAnalyticsSettings = () => {
     analyticsState.defaultMargin = Math.min(95, Math.max(0, toNumber(parsed.defaultMargin ?? analyticsState.defaultMargin)));
     analyticsState.goalSales = Math.max(0, toNumber(parsed.goalSales || 0));
     analyticsState.goalOrders = Math.max(0, toInt(parsed.goalOrders || 0));
-    analyticsState.promoStartDate = parsed.promoStartDate || '';
-    analyticsState.promoDiscount = Math.min(95, Math.max(0, toNumber(parsed.promoDiscount || 0)));
+    analyticsState.promoId = parsed.promoId || '';
   } catch (error) {
     console.warn('Failed to load analytics settings:', error);
   }
@@ -3408,6 +5301,7 @@ const loadAnalytics = async () => {
     renderProfitAnalyticsCard();
     renderGoalTrackingCard();
     renderPromoImpactCard();
+    loadEarningsStatements();
     updateAnalyticsFreshness();
     
   } catch (error) {
@@ -3757,9 +5651,8 @@ const setupAnalyticsEventListeners = () => {
   const goalSales = document.getElementById('goal-sales-target');
   const goalOrders = document.getElementById('goal-orders-target');
   const saveGoals = document.getElementById('btn-save-goals');
-  const promoStart = document.getElementById('promo-start-date');
-  const promoDiscount = document.getElementById('promo-discount');
-  const promoAnalyze = document.getElementById('btn-apply-promo-impact');
+  const promoSelect = document.getElementById('promo-select');
+  const managePromotions = document.getElementById('btn-manage-promotions');
 
   const toggleCustom = () => {
     const show = analyticsState.range === 'custom';
@@ -3774,8 +5667,6 @@ const setupAnalyticsEventListeners = () => {
   if (marginInput) marginInput.value = analyticsState.defaultMargin;
   if (goalSales) goalSales.value = analyticsState.goalSales || '';
   if (goalOrders) goalOrders.value = analyticsState.goalOrders || '';
-  if (promoStart) promoStart.value = analyticsState.promoStartDate || '';
-  if (promoDiscount) promoDiscount.value = analyticsState.promoDiscount || 0;
   toggleCustom();
   updateAnalyticsQuickRangeUi();
   updateAnalyticsBaselineText();
@@ -3827,8 +5718,6 @@ const setupAnalyticsEventListeners = () => {
     refreshBtn.addEventListener('click', async () => {
       if (customFrom) analyticsState.customFrom = customFrom.value || '';
       if (customTo) analyticsState.customTo = customTo.value || '';
-      if (promoStart) analyticsState.promoStartDate = promoStart.value || '';
-      if (promoDiscount) analyticsState.promoDiscount = Math.min(95, Math.max(0, toNumber(promoDiscount.value)));
       saveAnalyticsSettings();
       await loadAnalytics();
     });
@@ -3881,16 +5770,18 @@ const setupAnalyticsEventListeners = () => {
     });
   }
 
-  if (promoAnalyze) {
-    promoAnalyze.addEventListener('click', () => {
-      analyticsState.promoStartDate = promoStart?.value || '';
-      analyticsState.promoDiscount = Math.min(95, Math.max(0, toNumber(promoDiscount?.value)));
-      if (promoDiscount) promoDiscount.value = analyticsState.promoDiscount;
+  if (promoSelect) {
+    promoSelect.addEventListener('change', () => {
+      analyticsState.promoId = promoSelect.value || '';
       saveAnalyticsSettings();
       renderPromoImpactCard();
     });
   }
 
+  if (managePromotions) {
+    managePromotions.addEventListener('click', () => window.managePromotions());
+  }
+
   if (exportCsvBtn) {
     exportCsvBtn.addEventListener('click', () => {
       if (!latestAnalyticsSnapshot) {
@@ -3951,9 +5842,76 @@ const setupAnalyticsEventListeners = () => {
     });
   }
 
+  const statementPeriod = document.getElementById('earnings-statement-period');
+  const statementsBody = document.getElementById('earnings-statements-body');
+
+  if (statementPeriod) {
+    statementPeriod.addEventListener('change', () => loadEarningsStatements());
+  }
+
+  if (statementsBody) {
+    statementsBody.addEventListener('click', async (event) => {
+      const button = event.target.closest('[data-statement-start]');
+      if (!button) return;
+
+      const period = statementPeriod?.value || 'monthly';
+      const periodStart = button.dataset.statementStart;
+      button.disabled = true;
+      try {
+        const blob = await downloadEarningsStatement(periodStart, period);
+        downloadBlob(blob, `earnings-${period}-${periodStart}.csv`);
+      } catch (error) {
+        showError(error.message || 'Failed to download statement');
+      } finally {
+        button.disabled = false;
+      }
+    });
+  }
+
   analyticsListenersAttached = true;
 };
 
+// Statements come from the earnings ledger, so they include refunds and
+// adjustments that the order-based charts above do not.
+const loadEarningsStatements = async () => {
+  const tbody = document.getElementById('earnings-statements-body');
+  if (!tbody) return;
+
+  const period = document.getElementById('earnings-statement-period')?.value || 'monthly';
+
+  try {
+    const response = await getEarningsStatements(period, period === 'weekly' ? 8 : 6);
+    const statements = response.data?.statements || [];
+
+    if (statements.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="text-center text-gray-500 py-6">No earnings yet.</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = statements.map(statement => `
+      <tr>
+        <td>
+          ${escapeHtml(statement.period_start)} – ${escapeHtml(statement.period_end)}
+          ${statement.is_closed ? '' : '<span class="badge badge-info ml-1">Open</span>'}
+        </td>
+        <td>${formatCurrency(statement.opening_balance)}</td>
+        <td>${formatCurrency(statement.order_earnings)} <span class="text-xs text-gray-500">(${statement.completed_orders})</span></td>
+        <td class="${statement.refunds < 0 ? 'text-danger' : ''}">${formatCurrency(statement.refunds)}</td>
+        <td>${formatCurrency(statement.adjustments)}</td>
+        <td class="font-semibold">${formatCurrency(statement.closing_balance)}</td>
+        <td>
+          <button type="button" class="btn btn-outline btn-sm" data-statement-start="${escapeHtml(statement.period_start)}">
+            <i class="bi bi-download"></i> CSV
+          </button>
+        </td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading earnings statements:', error);
+    tbody.innerHTML = '<tr><td colspan="7" class="text-center text-gray-500 py-6">Failed to load statements.</td></tr>';
+  }
+};
+
 const buildProductPerformanceRows = () => {
   if (!latestAnalyticsSnapshot) return [];
   const { products, orders } = latestAnalyticsSnapshot;
@@ -3972,7 +5930,8 @@ const buildProductPerformanceRows = () => {
       cancelledCount: 0,
       refundedCount: 0,
       revenue: 0,
-      soldQty30: 0
+      soldQty30: 0,
+      variantRevenue: new Map()
     });
   });
 
@@ -3996,6 +5955,9 @@ const buildProductPerformanceRows = () => {
       if (order.status === 'completed') {
         row.completedCount += 1;
         row.revenue += toNumber(item.subtotal);
+        if (item.variant_name) {
+          row.variantRevenue.set(item.variant_name, (row.variantRevenue.get(item.variant_name) || 0) + toNumber(item.subtotal));
+        }
       }
       if (order.status === 'cancelled') row.cancelledCount += 1;
       if (order.status === 'refunded' || order.status === 'returned') row.refundedCount += 1;
@@ -4165,7 +6127,17 @@ const renderProductPerformanceTable = () => {
     const refundRate = row.completedCount ? (row.refundedCount / row.completedCount) * 100 : 0;
     return `
       <tr>
-        <td>${escapeHtml(row.name)}</td>
+        <td>
+          ${escapeHtml(row.name)}
+          ${row.variantRevenue.size > 0 ? `
+            <div class="text-xs text-gray-500">
+              ${[...row.variantRevenue.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .map(([name, revenue]) => `${escapeHtml(name)}: ${formatCurrency(revenue)}`)
+                .join(' · ')}
+            </div>
+          ` : ''}
+        </td>
         <td>${row.views}</td>
         <td>${row.addToCart}</td>
         <td>${row.orderCount}</td>
@@ -4329,31 +6301,57 @@ const renderGoalTrackingCard = () => {
   `;
 };
 
+const getAnalyticsPromotions = () => latestAnalyticsSnapshot?.analytics?.analytics?.promotions?.items || [];
+
+const PROMOTION_STATUS_LABELS = {
+  active: 'Running',
+  scheduled: 'Scheduled',
+  ended: 'Ended',
+  used_up: 'Used up',
+  inactive: 'Switched off'
+};
+
+// Orders and sales while the selected promotion ran, against the same number
+// of days just before it, plus what the promotion itself brought in
 const renderPromoImpactCard = () => {
   const summary = document.getElementById('promo-impact-summary');
   const canvas = document.getElementById('promo-impact-chart');
+  const select = document.getElementById('promo-select');
   if (!summary || !canvas || !latestAnalyticsSnapshot) return;
-  if (promoImpactChart) promoImpactChart.destroy();
+  if (promoImpactChart) {
+    promoImpactChart.destroy();
+    promoImpactChart = null;
+  }
+
+  const promotions = getAnalyticsPromotions();
+  const promotion = promotions.find(item => item.id === analyticsState.promoId) || promotions[0];
 
-  const start = parseDate(analyticsState.promoStartDate);
-  if (!start) {
-    summary.innerHTML = '<p class="text-sm text-gray-600">Select promo start date then click Analyze.</p>';
+  if (select) {
+    select.innerHTML = promotions.length > 0
+      ? promotions.map(item => `<option value="${escapeHtml(item.id)}" ${item.id === promotion?.id ? 'selected' : ''}>${escapeHtml(item.name)} (${PROMOTION_STATUS_LABELS[item.status] || item.status})</option>`).join('')
+      : '<option value="">No promotions yet</option>';
+  }
+
+  if (!promotion) {
+    summary.innerHTML = '<p class="text-sm text-gray-600">Create a promotion to see how it affects your orders and sales.</p>';
     return;
   }
-  start.setHours(0, 0, 0, 0);
+
+  const start = parseDate(promotion.starts_at);
   const now = new Date();
-  const afterDays = Math.max(1, Math.ceil((now - start) / (24 * 60 * 60 * 1000)));
-  const beforeEnd = new Date(start);
-  beforeEnd.setDate(beforeEnd.getDate() - 1);
-  beforeEnd.setHours(23, 59, 59, 999);
-  const beforeStart = new Date(beforeEnd);
-  beforeStart.setDate(beforeStart.getDate() - (afterDays - 1));
-  beforeStart.setHours(0, 0, 0, 0);
+  if (!start || start > now) {
+    summary.innerHTML = `<p class="text-sm text-gray-600">${escapeHtml(promotion.name)} starts ${escapeHtml(formatDateTime(promotion.starts_at))}.</p>`;
+    return;
+  }
+
+  const end = new Date(Math.min(now.getTime(), parseDate(promotion.ends_at)?.getTime() || now.getTime()));
+  const windowMs = Math.max(24 * 60 * 60 * 1000, end - start);
+  const beforeStart = new Date(start.getTime() - windowMs);
 
   const calc = (from, to) => {
     const scoped = latestAnalyticsSnapshot.allOrders.filter(order => {
       const d = parseDate(order.created_at);
-      return d && d >= from && d <= to;
+      return d && d >= from && d < to;
     });
     const completed = scoped.filter(order => order.status === 'completed');
     return {
@@ -4362,8 +6360,8 @@ const renderPromoImpactCard = () => {
     };
   };
 
-  const before = calc(beforeStart, beforeEnd);
-  const after = calc(start, now);
+  const before = calc(beforeStart, start);
+  const during = calc(start, end);
 
   promoImpactChart = new Chart(canvas, {
     type: 'bar',
@@ -4371,20 +6369,24 @@ const renderPromoImpactCard = () => {
       labels: ['Orders', 'Sales'],
       datasets: [
         { label: 'Before', data: [before.orders, before.sales], backgroundColor: '#93c5fd' },
-        { label: 'After', data: [after.orders, after.sales], backgroundColor: '#34d399' }
+        { label: 'During', data: [during.orders, during.sales], backgroundColor: '#34d399' }
       ]
     },
     options: { responsive: true, maintainAspectRatio: false }
   });
 
-  const orderDelta = before.orders === 0 ? 0 : ((after.orders - before.orders) / before.orders) * 100;
-  const salesDelta = before.sales === 0 ? 0 : ((after.sales - before.sales) / before.sales) * 100;
+  const orderDelta = before.orders === 0 ? 0 : ((during.orders - before.orders) / before.orders) * 100;
+  const salesDelta = before.sales === 0 ? 0 : ((during.sales - before.sales) / before.sales) * 100;
   summary.innerHTML = `
-    <div class="grid grid-cols-1 sm:grid-cols-3 gap-3">
-      <div class="p-3 rounded bg-gray-50"><p class="text-xs text-gray-600">Promo Discount</p><p class="font-bold">${analyticsState.promoDiscount}%</p></div>
+    <div class="grid grid-cols-2 sm:grid-cols-3 gap-3">
+      <div class="p-3 rounded bg-gray-50"><p class="text-xs text-gray-600">Discount</p><p class="font-bold">${escapeHtml(formatDiscount(promotion))}</p></div>
+      <div class="p-3 rounded bg-gray-50"><p class="text-xs text-gray-600">Orders Using It</p><p class="font-bold">${promotion.order_count}${promotion.usage_limit ? ` / ${promotion.usage_limit}` : ''}</p></div>
+      <div class="p-3 rounded bg-gray-50"><p class="text-xs text-gray-600">Promo Revenue</p><p class="font-bold">${formatCurrency(promotion.revenue)}</p></div>
+      <div class="p-3 rounded bg-gray-50"><p class="text-xs text-gray-600">Discount Given</p><p class="font-bold">${formatCurrency(promotion.discount_given)}</p></div>
       <div class="p-3 rounded bg-gray-50"><p class="text-xs text-gray-600">Orders Change</p><p class="font-bold ${orderDelta >= 0 ? 'text-success' : 'text-danger'}">${orderDelta.toFixed(1)}%</p></div>
       <div class="p-3 rounded bg-gray-50"><p class="text-xs text-gray-600">Sales Change</p><p class="font-bold ${salesDelta >= 0 ? 'text-success' : 'text-danger'}">${salesDelta.toFixed(1)}%</p></div>
     </div>
+    <p class="text-xs text-gray-500 mt-2">${escapeHtml(formatDateTime(promotion.starts_at))} to ${escapeHtml(formatDateTime(promotion.ends_at))}, compared with the same length of time before it started.</p>
   `;
 };
 
@@ -5853,6 +7855,11 @@ const addMessageBubbleToChat = (message) => {
   scrollChatToBottom(chatMessages);
 };
 
+// "Tilapia (Large)" for order lines bought as a variant
+const getItemDisplayName = (item) => (
+  item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name
+);
+
 // Helper to safely escape HTML
 const escapeHtml = (text) => {
   const safeText = typeof text === 'string' ? text : String(text || '');
@@ -5932,6 +7939,44 @@ const attachEventListeners = () => {
     eventListeners.push({ element: ordersStatsToggle, event: 'click', handler: orderStatsToggleHandler });
   }
 
+  const ordersList = document.getElementById('orders-list');
+  if (ordersList) {
+    ordersList.addEventListener('change', handleOrderSelectChange);
+    eventListeners.push({ element: ordersList, event: 'change', handler: handleOrderSelectChange });
+  }
+
+  const ordersSelectAll = document.getElementById('orders-select-all');
+  if (ordersSelectAll) {
+    ordersSelectAll.addEventListener('change', handleSelectAllOrders);
+    eventListeners.push({ element: ordersSelectAll, event: 'change', handler: handleSelectAllOrders });
+  }
+
+  const bulkConfirmBtn = document.getElementById('orders-bulk-confirm');
+  if (bulkConfirmBtn) {
+    const bulkConfirmHandler = () => runBulkOrderAction('confirmed', bulkConfirmBtn);
+    bulkConfirmBtn.addEventListener('click', bulkConfirmHandler);
+    eventListeners.push({ element: bulkConfirmBtn, event: 'click', handler: bulkConfirmHandler });
+  }
+
+  const bulkReadyBtn = document.getElementById('orders-bulk-ready');
+  if (bulkReadyBtn) {
+    const bulkReadyHandler = () => runBulkOrderAction('ready', bulkReadyBtn);
+    bulkReadyBtn.addEventListener('click', bulkReadyHandler);
+    eventListeners.push({ element: bulkReadyBtn, event: 'click', handler: bulkReadyHandler });
+  }
+
+  const ordersPickListBtn = document.getElementById('orders-pick-list');
+  if (ordersPickListBtn) {
+    ordersPickListBtn.addEventListener('click', openPickList);
+    eventListeners.push({ element: ordersPickListBtn, event: 'click', handler: openPickList });
+  }
+
+  const ordersExportBtn = document.getElementById('orders-export');
+  if (ordersExportBtn) {
+    ordersExportBtn.addEventListener('click', openOrderExport);
+    eventListeners.push({ element: ordersExportBtn, event: 'click', handler: openOrderExport });
+  }
+
   const issuesStatsToggle = document.getElementById('issues-stats-toggle');
   if (issuesStatsToggle) {
     const issuesStatsToggleHandler = () => {
@@ -1,5 +1,5 @@
 // assets/js/services/admin.service.js
-import { get, post, patch, del } from '../core/http.js';
+import { get, post, put, patch, del } from '../core/http.js';
 import { ENDPOINTS } from '../config/api.js';
 
 // Get admin dashboard stats
@@ -244,6 +244,98 @@ const getMessagesForDispute = async (filters = {}) => {
   }
 };
 
+// Search synonym dictionary (Tagalog/English produce names)
+const getSearchSynonyms = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (filters.search) params.append('search', filters.search);
+    if (filters.page) params.append('page', filters.page);
+    if (filters.limit) params.append('limit', filters.limit);
+
+    const queryString = params.toString();
+    const url = queryString ? `${ENDPOINTS.ADMIN.SEARCH_SYNONYMS}?${queryString}` : ENDPOINTS.ADMIN.SEARCH_SYNONYMS;
+
+    const response = await get(url);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const addSearchSynonym = async (term, synonym) => {
+  try {
+    const response = await post(ENDPOINTS.ADMIN.SEARCH_SYNONYMS, { term, synonym });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const removeSearchSynonym = async (synonymId) => {
+  try {
+    const response = await del(ENDPOINTS.ADMIN.SEARCH_SYNONYM(synonymId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Checkout vouchers, platform-wide or for one seller
+const getVouchers = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (filters.search) params.append('search', filters.search);
+    if (filters.scope) params.append('scope', filters.scope);
+    if (filters.seller_id) params.append('seller_id', filters.seller_id);
+    if (filters.page) params.append('page', filters.page);
+    if (filters.limit) params.append('limit', filters.limit);
+
+    const queryString = params.toString();
+    const url = queryString ? `${ENDPOINTS.ADMIN.VOUCHERS}?${queryString}` : ENDPOINTS.ADMIN.VOUCHERS;
+
+    const response = await get(url);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const getVoucher = async (voucherId, page = 1) => {
+  try {
+    const response = await get(`${ENDPOINTS.ADMIN.VOUCHER(voucherId)}?page=${page}`);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const createVoucher = async (voucherData) => {
+  try {
+    const response = await post(ENDPOINTS.ADMIN.VOUCHERS, voucherData);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const updateVoucher = async (voucherId, updates) => {
+  try {
+    const response = await put(ENDPOINTS.ADMIN.VOUCHER(voucherId), updates);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const deleteVoucher = async (voucherId) => {
+  try {
+    const response = await del(ENDPOINTS.ADMIN.VOUCHER(voucherId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
 export {
   getDashboardStats,
   getAllUsers,
@@ -262,5 +354,13 @@ export {
   rejectProductListing,
   getOrdersForDispute,
   getOrderDetails,
-  getMessagesForDispute
+  getMessagesForDispute,
+  getSearchSynonyms,
+  addSearchSynonym,
+  removeSearchSynonym,
+  getVouchers,
+  getVoucher,
+  createVoucher,
+  updateVoucher,
+  deleteVoucher
 };
@@ -11,12 +11,13 @@ const getCart = async () => {
   }
 };
 
-// Add item to cart
-const addToCart = async (productId, quantity) => {
+// Add item to cart; products sold in variants need the chosen variant
+const addToCart = async (productId, quantity, variantId = null) => {
   try {
     const response = await post(ENDPOINTS.CART.ADD, {
       product_id: productId,
-      quantity
+      quantity,
+      ...(variantId ? { variant_id: variantId } : {})
     });
     return response;
   } catch (error) {
@@ -65,9 +66,17 @@ const getCartCount = async () => {
 };
 
 // Validate cart before checkout
-const validateCart = async () => {
+const validateCart = async (options = {}) => {
   try {
-    const response = await get(ENDPOINTS.CART.VALIDATE);
+    const params = new URLSearchParams();
+    if (options.delivery_option) params.append('delivery_option', options.delivery_option);
+    if (Number.isFinite(options.delivery_latitude)) params.append('delivery_latitude', options.delivery_latitude);
+    if (Number.isFinite(options.delivery_longitude)) params.append('delivery_longitude', options.delivery_longitude);
+
+    const queryString = params.toString();
+    const url = queryString ? `${ENDPOINTS.CART.VALIDATE}?${queryString}` : ENDPOINTS.CART.VALIDATE;
+
+    const response = await get(url);
     return response;
   } catch (error) {
     throw error;
@@ -0,0 +1,107 @@
+// assets/js/services/delivery-slot.service.js
+// Delivery Slot Service - Seller time windows, blackout dates and slot booking
+
+import { get, post, put, del } from '../core/http.js';
+import { ENDPOINTS } from '../config/api.js';
+
+const buildRangeQuery = (endpoint, options = {}) => {
+  const params = new URLSearchParams();
+  if (options.dateFrom) params.append('date_from', options.dateFrom);
+  if (options.days) params.append('days', options.days);
+  const query = params.toString();
+  return query ? `${endpoint}?${query}` : endpoint;
+};
+
+// Get the seller's weekly windows and upcoming blackout dates
+const getSlotSettings = async () => {
+  try {
+    const response = await get(ENDPOINTS.DELIVERY_SLOTS.SELLER);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Get the seller's per-day slot schedule with booked orders
+const getSlotSchedule = async (options = {}) => {
+  try {
+    const response = await get(buildRangeQuery(ENDPOINTS.DELIVERY_SLOTS.SCHEDULE, options));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Add a weekly delivery window
+const createDeliveryWindow = async (windowData) => {
+  try {
+    const response = await post(ENDPOINTS.DELIVERY_SLOTS.WINDOWS, windowData);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Update a weekly delivery window
+const updateDeliveryWindow = async (windowId, updates) => {
+  try {
+    const response = await put(ENDPOINTS.DELIVERY_SLOTS.WINDOW_BY_ID(windowId), updates);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Remove a weekly delivery window
+const deleteDeliveryWindow = async (windowId) => {
+  try {
+    const response = await del(ENDPOINTS.DELIVERY_SLOTS.WINDOW_BY_ID(windowId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Block a date for all deliveries and pickups
+const createBlackoutDate = async (blackoutDate, reason = '') => {
+  try {
+    const response = await post(ENDPOINTS.DELIVERY_SLOTS.BLACKOUTS, {
+      blackout_date: blackoutDate,
+      reason: reason || null
+    });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Remove a blackout date
+const deleteBlackoutDate = async (blackoutId) => {
+  try {
+    const response = await del(ENDPOINTS.DELIVERY_SLOTS.BLACKOUT_BY_ID(blackoutId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Get the open slots a buyer can book with a seller
+const getAvailableSlots = async (sellerId, options = {}) => {
+  try {
+    const response = await get(buildRangeQuery(ENDPOINTS.DELIVERY_SLOTS.AVAILABLE(sellerId), options));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export {
+  getSlotSettings,
+  getSlotSchedule,
+  createDeliveryWindow,
+  updateDeliveryWindow,
+  deleteDeliveryWindow,
+  createBlackoutDate,
+  deleteBlackoutDate,
+  getAvailableSlots
+};
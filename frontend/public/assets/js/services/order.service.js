@@ -1,4 +1,4 @@
-import { get, post, put, upload } from '../core/http.js';
+import { get, post, put, upload, download } from '../core/http.js';
 import { ENDPOINTS } from '../config/api.js';
 
 // Create new order (buyer)
@@ -11,6 +11,29 @@ const createOrder = async (orderData) => {
   }
 };
 
+// Checkout the whole cart, one order per seller (buyer)
+const checkout = async (checkoutData) => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.CHECKOUT, checkoutData);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Check a voucher code against one seller's part of the cart (buyer)
+const quoteVoucher = async (sellerId, voucherCode) => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.VOUCHER_QUOTE, {
+      seller_id: sellerId,
+      voucher_code: voucherCode
+    });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
 // Get all orders (buyer or seller)
 const getOrders = async (filters = {}) => {
   try {
@@ -57,16 +80,79 @@ const updateOrderStatus = async (orderId, status, deliveryProofFile = null) => {
   }
 };
 
-// Confirm order (seller)
-const confirmOrder = async (orderId, deliveryProofFile = null) => {
+// Apply one status change to many orders (seller); results are per order
+const bulkUpdateOrderStatus = async (orderIds, status) => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.BULK_STATUS, { order_ids: orderIds, status });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Download the seller's orders as a CSV Blob, one row per item
+const exportOrders = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams({ format: 'csv' });
+    if (filters.status) params.append('status', filters.status);
+    if (filters.date_from) params.append('date_from', filters.date_from);
+    if (filters.date_to) params.append('date_to', filters.date_to);
+
+    return await download(`${ENDPOINTS.ORDERS.EXPORT}?${params.toString()}`);
+  } catch (error) {
+    throw error;
+  }
+};
+
+const buildPickListQuery = (filters = {}, format = 'json') => {
+  const params = new URLSearchParams({ format });
+  if (filters.date) params.append('date', filters.date);
+  if (filters.statuses?.length) params.append('status', filters.statuses.join(','));
+  if (filters.include_unscheduled === false) params.append('include_unscheduled', 'false');
+  return `${ENDPOINTS.ORDERS.PICK_LIST}?${params.toString()}`;
+};
+
+// Totals per product and a packing slip per order for one day (seller)
+const getPickList = async (filters = {}) => {
+  try {
+    const response = await get(buildPickListQuery(filters));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// The same pick list as a printable 'pdf' or 'html' Blob (seller)
+const downloadPickList = async (filters = {}, format = 'pdf') => {
   try {
+    return await download(buildPickListQuery(filters, format));
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Confirm order (seller). A handover code from the buyer completes the
+// order in one step; handover is { code, latitude, longitude, accuracy }.
+const confirmOrder = async (orderId, deliveryProofFile = null, handover = null) => {
+  try {
+    const handoverFields = {};
+    if (handover?.code) {
+      handoverFields.handover_code = handover.code;
+      ['latitude', 'longitude', 'accuracy'].forEach((key) => {
+        if (handover[key] !== null && handover[key] !== undefined) {
+          handoverFields[key] = handover[key];
+        }
+      });
+    }
+
     if (deliveryProofFile) {
       const formData = new FormData();
       formData.append('delivery_proof', deliveryProofFile);
+      Object.entries(handoverFields).forEach(([key, value]) => formData.append(key, value));
       const response = await upload(ENDPOINTS.ORDERS.CONFIRM(orderId), formData);
       return response;
     } else {
-      const response = await post(ENDPOINTS.ORDERS.CONFIRM(orderId));
+      const response = await post(ENDPOINTS.ORDERS.CONFIRM(orderId), handoverFields);
       return response;
     }
   } catch (error) {
@@ -74,6 +160,16 @@ const confirmOrder = async (orderId, deliveryProofFile = null) => {
   }
 };
 
+// The buyer's one-time code to show the seller at handover (buyer)
+const getHandoverCode = async (orderId) => {
+  try {
+    const response = await get(ENDPOINTS.ORDERS.HANDOVER_CODE(orderId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
 // Cancel order (buyer or seller)
 const cancelOrder = async (orderId, reason) => {
   try {
@@ -126,15 +222,131 @@ const rateOrder = async (orderId, reviews) => {
   }
 };
 
+// Add a past order's items to the cart; returns what was added, dropped or changed (buyer)
+const reorder = async (orderId) => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.REORDER(orderId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Current live delivery session for an order, or null (buyer or seller)
+const getDeliveryTracking = async (orderId) => {
+  try {
+    const response = await get(ENDPOINTS.ORDERS.TRACKING(orderId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Start sharing the seller's location for a ready drop-off order (seller)
+const startDeliveryTracking = async (orderId) => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.TRACKING_START(orderId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// location: { latitude, longitude, accuracy, heading, speed } (seller)
+const sendDeliveryLocation = async (orderId, location) => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.TRACKING_LOCATION(orderId), location);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const stopDeliveryTracking = async (orderId) => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.TRACKING_STOP(orderId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Download the order receipt PDF as a Blob (buyer, seller or admin)
+const downloadOrderReceipt = async (orderId) => {
+  try {
+    return await download(ENDPOINTS.ORDERS.RECEIPT(orderId));
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Propose item changes on a pending/confirmed order (seller)
+// changes: [{ order_item_id, action: 'adjust_quantity' | 'remove' | 'substitute', quantity, substitute_product_id }]
+const proposeOrderAdjustment = async (orderId, changes, reason = '') => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.ADJUSTMENTS(orderId), { changes, reason });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Accept the seller's proposed changes (buyer)
+const acceptOrderAdjustment = async (orderId, adjustmentId, note = '') => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.ADJUSTMENT_ACCEPT(orderId, adjustmentId), { note });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Reject the seller's proposed changes (buyer)
+const rejectOrderAdjustment = async (orderId, adjustmentId, note = '') => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.ADJUSTMENT_REJECT(orderId, adjustmentId), { note });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Withdraw a proposal the buyer has not answered yet (seller)
+const withdrawOrderAdjustment = async (orderId, adjustmentId) => {
+  try {
+    const response = await post(ENDPOINTS.ORDERS.ADJUSTMENT_WITHDRAW(orderId, adjustmentId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
 export {
   createOrder,
+  checkout,
+  quoteVoucher,
   getOrders,
   getOrderById,
   updateOrderStatus,
+  bulkUpdateOrderStatus,
+  exportOrders,
+  getPickList,
+  downloadPickList,
   confirmOrder,
+  getHandoverCode,
   cancelOrder,
   getOrderStats,
   markOrderReady,
   completeOrder,
-  rateOrder
+  rateOrder,
+  reorder,
+  getDeliveryTracking,
+  startDeliveryTracking,
+  sendDeliveryLocation,
+  stopDeliveryTracking,
+  downloadOrderReceipt,
+  proposeOrderAdjustment,
+  acceptOrderAdjustment,
+  rejectOrderAdjustment,
+  withdrawOrderAdjustment
 };
\ No newline at end of file
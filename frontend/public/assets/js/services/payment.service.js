@@ -0,0 +1,38 @@
+import { get, post } from '../core/http.js';
+import { ENDPOINTS } from '../config/api.js';
+
+// Get payment methods available for checkout
+const getPaymentMethods = async () => {
+  try {
+    const response = await get(ENDPOINTS.PAYMENTS.METHODS);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Start (or resume) an online payment for an order
+const createPaymentIntent = async (orderId) => {
+  try {
+    const response = await post(ENDPOINTS.PAYMENTS.INTENT(orderId), {});
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Refresh an order's payment status from the provider
+const getPaymentStatus = async (orderId) => {
+  try {
+    const response = await get(ENDPOINTS.PAYMENTS.STATUS(orderId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export {
+  getPaymentMethods,
+  createPaymentIntent,
+  getPaymentStatus
+};
@@ -1,7 +1,7 @@
 // assets/js/services/product.service.js
 // Product Service - Handle all product-related API calls
 
-import { get, post, put, del } from '../core/http.js';
+import { get, post, put, del, download } from '../core/http.js';
 import { ENDPOINTS } from '../config/api.js';
 
 // List all products with filters
@@ -174,3 +174,229 @@ export const getTopProducts = async (limit = 10, sortBy = 'sales') => {
     throw error;
   }
 };
+
+// Get earnings ledger entries and totals (dates are YYYY-MM-DD)
+export const getSellerEarnings = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (filters.date_from) params.append('date_from', filters.date_from);
+    if (filters.date_to) params.append('date_to', filters.date_to);
+    if (filters.entry_type) params.append('entry_type', filters.entry_type);
+    if (filters.page) params.append('page', filters.page);
+    if (filters.limit) params.append('limit', filters.limit);
+    const query = params.toString();
+    const response = await get(query ? `${ENDPOINTS.PRODUCTS.EARNINGS}?${query}` : ENDPOINTS.PRODUCTS.EARNINGS);
+    return response;
+  } catch (error) {
+    console.error('Error getting seller earnings:', error);
+    throw error;
+  }
+};
+
+// Get recent weekly or monthly earnings statements
+export const getEarningsStatements = async (period = 'monthly', count = 12) => {
+  try {
+    const url = `${ENDPOINTS.PRODUCTS.EARNINGS_STATEMENTS}?period=${period}&count=${count}`;
+    const response = await get(url);
+    return response;
+  } catch (error) {
+    console.error('Error getting earnings statements:', error);
+    throw error;
+  }
+};
+
+// Download one statement as a CSV Blob
+export const downloadEarningsStatement = async (periodStart, period = 'monthly') => {
+  try {
+    const url = `${ENDPOINTS.PRODUCTS.EARNINGS_STATEMENT(periodStart)}?period=${period}&format=csv`;
+    return await download(url);
+  } catch (error) {
+    console.error('Error downloading earnings statement:', error);
+    throw error;
+  }
+};
+
+// Open pre-orders or change the harvest date / quota
+export const setPreorder = async (productId, settings) => {
+  try {
+    const response = await put(ENDPOINTS.PRODUCTS.PREORDER(productId), settings);
+    return response;
+  } catch (error) {
+    console.error('Error updating pre-order settings:', error);
+    throw error;
+  }
+};
+
+// Close pre-orders (only while nobody is waiting)
+export const disablePreorder = async (productId) => {
+  try {
+    const response = await del(ENDPOINTS.PRODUCTS.PREORDER(productId));
+    return response;
+  } catch (error) {
+    console.error('Error closing pre-orders:', error);
+    throw error;
+  }
+};
+
+// Get orders waiting for the harvest, in fill order
+export const getPreorderQueue = async (productId) => {
+  try {
+    const response = await get(ENDPOINTS.PRODUCTS.PREORDER_QUEUE(productId));
+    return response;
+  } catch (error) {
+    console.error('Error getting pre-order queue:', error);
+    throw error;
+  }
+};
+
+// Record the harvested quantity and allocate it to waiting pre-orders
+export const recordHarvest = async (productId, harvestedQuantity) => {
+  try {
+    const response = await post(ENDPOINTS.PRODUCTS.HARVEST(productId), { harvested_quantity: harvestedQuantity });
+    return response;
+  } catch (error) {
+    console.error('Error recording harvest:', error);
+    throw error;
+  }
+};
+
+// Get a product's active variants (seller only)
+export const getVariants = async (productId) => {
+  try {
+    const response = await get(ENDPOINTS.PRODUCTS.VARIANTS(productId));
+    return response;
+  } catch (error) {
+    console.error('Error getting variants:', error);
+    throw error;
+  }
+};
+
+// Add a size, grade or pack size with its own price and stock
+export const createVariant = async (productId, variantData) => {
+  try {
+    const response = await post(ENDPOINTS.PRODUCTS.VARIANTS(productId), variantData);
+    return response;
+  } catch (error) {
+    console.error('Error creating variant:', error);
+    throw error;
+  }
+};
+
+export const updateVariant = async (productId, variantId, variantData) => {
+  try {
+    const response = await put(ENDPOINTS.PRODUCTS.VARIANT(productId, variantId), variantData);
+    return response;
+  } catch (error) {
+    console.error('Error updating variant:', error);
+    throw error;
+  }
+};
+
+export const deleteVariant = async (productId, variantId) => {
+  try {
+    const response = await del(ENDPOINTS.PRODUCTS.VARIANT(productId, variantId));
+    return response;
+  } catch (error) {
+    console.error('Error deleting variant:', error);
+    throw error;
+  }
+};
+
+// Get a product's bulk price breaks (seller only)
+export const getPriceTiers = async (productId) => {
+  try {
+    const response = await get(ENDPOINTS.PRODUCTS.PRICE_TIERS(productId));
+    return response;
+  } catch (error) {
+    console.error('Error getting bulk prices:', error);
+    throw error;
+  }
+};
+
+// Replace all bulk price breaks; an empty list restores the flat price
+export const savePriceTiers = async (productId, tiers) => {
+  try {
+    const response = await put(ENDPOINTS.PRODUCTS.PRICE_TIERS(productId), { tiers });
+    return response;
+  } catch (error) {
+    console.error('Error saving bulk prices:', error);
+    throw error;
+  }
+};
+
+// Stock movements for one product, newest first, with a summary by reason
+export const getInventoryHistory = async (productId, filters = {}) => {
+  try {
+    let url = ENDPOINTS.PRODUCTS.INVENTORY(productId);
+    const params = new URLSearchParams();
+
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value);
+      }
+    });
+
+    if (params.toString()) {
+      url += `?${params.toString()}`;
+    }
+
+    const response = await get(url);
+    return response;
+  } catch (error) {
+    console.error('Error getting inventory history:', error);
+    throw error;
+  }
+};
+
+// Recount or spoilage: { change, reason, note, variant_id }
+export const recordInventoryAdjustment = async (productId, adjustment) => {
+  try {
+    const response = await post(ENDPOINTS.PRODUCTS.INVENTORY_ADJUSTMENTS(productId), adjustment);
+    return response;
+  } catch (error) {
+    console.error('Error recording stock adjustment:', error);
+    throw error;
+  }
+};
+
+// Seller promotions with their performance so far
+export const getPromotions = async () => {
+  try {
+    const response = await get(ENDPOINTS.PRODUCTS.PROMOTIONS);
+    return response;
+  } catch (error) {
+    console.error('Error getting promotions:', error);
+    throw error;
+  }
+};
+
+export const createPromotion = async (promotionData) => {
+  try {
+    const response = await post(ENDPOINTS.PRODUCTS.PROMOTIONS, promotionData);
+    return response;
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    throw error;
+  }
+};
+
+export const updatePromotion = async (promotionId, promotionData) => {
+  try {
+    const response = await put(ENDPOINTS.PRODUCTS.PROMOTION(promotionId), promotionData);
+    return response;
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    throw error;
+  }
+};
+
+// Switches the promotion off; past orders keep their discount
+export const endPromotion = async (promotionId) => {
+  try {
+    const response = await del(ENDPOINTS.PRODUCTS.PROMOTION(promotionId));
+    return response;
+  } catch (error) {
+    console.error('Error ending promotion:', error);
+    throw error;
+  }
+};
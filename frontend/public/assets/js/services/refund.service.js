@@ -0,0 +1,50 @@
+// assets/js/services/refund.service.js
+// Refund Service - Refunds recorded against issue outcomes
+
+import { get } from '../core/http.js';
+import { ENDPOINTS } from '../config/api.js';
+
+const buildRefundQuery = (endpoint, filters = {}) => {
+  const params = new URLSearchParams();
+  if (filters.status && filters.status !== 'all') params.append('status', filters.status);
+  if (filters.page) params.append('page', filters.page);
+  if (filters.limit) params.append('limit', filters.limit);
+  const query = params.toString();
+  return query ? `${endpoint}?${query}` : endpoint;
+};
+
+// Get refunds on the buyer's orders
+const getBuyerRefunds = async (filters = {}) => {
+  try {
+    const response = await get(buildRefundQuery(ENDPOINTS.REFUNDS.BUYER, filters));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Get refunds on the seller's orders
+const getSellerRefunds = async (filters = {}) => {
+  try {
+    const response = await get(buildRefundQuery(ENDPOINTS.REFUNDS.SELLER, filters));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Get refunds for a single order
+const getOrderRefunds = async (orderId) => {
+  try {
+    const response = await get(ENDPOINTS.REFUNDS.BY_ORDER(orderId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export {
+  getBuyerRefunds,
+  getSellerRefunds,
+  getOrderRefunds
+};
@@ -353,6 +353,48 @@ const subscribeOrdersUpdate = () => {
   return channel;
 };
 
+// Live courier position for one order. Row access is limited by RLS to the
+// order's buyer and seller, so the channel carries nothing for anyone else.
+const subscribeDeliveryTracking = async (orderId, callback) => {
+  if (!orderId || typeof callback !== 'function') return () => {};
+
+  if (!supabase) {
+    initSocket();
+    await initPromise;
+  }
+  if (!supabase) return () => {};
+
+  const channel = supabase
+    .channel(`delivery-tracking-${orderId}`)
+    .on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'delivery_tracking_sessions',
+        filter: `order_id=eq.${orderId}`
+      },
+      (payload) => {
+        const record = payload.new || {};
+        if (String(record.order_id) !== String(orderId)) return;
+        callback({
+          order_id: record.order_id,
+          status: record.status,
+          latitude: record.latitude !== null ? Number(record.latitude) : null,
+          longitude: record.longitude !== null ? Number(record.longitude) : null,
+          heading: record.heading !== null ? Number(record.heading) : null,
+          location_updated_at: record.location_updated_at,
+          end_reason: record.end_reason
+        });
+      }
+    )
+    .subscribe();
+
+  return () => {
+    supabase?.removeChannel(channel);
+  };
+};
+
 const syncPresenceUsers = (channel) => {
   const state = channel.presenceState();
   const nextOnline = new Set();
@@ -662,6 +704,7 @@ export {
   onNewOrder,
   onOrderCancelled,
   onNotification,
+  subscribeDeliveryTracking,
   on,
   emit
 };
@@ -0,0 +1,117 @@
+// assets/js/services/subscription.service.js
+// Subscription Service - Recurring weekly/biweekly orders with one seller
+
+import { get, post, put } from '../core/http.js';
+import { ENDPOINTS } from '../config/api.js';
+
+// Get the buyer's subscriptions
+const getMySubscriptions = async (includeCancelled = false) => {
+  try {
+    const url = includeCancelled
+      ? `${ENDPOINTS.SUBSCRIPTIONS.LIST}?include_cancelled=true`
+      : ENDPOINTS.SUBSCRIPTIONS.LIST;
+    const response = await get(url);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Get the seller's subscribers
+const getSellerSubscriptions = async () => {
+  try {
+    const response = await get(ENDPOINTS.SUBSCRIPTIONS.SELLER);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Get one subscription with its recent orders
+const getSubscription = async (subscriptionId) => {
+  try {
+    const response = await get(ENDPOINTS.SUBSCRIPTIONS.BY_ID(subscriptionId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Start a subscription from a basket template
+const createSubscription = async (subscriptionData) => {
+  try {
+    const response = await post(ENDPOINTS.SUBSCRIPTIONS.CREATE, subscriptionData);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Change the basket, frequency or delivery settings
+const updateSubscription = async (subscriptionId, updates) => {
+  try {
+    const response = await put(ENDPOINTS.SUBSCRIPTIONS.BY_ID(subscriptionId), updates);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Accept flagged stock/price changes and place this delivery's order
+const confirmSubscriptionDelivery = async (subscriptionId) => {
+  try {
+    const response = await post(ENDPOINTS.SUBSCRIPTIONS.CONFIRM(subscriptionId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const skipNextDelivery = async (subscriptionId) => {
+  try {
+    const response = await post(ENDPOINTS.SUBSCRIPTIONS.SKIP(subscriptionId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const pauseSubscription = async (subscriptionId) => {
+  try {
+    const response = await post(ENDPOINTS.SUBSCRIPTIONS.PAUSE(subscriptionId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const resumeSubscription = async (subscriptionId) => {
+  try {
+    const response = await post(ENDPOINTS.SUBSCRIPTIONS.RESUME(subscriptionId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+const cancelSubscription = async (subscriptionId) => {
+  try {
+    const response = await post(ENDPOINTS.SUBSCRIPTIONS.CANCEL(subscriptionId));
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export {
+  getMySubscriptions,
+  getSellerSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  confirmSubscriptionDelivery,
+  skipNextDelivery,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+};
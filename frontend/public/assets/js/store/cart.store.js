@@ -15,17 +15,19 @@ const setCartItems = (items) => {
   state.set(STATE_KEYS.CART, { items, total, count });
 };
 
-const addToCart = (product, quantity = 1) => {
+const addToCart = (product, quantity = 1, variant = null) => {
   const cart = state.get(STATE_KEYS.CART) || { items: [], total: 0, count: 0 };
-  const existingItem = cart.items.find(item => item.product_id === product.id);
+  const variantId = variant?.id || null;
+  const existingItem = cart.items.find(item => item.product_id === product.id && (item.variant_id || null) === variantId);
   
   if (existingItem) {
     existingItem.quantity += quantity;
   } else {
     cart.items.push({
       product_id: product.id,
-      name: product.name,
-      price: product.price_per_unit,
+      variant_id: variantId,
+      name: variant ? `${product.name} (${variant.name})` : product.name,
+      price: variant ? variant.price_per_unit : product.price_per_unit,
       quantity,
       image: product.photo_path || product.photos?.[0]
     });
@@ -6,6 +6,13 @@ export const formatCurrency = (amount) => {
   }).format(amount);
 };
 
+// "10% off" or "₱15.00 off" for a seller promotion
+export const formatDiscount = (promotion) => (
+  promotion.discount_type === 'percentage'
+    ? `${Number(promotion.discount_value)}% off`
+    : `${formatCurrency(promotion.discount_value)} off`
+);
+
 export const formatDate = (date) => {
   return new Date(date).toLocaleDateString('en-PH', {
     year: 'numeric',
@@ -89,6 +89,19 @@ export const scrollToElement = (elementId, smooth = true) => {
   }
 };
 
+// Price after a seller promotion, rounded like the server does. null when a
+// fixed amount would leave nothing to pay, in which case it does not apply.
+export const getPromotionPrice = (promotion, price) => {
+  const base = Number(price);
+  if (!promotion || !Number.isFinite(base)) return null;
+
+  const discounted = promotion.discount_type === 'percentage'
+    ? Math.round(base * (1 - Number(promotion.discount_value) / 100) * 100) / 100
+    : Math.round((base - Number(promotion.discount_value)) * 100) / 100;
+
+  return discounted > 0 && discounted < base ? discounted : null;
+};
+
 export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 export const retry = async (fn, retries = 3, delay = 1000) => {
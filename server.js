@@ -46,6 +46,20 @@ async function startServer() {
     const dbMonitor = require('./src/utils/dbMonitor');
     dbMonitor.startPeriodicMonitoring(5 * 60 * 1000);
 
+    const jobScheduler = require('./src/utils/jobScheduler');
+    const orderTimeoutService = require('./src/services/orderTimeoutService');
+    const subscriptionService = require('./src/services/subscriptionService');
+    const deliveryTrackingService = require('./src/services/deliveryTrackingService');
+    const { ORDER, SUBSCRIPTION, DELIVERY_TRACKING } = require('./src/utils/constants');
+    const orderCheckIntervalMs = ORDER.TIMEOUT_CHECK_INTERVAL_MINUTES * 60 * 1000;
+
+    jobScheduler
+      .register('cancel_stale_orders', orderCheckIntervalMs, orderTimeoutService.cancelStaleOrders)
+      .register('complete_delivered_orders', orderCheckIntervalMs, orderTimeoutService.completeDeliveredOrders)
+      .register('generate_subscription_orders', SUBSCRIPTION.CHECK_INTERVAL_MINUTES * 60 * 1000, subscriptionService.generateDueOrders)
+      .register('expire_delivery_tracking', DELIVERY_TRACKING.CHECK_INTERVAL_MINUTES * 60 * 1000, deliveryTrackingService.expireStaleSessions);
+    await jobScheduler.start();
+
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log('AgriMarket Server is running!');
@@ -79,6 +93,8 @@ async function startServer() {
 
 function gracefulShutdown(server, signal) {
   console.log(`\n\n${signal} received. Starting graceful shutdown...`);
+
+  require('./src/utils/jobScheduler').stop();
   
   server.close(() => {
     console.log('Server closed successfully');
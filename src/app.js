@@ -25,6 +25,10 @@ const issueRoutes = require('./routes/issueRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const loggingRoutes = require('./routes/loggingRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const refundRoutes = require('./routes/refundRoutes');
+const deliverySlotRoutes = require('./routes/deliverySlotRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
 
 
 const app = express();
@@ -176,7 +180,15 @@ const authLimiter = rateLimit({
 app.use('/api/', ipBlockingMiddleware);
 app.use('/api/', limiter);
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are verified against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -347,6 +359,10 @@ app.use('/api/issues', issueRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/logs', loggingRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/delivery-slots', deliverySlotRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 const { testConnection, validateSchema } = require('./config/database');
 
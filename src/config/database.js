@@ -110,7 +110,28 @@ async function validateSchema() {
   ];
   const optionalTables = [
     // Added by later migrations. Some environments may not have this table yet.
-    'issue_timeline_events'
+    'issue_timeline_events',
+    'order_status_history',
+    'scheduled_jobs',
+    'payments',
+    'payment_events',
+    'refunds',
+    'seller_earnings_ledger',
+    'order_adjustments',
+    'seller_delivery_windows',
+    'seller_blackout_dates',
+    'subscriptions',
+    'subscription_items',
+    'delivery_tracking_sessions',
+    'order_handover_codes',
+    'search_synonyms',
+    'product_variants',
+    'product_price_tiers',
+    'promotions',
+    'promotion_products',
+    'vouchers',
+    'voucher_redemptions',
+    'inventory_movements'
   ];
 
   const projectRef = (() => {
@@ -5,8 +5,13 @@ const userModel = require('../models/userModel');
 const adminLogModel = require('../models/adminLogModel');
 const verificationModel = require('../models/verificationModel');
 const issueModel = require('../models/issueModel');
+const orderModel = require('../models/orderModel');
 const { supabase, supabaseService } = require('../config/database');
 const notificationService = require('../services/notificationService');
+const handoverService = require('../services/handoverService');
+const searchSynonymModel = require('../models/searchSynonymModel');
+const voucherModel = require('../models/voucherModel');
+const { VOUCHER } = require('../utils/constants');
 
 const isUnsupportedProductStatusError = (error = {}) => {
   const text = `${error?.message || ''} ${error?.details || ''} ${error?.hint || ''}`.toLowerCase();
@@ -401,14 +406,14 @@ exports.deleteUser = asyncHandler(async (req, res, next) => {
       .from('orders')
       .select('id', { count: 'exact', head: true })
       .eq('buyer_id', user.buyer_profile?.id)
-      .in('status', ['pending', 'confirmed', 'ready']);
+      .in('status', ['preorder', 'pending', 'confirmed', 'ready']);
     hasActiveOrders = count > 0;
   } else if (user.role === 'seller') {
     const { count } = await supabase
       .from('orders')
       .select('id', { count: 'exact', head: true })
       .eq('seller_id', user.seller_profile?.id)
-      .in('status', ['pending', 'confirmed', 'ready']);
+      .in('status', ['preorder', 'pending', 'confirmed', 'ready']);
     hasActiveOrders = count > 0;
   }
 
@@ -1110,13 +1115,16 @@ exports.getOrderDetails = asyncHandler(async (req, res, next) => {
     })
   );
   
+  const handover = await handoverService.buildEvidence(order);
+
   res.status(200).json({
     success: true,
     data: {
       order,
       buyer,
       seller,
-      messages: enrichedMessages
+      messages: enrichedMessages,
+      handover
     }
   });
 });
@@ -1231,4 +1239,400 @@ exports.getMessagesForDispute = asyncHandler(async (req, res, next) => {
   });
 });
 
+// ============ Seller Earnings Adjustments ============
+
+exports.createEarningsAdjustment = asyncHandler(async (req, res, next) => {
+  const { sellerId } = req.params;
+  const adminId = req.user.id;
+  const { amount, reason } = req.body;
+
+  const { data: seller } = await supabase
+    .from('seller_profiles')
+    .select('id, user_id, users!inner (full_name)')
+    .eq('id', sellerId)
+    .single();
+
+  if (!seller) {
+    throw new AppError('Seller not found.', 404);
+  }
+
+  const { data: entry, error } = await orderModel.updateSellerStats(sellerId, amount, {
+    entryType: 'adjustment',
+    description: reason,
+    createdBy: adminId
+  });
+
+  if (error) {
+    throw new AppError('Failed to record earnings adjustment.', 500);
+  }
+
+  await adminLogModel.createLog({
+    admin_id: adminId,
+    action_type: 'EARNINGS_ADJUSTED',
+    action_description: `Adjusted earnings for ${seller.users.full_name} by ${amount}. Reason: ${reason}`,
+    target_user_id: seller.user_id,
+    reference_id: entry.id,
+    ip_address: req.ip
+  });
+
+  await notificationService.createNotification({
+    user_id: seller.user_id,
+    title: 'Earnings Adjusted',
+    message: `An adjustment of PHP ${Number(amount).toFixed(2)} was added to your earnings. Reason: ${reason}`,
+    type: 'system',
+    reference_id: entry.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Earnings adjustment recorded.',
+    data: {
+      entry
+    }
+  });
+});
+
+// ============ Search Synonyms ============
+
+exports.getSearchSynonyms = asyncHandler(async (req, res, next) => {
+  const { search, page = 1, limit = 50 } = req.query;
+
+  const result = await searchSynonymModel.getSynonyms({ search, page, limit });
+
+  if (result.error) {
+    throw new AppError('Failed to fetch search synonyms.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      synonyms: result.data,
+      pagination: {
+        total: result.count,
+        page: result.page,
+        limit: result.limit,
+        total_pages: result.total_pages
+      }
+    }
+  });
+});
+
+exports.createSearchSynonym = asyncHandler(async (req, res, next) => {
+  const term = req.body.term.trim().toLowerCase();
+  const synonym = req.body.synonym.trim().toLowerCase();
+
+  if (term === synonym) {
+    throw new AppError('Term and synonym must be different words.', 400);
+  }
+
+  const { data: entry, error } = await searchSynonymModel.createSynonym({
+    term,
+    synonym,
+    createdBy: req.user.id
+  });
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new AppError('This synonym pair already exists.', 409);
+    }
+    throw new AppError('Failed to add search synonym.', 500);
+  }
+
+  await adminLogModel.createLog({
+    admin_id: req.user.id,
+    action_type: 'SEARCH_SYNONYM_ADDED',
+    action_description: `Added search synonym "${term}" = "${synonym}"`,
+    reference_id: entry.id,
+    ip_address: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Search synonym added.',
+    data: {
+      synonym: entry
+    }
+  });
+});
+
+exports.deleteSearchSynonym = asyncHandler(async (req, res, next) => {
+  const { synonymId } = req.params;
+
+  const { data: entry } = await searchSynonymModel.getSynonymById(synonymId);
+
+  if (!entry) {
+    throw new AppError('Search synonym not found.', 404);
+  }
+
+  const { error } = await searchSynonymModel.deleteSynonym(synonymId);
+
+  if (error) {
+    throw new AppError('Failed to remove search synonym.', 500);
+  }
+
+  await adminLogModel.createLog({
+    admin_id: req.user.id,
+    action_type: 'SEARCH_SYNONYM_REMOVED',
+    action_description: `Removed search synonym "${entry.term}" = "${entry.synonym}"`,
+    reference_id: entry.id,
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Search synonym removed.'
+  });
+});
+
+// ============ Vouchers ============
+
+const VOUCHER_FIELDS = [
+  'code', 'description', 'seller_id', 'discount_type', 'discount_value', 'max_discount',
+  'min_spend', 'per_user_limit', 'total_limit', 'municipalities', 'categories',
+  'starts_at', 'expires_at', 'is_active'
+];
+
+const EMPTY_VOUCHER_STATS = {
+  redemption_count: 0,
+  released_count: 0,
+  completed_count: 0,
+  unique_buyers: 0,
+  discount_given: 0,
+  order_revenue: 0,
+  last_redeemed_at: null
+};
+
+const withVoucherStats = (voucher, stats) => ({
+  ...voucher,
+  status: voucherModel.getStatus(voucher),
+  stats: stats[voucher.id] || EMPTY_VOUCHER_STATS
+});
+
+// Checks the voucher as it will be saved (existing values merged with the
+// changes) and returns the row to write
+const checkVoucher = async (changes, existing = null) => {
+  const voucher = { ...existing, ...changes };
+  const startsAt = voucher.starts_at ? new Date(voucher.starts_at) : new Date();
+  const expiresAt = new Date(voucher.expires_at);
+
+  if (expiresAt <= startsAt) {
+    throw new AppError('The voucher must expire after it starts.', 400);
+  }
+
+  if (!existing && expiresAt <= new Date()) {
+    throw new AppError('The voucher has to expire in the future.', 400);
+  }
+
+  if (voucher.discount_type === 'percentage' && voucher.discount_value > VOUCHER.MAX_PERCENTAGE) {
+    throw new AppError(`A percentage discount can be at most ${VOUCHER.MAX_PERCENTAGE}%.`, 400);
+  }
+
+  if (existing && voucher.total_limit !== null && voucher.total_limit !== undefined
+    && voucher.total_limit < existing.redemption_count) {
+    throw new AppError(`This voucher has already been redeemed ${existing.redemption_count} times.`, 400);
+  }
+
+  if (voucher.seller_id && voucher.seller_id !== existing?.seller_id) {
+    const { data: seller } = await supabase
+      .from('seller_profiles')
+      .select('id')
+      .eq('id', voucher.seller_id)
+      .maybeSingle();
+
+    if (!seller) {
+      throw new AppError('Seller not found.', 404);
+    }
+  }
+
+  return {
+    code: voucherModel.normalizeCode(voucher.code),
+    description: voucher.description || null,
+    seller_id: voucher.seller_id || null,
+    discount_type: voucher.discount_type,
+    discount_value: voucher.discount_value,
+    // A fixed amount is its own cap
+    max_discount: voucher.discount_type === 'percentage' ? (voucher.max_discount ?? null) : null,
+    min_spend: voucher.min_spend ?? 0,
+    per_user_limit: voucher.per_user_limit ?? 1,
+    total_limit: voucher.total_limit ?? null,
+    municipalities: [...new Set(voucher.municipalities || [])],
+    categories: [...new Set(voucher.categories || [])],
+    starts_at: startsAt.toISOString(),
+    expires_at: expiresAt.toISOString(),
+    is_active: voucher.is_active ?? true
+  };
+};
+
+const pickVoucherFields = (body) => VOUCHER_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const getVoucherOrFail = async (voucherId) => {
+  const { data: voucher } = await voucherModel.getVoucherById(voucherId);
+
+  if (!voucher) {
+    throw new AppError('Voucher not found.', 404);
+  }
+
+  return voucher;
+};
+
+exports.getVouchers = asyncHandler(async (req, res, next) => {
+  const { search, scope, seller_id: sellerId, page = 1, limit = 20 } = req.query;
+
+  const result = await voucherModel.getVouchers({ search, scope, sellerId, page, limit });
+
+  if (result.error) {
+    throw new AppError('Failed to fetch vouchers.', 500);
+  }
+
+  const { data: stats } = await voucherModel.getRedemptionStats(result.data.map(voucher => voucher.id));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      vouchers: result.data.map(voucher => withVoucherStats(voucher, stats)),
+      pagination: {
+        total: result.count,
+        page: result.page,
+        limit: result.limit,
+        total_pages: result.total_pages
+      }
+    }
+  });
+});
+
+exports.getVoucher = asyncHandler(async (req, res, next) => {
+  const voucher = await getVoucherOrFail(req.params.voucherId);
+  const { page = 1 } = req.query;
+
+  const { data: stats } = await voucherModel.getRedemptionStats([voucher.id]);
+  const redemptions = await voucherModel.getRedemptions(voucher.id, {
+    page,
+    limit: VOUCHER.REDEMPTIONS_PAGE_SIZE
+  });
+
+  if (redemptions.error) {
+    throw new AppError('Failed to fetch voucher redemptions.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      voucher: withVoucherStats(voucher, stats),
+      redemptions: redemptions.data,
+      pagination: {
+        total: redemptions.count,
+        page: redemptions.page,
+        limit: redemptions.limit,
+        total_pages: redemptions.total_pages
+      }
+    }
+  });
+});
+
+exports.createVoucher = asyncHandler(async (req, res, next) => {
+  const voucher = await checkVoucher(pickVoucherFields(req.body));
+
+  const { data: created, error } = await voucherModel.createVoucher({
+    ...voucher,
+    created_by: req.user.id
+  });
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new AppError(`The code ${voucher.code} is already in use.`, 409);
+    }
+    throw new AppError('Failed to create voucher.', 500);
+  }
+
+  await adminLogModel.createLog({
+    admin_id: req.user.id,
+    action_type: 'VOUCHER_CREATED',
+    action_description: `Created voucher ${created.code}`,
+    reference_id: created.id,
+    ip_address: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Voucher created.',
+    data: {
+      voucher: withVoucherStats(created, {})
+    }
+  });
+});
+
+exports.updateVoucher = asyncHandler(async (req, res, next) => {
+  const existing = await getVoucherOrFail(req.params.voucherId);
+  const voucher = await checkVoucher(pickVoucherFields(req.body), existing);
+
+  const { data: updated, error } = await voucherModel.updateVoucher(existing.id, voucher);
+
+  if (error || !updated) {
+    if (error?.code === '23505') {
+      throw new AppError(`The code ${voucher.code} is already in use.`, 409);
+    }
+    throw new AppError('Failed to update voucher.', 500);
+  }
+
+  await adminLogModel.createLog({
+    admin_id: req.user.id,
+    action_type: 'VOUCHER_UPDATED',
+    action_description: `Updated voucher ${updated.code}`,
+    reference_id: updated.id,
+    ip_address: req.ip
+  });
+
+  const { data: stats } = await voucherModel.getRedemptionStats([updated.id]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Voucher updated.',
+    data: {
+      voucher: withVoucherStats(updated, stats)
+    }
+  });
+});
+
+// A voucher that has been used is switched off instead, so orders keep
+// their redemption record
+exports.deleteVoucher = asyncHandler(async (req, res, next) => {
+  const voucher = await getVoucherOrFail(req.params.voucherId);
+
+  const { count: redemptionCount, error: countError } = await voucherModel.getRedemptions(voucher.id, { limit: 1 });
+
+  if (countError) {
+    throw new AppError('Failed to check voucher redemptions.', 500);
+  }
+
+  const deactivate = redemptionCount > 0;
+  const { error } = deactivate
+    ? await voucherModel.updateVoucher(voucher.id, { is_active: false })
+    : await voucherModel.deleteVoucher(voucher.id);
+
+  if (error) {
+    throw new AppError('Failed to delete voucher.', 500);
+  }
+
+  await adminLogModel.createLog({
+    admin_id: req.user.id,
+    action_type: deactivate ? 'VOUCHER_DEACTIVATED' : 'VOUCHER_DELETED',
+    action_description: `${deactivate ? 'Deactivated' : 'Deleted'} voucher ${voucher.code}`,
+    reference_id: voucher.id,
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: deactivate
+      ? 'Voucher has been redeemed before, so it was deactivated instead of deleted.'
+      : 'Voucher deleted.',
+    data: {
+      deleted: !deactivate
+    }
+  });
+});
+
 module.exports = exports;
@@ -1,11 +1,12 @@
 // src\controllers\cartController.js
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const cartModel = require('../models/cartModel');
+const variantModel = require('../models/variantModel');
 const { supabase } = require('../config/database');
 
 exports.addToCart = asyncHandler(async (req, res, next) => {
   const userId = req.user.id;
-  const { product_id, quantity = 1 } = req.body;
+  const { product_id, variant_id = null, quantity = 1 } = req.body;
 
   const { data: buyerProfile, error: profileError } = await supabase
     .from('buyer_profiles')
@@ -25,6 +26,9 @@ exports.addToCart = asyncHandler(async (req, res, next) => {
       name,
       price_per_unit,
       available_quantity,
+      is_preorder,
+      preorder_quota,
+      preorder_reserved,
       status,
       seller:seller_profiles!inner (
         user:users!inner (status)
@@ -45,31 +49,44 @@ exports.addToCart = asyncHandler(async (req, res, next) => {
     throw new AppError('Product seller is not verified.', 400);
   }
 
-  if (product.available_quantity < quantity) {
-    if (product.available_quantity === 0) {
-      throw new AppError('This product is out of stock.', 400);
+  const { data: variants } = await variantModel.getProductVariants(product.id);
+  let variant = null;
+
+  if (variant_id) {
+    variant = variants.find(item => item.id === variant_id);
+    if (!variant) {
+      throw new AppError('This option is no longer available for this product.', 400);
+    }
+  } else if (variants.length > 0) {
+    throw new AppError(`Choose an option for ${product.name} (${variants.map(item => item.name).join(', ')}).`, 400);
+  }
+
+  const orderable = cartModel.getOrderableQuantity(product, variant);
+  const itemName = variant ? `${product.name} (${variant.name})` : product.name;
+  const soldOutMessage = product.is_preorder && !variant
+    ? 'Pre-orders for this product are fully booked.'
+    : `${itemName} is out of stock.`;
+
+  if (orderable < quantity) {
+    if (orderable === 0) {
+      throw new AppError(soldOutMessage, 400);
     }
     throw new AppError(
-      `Only ${product.available_quantity} unit${product.available_quantity === 1 ? '' : 's'} available.`,
+      `Only ${orderable} unit${orderable === 1 ? '' : 's'} available.`,
       400
     );
   }
 
-  const { data: existingCart } = await supabase
-    .from('shopping_carts')
-    .select('quantity')
-    .eq('buyer_id', buyerProfile.id)
-    .eq('product_id', product_id)
-    .single();
+  const { data: existingCart } = await cartModel.getCartLine(buyerProfile.id, product_id, variant?.id);
 
   if (existingCart) {
     const newQuantity = existingCart.quantity + quantity;
-    if (product.available_quantity < newQuantity) {
-      if (product.available_quantity === 0) {
-        throw new AppError('This product is out of stock.', 400);
+    if (orderable < newQuantity) {
+      if (orderable === 0) {
+        throw new AppError(soldOutMessage, 400);
       }
       throw new AppError(
-        `Cannot add to cart. Only ${product.available_quantity} unit${product.available_quantity === 1 ? '' : 's'} available (you have ${existingCart.quantity} in cart).`,
+        `Cannot add to cart. Only ${orderable} unit${orderable === 1 ? '' : 's'} available (you have ${existingCart.quantity} in cart).`,
         400
       );
     }
@@ -78,9 +95,10 @@ exports.addToCart = asyncHandler(async (req, res, next) => {
   const { data: cartItem, error } = await cartModel.addToCart({
     buyer_id: buyerProfile.id,
     product_id,
+    variant_id: variant?.id || null,
     seller_id: product.seller_id,
     quantity,
-    price_snapshot: product.price_per_unit
+    price_snapshot: variant ? variant.price_per_unit : product.price_per_unit
   });
 
   if (error) {
@@ -91,7 +109,7 @@ exports.addToCart = asyncHandler(async (req, res, next) => {
 
   res.status(201).json({
     success: true,
-    message: `${product.name} added to cart!`,
+    message: `${itemName} added to cart!`,
     data: {
       cart_item: cartItem,
       cart_summary: summary
@@ -161,9 +179,14 @@ exports.updateCartItem = asyncHandler(async (req, res, next) => {
     throw new AppError('This product is no longer available.', 400);
   }
 
-  if (cartItem.product.available_quantity < quantity) {
+  if (cartItem.variant && !cartItem.variant.is_active) {
+    throw new AppError('This option is no longer available.', 400);
+  }
+
+  const orderable = cartModel.getOrderableQuantity(cartItem.product, cartItem.variant);
+  if (orderable < quantity) {
     throw new AppError(
-      `Only ${cartItem.product.available_quantity} units available.`,
+      `Only ${orderable} units available.`,
       400
     );
   }
@@ -273,6 +296,31 @@ exports.validateCart = asyncHandler(async (req, res, next) => {
 
   const validation = await cartModel.validateCartItems(buyerProfile.id);
 
+  const { delivery_option, delivery_latitude, delivery_longitude } = req.query;
+  const { data: summary } = await cartModel.getCartSummary(buyerProfile.id, {
+    delivery_option,
+    delivery_latitude,
+    delivery_longitude
+  });
+
+  if (summary) {
+    validation.subtotal = summary.subtotal;
+    validation.delivery_fee = summary.delivery_fee;
+    validation.total = summary.total;
+    validation.seller_delivery = summary.seller_groups.map(group => ({
+      seller_id: group.seller_id,
+      seller_name: group.seller_name,
+      subtotal: group.subtotal,
+      delivery_option: group.delivery_option,
+      delivery_fee: group.delivery_fee,
+      delivery_distance_km: group.delivery_distance_km,
+      delivery_available: group.delivery_available,
+      delivery_error: group.delivery_error,
+      free_delivery_applied: group.free_delivery_applied,
+      total: group.total
+    }));
+  }
+
   res.status(200).json({
     success: true,
     data: {
@@ -0,0 +1,235 @@
+// src\controllers\deliverySlotController.js
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const deliverySlotModel = require('../models/deliverySlotModel');
+const deliverySlotService = require('../services/deliverySlotService');
+const { supabase } = require('../config/database');
+const { DELIVERY_SLOTS } = require('../utils/constants');
+
+const getSellerProfileId = async (userId) => {
+  const { data: sellerProfile, error: profileError } = await supabase
+    .from('seller_profiles')
+    .select('id')
+    .eq('user_id', userId)
+    .single();
+
+  if (profileError || !sellerProfile) {
+    throw new AppError('Seller profile not found.', 404);
+  }
+
+  return sellerProfile.id;
+};
+
+const checkWindowFits = (windows, candidate, excludeId = null) => {
+  const overlap = deliverySlotService.findOverlappingWindow(windows, candidate, excludeId);
+  if (overlap) {
+    throw new AppError(
+      `This window overlaps the ${deliverySlotService.formatSlotLabel(overlap)} window on the same day.`,
+      409
+    );
+  }
+
+  const sameDay = windows.filter(window => window.id !== excludeId && window.day_of_week === candidate.day_of_week);
+  if (sameDay.length >= DELIVERY_SLOTS.MAX_WINDOWS_PER_DAY) {
+    throw new AppError(`A day can have at most ${DELIVERY_SLOTS.MAX_WINDOWS_PER_DAY} delivery windows.`, 400);
+  }
+};
+
+exports.getMySlotSettings = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+
+  const [windowsResult, blackoutsResult] = await Promise.all([
+    deliverySlotModel.getWindows(sellerId),
+    deliverySlotModel.getBlackoutDates(sellerId, { from: deliverySlotService.todayLocal() })
+  ]);
+
+  if (windowsResult.error || blackoutsResult.error) {
+    throw new AppError('Failed to fetch delivery slot settings.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      windows: windowsResult.data,
+      blackout_dates: blackoutsResult.data
+    }
+  });
+});
+
+exports.createWindow = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const { day_of_week, start_time, end_time, capacity } = req.body;
+
+  const { data: windows } = await deliverySlotModel.getWindows(sellerId);
+  checkWindowFits(windows, { day_of_week, start_time, end_time });
+
+  const { data: window, error } = await deliverySlotModel.createWindow({
+    seller_id: sellerId,
+    day_of_week,
+    start_time,
+    end_time,
+    capacity
+  });
+
+  if (error) {
+    throw new AppError('Failed to create delivery window.', 500);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Delivery window added.',
+    data: {
+      window
+    }
+  });
+});
+
+// Changes apply to future bookings; orders already booked keep their slot
+exports.updateWindow = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const { windowId } = req.params;
+
+  const { data: windows } = await deliverySlotModel.getWindows(sellerId);
+  const current = windows.find(window => window.id === windowId);
+
+  if (!current) {
+    throw new AppError('Delivery window not found.', 404);
+  }
+
+  const updates = {};
+  ['day_of_week', 'start_time', 'end_time', 'capacity'].forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError('Please provide at least one field to update.', 400);
+  }
+
+  const candidate = { ...current, ...updates };
+  if (String(candidate.end_time).slice(0, 5) <= String(candidate.start_time).slice(0, 5)) {
+    throw new AppError('End time must be after start time.', 400);
+  }
+  checkWindowFits(windows, candidate, windowId);
+
+  const { data: window, error } = await deliverySlotModel.updateWindow(windowId, sellerId, updates);
+
+  if (error || !window) {
+    throw new AppError('Failed to update delivery window.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Delivery window updated.',
+    data: {
+      window
+    }
+  });
+});
+
+exports.deleteWindow = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+
+  const { data: window, error } = await deliverySlotModel.deactivateWindow(req.params.windowId, sellerId);
+
+  if (error) {
+    throw new AppError('Failed to remove delivery window.', 500);
+  }
+
+  if (!window) {
+    throw new AppError('Delivery window not found.', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Delivery window removed. Orders already booked in it are unchanged.'
+  });
+});
+
+exports.createBlackoutDate = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const { blackout_date, reason } = req.body;
+
+  if (blackout_date < deliverySlotService.todayLocal()) {
+    throw new AppError('Blackout dates must be today or later.', 400);
+  }
+
+  const { data: blackout, error } = await deliverySlotModel.createBlackoutDate(sellerId, blackout_date, reason || null);
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new AppError('That date is already blocked.', 409);
+    }
+    throw new AppError('Failed to add blackout date.', 500);
+  }
+
+  // Existing bookings are kept; the seller decides whether to contact or cancel them
+  const { data: bookedOrders } = await deliverySlotModel.getBookedOrders(sellerId, blackout_date, blackout_date);
+
+  res.status(201).json({
+    success: true,
+    message: bookedOrders.length > 0
+      ? `Blackout date added. ${bookedOrders.length} order(s) already scheduled on this date are not affected.`
+      : 'Blackout date added.',
+    data: {
+      blackout_date: blackout,
+      affected_orders: bookedOrders.length
+    }
+  });
+});
+
+exports.deleteBlackoutDate = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+
+  const { data: deleted, error } = await deliverySlotModel.deleteBlackoutDate(req.params.blackoutId, sellerId);
+
+  if (error) {
+    throw new AppError('Failed to remove blackout date.', 500);
+  }
+
+  if (!deleted) {
+    throw new AppError('Blackout date not found.', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Blackout date removed.'
+  });
+});
+
+exports.getMySchedule = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const { date_from, days = 7 } = req.query;
+
+  const result = await deliverySlotService.getSellerSchedule(sellerId, {
+    dateFrom: date_from,
+    days: parseInt(days)
+  });
+
+  if (!result.success) {
+    throw new AppError('Failed to fetch delivery schedule.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: result.data
+  });
+});
+
+exports.getSellerAvailableSlots = asyncHandler(async (req, res, next) => {
+  const { sellerId } = req.params;
+  const { date_from, days } = req.query;
+
+  const result = await deliverySlotService.getAvailableSlots(sellerId, {
+    dateFrom: date_from,
+    days: days ? parseInt(days) : undefined
+  });
+
+  if (!result.success) {
+    throw new AppError('Failed to fetch delivery slots.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: result.data
+  });
+});
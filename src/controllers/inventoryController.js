@@ -0,0 +1,117 @@
+// src\controllers\inventoryController.js
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const productModel = require('../models/productModel');
+const inventoryModel = require('../models/inventoryModel');
+const { INVENTORY } = require('../utils/constants');
+
+const getOwnedProduct = async (productId, userId) => {
+  const isOwner = await productModel.isProductOwner(productId, userId);
+  if (!isOwner) {
+    throw new AppError('Product not found.', 404);
+  }
+
+  const { data: product, error } = await productModel.getProductById(productId);
+  if (error || !product) {
+    throw new AppError('Product not found.', 404);
+  }
+
+  return product;
+};
+
+// date_from / date_to are whole Philippine calendar days
+const toFilters = ({ variant_id, reason, date_from, date_to }) => ({
+  variantId: variant_id,
+  reason,
+  from: date_from ? new Date(`${date_from}T00:00:00${INVENTORY.TIMEZONE_OFFSET}`).toISOString() : undefined,
+  to: date_to ? new Date(`${date_to}T23:59:59.999${INVENTORY.TIMEZONE_OFFSET}`).toISOString() : undefined
+});
+
+exports.getInventoryHistory = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+  const { page = 1, limit = INVENTORY.MOVEMENTS_PAGE_SIZE } = req.query;
+  const filters = toFilters(req.query);
+
+  const movements = await inventoryModel.getMovements(product.id, { ...filters, page, limit });
+
+  if (movements.error) {
+    throw new AppError('Failed to fetch inventory history.', 500);
+  }
+
+  const { data: summary, error: summaryError } = await inventoryModel.getSummary(product.id, filters);
+
+  if (summaryError) {
+    throw new AppError('Failed to fetch inventory history.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      product: {
+        id: product.id,
+        name: product.name,
+        unit_type: product.unit_type,
+        available_quantity: product.available_quantity,
+        variants: product.variants.map(({ id, name, sku, unit_type, available_quantity }) => ({
+          id, name, sku, unit_type, available_quantity
+        }))
+      },
+      movements: movements.data,
+      summary,
+      pagination: {
+        total: movements.count,
+        page: movements.page,
+        limit: movements.limit,
+        total_pages: movements.total_pages
+      }
+    }
+  });
+});
+
+// Recounts and spoilage. A product with variants keeps its stock on the
+// variants, so the adjustment has to name one.
+exports.recordAdjustment = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+  const { change, reason, note, variant_id } = req.body;
+
+  let variant = null;
+  if (product.variants.length > 0) {
+    variant = product.variants.find(entry => entry.id === variant_id);
+    if (!variant) {
+      throw new AppError(
+        variant_id ? 'Variant not found.' : 'Choose which variant this adjustment is for.',
+        variant_id ? 404 : 400
+      );
+    }
+  } else if (variant_id) {
+    throw new AppError('This product has no variants.', 400);
+  }
+
+  const { success, insufficient } = await inventoryModel.recordAdjustment({
+    productId: product.id,
+    variantId: variant ? variant.id : null,
+    change,
+    reason,
+    actorId: req.user.id,
+    note: note || null
+  });
+
+  if (insufficient) {
+    const stock = variant ? variant.available_quantity : product.available_quantity;
+    throw new AppError(`Only ${stock} ${(variant || product).unit_type} left in stock.`, 409);
+  }
+
+  if (!success) {
+    throw new AppError('Failed to record stock adjustment.', 500);
+  }
+
+  const { data: updatedProduct } = await productModel.getProductById(product.id);
+
+  res.status(201).json({
+    success: true,
+    message: reason === 'spoilage' ? 'Spoilage recorded.' : 'Stock adjusted.',
+    data: {
+      product: updatedProduct
+    }
+  });
+});
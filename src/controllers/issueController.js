@@ -7,11 +7,13 @@ const { uploadIssueEvidence } = require('../config/storage');
 const adminLogModel = require('../models/adminLogModel');
 const notificationService = require('../services/notificationService');
 const emailService = require('../services/emailService');
+const orderCancellationService = require('../services/orderCancellationService');
+const refundService = require('../services/refundService');
 const { supabase, supabaseService } = require('../config/database');
 
 const OUTCOME_ACTIONS = ['refund', 'partial_refund', 'cancel_order', 'keep_order'];
 
-const applyOutcomeToOrder = async (orderId, issueId, outcomeAction, outcomeAmount, outcomeNotes) => {
+const applyOutcomeToOrder = async (orderId, issueId, outcomeAction, outcomeAmount, outcomeNotes, adminId = null) => {
   if (!orderId || !OUTCOME_ACTIONS.includes(outcomeAction)) {
     return { success: true };
   }
@@ -33,24 +35,44 @@ const applyOutcomeToOrder = async (orderId, issueId, outcomeAction, outcomeAmoun
   const nowIso = new Date().toISOString();
   const updates = { updated_at: nowIso };
 
-  if (outcomeAction === 'cancel_order') {
-    updates.status = 'cancelled';
-    updates.cancelled_at = nowIso;
-    updates.cancellation_reason = `Issue ${issueId} cancelled by admin. ${outcomeNotes || ''}`.trim();
-  }
+  if (outcomeAction === 'cancel_order' && currentOrder.status !== 'cancelled') {
+    const cancellationReason = `Issue ${issueId} cancelled by admin. ${outcomeNotes || ''}`.trim();
+    const { error: transitionError } = await orderCancellationService.cancelOrder({
+      orderId,
+      actorId: adminId,
+      actorRole: 'admin',
+      reason: cancellationReason
+    });
 
-  if (outcomeAction === 'refund') {
-    updates.payment_status = 'unpaid';
-    updates.order_notes = [
-      currentOrder.order_notes || '',
-      `Full refund applied due to issue ${issueId}.${outcomeNotes ? ` ${outcomeNotes}` : ''}`
-    ].filter(Boolean).join(' ');
+    if (transitionError) {
+      return { success: false, error: new Error(transitionError) };
+    }
   }
 
-  if (outcomeAction === 'partial_refund') {
+  let refund = null;
+  if (outcomeAction === 'refund' || outcomeAction === 'partial_refund') {
+    const refundResult = await refundService.issueRefund({
+      orderId,
+      issueId,
+      refundType: outcomeAction === 'refund' ? 'full' : 'partial',
+      amount: outcomeAmount,
+      reason: outcomeNotes || `Issue ${issueId} outcome`,
+      adminId
+    });
+
+    if (!refundResult.success) {
+      return {
+        success: false,
+        error: new Error(refundResult.error),
+        message: `Refund failed: ${refundResult.error}`,
+        statusCode: refundResult.statusCode
+      };
+    }
+
+    refund = refundResult.data;
     updates.order_notes = [
       currentOrder.order_notes || '',
-      `Partial refund (${outcomeAmount || 0}) applied due to issue ${issueId}.${outcomeNotes ? ` ${outcomeNotes}` : ''}`
+      `${outcomeAction === 'refund' ? 'Full refund' : 'Partial refund'} (${refund.amount}) applied due to issue ${issueId}.${outcomeNotes ? ` ${outcomeNotes}` : ''}`
     ].filter(Boolean).join(' ');
   }
 
@@ -59,7 +81,7 @@ const applyOutcomeToOrder = async (orderId, issueId, outcomeAction, outcomeAmoun
     .update(updates)
     .eq('id', orderId);
 
-  return { success: !error, error: error || null };
+  return { success: !error, error: error || null, refund };
 };
 
 const getIssueParticipants = async (orderId) => {
@@ -578,11 +600,12 @@ exports.resolveIssue = asyncHandler(async (req, res, next) => {
       issueId,
       outcome_action,
       outcome_amount,
-      outcome_notes
+      outcome_notes,
+      adminId
     );
 
     if (!outcomeEffect.success) {
-      throw new AppError('Issue resolved but failed to apply outcome on order.', 500);
+      throw new AppError(outcomeEffect.message || 'Issue resolved but failed to apply outcome on order.', outcomeEffect.statusCode || 500);
     }
 
     await issueModel.createTimelineEvent({
@@ -592,7 +615,8 @@ exports.resolveIssue = asyncHandler(async (req, res, next) => {
       note: outcome_notes || `Outcome set to ${outcome_action}`,
       metadata: {
         outcome_action,
-        outcome_amount: outcome_amount ?? null
+        outcome_amount: outcome_amount ?? null,
+        refund_id: outcomeEffect.refund?.id || null
       }
     });
 
@@ -744,11 +768,12 @@ exports.rejectIssue = asyncHandler(async (req, res, next) => {
       issueId,
       outcome_action,
       outcome_amount,
-      outcome_notes
+      outcome_notes,
+      adminId
     );
 
     if (!outcomeEffect.success) {
-      throw new AppError('Issue rejected but failed to apply outcome on order.', 500);
+      throw new AppError(outcomeEffect.message || 'Issue rejected but failed to apply outcome on order.', outcomeEffect.statusCode || 500);
     }
 
     await issueModel.createTimelineEvent({
@@ -758,7 +783,8 @@ exports.rejectIssue = asyncHandler(async (req, res, next) => {
       note: outcome_notes || `Outcome set to ${outcome_action}`,
       metadata: {
         outcome_action,
-        outcome_amount: outcome_amount ?? null
+        outcome_amount: outcome_amount ?? null,
+        refund_id: outcomeEffect.refund?.id || null
       }
     });
 
@@ -976,11 +1002,12 @@ exports.setIssueOutcome = asyncHandler(async (req, res, next) => {
     issueId,
     outcome_action,
     outcome_amount,
-    outcome_notes
+    outcome_notes,
+    adminId
   );
 
   if (!outcomeEffect.success) {
-    throw new AppError('Outcome saved but failed to apply order effect.', 500);
+    throw new AppError(outcomeEffect.message || 'Outcome saved but failed to apply order effect.', outcomeEffect.statusCode || 500);
   }
 
   await issueModel.createTimelineEvent({
@@ -992,7 +1019,8 @@ exports.setIssueOutcome = asyncHandler(async (req, res, next) => {
     note: outcome_notes || `Outcome set to ${outcome_action}`,
     metadata: {
       outcome_action,
-      outcome_amount: outcome_amount ?? null
+      outcome_amount: outcome_amount ?? null,
+      refund_id: outcomeEffect.refund?.id || null
     }
   });
 
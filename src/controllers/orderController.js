@@ -2,28 +2,61 @@
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const orderModel = require('../models/orderModel');
 const cartModel = require('../models/cartModel');
+const promotionModel = require('../models/promotionModel');
+const voucherModel = require('../models/voucherModel');
 const { supabase, supabaseService } = require('../config/database');
 const notificationService = require('../services/notificationService');
 const emailService = require('../services/emailService');
+const deliveryFeeService = require('../services/deliveryFeeService');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const orderCancellationService = require('../services/orderCancellationService');
+const paymentService = require('../services/paymentService');
+const receiptService = require('../services/receiptService');
+const orderAdjustmentService = require('../services/orderAdjustmentService');
+const orderAdjustmentModel = require('../models/orderAdjustmentModel');
+const deliverySlotService = require('../services/deliverySlotService');
+const deliverySlotModel = require('../models/deliverySlotModel');
+const reorderService = require('../services/reorderService');
+const deliveryTrackingService = require('../services/deliveryTrackingService');
+const deliveryTrackingModel = require('../models/deliveryTrackingModel');
+const handoverService = require('../services/handoverService');
+const orderExportService = require('../services/orderExportService');
+const pickListService = require('../services/pickListService');
+const voucherService = require('../services/voucherService');
 const { uploadFile, BUCKETS } = require('../config/storage');
+const { ORDER } = require('../utils/constants');
 const crypto = require('crypto');
 
-exports.createOrder = asyncHandler(async (req, res, next) => {
-  const userId = req.user.id;
-  const {
-    seller_id,
-    delivery_option,
-    delivery_address,
-    delivery_latitude,
-    delivery_longitude,
-    preferred_date,
-    preferred_time,
-    order_notes
-  } = req.body;
+const uploadDeliveryProof = async (orderId, file, filePrefix) => {
+  try {
+    const timestamp = Date.now();
+    const randomString = crypto.randomBytes(8).toString('hex');
+    const fileExtension = file.originalname.split('.').pop();
+    const fileName = `${orderId}_${filePrefix}_${timestamp}_${randomString}.${fileExtension}`;
+    const filePath = `orders/${orderId}/${fileName}`;
+
+    const uploadResult = await uploadFile(
+      BUCKETS.DELIVERY_PROOF,
+      filePath,
+      file.buffer,
+      file.mimetype
+    );
+
+    if (!uploadResult.success) {
+      throw new AppError(`Failed to upload delivery proof: ${uploadResult.error}`, 500);
+    }
+
+    return uploadResult.data.publicUrl || uploadResult.data.path;
+  } catch (uploadError) {
+    console.error('Delivery proof upload error:', uploadError);
+    throw new AppError('Failed to upload delivery proof image.', 500);
+  }
+};
 
+const getBuyerCheckoutProfile = async (userId) => {
   const { data: buyerProfile, error: profileError } = await supabase
     .from('buyer_profiles')
-    .select('id, delivery_address, delivery_latitude, delivery_longitude')
+    .select('id, user_id, delivery_address, delivery_latitude, delivery_longitude, municipality')
     .eq('user_id', userId)
     .single();
 
@@ -31,26 +64,102 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     throw new AppError('Buyer profile not found.', 404);
   }
 
-  const validation = await cartModel.validateCartItems(buyerProfile.id);
-  if (!validation.valid) {
-    throw new AppError(
-      `Cart validation failed: ${validation.issues.join(', ')}`,
-      400
-    );
+  return buyerProfile;
+};
+
+// Sellers with delivery windows only accept orders in one of their open
+// slots; for everyone else the preferred date is free-form but not past.
+const resolveDeliverySlot = async (sellerId, windowId, preferredDate) => {
+  const dateStr = deliverySlotService.toDateString(preferredDate);
+  const { data: windows } = await deliverySlotModel.getWindows(sellerId);
+
+  if (windows.length === 0) {
+    if (windowId) {
+      throw new AppError('This seller does not offer delivery slots.', 400);
+    }
+    if (dateStr && dateStr < deliverySlotService.todayLocal()) {
+      throw new AppError('Preferred date cannot be in the past.', 400);
+    }
+    return null;
+  }
+
+  if (!windowId || !dateStr) {
+    throw new AppError('Please choose a delivery slot for this seller.', 400);
+  }
+
+  const check = await deliverySlotService.checkSlot(sellerId, windowId, dateStr);
+  if (!check.success) {
+    throw new AppError(check.error, check.statusCode);
+  }
+
+  return check.data;
+};
+
+// In-stock items form one order; each pre-order product gets its own,
+// since it is only filled once that harvest comes in.
+const groupSellerItems = (sellerItems) => {
+  const regularItems = sellerItems.filter(item => !item.product.is_preorder);
+  const preorderGroups = sellerItems
+    .filter(item => item.product.is_preorder)
+    .map(item => [item]);
+
+  return [...(regularItems.length > 0 ? [regularItems] : []), ...preorderGroups];
+};
+
+const toVoucherLines = (items) => items.map(item => ({
+  category: item.category,
+  subtotal: item.subtotal
+}));
+
+// Takes the voucher off the order it saves the most on. The redemption
+// itself is recorded once the order exists.
+const applyVoucher = async (buyerProfile, sellerId, code, preparedOrders) => {
+  const quote = await voucherService.quoteVoucher(code, {
+    buyerProfile,
+    sellerId,
+    orders: preparedOrders.map(prepared => toVoucherLines(prepared.orderItems))
+  });
+
+  if (!quote.success) {
+    throw new AppError(quote.error, quote.statusCode);
+  }
+
+  const { voucher, discount, order_index: orderIndex } = quote.data;
+  const { orderData } = preparedOrders[orderIndex];
+
+  orderData.voucher_discount = discount;
+  orderData.voucher_funded_by = voucher.seller_id ? 'seller' : 'platform';
+  orderData.total_amount = parseFloat((orderData.subtotal - discount + orderData.delivery_fee).toFixed(2));
+  preparedOrders[orderIndex].voucher = { id: voucher.id, code: voucher.code, discount };
+};
+
+// Validates one seller's part of the cart and quotes delivery for each order
+// it will become. No writes.
+const prepareSellerOrders = async (buyerProfile, cartItems, checkout) => {
+  const {
+    seller_id,
+    delivery_option,
+    delivery_address,
+    delivery_latitude,
+    delivery_longitude,
+    preferred_date,
+    preferred_time,
+    delivery_window_id,
+    order_notes,
+    payment_method,
+    voucher_code
+  } = checkout;
+
+  if (paymentService.isOnlineMethod(payment_method) && !paymentService.getProviderForMethod(payment_method)) {
+    throw new AppError('Online payment is not available right now. Please choose cash on delivery.', 400);
   }
 
-  const { data: cartItems } = await cartModel.getCartItems(buyerProfile.id);
   const sellerItems = cartItems.filter(item => item.seller_id === seller_id);
 
   if (sellerItems.length === 0) {
     throw new AppError('No items found for this seller in cart.', 400);
   }
 
-  const invalidItems = sellerItems.filter(item => item.seller_id !== seller_id);
-  if (invalidItems.length > 0) {
-    throw new AppError('Cart contains items from different sellers.', 400);
-  }
-
   const inactiveProducts = sellerItems.filter(item => item.product.status !== 'active');
   if (inactiveProducts.length > 0) {
     throw new AppError(
@@ -59,12 +168,6 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     );
   }
 
-  const subtotal = sellerItems.reduce((sum, item) =>
-    sum + (item.quantity * item.price_snapshot), 0
-  );
-  const deliveryFee = 0;
-  const totalAmount = subtotal + deliveryFee;
-
   let finalDeliveryAddress = delivery_address;
   let finalDeliveryLat = delivery_latitude;
   let finalDeliveryLon = delivery_longitude;
@@ -81,47 +184,161 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     }
   }
 
-  const orderItems = sellerItems.map(item => ({
-    product_id: item.product_id,
-    product_name: item.product.name,
-    category: item.product.category,
-    price_per_unit: item.price_snapshot,
-    unit_type: item.product.unit_type,
-    quantity: item.quantity,
-    subtotal: item.quantity * item.price_snapshot
-  }));
+  const { data: sellerProfile } = await supabase
+    .from('seller_profiles')
+    .select('id, user_id, municipality, latitude, longitude, delivery_base_fee, delivery_per_km_fee, free_delivery_threshold, max_delivery_radius_km')
+    .eq('id', seller_id)
+    .single();
 
-  for (const item of orderItems) {
-    const { data: currentProduct } = await supabase
-      .from('products')
-      .select('available_quantity')
-      .eq('id', item.product_id)
-      .single();
+  if (!sellerProfile) {
+    throw new AppError('Seller not found.', 404);
+  }
 
-    if (!currentProduct || currentProduct.available_quantity < item.quantity) {
+  const prepared = [];
+  for (const items of groupSellerItems(sellerItems)) {
+    const isPreorder = items[0].product.is_preorder;
+    // Bulk price breaks and promotions are resolved from the quantity being ordered
+    const subtotal = items.reduce((sum, item) =>
+      sum + (item.quantity * cartModel.getChargedPrice(item)), 0
+    );
+
+    const deliveryQuote = await deliveryFeeService.calculateDeliveryFee({
+      seller: sellerProfile,
+      subtotal,
+      deliveryOption: delivery_option,
+      latitude: finalDeliveryLat,
+      longitude: finalDeliveryLon,
+      municipality: buyerProfile.municipality
+    });
+
+    if (!deliveryQuote.success) {
+      throw new AppError(deliveryQuote.error, 400);
+    }
+
+    const deliveryFee = deliveryQuote.data.delivery_fee;
+    // Pre-orders are scheduled once the harvest is in, so they skip slots
+    const slot = isPreorder ? null : await resolveDeliverySlot(seller_id, delivery_window_id, preferred_date);
+
+    prepared.push({
+      buyerUserId: buyerProfile.user_id,
+      sellerUserId: sellerProfile.user_id,
+      isPreorder,
+      orderItems: items.map(item => {
+        const chargedPrice = cartModel.getChargedPrice(item);
+        const promotion = cartModel.getLinePromotion(item);
+
+        return {
+          product_id: item.product_id,
+          variant_id: item.variant?.id || null,
+          variant_name: item.variant?.name || null,
+          variant_sku: item.variant?.sku || null,
+          product_name: item.product.name,
+          category: item.product.category,
+          price_per_unit: chargedPrice,
+          base_price_per_unit: item.price_snapshot,
+          tier_min_quantity: cartModel.getLineTier(item)?.min_quantity || null,
+          promotion_id: promotion?.id || null,
+          promotion_name: promotion?.name || null,
+          promotion_discount: parseFloat(((cartModel.getRegularPrice(item) - chargedPrice) * item.quantity).toFixed(2)),
+          unit_type: cartModel.getLineUnit(item),
+          quantity: item.quantity,
+          subtotal: item.quantity * chargedPrice
+        };
+      }),
+      orderData: {
+        buyer_id: buyerProfile.id,
+        seller_id,
+        delivery_option,
+        delivery_address: finalDeliveryAddress,
+        delivery_latitude: finalDeliveryLat,
+        delivery_longitude: finalDeliveryLon,
+        preferred_date: isPreorder
+          ? items[0].product.expected_harvest_date
+          : (slot ? slot.date : deliverySlotService.toDateString(preferred_date)),
+        preferred_time: isPreorder ? null : (slot ? slot.label : preferred_time),
+        order_notes,
+        payment_method,
+        subtotal,
+        delivery_fee: deliveryFee,
+        delivery_distance_km: deliveryQuote.data.distance_km,
+        total_amount: parseFloat((subtotal + deliveryFee).toFixed(2)),
+        is_preorder: isPreorder
+      },
+      slot
+    });
+  }
+
+  if (voucher_code) {
+    await applyVoucher(buyerProfile, seller_id, voucher_code, prepared);
+  }
+
+  return prepared;
+};
+
+const releasePreparedHold = async (prepared) => {
+  await promotionModel.releaseUses(promotionModel.promotionIdsOf(prepared.orderItems));
+
+  return prepared.isPreorder
+    ? orderModel.releasePreorderQuota(prepared.orderItems)
+    : orderModel.releaseProductStock(prepared.orderItems, {
+      actorId: prepared.buyerUserId,
+      orderId: prepared.orderData.id,
+      note: 'Order could not be placed'
+    });
+};
+
+// Claims promotion uses, reserves stock (or pre-order quota), writes the
+// order with its items and redeems its voucher. Cleans up after itself on
+// failure; earlier orders are rolled back by the caller.
+const placeSellerOrder = async (prepared) => {
+  const { orderItems, orderData } = prepared;
+  const promotionIds = promotionModel.promotionIdsOf(orderItems);
+
+  // Usage caps are checked at the moment of ordering, not when the cart loaded
+  const claim = await promotionModel.claimUses(promotionIds);
+
+  if (!claim.success) {
+    const failedItem = orderItems.find(item => item.promotion_id === claim.failedPromotionId);
+    if (failedItem) {
       throw new AppError(
-        `Product ${item.product_name} is no longer available in the requested quantity.`,
-        400
+        `The "${failedItem.promotion_name}" promotion has just ended or run out. Please review your cart before ordering.`,
+        409
       );
     }
+    throw new AppError('Failed to apply promotions to this order. Please try again.', 500);
   }
 
-  const { data: order, error: orderError } = await orderModel.createOrder({
-    buyer_id: buyerProfile.id,
-    seller_id,
-    delivery_option,
-    delivery_address: finalDeliveryAddress,
-    delivery_latitude: finalDeliveryLat,
-    delivery_longitude: finalDeliveryLon,
-    preferred_date,
-    preferred_time,
-    order_notes,
-    subtotal,
-    delivery_fee: deliveryFee,
-    total_amount: totalAmount
-  });
+  // The id is known before the order is written so the stock ledger can
+  // point at it
+  orderData.id = crypto.randomUUID();
+
+  // Reserve up front so concurrent checkouts cannot oversell
+  const reservation = prepared.isPreorder
+    ? await orderModel.reservePreorderQuota(orderItems)
+    : await orderModel.reserveProductStock(orderItems, {
+      actorId: prepared.buyerUserId,
+      orderId: orderData.id
+    });
+
+  if (!reservation.success) {
+    await promotionModel.releaseUses(promotionIds);
+
+    const failedItem = orderItems.find(item => item.product_id === reservation.failedProductId);
+    if (failedItem) {
+      throw new AppError(
+        prepared.isPreorder
+          ? `Pre-orders for ${failedItem.product_name} no longer have room for the requested quantity.`
+          : `Product ${failedItem.product_name} is no longer available in the requested quantity.`,
+        409
+      );
+    }
+    throw new AppError('Failed to reserve stock for this order. Please try again.', 500);
+  }
+
+  const { data: order, error: orderError } = await orderModel.createOrder(orderData);
 
   if (orderError) {
+    await releasePreparedHold(prepared);
     throw new AppError('Failed to create order.', 500);
   }
 
@@ -132,51 +349,132 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
       .from('orders')
       .delete()
       .eq('id', order.id);
+    await releasePreparedHold(prepared);
 
     throw new AppError('Failed to create order items.', 500);
   }
 
-  const { success: stockUpdateSuccess } = await orderModel.updateProductStock(orderItems);
+  if (prepared.slot) {
+    const { error: slotError } = await deliverySlotModel.bookSlot(order.id, prepared.slot.window_id, prepared.slot.date);
+
+    if (slotError) {
+      await supabaseService
+        .from('order_items')
+        .delete()
+        .eq('order_id', order.id);
+      await supabaseService
+        .from('orders')
+        .delete()
+        .eq('id', order.id);
+      await releasePreparedHold(prepared);
+
+      const messages = {
+        full: 'The selected delivery slot was just fully booked. Please pick another slot.',
+        blackout: 'The seller is not accepting orders on the selected date.'
+      };
+      throw new AppError(messages[slotError.details] || 'The selected delivery slot is no longer available.', 409);
+    }
+  }
+
+  if (prepared.voucher) {
+    // Limits are checked under a lock here, so two checkouts cannot both
+    // take the last redemption
+    const { outcome } = await voucherModel.redeem({
+      voucherId: prepared.voucher.id,
+      orderId: order.id,
+      buyerId: orderData.buyer_id,
+      discountAmount: prepared.voucher.discount
+    });
 
-  if (!stockUpdateSuccess) {
-    console.error('Warning: Failed to update product stock for order', order.id);
+    if (outcome !== 'ok') {
+      await supabaseService
+        .from('order_items')
+        .delete()
+        .eq('order_id', order.id);
+      await supabaseService
+        .from('orders')
+        .delete()
+        .eq('id', order.id);
+      await releasePreparedHold(prepared);
+
+      throw outcome
+        ? new AppError(`Voucher ${prepared.voucher.code}: ${voucherService.getRefusalMessage(outcome)}`, 409)
+        : new AppError('Failed to apply the voucher to this order. Please try again.', 500);
+    }
   }
 
-  await cartModel.clearCartBySeller(buyerProfile.id, seller_id);
+  await orderModel.recordStatusHistory(order.id, {
+    from_status: null,
+    to_status: order.status,
+    changed_by: prepared.buyerUserId,
+    changed_by_role: 'buyer',
+    note: prepared.isPreorder ? 'Pre-order placed' : 'Order placed'
+  });
 
-  const { data: completeOrder } = await orderModel.getOrderById(order.id);
+  return order;
+};
+
+const rollbackPlacedOrders = async (placedOrders) => {
+  for (const { order, prepared } of placedOrders) {
+    if (prepared.voucher) {
+      await voucherModel.releaseRedemption(order.id);
+    }
+
+    await supabaseService
+      .from('order_items')
+      .delete()
+      .eq('order_id', order.id);
+
+    await supabaseService
+      .from('orders')
+      .delete()
+      .eq('id', order.id);
+
+    const { success } = await releasePreparedHold(prepared);
+    if (!success) {
+      console.error('Warning: Failed to release stock while rolling back order', order.id);
+    }
+  }
+};
+
+// Places every prepared order, or none of them
+const placePreparedOrders = async (preparedOrders) => {
+  const placedOrders = [];
+
+  try {
+    for (const prepared of preparedOrders) {
+      const order = await placeSellerOrder(prepared);
+      placedOrders.push({ order, prepared });
+    }
+  } catch (error) {
+    await rollbackPlacedOrders(placedOrders);
+    throw error;
+  }
+
+  return placedOrders;
+};
+
+const notifyOrderPlaced = async (req, buyerUser, sellerUserId, completeOrder) => {
+  const isPreorder = completeOrder.status === 'preorder';
+  await notificationService.sendOrderNotification(req.user.id, completeOrder, isPreorder ? 'preorder_placed' : 'order_placed');
 
-  await notificationService.sendOrderNotification(userId, completeOrder, 'order_placed');
-  
-  const { data: seller } = await supabase
-    .from('seller_profiles')
-    .select('user_id')
-    .eq('id', seller_id)
-    .single();
-  
   // Get socket service to emit real-time updates
   const socketService = req.app.get('socketService');
 
-  if (seller) {
-    await notificationService.sendOrderNotification(seller.user_id, completeOrder, 'new_order');
-    
+  if (sellerUserId) {
+    await notificationService.sendOrderNotification(sellerUserId, completeOrder, isPreorder ? 'new_preorder' : 'new_order');
+
     // Emit real-time socket event to seller about new order
     if (socketService) {
-      socketService.broadcastNewOrder(seller.user_id, completeOrder);
+      socketService.broadcastNewOrder(sellerUserId, completeOrder);
     }
   }
 
   // Send email notifications to buyer and seller
-  const { data: buyerUser } = await supabase
-    .from('users')
-    .select('id, email, full_name')
-    .eq('id', userId)
-    .single();
-
   const { data: sellerUser } = await supabase
     .from('users')
     .select('id, email, full_name')
-    .eq('id', seller?.user_id)
+    .eq('id', sellerUserId)
     .single();
 
   if (buyerUser) {
@@ -190,12 +488,162 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
       console.error('Failed to send seller order placed email:', err.message)
     );
   }
+};
+
+const getBuyerUser = async (userId) => {
+  const { data: buyerUser } = await supabase
+    .from('users')
+    .select('id, email, full_name')
+    .eq('id', userId)
+    .single();
+
+  return buyerUser;
+};
+
+const validateBuyerCart = async (buyerProfileId) => {
+  const validation = await cartModel.validateCartItems(buyerProfileId);
+  if (!validation.valid) {
+    throw new AppError(
+      `Cart validation failed: ${validation.issues.join(', ')}`,
+      400
+    );
+  }
+
+  const { data: cartItems } = await cartModel.getCartItems(buyerProfileId);
+  return cartItems;
+};
+
+// Previews a voucher against one seller's part of the cart
+exports.quoteVoucher = asyncHandler(async (req, res, next) => {
+  const { voucher_code, seller_id } = req.body;
+  const buyerProfile = await getBuyerCheckoutProfile(req.user.id);
+
+  const { data: cartItems } = await cartModel.getCartItems(buyerProfile.id);
+  const sellerItems = (cartItems || []).filter(item => item.seller_id === seller_id);
+
+  if (sellerItems.length === 0) {
+    throw new AppError('No items found for this seller in cart.', 400);
+  }
+
+  const quote = await voucherService.quoteVoucher(voucher_code, {
+    buyerProfile,
+    sellerId: seller_id,
+    orders: groupSellerItems(sellerItems).map(items => items.map(item => ({
+      category: item.product.category,
+      subtotal: item.quantity * cartModel.getChargedPrice(item)
+    })))
+  });
+
+  if (!quote.success) {
+    throw new AppError(quote.error, quote.statusCode);
+  }
+
+  const { voucher, discount, eligible_subtotal } = quote.data;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      voucher: {
+        code: voucher.code,
+        description: voucher.description,
+        discount_type: voucher.discount_type,
+        discount_value: voucher.discount_value,
+        expires_at: voucher.expires_at
+      },
+      eligible_subtotal,
+      discount
+    }
+  });
+});
+
+exports.createOrder = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+  const buyerProfile = await getBuyerCheckoutProfile(userId);
+  const cartItems = await validateBuyerCart(buyerProfile.id);
+
+  const preparedOrders = await prepareSellerOrders(buyerProfile, cartItems, req.body);
+  const placedOrders = await placePreparedOrders(preparedOrders);
+
+  await cartModel.clearCartBySeller(buyerProfile.id, req.body.seller_id);
+
+  const buyerUser = await getBuyerUser(userId);
+  const orders = [];
+
+  for (const { order, prepared } of placedOrders) {
+    const { data: completeOrder } = await orderModel.getOrderById(order.id);
+    orders.push(completeOrder);
+    await notifyOrderPlaced(req, buyerUser, prepared.sellerUserId, completeOrder);
+  }
 
   res.status(201).json({
     success: true,
-    message: 'Order placed successfully!',
+    message: orders.length > 1
+      ? `${orders.length} orders placed successfully! Pre-orders are placed separately.`
+      : 'Order placed successfully!',
     data: {
-      order: completeOrder
+      order: orders[0],
+      orders
+    }
+  });
+});
+
+exports.checkout = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+  const { sellers, payment_method } = req.body;
+
+  const sellerIds = sellers.map(entry => entry.seller_id);
+  if (new Set(sellerIds).size !== sellerIds.length) {
+    throw new AppError('Each seller can only appear once per checkout.', 400);
+  }
+
+  const buyerProfile = await getBuyerCheckoutProfile(userId);
+  const cartItems = await validateBuyerCart(buyerProfile.id);
+
+  // Validate and quote every seller before writing anything
+  const preparedOrders = [];
+  for (const entry of sellers) {
+    preparedOrders.push(...await prepareSellerOrders(buyerProfile, cartItems, {
+      ...entry,
+      payment_method: entry.payment_method || payment_method
+    }));
+  }
+
+  const checkoutId = crypto.randomUUID();
+  const checkoutReference = orderModel.generateCheckoutReference();
+
+  preparedOrders.forEach(prepared => {
+    prepared.orderData.checkout_id = checkoutId;
+    prepared.orderData.checkout_reference = checkoutReference;
+  });
+
+  const placedOrders = await placePreparedOrders(preparedOrders);
+
+  for (const sellerId of sellerIds) {
+    await cartModel.clearCartBySeller(buyerProfile.id, sellerId);
+  }
+
+  const buyerUser = await getBuyerUser(userId);
+  const orders = [];
+
+  for (const { order, prepared } of placedOrders) {
+    const { data: completeOrder } = await orderModel.getOrderById(order.id);
+    orders.push(completeOrder);
+    await notifyOrderPlaced(req, buyerUser, prepared.sellerUserId, completeOrder);
+  }
+
+  const total = orders.reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0);
+
+  res.status(201).json({
+    success: true,
+    message: `${orders.length} order${orders.length !== 1 ? 's' : ''} placed successfully!`,
+    data: {
+      checkout: {
+        checkout_id: checkoutId,
+        checkout_reference: checkoutReference,
+        order_count: orders.length,
+        total_amount: parseFloat(total.toFixed(2))
+      },
+      orders
     }
   });
 });
@@ -303,43 +751,404 @@ exports.getOrderById = asyncHandler(async (req, res, next) => {
   });
 });
 
-exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
+exports.getHandoverCode = asyncHandler(async (req, res, next) => {
+  const order = await getOrderForParty(req.params.orderId, req.user.id, 'buyer');
+
+  const result = await handoverService.getBuyerCode(order);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      handover: result.data
+    }
+  });
+});
+
+exports.reorderOrder = asyncHandler(async (req, res, next) => {
   const { orderId } = req.params;
-  const { status } = req.body;
-  const userId = req.user.id;
 
-  const validStatuses = ['confirmed', 'ready'];
-  if (!validStatuses.includes(status)) {
-    throw new AppError('Invalid status. Must be: confirmed or ready', 400);
+  const ownership = await orderModel.checkOrderOwnership(orderId, req.user.id);
+  if (!ownership.isBuyer) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  const { data: order, error } = await orderModel.getOrderById(orderId);
+
+  if (error || !order) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  const result = await reorderService.reorder(order.buyer_id, order);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  const report = result.data;
+  const { data: cartSummary } = await cartModel.getCartSummary(order.buyer_id);
+
+  res.status(report.added.length > 0 ? 201 : 200).json({
+    success: true,
+    message: report.added.length > 0
+      ? `Added ${report.added.length} item${report.added.length === 1 ? '' : 's'} from order ${order.order_number} to your cart.`
+      : 'None of the items from this order are available right now.',
+    data: {
+      ...report,
+      cart_summary: cartSummary
+    }
+  });
+});
+
+// Admins can pull any receipt from the dispute view
+exports.getOrderReceipt = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+
+  if (req.user.role !== 'admin') {
+    const ownership = await orderModel.checkOrderOwnership(orderId, req.user.id);
+    if (!ownership.hasAccess) {
+      throw new AppError('Order not found.', 404);
+    }
+  }
+
+  const { data: order, error } = await orderModel.getOrderById(orderId);
+
+  if (error || !order) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  const pdf = await receiptService.generateOrderReceipt(order);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename=receipt-${order.order_number}.pdf`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(pdf);
+});
+
+// Loads the order for an adjustment action after checking the caller's side
+const getOrderForParty = async (orderId, userId, party) => {
+  const ownership = await orderModel.checkOrderOwnership(orderId, userId);
+  if (!ownership.hasAccess) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  if (party === 'seller' ? !ownership.isSeller : !ownership.isBuyer) {
+    throw new AppError(`Only the ${party} can do this.`, 403);
+  }
+
+  const { data: order, error } = await orderModel.getOrderById(orderId);
+  if (error || !order) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  return order;
+};
+
+const broadcastAdjustment = (req, order, recipientUserId, adjustment) => {
+  const socketService = req.app.get('socketService');
+  if (socketService) {
+    socketService.broadcastOrderUpdate(order.id, recipientUserId, {
+      order_number: order.order_number,
+      status: order.status,
+      adjustment_id: adjustment.id,
+      adjustment_status: adjustment.status,
+      total_amount: adjustment.status === 'accepted' ? adjustment.total_after : order.total_amount
+    });
+  }
+};
+
+exports.proposeOrderAdjustment = asyncHandler(async (req, res, next) => {
+  const order = await getOrderForParty(req.params.orderId, req.user.id, 'seller');
+
+  const result = await orderAdjustmentService.proposeAdjustment({
+    order,
+    sellerUserId: req.user.id,
+    changes: req.body.changes,
+    reason: req.body.reason
+  });
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode || 500);
+  }
+
+  broadcastAdjustment(req, order, order.buyer.user.id, result.data);
+
+  res.status(201).json({
+    success: true,
+    message: 'Adjustment sent to the buyer for approval.',
+    data: {
+      adjustment: result.data
+    }
+  });
+});
+
+exports.acceptOrderAdjustment = asyncHandler(async (req, res, next) => {
+  const order = await getOrderForParty(req.params.orderId, req.user.id, 'buyer');
+
+  const result = await orderAdjustmentService.acceptAdjustment({
+    order,
+    adjustmentId: req.params.adjustmentId,
+    buyerUserId: req.user.id,
+    note: req.body.note
+  });
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode || 500);
+  }
+
+  broadcastAdjustment(req, order, order.seller.user.id, result.data);
+
+  const { data: updatedOrder } = await orderModel.getOrderById(order.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Adjustment accepted. Your order has been updated.',
+    data: {
+      adjustment: result.data,
+      order: updatedOrder
+    }
+  });
+});
+
+exports.rejectOrderAdjustment = asyncHandler(async (req, res, next) => {
+  const order = await getOrderForParty(req.params.orderId, req.user.id, 'buyer');
+
+  const result = await orderAdjustmentService.rejectAdjustment({
+    order,
+    adjustmentId: req.params.adjustmentId,
+    buyerUserId: req.user.id,
+    note: req.body.note
+  });
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode || 500);
+  }
+
+  broadcastAdjustment(req, order, order.seller.user.id, result.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Adjustment rejected. The order stays as placed.',
+    data: {
+      adjustment: result.data
+    }
+  });
+});
+
+exports.withdrawOrderAdjustment = asyncHandler(async (req, res, next) => {
+  const order = await getOrderForParty(req.params.orderId, req.user.id, 'seller');
+
+  const result = await orderAdjustmentService.withdrawAdjustment({
+    order,
+    adjustmentId: req.params.adjustmentId,
+    sellerUserId: req.user.id
+  });
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode || 500);
+  }
+
+  broadcastAdjustment(req, order, order.buyer.user.id, result.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Adjustment withdrawn.',
+    data: {
+      adjustment: result.data
+    }
+  });
+});
+
+// ============ Live delivery tracking ============
+
+exports.getDeliveryTracking = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+
+  const ownership = await orderModel.checkOrderOwnership(orderId, req.user.id);
+  if (!ownership.hasAccess) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  const { data: session, error } = await deliveryTrackingModel.getSessionByOrder(orderId);
+
+  if (error) {
+    throw new AppError('Failed to fetch delivery tracking.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tracking: deliveryTrackingService.toPublicSession(session)
+    }
+  });
+});
+
+exports.startDeliveryTracking = asyncHandler(async (req, res, next) => {
+  const order = await getOrderForParty(req.params.orderId, req.user.id, 'seller');
+
+  const result = await deliveryTrackingService.start(order);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  const socketService = req.app.get('socketService');
+  if (socketService && !result.alreadyActive) {
+    socketService.broadcastOrderUpdate(order.id, order.buyer.user.id, {
+      order_number: order.order_number,
+      status: order.status,
+      tracking_status: 'active'
+    });
+  }
+
+  res.status(result.alreadyActive ? 200 : 201).json({
+    success: true,
+    message: result.alreadyActive ? 'Delivery tracking is already on.' : 'Delivery started. The buyer can now follow your location.',
+    data: {
+      tracking: result.data
+    }
+  });
+});
+
+exports.updateDeliveryLocation = asyncHandler(async (req, res, next) => {
+  const { latitude, longitude, accuracy, heading, speed } = req.body;
+
+  const result = await deliveryTrackingService.updateLocation(req.params.orderId, req.user.id, {
+    latitude,
+    longitude,
+    accuracy,
+    heading,
+    speed
+  });
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tracking: result.data,
+      throttled: result.throttled
+    }
+  });
+});
+
+exports.stopDeliveryTracking = asyncHandler(async (req, res, next) => {
+  const result = await deliveryTrackingService.stop(req.params.orderId, req.user.id);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Location sharing stopped.'
+  });
+});
+
+// Harvest-morning pick list: totals per product plus a packing slip per
+// order. status is a comma-separated list; date defaults to today.
+exports.getPickList = asyncHandler(async (req, res, next) => {
+  const {
+    date = deliverySlotService.todayLocal(),
+    status,
+    include_unscheduled: includeUnscheduled = 'true',
+    format = 'json'
+  } = req.query;
+
+  const { data: profile } = await supabase
+    .from('seller_profiles')
+    .select('id')
+    .eq('user_id', req.user.id)
+    .single();
+
+  if (!profile) {
+    throw new AppError('Seller profile not found.', 404);
+  }
+
+  const statuses = status
+    ? [...new Set(status.split(',').map(value => value.trim()))]
+    : ORDER.PICK_LIST_DEFAULT_STATUSES;
+
+  const result = await pickListService.buildPickList(profile.id, {
+    date,
+    statuses,
+    includeUnscheduled: includeUnscheduled !== 'false'
+  });
+
+  if (!result.success) {
+    console.error('Pick list error:', result.error);
+    throw new AppError('Failed to build the pick list.', 500);
+  }
+
+  if (format === 'pdf') {
+    const pdf = await receiptService.generatePickList(result.data, req.user.full_name);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=pick-list-${date}.pdf`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.send(pdf);
   }
 
+  if (format === 'html') {
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.type('html').send(pickListService.toHtml(result.data, req.user.full_name));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      pick_list: result.data
+    }
+  });
+});
+
+// Checks and applies one seller status change, then tells the buyer. Shared
+// by the single and bulk endpoints; failures are thrown as AppError.
+const applySellerStatusUpdate = async (req, orderId, status, file = null) => {
+  const userId = req.user.id;
+
   const ownership = await orderModel.checkOrderOwnership(orderId, userId);
   if (!ownership.isSeller) {
     throw new AppError('You do not have permission to update this order.', 403);
   }
 
-  const { data: currentOrder } = await orderModel.getOrderById(orderId);
+  const { data: currentOrder } = await orderModel.getOrderStatus(orderId);
 
   if (!currentOrder) {
     throw new AppError('Order not found.', 404);
   }
 
-  if (currentOrder.status === 'cancelled') {
-    throw new AppError('Cannot update cancelled order.', 400);
+  const check = orderLifecycleService.canTransition(currentOrder.status, status, 'seller', currentOrder);
+  if (!check.allowed) {
+    throw new AppError(check.reason, 400);
   }
 
-  if (currentOrder.status === 'completed') {
-    throw new AppError('Order is already completed.', 400);
+  if (status === 'ready') {
+    const { data: pendingAdjustment } = await orderAdjustmentModel.getPendingAdjustment(orderId);
+    if (pendingAdjustment) {
+      throw new AppError('Wait for the buyer to respond to your item adjustment, or withdraw it, before marking the order ready.', 400);
+    }
   }
 
-  if (status === 'ready' && currentOrder.status !== 'confirmed') {
-    throw new AppError('Order must be confirmed before marking as ready.', 400);
-  }
+  const deliveryProofUrl = file && status === 'ready'
+    ? await uploadDeliveryProof(orderId, file, 'seller')
+    : null;
 
-  const { data: order, error } = await orderModel.updateOrderStatus(orderId, status);
+  const { data: order, error, statusCode } = await orderLifecycleService.transitionOrder({
+    orderId,
+    toStatus: status,
+    actorId: userId,
+    actorRole: 'seller',
+    deliveryProofUrl
+  });
 
   if (error) {
-    throw new AppError('Failed to update order status.', 500);
+    throw new AppError(error, statusCode);
   }
 
   // Get buyer user_id for notification and socket update
@@ -405,6 +1214,14 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
     }
   }
 
+  return order;
+};
+
+exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
+  const { status } = req.body;
+
+  const order = await applySellerStatusUpdate(req, req.params.orderId, status, req.file);
+
   res.status(200).json({
     success: true,
     message: `Order marked as ${status}!`,
@@ -414,6 +1231,88 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Market-day batches: each order is checked on its own, so one bad order
+// does not stop the rest
+exports.bulkUpdateOrderStatus = asyncHandler(async (req, res, next) => {
+  const { status } = req.body;
+  const orderIds = [...new Set(req.body.order_ids)];
+  const results = [];
+
+  // One at a time so stock holds and buyer notifications stay in order
+  for (const orderId of orderIds) {
+    try {
+      const order = await applySellerStatusUpdate(req, orderId, status);
+      results.push({
+        order_id: orderId,
+        order_number: order.order_number,
+        success: true,
+        status: order.status
+      });
+    } catch (error) {
+      if (!error.isOperational) {
+        console.error('Bulk order status error:', error);
+      }
+      results.push({
+        order_id: orderId,
+        success: false,
+        error: error.isOperational ? error.message : 'Failed to update order.'
+      });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.status(200).json({
+    success: true,
+    message: `${succeeded} of ${results.length} orders marked as ${status}.`,
+    data: {
+      status,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    }
+  });
+});
+
+// Bookkeeping export of the seller's orders, one row per item
+exports.exportOrders = asyncHandler(async (req, res, next) => {
+  const { status, date_from: dateFrom, date_to: dateTo, format = 'csv' } = req.query;
+
+  const { data: profile } = await supabase
+    .from('seller_profiles')
+    .select('id')
+    .eq('user_id', req.user.id)
+    .single();
+
+  if (!profile) {
+    throw new AppError('Seller profile not found.', 404);
+  }
+
+  const result = await orderExportService.getSellerOrdersForExport(profile.id, { status, dateFrom, dateTo });
+
+  if (!result.success) {
+    console.error('Export orders error:', result.error);
+    throw new AppError('Failed to export orders.', 500);
+  }
+
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      results: result.data.length,
+      data: {
+        orders: result.data,
+        truncated: result.truncated
+      }
+    });
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=orders-${status || 'all'}-${stamp}.csv`);
+  return res.send(orderExportService.ordersToCsv(result.data));
+});
+
 exports.confirmOrderCompletion = asyncHandler(async (req, res, next) => {
   const { orderId } = req.params;
   const userId = req.user.id;
@@ -438,54 +1337,78 @@ exports.confirmOrderCompletion = asyncHandler(async (req, res, next) => {
     throw new AppError('You have already confirmed this order.', 400);
   }
 
-  if (role === 'seller' && currentOrder.seller_confirmed) {
-    throw new AppError('You have already confirmed this order.', 400);
+  // The buyer's handover code stands in for their confirmation, so a seller
+  // who confirmed earlier can still enter it
+  const handoverCode = req.body.handover_code || null;
+
+  if (handoverCode && role !== 'seller') {
+    throw new AppError('Only the seller enters the handover code.', 403);
   }
 
-  // Handle delivery proof image upload if provided
-  let deliveryProofUrl = null;
-  if (req.file) {
-    try {
-      const timestamp = Date.now();
-      const randomString = crypto.randomBytes(8).toString('hex');
-      const fileExtension = req.file.originalname.split('.').pop();
-      const filePrefix = role === 'buyer' ? 'buyer' : 'seller';
-      const fileName = `${orderId}_${filePrefix}_${timestamp}_${randomString}.${fileExtension}`;
-      const filePath = `orders/${orderId}/${fileName}`;
-
-      const uploadResult = await uploadFile(
-        BUCKETS.DELIVERY_PROOF,
-        filePath,
-        req.file.buffer,
-        req.file.mimetype
-      );
+  if (role === 'seller' && currentOrder.seller_confirmed && !handoverCode) {
+    throw new AppError('You have already confirmed this order.', 400);
+  }
 
-      if (!uploadResult.success) {
-        throw new AppError(`Failed to upload delivery proof: ${uploadResult.error}`, 500);
+  if (handoverCode) {
+    const handover = await handoverService.verify({
+      orderId,
+      code: handoverCode,
+      sellerUserId: userId,
+      location: {
+        latitude: req.body.latitude,
+        longitude: req.body.longitude,
+        accuracy: req.body.accuracy
       }
+    });
 
-      deliveryProofUrl = uploadResult.data.publicUrl || uploadResult.data.path;
-    } catch (uploadError) {
-      console.error('Delivery proof upload error:', uploadError);
-      throw new AppError('Failed to upload delivery proof image.', 500);
+    if (!handover.success) {
+      throw new AppError(handover.error, handover.statusCode);
     }
   }
 
-  const { data: order, error } = await orderModel.confirmOrder(orderId, role, deliveryProofUrl);
+  // Handle delivery proof image upload if provided
+  const deliveryProofUrl = req.file
+    ? await uploadDeliveryProof(orderId, req.file, role === 'buyer' ? 'buyer' : 'seller')
+    : null;
+
+  const { data: confirmedOrder, error } = await orderModel.confirmOrder(orderId, role, deliveryProofUrl);
 
   if (error) {
     throw new AppError('Failed to confirm order.', 500);
   }
 
-  const message = (order.buyer_confirmed && order.seller_confirmed)
-    ? 'Order completed! Both parties have confirmed.'
-    : 'Order confirmed! Waiting for other party confirmation.';
+  let order = confirmedOrder;
+
+  if (order.buyer_confirmed && order.seller_confirmed) {
+    const completion = await orderLifecycleService.transitionOrder({
+      orderId,
+      toStatus: 'completed',
+      actorId: userId,
+      actorRole: 'system',
+      note: handoverCode ? 'Handover code verified by seller' : 'Buyer and seller both confirmed'
+    });
+
+    if (completion.error) {
+      throw new AppError(completion.error, completion.statusCode);
+    }
+
+    order = completion.data;
+  }
+
+  const message = handoverCode
+    ? 'Handover code accepted. Order completed!'
+    : (order.buyer_confirmed && order.seller_confirmed)
+      ? 'Order completed! Both parties have confirmed.'
+      : 'Order confirmed! Waiting for other party confirmation.';
 
   // Get socket service for real-time updates
   const socketService = req.app.get('socketService');
 
   if (order.status === 'completed') {
-    await orderModel.updateSellerStats(order.seller_id, parseFloat(order.total_amount));
+    await orderModel.updateSellerStats(order.seller_id, orderModel.getSellerCredit(order), {
+      orderId: order.id,
+      description: `Order ${order.order_number}`
+    });
     
     const { data: seller } = await supabase
       .from('seller_profiles')
@@ -613,29 +1536,20 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
     throw new AppError('Order not found.', 404);
   }
 
-  const { data: currentOrder } = await orderModel.getOrderById(orderId);
-
-  if (!currentOrder) {
-    throw new AppError('Order not found.', 404);
-  }
-
-  if (!['pending', 'confirmed'].includes(currentOrder.status)) {
-    throw new AppError('Cannot cancel order in current status.', 400);
-  }
-
-  const { data: order, error } = await orderModel.cancelOrder(orderId, userId, reason);
+  const { data: order, error, statusCode } = await orderCancellationService.cancelOrder({
+    orderId,
+    actorId: userId,
+    actorRole: ownership.isSeller ? 'seller' : 'buyer',
+    reason,
+    extraUpdates: {
+      cancelled_by: userId
+    }
+  });
 
   if (error) {
-    throw new AppError('Failed to cancel order.', 500);
+    throw new AppError(statusCode === 400 ? 'Cannot cancel order in current status.' : error, statusCode);
   }
 
-  const orderItems = currentOrder.items.map(item => ({
-    product_id: item.product_id,
-    quantity: item.quantity
-  }));
-
-  await orderModel.restoreProductStock(orderItems);
-
   const { data: seller } = await supabase
     .from('seller_profiles')
     .select('user_id')
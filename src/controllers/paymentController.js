@@ -0,0 +1,169 @@
+// src\controllers\paymentController.js
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const orderModel = require('../models/orderModel');
+const paymentModel = require('../models/paymentModel');
+const paymentService = require('../services/paymentService');
+const mockGcashProvider = require('../services/paymentProviders/mockGcashProvider');
+
+const PAYMENT_RETURN_PATH = '/buyer.html#orders';
+
+exports.getPaymentMethods = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      methods: paymentService.getAvailableMethods()
+    }
+  });
+});
+
+exports.createPaymentIntent = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+  const userId = req.user.id;
+
+  const ownership = await orderModel.checkOrderOwnership(orderId, userId);
+  if (!ownership.isBuyer) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  const { data: order } = await orderModel.getOrderById(orderId);
+  if (!order) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  const { success, data: payment, error, statusCode } = await paymentService.createPaymentIntent(order, {
+    returnUrl: PAYMENT_RETURN_PATH
+  });
+
+  if (!success) {
+    throw new AppError(error, statusCode || 500);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment session created.',
+    data: {
+      payment: {
+        id: payment.id,
+        provider: payment.provider,
+        reference: payment.provider_reference,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        checkout_url: payment.checkout_url,
+        expires_at: payment.expires_at
+      }
+    }
+  });
+});
+
+exports.getPaymentStatus = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+  const userId = req.user.id;
+
+  const ownership = await orderModel.checkOrderOwnership(orderId, userId);
+  if (!ownership.hasAccess) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  const { success, error } = await paymentService.syncOrderPayment(orderId);
+  if (!success) {
+    console.error('Payment status sync failed:', error);
+  }
+
+  const { data: order } = await orderModel.getOrderStatus(orderId);
+  const { data: payments } = await paymentModel.getPaymentsByOrder(orderId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      order_id: orderId,
+      payment_method: order?.payment_method,
+      payment_status: order?.payment_status,
+      payments
+    }
+  });
+});
+
+exports.handleWebhook = asyncHandler(async (req, res, next) => {
+  const { provider } = req.params;
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+
+  const { success, error, statusCode } = await paymentService.handleWebhook(provider, rawBody, req.headers);
+
+  if (!success) {
+    throw new AppError(error || 'Webhook processing failed.', statusCode || 500);
+  }
+
+  res.status(200).json({ success: true, received: true });
+});
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Hosted checkout page of the local mock gateway
+exports.renderMockCheckout = asyncHandler(async (req, res, next) => {
+  if (!mockGcashProvider.isEnabled()) {
+    throw new AppError('Mock payments are disabled.', 404);
+  }
+
+  const intent = mockGcashProvider.getIntent(req.params.reference);
+  if (!intent) {
+    throw new AppError('Payment session not found.', 404);
+  }
+
+  const reference = escapeHtml(intent.reference);
+  const isPending = intent.status === 'pending';
+
+  res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Mock GCash Checkout</title>
+  <style>
+    body { font-family: sans-serif; background: #f1f5f9; display: flex; justify-content: center; padding: 40px 16px; }
+    .card { background: #fff; border-radius: 12px; padding: 24px; max-width: 360px; width: 100%; box-shadow: 0 4px 12px rgba(0,0,0,.08); }
+    .amount { font-size: 28px; font-weight: bold; color: #0057e4; }
+    button { width: 100%; padding: 12px; border: 0; border-radius: 8px; font-size: 16px; margin-top: 12px; cursor: pointer; }
+    .pay { background: #0057e4; color: #fff; }
+    .cancel { background: #e2e8f0; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <p><strong>GCash (mock)</strong></p>
+    <p>${escapeHtml(intent.description)}</p>
+    <p class="amount">${escapeHtml(intent.currency)} ${Number(intent.amount).toFixed(2)}</p>
+    <p>Reference: ${reference}</p>
+    ${isPending ? `
+      <form method="POST" action="/api/payments/mock/${reference}/pay"><button class="pay" type="submit">Pay now</button></form>
+      <form method="POST" action="/api/payments/mock/${reference}/cancel"><button class="cancel" type="submit">Cancel</button></form>
+    ` : `<p>This payment session is ${escapeHtml(intent.status)}.</p>`}
+  </div>
+</body>
+</html>`);
+});
+
+exports.completeMockCheckout = asyncHandler(async (req, res, next) => {
+  if (!mockGcashProvider.isEnabled()) {
+    throw new AppError('Mock payments are disabled.', 404);
+  }
+
+  const { reference, outcome } = req.params;
+  const { success, data, error } = mockGcashProvider.completeCheckout(reference, outcome === 'pay' ? 'paid' : 'failed');
+
+  if (!success) {
+    throw new AppError(error, 400);
+  }
+
+  // Deliver the signed callback exactly as the gateway would
+  const result = await paymentService.handleWebhook(mockGcashProvider.name, data.rawBody, data.headers);
+  if (!result.success) {
+    console.error('Mock payment webhook failed:', result.error);
+  }
+
+  res.redirect(303, data.returnUrl || PAYMENT_RETURN_PATH);
+});
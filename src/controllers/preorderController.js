@@ -0,0 +1,112 @@
+// src\controllers\preorderController.js
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const productModel = require('../models/productModel');
+const preorderModel = require('../models/preorderModel');
+const preorderService = require('../services/preorderService');
+
+const getOwnedProduct = async (productId, userId) => {
+  const isOwner = await productModel.isProductOwner(productId, userId);
+  if (!isOwner) {
+    throw new AppError('Product not found.', 404);
+  }
+
+  const { data: product, error } = await preorderModel.getPreorderProduct(productId);
+  if (error || !product) {
+    throw new AppError('Product not found.', 404);
+  }
+
+  return product;
+};
+
+exports.updatePreorderSettings = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+  const { expected_harvest_date, preorder_quota } = req.body;
+  const wasPreorder = product.is_preorder;
+
+  const result = await preorderService.updateSettings(product, {
+    expectedHarvestDate: expected_harvest_date,
+    quota: preorder_quota
+  });
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: wasPreorder ? 'Pre-order settings updated.' : 'Pre-orders are now open for this product.',
+    data: {
+      product: result.data
+    }
+  });
+});
+
+exports.disablePreorder = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+
+  const result = await preorderService.disable(product);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Pre-orders closed for this product.',
+    data: {
+      product: result.data
+    }
+  });
+});
+
+exports.getPreorderQueue = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+
+  const { data: orders, error } = await preorderModel.getWaitingOrders(product.id);
+
+  if (error) {
+    throw new AppError('Failed to fetch pre-orders.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      product,
+      orders: orders.map((order, index) => ({
+        ...order,
+        queue_position: index + 1,
+        quantity: order.items.reduce((sum, item) => sum + Number(item.quantity), 0)
+      }))
+    }
+  });
+});
+
+exports.recordHarvest = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+
+  const result = await preorderService.recordHarvest(product, req.body.harvested_quantity, req.user.id);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  const { filled_orders: filled, unfilled_orders: unfilled } = result.data;
+  const socketService = req.app.get('socketService');
+
+  if (socketService) {
+    [...filled, ...unfilled].forEach(order => {
+      socketService.broadcastOrderUpdate(order.id, order.buyer.user_id, {
+        order_number: order.order_number,
+        status: order.status
+      });
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Harvest recorded. ${filled.length} pre-order${filled.length !== 1 ? 's' : ''} filled` +
+      (unfilled.length > 0 ? `, ${unfilled.length} could not be filled and were cancelled.` : '.'),
+    data: result.data
+  });
+});
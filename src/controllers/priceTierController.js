@@ -0,0 +1,86 @@
+// src\controllers\priceTierController.js
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const productModel = require('../models/productModel');
+const priceTierModel = require('../models/priceTierModel');
+
+const getOwnedProduct = async (productId, userId) => {
+  const isOwner = await productModel.isProductOwner(productId, userId);
+  if (!isOwner) {
+    throw new AppError('Product not found.', 404);
+  }
+
+  const { data: product, error } = await productModel.getProductById(productId);
+  if (error || !product) {
+    throw new AppError('Product not found.', 404);
+  }
+
+  return product;
+};
+
+// Each break has to beat the base price and the break below it, otherwise
+// buying more would cost more per unit.
+const checkTierLadder = (product, tiers) => {
+  const sorted = priceTierModel.sortTiers(tiers);
+  let previousPrice = Number(product.price_per_unit);
+
+  for (let i = 0; i < sorted.length; i += 1) {
+    const tier = sorted[i];
+
+    if (i > 0 && tier.min_quantity === sorted[i - 1].min_quantity) {
+      throw new AppError(`There are two price breaks at ${tier.min_quantity} ${product.unit_type}.`, 400);
+    }
+
+    if (tier.price_per_unit >= previousPrice) {
+      throw new AppError(
+        `The price for ${tier.min_quantity}+ ${product.unit_type} must be lower than ₱${previousPrice.toFixed(2)}.`,
+        400
+      );
+    }
+
+    previousPrice = tier.price_per_unit;
+  }
+
+  return sorted;
+};
+
+exports.getPriceTiers = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      base_price_per_unit: Number(product.price_per_unit),
+      unit_type: product.unit_type,
+      tiers: product.price_tiers
+    }
+  });
+});
+
+// Saves the whole set of breaks; an empty list goes back to a flat price
+exports.replacePriceTiers = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+
+  // Variants carry their own prices, so bulk breaks on the product would not apply
+  if (product.variants?.length > 0) {
+    throw new AppError('Bulk prices are not available for products sold in variants.', 409);
+  }
+
+  const tiers = checkTierLadder(product, req.body.tiers);
+
+  const { data: saved, error } = await priceTierModel.replaceTiers(product.id, tiers);
+
+  if (error) {
+    throw new AppError('Failed to save bulk prices.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: saved.length > 0 ? 'Bulk prices saved.' : 'Bulk prices removed.',
+    data: {
+      base_price_per_unit: Number(product.price_per_unit),
+      unit_type: product.unit_type,
+      tiers: saved
+    }
+  });
+});
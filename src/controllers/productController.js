@@ -5,6 +5,8 @@ const productModel = require('../models/productModel');
 const { uploadProductPhoto, deleteFile, BUCKETS } = require('../config/storage');
 const { supabase, supabaseService } = require('../config/database');
 const emailService = require('../services/emailService');
+const earningsService = require('../services/earningsService');
+const { EARNINGS } = require('../utils/constants');
 
 const LOW_STOCK_THRESHOLD = 10;
 const LISTING_REVIEW_PENDING_STATUS = 'pending_approval';
@@ -173,7 +175,7 @@ exports.createProduct = asyncHandler(async (req, res, next) => {
     photo_path: photoPath,
     photos: photoUrls,
     status: LISTING_REVIEW_PENDING_STATUS
-  });
+  }, req.user.id);
 
   // Backward-compat: some databases may not have moderation statuses yet.
   // If so, use draft as pending-review fallback so listing flow still works.
@@ -190,7 +192,7 @@ exports.createProduct = asyncHandler(async (req, res, next) => {
       photo_path: photoPath,
       photos: photoUrls,
       status: LISTING_REVIEW_PENDING_FALLBACK_STATUS
-    });
+    }, req.user.id);
     product = retryResult.data;
     error = retryResult.error;
   }
@@ -241,12 +243,24 @@ exports.getAllProducts = asyncHandler(async (req, res, next) => {
     limit: req.query.limit ? parseInt(req.query.limit) : 20
   };
 
-  const { data, error, count, page, limit, total_pages } = await productModel.getAllProducts(filters);
+  const includeFacets = req.query.include_facets === true;
+
+  const [listing, facetsResult] = await Promise.all([
+    productModel.getAllProducts(filters),
+    includeFacets ? productModel.getProductFacets(filters) : null
+  ]);
+
+  const { data, error, count, page, limit, total_pages } = listing;
 
   if (error) {
     throw new AppError('Failed to fetch products.', 500);
   }
 
+  // Facets are a browsing aid; the listing is still returned without them
+  if (facetsResult?.error) {
+    console.error('Product facets error:', facetsResult.error);
+  }
+
   // Map seller data to seller_name field for easier frontend access
   const productsWithSellerName = data.map(product => ({
     ...product,
@@ -263,7 +277,8 @@ exports.getAllProducts = asyncHandler(async (req, res, next) => {
     limit,
     total_pages,
     data: {
-      products: productsWithSellerName
+      products: productsWithSellerName,
+      ...(includeFacets && { facets: facetsResult.data || null })
     }
   });
 });
@@ -454,6 +469,14 @@ exports.updateProduct = asyncHandler(async (req, res, next) => {
   if (price_per_unit !== undefined) updates.price_per_unit = parseFloat(price_per_unit);
   if (unit_type !== undefined) updates.unit_type = unit_type;
   if (available_quantity !== undefined) updates.available_quantity = parseInt(available_quantity);
+
+  // Price, unit and stock follow the variants while the product has any
+  if (currentProduct.variants?.length > 0) {
+    delete updates.price_per_unit;
+    delete updates.unit_type;
+    delete updates.available_quantity;
+  }
+
   if (status !== undefined) {
     const requestedStatus = String(status).toLowerCase();
     if (requestedStatus === LISTING_REVIEW_REJECTED_STATUS) {
@@ -560,7 +583,7 @@ exports.updateProduct = asyncHandler(async (req, res, next) => {
     updates.status = LISTING_REVIEW_PENDING_STATUS;
   }
 
-  let { data: updatedProduct, error } = await productModel.updateProduct(productId, updates);
+  let { data: updatedProduct, error } = await productModel.updateProduct(productId, updates, req.user.id);
 
   if (
     error &&
@@ -571,7 +594,7 @@ exports.updateProduct = asyncHandler(async (req, res, next) => {
       ...updates,
       status: LISTING_REVIEW_PENDING_FALLBACK_STATUS
     };
-    const fallbackResult = await productModel.updateProduct(productId, fallbackUpdates);
+    const fallbackResult = await productModel.updateProduct(productId, fallbackUpdates, req.user.id);
     updatedProduct = fallbackResult.data;
     error = fallbackResult.error;
   }
@@ -789,6 +812,112 @@ exports.getTopProducts = asyncHandler(async (req, res, next) => {
   });
 });
 
+// ============ Earnings Ledger ============
+
+const getSellerProfileId = async (userId) => {
+  const { data: sellerProfile, error: profileError } = await supabase
+    .from('seller_profiles')
+    .select('id')
+    .eq('user_id', userId)
+    .single();
+
+  if (profileError || !sellerProfile) {
+    throw new AppError('Seller profile not found.', 404);
+  }
+
+  return sellerProfile.id;
+};
+
+exports.getSellerEarnings = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const { date_from, date_to, entry_type, page = 1, limit = 50 } = req.query;
+
+  const { success, data, error } = await earningsService.getEarnings(sellerId, {
+    dateFrom: date_from,
+    dateTo: date_to,
+    entryType: entry_type,
+    page: parseInt(page),
+    limit: Math.min(parseInt(limit), 100)
+  });
+
+  if (!success) {
+    console.error('Get seller earnings error:', error);
+    throw new AppError('Failed to fetch earnings.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    results: data.entries.length,
+    total: data.count,
+    page: parseInt(page),
+    limit: Math.min(parseInt(limit), 100),
+    total_pages: data.total_pages || 1,
+    data: {
+      entries: data.entries,
+      summary: data.summary,
+      date_from: date_from || null,
+      date_to: date_to || null
+    }
+  });
+});
+
+exports.getEarningsStatements = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const { period = 'monthly', count = EARNINGS.DEFAULT_STATEMENT_COUNT } = req.query;
+
+  const { success, data: statements, error } = await earningsService.listStatements(
+    sellerId,
+    period,
+    Math.min(parseInt(count), EARNINGS.MAX_STATEMENT_COUNT)
+  );
+
+  if (!success) {
+    console.error('Get earnings statements error:', error);
+    throw new AppError('Failed to fetch statements.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    results: statements.length,
+    data: {
+      period,
+      statements
+    }
+  });
+});
+
+// :periodStart may be any date inside the period; it is snapped to the period start
+exports.getEarningsStatement = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const { periodStart } = req.params;
+  const { period = 'monthly', format = 'json' } = req.query;
+
+  const { success, data: statement, error } = await earningsService.getStatement(sellerId, period, periodStart);
+
+  if (!success) {
+    console.error('Get earnings statement error:', error);
+    throw new AppError('Failed to generate statement.', 500);
+  }
+
+  if (format === 'csv') {
+    const csv = earningsService.statementToCsv(statement, req.user.full_name);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=earnings-${period}-${statement.period_start}.csv`
+    );
+    return res.send(csv);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      statement
+    }
+  });
+});
+
 // Get product reviews
 exports.getProductReviews = asyncHandler(async (req, res, next) => {
   const { productId } = req.params;
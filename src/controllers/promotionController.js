@@ -0,0 +1,212 @@
+// src\controllers\promotionController.js
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { supabase } = require('../config/database');
+const promotionModel = require('../models/promotionModel');
+const { PROMOTION } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EDITABLE_FIELDS = [
+  'name', 'discount_type', 'discount_value', 'scope', 'categories',
+  'product_ids', 'starts_at', 'ends_at', 'usage_limit', 'is_active'
+];
+
+const getSellerProfileId = async (userId) => {
+  const { data: sellerProfile, error } = await supabase
+    .from('seller_profiles')
+    .select('id')
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !sellerProfile) {
+    throw new AppError('Seller profile not found.', 404);
+  }
+
+  return sellerProfile.id;
+};
+
+const getOwnedPromotion = async (promotionId, sellerId) => {
+  const { data: promotion } = await promotionModel.getPromotionById(promotionId);
+
+  if (!promotion || promotion.seller_id !== sellerId) {
+    throw new AppError('Promotion not found.', 404);
+  }
+
+  return promotion;
+};
+
+const pickFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Checks the promotion as it will be saved (existing values merged with the
+// changes) and returns the row to write
+const checkPromotion = async (sellerId, changes, existing = null) => {
+  const promotion = { ...existing, ...changes };
+  const startsAt = new Date(promotion.starts_at);
+  const endsAt = new Date(promotion.ends_at);
+
+  if (endsAt <= startsAt) {
+    throw new AppError('The promotion must end after it starts.', 400);
+  }
+
+  if (endsAt - startsAt > PROMOTION.MAX_DURATION_DAYS * DAY_MS) {
+    throw new AppError(`A promotion can run for at most ${PROMOTION.MAX_DURATION_DAYS} days.`, 400);
+  }
+
+  if (!existing && endsAt <= new Date()) {
+    throw new AppError('The promotion has to end in the future.', 400);
+  }
+
+  if (promotion.discount_type === 'percentage' && promotion.discount_value > PROMOTION.MAX_PERCENTAGE) {
+    throw new AppError(`A percentage discount can be at most ${PROMOTION.MAX_PERCENTAGE}%.`, 400);
+  }
+
+  if (existing && promotion.usage_limit !== null && promotion.usage_limit < existing.usage_count) {
+    throw new AppError(`This promotion has already been used ${existing.usage_count} times.`, 400);
+  }
+
+  if (promotion.scope === 'categories') {
+    if (!promotion.categories || promotion.categories.length === 0) {
+      throw new AppError('Choose at least one category for this promotion.', 400);
+    }
+    return { ...promotion, categories: [...new Set(promotion.categories)], product_ids: [] };
+  }
+
+  const productIds = [...new Set(promotion.product_ids || [])];
+  if (productIds.length === 0) {
+    throw new AppError('Choose at least one product for this promotion.', 400);
+  }
+
+  const { data: products, error } = await supabase
+    .from('products')
+    .select('id, name, price_per_unit')
+    .eq('seller_id', sellerId)
+    .in('id', productIds);
+
+  if (error) {
+    throw new AppError('Failed to check the selected products.', 500);
+  }
+
+  if (products.length !== productIds.length) {
+    throw new AppError('Some of the selected products were not found in your shop.', 400);
+  }
+
+  // A fixed amount has to leave something to pay on every product it covers
+  if (promotion.discount_type === 'fixed') {
+    const tooCheap = products.find(product => Number(product.price_per_unit) <= promotion.discount_value);
+    if (tooCheap) {
+      throw new AppError(`₱${promotion.discount_value} off is more than the price of ${tooCheap.name}.`, 400);
+    }
+  }
+
+  return { ...promotion, categories: [], product_ids: productIds };
+};
+
+const toRow = (promotion) => ({
+  name: promotion.name,
+  discount_type: promotion.discount_type,
+  discount_value: promotion.discount_value,
+  scope: promotion.scope,
+  categories: promotion.categories,
+  product_ids: promotion.product_ids,
+  starts_at: new Date(promotion.starts_at).toISOString(),
+  ends_at: new Date(promotion.ends_at).toISOString(),
+  usage_limit: promotion.usage_limit ?? null,
+  is_active: promotion.is_active ?? true
+});
+
+const withStatus = (promotion) => ({
+  ...promotion,
+  status: promotionModel.getStatus(promotion)
+});
+
+exports.getMyPromotions = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+
+  const { data: promotions, error } = await promotionModel.getSellerPromotions(sellerId);
+
+  if (error) {
+    throw new AppError('Failed to fetch promotions.', 500);
+  }
+
+  const { data: performance } = await promotionModel.getPromotionPerformance(promotions.map(p => p.id));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      promotions: promotions.map(promotion => ({
+        ...withStatus(promotion),
+        performance: performance[promotion.id] || {
+          order_count: 0,
+          units_sold: 0,
+          revenue: 0,
+          discount_given: 0,
+          last_order_at: null
+        }
+      }))
+    }
+  });
+});
+
+exports.createPromotion = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const promotion = await checkPromotion(sellerId, pickFields(req.body));
+
+  const { data: created, error } = await promotionModel.createPromotion(sellerId, toRow(promotion));
+
+  if (error || !created) {
+    throw new AppError('Failed to create promotion.', 500);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Promotion created.',
+    data: {
+      promotion: withStatus(created)
+    }
+  });
+});
+
+exports.updatePromotion = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const existing = await getOwnedPromotion(req.params.promotionId, sellerId);
+  const promotion = await checkPromotion(sellerId, pickFields(req.body), existing);
+
+  const { data: updated, error } = await promotionModel.updatePromotion(existing.id, toRow(promotion));
+
+  if (error || !updated) {
+    throw new AppError('Failed to update promotion.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion updated.',
+    data: {
+      promotion: withStatus(updated)
+    }
+  });
+});
+
+// Switches the promotion off rather than deleting it so past order lines
+// and analytics keep pointing at it
+exports.endPromotion = asyncHandler(async (req, res, next) => {
+  const sellerId = await getSellerProfileId(req.user.id);
+  const existing = await getOwnedPromotion(req.params.promotionId, sellerId);
+
+  const { data: updated, error } = await promotionModel.updatePromotion(existing.id, { is_active: false });
+
+  if (error || !updated) {
+    throw new AppError('Failed to end promotion.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion ended.',
+    data: {
+      promotion: withStatus(updated)
+    }
+  });
+});
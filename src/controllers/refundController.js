@@ -0,0 +1,74 @@
+// src\controllers\refundController.js
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const refundModel = require('../models/refundModel');
+const orderModel = require('../models/orderModel');
+const { supabase } = require('../config/database');
+
+const getPartyRefunds = async (req, res, party) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const profileTable = party === 'seller' ? 'seller_profiles' : 'buyer_profiles';
+
+  const { data: profile } = await supabase
+    .from(profileTable)
+    .select('id')
+    .eq('user_id', req.user.id)
+    .single();
+
+  if (!profile) {
+    throw new AppError(`${party === 'seller' ? 'Seller' : 'Buyer'} profile not found.`, 404);
+  }
+
+  const { data: refunds, error, count, total_pages } = await refundModel.getRefundsForParty(party, profile.id, {
+    status,
+    page: parseInt(page),
+    limit: Math.min(parseInt(limit), 100)
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch refunds.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    results: refunds.length,
+    total: count,
+    page: parseInt(page),
+    limit: Math.min(parseInt(limit), 100),
+    total_pages: total_pages || 1,
+    data: {
+      refunds
+    }
+  });
+};
+
+exports.getBuyerRefunds = asyncHandler(async (req, res, next) => {
+  await getPartyRefunds(req, res, 'buyer');
+});
+
+exports.getSellerRefunds = asyncHandler(async (req, res, next) => {
+  await getPartyRefunds(req, res, 'seller');
+});
+
+exports.getOrderRefunds = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+
+  const ownership = await orderModel.checkOrderOwnership(orderId, req.user.id);
+  if (!ownership.hasAccess) {
+    throw new AppError('Order not found.', 404);
+  }
+
+  const { data: refunds, error } = await refundModel.getRefundsByOrder(orderId);
+
+  if (error) {
+    throw new AppError('Failed to fetch refunds.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    results: refunds.length,
+    data: {
+      refunds
+    }
+  });
+});
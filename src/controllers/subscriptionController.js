@@ -0,0 +1,200 @@
+// src\controllers\subscriptionController.js
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const subscriptionModel = require('../models/subscriptionModel');
+const subscriptionService = require('../services/subscriptionService');
+const notificationService = require('../services/notificationService');
+const { supabase } = require('../config/database');
+
+const getProfile = async (userId, role) => {
+  const { data: profile, error } = await supabase
+    .from(role === 'seller' ? 'seller_profiles' : 'buyer_profiles')
+    .select(role === 'seller' ? 'id' : 'id, user_id, delivery_address')
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !profile) {
+    throw new AppError(`${role === 'seller' ? 'Seller' : 'Buyer'} profile not found.`, 404);
+  }
+
+  return profile;
+};
+
+// Buyers can act on their own subscriptions; sellers can only look at theirs
+const getAccessibleSubscription = async (subscriptionId, user, { buyerOnly = true } = {}) => {
+  const { data: subscription, error } = await subscriptionModel.getSubscriptionById(subscriptionId);
+
+  if (error || !subscription) {
+    throw new AppError('Subscription not found.', 404);
+  }
+
+  const isBuyer = subscription.buyer.user_id === user.id;
+  const isSeller = !buyerOnly && subscription.seller.user_id === user.id;
+
+  if (!isBuyer && !isSeller) {
+    throw new AppError('Subscription not found.', 404);
+  }
+
+  return subscription;
+};
+
+const withReview = (subscription) => ({
+  ...subscription,
+  // Live view of what would be flagged if the cycle ran now
+  item_issues: subscription.status === 'cancelled' ? [] : subscriptionService.reviewItems(subscription)
+});
+
+exports.getMySubscriptions = asyncHandler(async (req, res, next) => {
+  const buyerProfile = await getProfile(req.user.id, 'buyer');
+
+  const { data: subscriptions, error } = await subscriptionModel.getBuyerSubscriptions(buyerProfile.id, {
+    includeCancelled: req.query.include_cancelled === 'true'
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch subscriptions.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      subscriptions: subscriptions.map(withReview)
+    }
+  });
+});
+
+exports.getSellerSubscriptions = asyncHandler(async (req, res, next) => {
+  const sellerProfile = await getProfile(req.user.id, 'seller');
+
+  const { data: subscriptions, error } = await subscriptionModel.getSellerSubscriptions(sellerProfile.id);
+
+  if (error) {
+    throw new AppError('Failed to fetch subscriptions.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      subscriptions
+    }
+  });
+});
+
+exports.getSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await getAccessibleSubscription(req.params.subscriptionId, req.user, { buyerOnly: false });
+
+  const { data: orders } = await subscriptionModel.getSubscriptionOrders(subscription.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      subscription: withReview(subscription),
+      orders
+    }
+  });
+});
+
+exports.createSubscription = asyncHandler(async (req, res, next) => {
+  const buyerProfile = await getProfile(req.user.id, 'buyer');
+
+  const result = await subscriptionService.create(buyerProfile, req.body);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  const subscription = result.data;
+
+  await notificationService.createNotification({
+    user_id: subscription.seller.user_id,
+    title: 'New Subscription',
+    message: `${subscription.buyer.user.full_name} subscribed to a ${subscription.frequency} order starting ${subscription.next_delivery_date}.`,
+    type: 'order',
+    reference_id: null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Subscription created. Your first delivery is on ${subscription.next_delivery_date}.`,
+    data: {
+      subscription: withReview(subscription)
+    }
+  });
+});
+
+exports.updateSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await getAccessibleSubscription(req.params.subscriptionId, req.user);
+
+  const result = await subscriptionService.update(subscription, req.body);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Subscription updated.',
+    data: {
+      subscription: withReview(result.data)
+    }
+  });
+});
+
+exports.confirmDelivery = asyncHandler(async (req, res, next) => {
+  const subscription = await getAccessibleSubscription(req.params.subscriptionId, req.user);
+
+  const result = await subscriptionService.confirmCycle(subscription, req.user.id);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  const order = result.data;
+  const socketService = req.app.get('socketService');
+  if (socketService) {
+    socketService.broadcastOrderUpdate(order.id, subscription.seller.user_id, {
+      order_number: order.order_number,
+      status: order.status
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Order ${order.order_number} placed for ${order.preferred_date}.`,
+    data: {
+      order
+    }
+  });
+});
+
+// pause, resume, skip-next and cancel only differ in the service call
+const subscriptionAction = (action, message) => asyncHandler(async (req, res, next) => {
+  const subscription = await getAccessibleSubscription(req.params.subscriptionId, req.user);
+
+  const result = await subscriptionService[action](subscription);
+
+  if (!result.success) {
+    throw new AppError(result.error, result.statusCode);
+  }
+
+  const { data: updated } = await subscriptionModel.getSubscriptionById(subscription.id);
+
+  res.status(200).json({
+    success: true,
+    message: typeof message === 'function' ? message(updated) : message,
+    data: {
+      subscription: withReview(updated)
+    }
+  });
+});
+
+exports.pauseSubscription = subscriptionAction('pause', 'Subscription paused.');
+exports.resumeSubscription = subscriptionAction(
+  'resume',
+  (subscription) => `Subscription resumed. Next delivery is on ${subscription.next_delivery_date}.`
+);
+exports.skipNextDelivery = subscriptionAction(
+  'skipNext',
+  (subscription) => `Delivery skipped. Next delivery is on ${subscription.next_delivery_date}.`
+);
+exports.cancelSubscription = subscriptionAction('cancel', 'Subscription cancelled. Orders already placed are not affected.');
@@ -54,9 +54,24 @@ exports.updateMyProfile = asyncHandler(async (req, res, next) => {
 
 exports.updateSellerProfile = asyncHandler(async (req, res, next) => {
   const userId = req.user.id;
-  const { municipality, farm_type, latitude, longitude } = req.body;
+  const {
+    municipality,
+    farm_type,
+    latitude,
+    longitude,
+    delivery_base_fee,
+    delivery_per_km_fee,
+    free_delivery_threshold,
+    max_delivery_radius_km
+  } = req.body;
 
-  if (!municipality && !farm_type && !latitude && !longitude) {
+  if (
+    !municipality && !farm_type && !latitude && !longitude &&
+    delivery_base_fee === undefined &&
+    delivery_per_km_fee === undefined &&
+    free_delivery_threshold === undefined &&
+    max_delivery_radius_km === undefined
+  ) {
     throw new AppError('Please provide at least one field to update.', 400);
   }
 
@@ -65,6 +80,15 @@ exports.updateSellerProfile = asyncHandler(async (req, res, next) => {
   if (farm_type) updates.farm_type = farm_type;
   if (latitude !== undefined) updates.latitude = latitude;
   if (longitude !== undefined) updates.longitude = longitude;
+  if (delivery_base_fee !== undefined) updates.delivery_base_fee = parseFloat(delivery_base_fee);
+  if (delivery_per_km_fee !== undefined) updates.delivery_per_km_fee = parseFloat(delivery_per_km_fee);
+  // Threshold and radius are cleared with null (no free delivery / no radius limit)
+  if (free_delivery_threshold !== undefined) {
+    updates.free_delivery_threshold = free_delivery_threshold === null ? null : parseFloat(free_delivery_threshold);
+  }
+  if (max_delivery_radius_km !== undefined) {
+    updates.max_delivery_radius_km = max_delivery_radius_km === null ? null : parseFloat(max_delivery_radius_km);
+  }
 
   const { data, error } = await userModel.updateSellerProfile(userId, updates);
 
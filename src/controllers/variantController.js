@@ -0,0 +1,161 @@
+// src\controllers\variantController.js
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const productModel = require('../models/productModel');
+const variantModel = require('../models/variantModel');
+const { VARIANT } = require('../utils/constants');
+
+const getOwnedProduct = async (productId, userId) => {
+  const isOwner = await productModel.isProductOwner(productId, userId);
+  if (!isOwner) {
+    throw new AppError('Product not found.', 404);
+  }
+
+  const { data: product, error } = await productModel.getProductById(productId);
+  if (error || !product) {
+    throw new AppError('Product not found.', 404);
+  }
+
+  return product;
+};
+
+const getProductVariant = async (product, variantId) => {
+  const { data: variant } = await variantModel.getVariantById(variantId);
+
+  if (!variant || variant.product_id !== product.id || !variant.is_active) {
+    throw new AppError('Variant not found.', 404);
+  }
+
+  return variant;
+};
+
+// Unique index on name / SKU among the product's active variants
+const throwVariantWriteError = (error, fallback) => {
+  if (error.code === '23505') {
+    throw new AppError('Another variant of this product already uses that name or SKU.', 409);
+  }
+  throw new AppError(fallback, 500);
+};
+
+exports.getVariants = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+
+  const { data: variants, error } = await variantModel.getProductVariants(product.id);
+
+  if (error) {
+    throw new AppError('Failed to fetch variants.', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      variants
+    }
+  });
+});
+
+exports.createVariant = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+
+  // Pre-order quota and harvest allocation work on the product's own stock
+  if (product.is_preorder) {
+    throw new AppError('Close pre-orders for this product before adding variants.', 409);
+  }
+
+  // Bulk prices are set against the product's single price
+  if (product.price_tiers?.length > 0) {
+    throw new AppError('Remove the bulk prices for this product before adding variants.', 409);
+  }
+
+  const { count } = await variantModel.countActiveVariants(product.id);
+  if (count >= VARIANT.MAX_PER_PRODUCT) {
+    throw new AppError(`A product can have at most ${VARIANT.MAX_PER_PRODUCT} variants.`, 400);
+  }
+
+  const { name, sku, price_per_unit, unit_type, available_quantity, sort_order } = req.body;
+
+  const { data: variant, error } = await variantModel.createVariant(product.id, {
+    name,
+    sku,
+    price_per_unit,
+    unit_type,
+    available_quantity,
+    sort_order: sort_order ?? count
+  }, req.user.id);
+
+  if (error) {
+    throwVariantWriteError(error, 'Failed to add variant.');
+  }
+
+  const { data: updatedProduct } = await productModel.getProductById(product.id);
+
+  res.status(201).json({
+    success: true,
+    message: count === 0
+      ? `${variant.name} added. Price and stock for ${product.name} now come from its variants.`
+      : `${variant.name} added.`,
+    data: {
+      variant,
+      product: updatedProduct
+    }
+  });
+});
+
+exports.updateVariant = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+  const variant = await getProductVariant(product, req.params.variantId);
+
+  const updates = {};
+  ['name', 'price_per_unit', 'unit_type', 'available_quantity', 'sort_order'].forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+  if (req.body.sku !== undefined) updates.sku = req.body.sku || null;
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError('Nothing to update.', 400);
+  }
+
+  const { data: updated, error } = await variantModel.updateVariant(variant.id, updates, req.user.id);
+
+  if (error) {
+    throwVariantWriteError(error, 'Failed to update variant.');
+  }
+
+  if (!updated) {
+    throw new AppError('Variant not found.', 404);
+  }
+
+  const { data: updatedProduct } = await productModel.getProductById(product.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Variant updated.',
+    data: {
+      variant: updated,
+      product: updatedProduct
+    }
+  });
+});
+
+// Removing a variant keeps the row for past orders; it disappears from the
+// listing and carts holding it are flagged at checkout.
+exports.deleteVariant = asyncHandler(async (req, res, next) => {
+  const product = await getOwnedProduct(req.params.productId, req.user.id);
+  const variant = await getProductVariant(product, req.params.variantId);
+
+  const { error } = await variantModel.deactivateVariant(variant.id);
+
+  if (error) {
+    throw new AppError('Failed to remove variant.', 500);
+  }
+
+  const { data: updatedProduct } = await productModel.getProductById(product.id);
+
+  res.status(200).json({
+    success: true,
+    message: `${variant.name} removed.`,
+    data: {
+      product: updatedProduct
+    }
+  });
+});
@@ -1,21 +1,82 @@
 // src\models\cartModel.js
 const { supabase, supabaseService } = require('../config/database');
+const deliveryFeeService = require('../services/deliveryFeeService');
+const { PRICE_TIER_SELECT, findTier, findNextTier } = require('./priceTierModel');
+const promotionModel = require('./promotionModel');
+
+// What a buyer can still order: the variant's stock, the product's stock,
+// or the unclaimed pre-order quota
+exports.getOrderableQuantity = (product, variant = null) => {
+  if (variant) {
+    return variant.is_active ? variant.available_quantity : 0;
+  }
+
+  return product.is_preorder
+    ? Math.max(0, (product.preorder_quota || 0) - (product.preorder_reserved || 0))
+    : product.available_quantity;
+};
+
+// Price and unit of a cart line, from its variant when it has one
+exports.getLinePrice = (item) => Number(item.variant ? item.variant.price_per_unit : item.product.price_per_unit);
+exports.getLineUnit = (item) => (item.variant ? item.variant.unit_type : item.product.unit_type);
+exports.getLineName = (item) => (item.variant ? `${item.product.name} (${item.variant.name})` : item.product.name);
+
+// Bulk price break a cart line reaches. Tiers sit on the product's own price,
+// so lines bought as a variant never get one, and a break only counts while
+// it is cheaper than the price the buyer added the line at.
+exports.getLineTier = (item) => {
+  if (item.variant) return null;
+
+  const tier = findTier(item.product?.price_tiers, item.quantity);
+  return tier && Number(tier.price_per_unit) < Number(item.price_snapshot) ? tier : null;
+};
+
+// Per-unit price before any promotion: the bulk break or the price the
+// line was added at
+exports.getRegularPrice = (item) => {
+  const tier = exports.getLineTier(item);
+  return Number(tier ? tier.price_per_unit : item.price_snapshot);
+};
+
+// The running promotion that takes the most off the line. It is taken off
+// the regular price, so it stacks on top of a bulk break.
+exports.getLinePromotion = (item) => promotionModel.findBestPromotion(
+  item.promotions,
+  item.product,
+  exports.getRegularPrice(item)
+);
+
+// What the line is charged per unit
+exports.getChargedPrice = (item) => {
+  const regularPrice = exports.getRegularPrice(item);
+  const promotion = exports.getLinePromotion(item);
+  return promotion ? promotionModel.discountedPrice(promotion, regularPrice) : regularPrice;
+};
+
+// Pricing fields returned with each cart line
+const withLinePricing = (item) => {
+  const promotion = exports.getLinePromotion(item);
+
+  item.original_price = exports.getRegularPrice(item);
+  item.unit_price = exports.getChargedPrice(item);
+  item.applied_tier = exports.getLineTier(item);
+  item.next_tier = item.variant ? null : findNextTier(item.product?.price_tiers, item.quantity);
+  item.promotion = promotion ? promotionModel.toOffer(promotion, item.original_price) : null;
+  delete item.promotions;
+  return item;
+};
 
 exports.addToCart = async (cartData) => {
   const {
     buyer_id,
     product_id,
+    variant_id = null,
     seller_id,
     quantity,
     price_snapshot
   } = cartData;
 
-  const { data: existing } = await supabase
-    .from('shopping_carts')
-    .select('*')
-    .eq('buyer_id', buyer_id)
-    .eq('product_id', product_id)
-    .single();
+  const { data: existing } = await exports.getCartLine(buyer_id, product_id, variant_id);
 
   if (existing) {
     const newQuantity = existing.quantity + quantity;
@@ -38,6 +99,7 @@ exports.addToCart = async (cartData) => {
       .insert([{
         buyer_id,
         product_id,
+        variant_id,
         seller_id,
         quantity,
         price_snapshot
@@ -49,6 +111,21 @@ exports.addToCart = async (cartData) => {
   }
 };
 
+// The buyer's line for a product, or for one of its variants
+exports.getCartLine = async (buyerId, productId, variantId = null) => {
+  let query = supabase
+    .from('shopping_carts')
+    .select('*')
+    .eq('buyer_id', buyerId)
+    .eq('product_id', productId);
+
+  query = variantId ? query.eq('variant_id', variantId) : query.is('variant_id', null);
+
+  const { data, error } = await query.maybeSingle();
+
+  return { data, error };
+};
+
 exports.getCartItems = async (buyerId) => {
   const { data, error } = await supabase
     .from('shopping_carts')
@@ -56,18 +133,31 @@ exports.getCartItems = async (buyerId) => {
       *,
       product:products!inner (
         id,
+        seller_id,
         name,
         category,
         price_per_unit,
         unit_type,
         available_quantity,
+        is_preorder,
+        expected_harvest_date,
+        preorder_quota,
+        preorder_reserved,
         photo_path,
         status,
         municipality,
+        variants:product_variants (id, is_active),
+        price_tiers:product_price_tiers (${PRICE_TIER_SELECT}),
         seller:seller_profiles!inner (
           id,
           municipality,
           farm_type,
+          latitude,
+          longitude,
+          delivery_base_fee,
+          delivery_per_km_fee,
+          free_delivery_threshold,
+          max_delivery_radius_km,
           user:users!inner (
             id,
             full_name,
@@ -75,15 +165,58 @@ exports.getCartItems = async (buyerId) => {
             status
           )
         )
+      ),
+      variant:product_variants (
+        id,
+        name,
+        sku,
+        price_per_unit,
+        unit_type,
+        available_quantity,
+        is_active
       )
     `)
     .eq('buyer_id', buyerId)
     .order('created_at', { ascending: false });
 
-  return { data: data || [], error };
+  if (error || !data) {
+    return { data: data || [], error };
+  }
+
+  // Running promotions for each line; the best one is picked per quantity
+  const { data: promotions, error: promotionsError } = await promotionModel.getActivePromotions(
+    data.map(item => item.seller_id)
+  );
+
+  if (promotionsError) {
+    console.error('Load cart promotions error:', promotionsError);
+  }
+
+  data.forEach(item => {
+    item.promotions = item.product
+      ? promotions.filter(promotion => promotionModel.appliesTo(promotion, item.product))
+      : [];
+  });
+
+  return { data, error };
 };
 
-exports.getCartSummary = async (buyerId) => {
+const resolveDeliveryContext = async (buyerId, options = {}) => {
+  const { data: buyerProfile } = await supabase
+    .from('buyer_profiles')
+    .select('delivery_latitude, delivery_longitude, municipality, preferred_delivery_option')
+    .eq('id', buyerId)
+    .single();
+
+  return {
+    delivery_option: options.delivery_option || buyerProfile?.preferred_delivery_option || 'drop-off',
+    latitude: options.delivery_latitude ?? buyerProfile?.delivery_latitude ?? null,
+    longitude: options.delivery_longitude ?? buyerProfile?.delivery_longitude ?? null,
+    municipality: buyerProfile?.municipality || null
+  };
+};
+
+exports.getCartSummary = async (buyerId, deliveryOptions = {}) => {
   const { data: items, error } = await exports.getCartItems(buyerId);
 
   if (error) {
@@ -95,7 +228,8 @@ exports.getCartSummary = async (buyerId) => {
   const sellerGroups = {};
 
   items.forEach(item => {
-    const itemTotal = item.quantity * item.price_snapshot;
+    withLinePricing(item);
+    const itemTotal = item.quantity * item.unit_price;
     subtotal += itemTotal;
     totalItems += item.quantity;
 
@@ -104,6 +238,7 @@ exports.getCartSummary = async (buyerId) => {
         seller_id: item.seller_id,
         seller_name: item.product.seller.user.full_name,
         municipality: item.product.seller.municipality,
+        seller: item.product.seller,
         items: [],
         subtotal: 0
       };
@@ -113,13 +248,42 @@ exports.getCartSummary = async (buyerId) => {
     sellerGroups[item.seller_id].subtotal += itemTotal;
   });
 
+  const groups = Object.values(sellerGroups);
+  let deliveryFee = 0;
+
+  if (groups.length > 0) {
+    const deliveryContext = await resolveDeliveryContext(buyerId, deliveryOptions);
+
+    await Promise.all(groups.map(async (group) => {
+      const { success, data: quote, error: quoteError } = await deliveryFeeService.calculateDeliveryFee({
+        seller: group.seller,
+        subtotal: group.subtotal,
+        deliveryOption: deliveryContext.delivery_option,
+        latitude: deliveryContext.latitude,
+        longitude: deliveryContext.longitude,
+        municipality: deliveryContext.municipality
+      });
+
+      delete group.seller;
+      group.subtotal = parseFloat(group.subtotal.toFixed(2));
+      group.delivery_option = deliveryContext.delivery_option;
+      group.delivery_fee = success ? quote.delivery_fee : 0;
+      group.delivery_distance_km = quote.distance_km;
+      group.delivery_available = success;
+      group.delivery_error = success ? null : quoteError;
+      group.free_delivery_applied = quote.free_delivery_applied;
+      group.total = parseFloat((group.subtotal + group.delivery_fee).toFixed(2));
+      deliveryFee += group.delivery_fee;
+    }));
+  }
+
   const summary = {
     total_items: totalItems,
     total_unique_products: items.length,
     subtotal: parseFloat(subtotal.toFixed(2)),
-    delivery_fee: 0,
-    total: parseFloat(subtotal.toFixed(2)),
-    seller_groups: Object.values(sellerGroups),
+    delivery_fee: parseFloat(deliveryFee.toFixed(2)),
+    total: parseFloat((subtotal + deliveryFee).toFixed(2)),
+    seller_groups: groups,
     items
   };
 
@@ -205,39 +369,56 @@ exports.validateCartItems = async (buyerId) => {
       return;
     }
 
-    if (product.available_quantity < item.quantity) {
-      if (product.available_quantity === 0) {
-        issues.push(`${product.name} is out of stock`);
+    const name = exports.getLineName(item);
+    const unitType = exports.getLineUnit(item);
+
+    if (item.variant && !item.variant.is_active) {
+      issues.push(`${name} is no longer sold. Choose another option for ${product.name}`);
+      return;
+    }
+
+    // Added before the seller split the product into variants
+    if (!item.variant && (product.variants || []).some(variant => variant.is_active)) {
+      issues.push(`${product.name} now comes in several options. Remove it and add the one you want`);
+      return;
+    }
+
+    const orderable = exports.getOrderableQuantity(product, item.variant);
+    if (orderable < item.quantity) {
+      if (orderable === 0) {
+        issues.push(product.is_preorder && !item.variant ? `${name} pre-orders are fully booked` : `${name} is out of stock`);
       } else {
-        issues.push(`${product.name} - only ${product.available_quantity} ${product.unit_type} available (you have ${item.quantity} in cart)`);
+        issues.push(`${name} - only ${orderable} ${unitType} ${product.is_preorder && !item.variant ? 'left to pre-order' : 'available'} (you have ${item.quantity} in cart)`);
       }
       return;
     }
 
-    if (product.price_per_unit !== item.price_snapshot) {
-      const priceDifference = product.price_per_unit - item.price_snapshot;
+    const currentPrice = exports.getLinePrice(item);
+
+    if (currentPrice !== Number(item.price_snapshot)) {
+      const priceDifference = currentPrice - item.price_snapshot;
       
       if (priceDifference > 0) {
         warnings.push({
-          product: product.name,
+          product: name,
           type: 'price_increase',
           oldPrice: item.price_snapshot,
-          newPrice: product.price_per_unit,
-          message: `${product.name} price increased from ₱${item.price_snapshot} to ₱${product.price_per_unit}`
+          newPrice: currentPrice,
+          message: `${name} price increased from ₱${item.price_snapshot} to ₱${currentPrice}`
         });
       } else {
-        item.price_snapshot = product.price_per_unit;
+        item.price_snapshot = currentPrice;
         warnings.push({
-          product: product.name,
+          product: name,
           type: 'price_decrease',
           oldPrice: item.price_snapshot,
-          newPrice: product.price_per_unit,
-          message: `${product.name} price decreased from ₱${item.price_snapshot} to ₱${product.price_per_unit} - automatically updated!`
+          newPrice: currentPrice,
+          message: `${name} price decreased from ₱${item.price_snapshot} to ₱${currentPrice} - automatically updated!`
         });
       }
     }
 
-    validItems.push(item);
+    validItems.push(withLinePricing(item));
   });
 
   return {
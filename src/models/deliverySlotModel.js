@@ -0,0 +1,160 @@
+// src\models\deliverySlotModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+const WINDOW_SELECT = 'id, seller_id, day_of_week, start_time, end_time, capacity, is_active, created_at, updated_at';
+
+// ============ Weekly windows ============
+
+exports.getWindows = async (sellerId, { activeOnly = true } = {}) => {
+  let query = supabase
+    .from('seller_delivery_windows')
+    .select(WINDOW_SELECT)
+    .eq('seller_id', sellerId);
+
+  if (activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query
+    .order('day_of_week', { ascending: true })
+    .order('start_time', { ascending: true });
+
+  return { data: data || [], error };
+};
+
+exports.getWindowById = async (windowId) => {
+  const { data, error } = await supabase
+    .from('seller_delivery_windows')
+    .select(WINDOW_SELECT)
+    .eq('id', windowId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.createWindow = async (windowData) => {
+  const { data, error } = await supabaseService
+    .from('seller_delivery_windows')
+    .insert([{
+      seller_id: windowData.seller_id,
+      day_of_week: windowData.day_of_week,
+      start_time: windowData.start_time,
+      end_time: windowData.end_time,
+      capacity: windowData.capacity
+    }])
+    .select(WINDOW_SELECT)
+    .single();
+
+  return { data, error };
+};
+
+exports.updateWindow = async (windowId, sellerId, updates) => {
+  const { data, error } = await supabaseService
+    .from('seller_delivery_windows')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', windowId)
+    .eq('seller_id', sellerId)
+    .eq('is_active', true)
+    .select(WINDOW_SELECT)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// Windows are deactivated rather than deleted so booked orders keep their slot
+exports.deactivateWindow = async (windowId, sellerId) => (
+  exports.updateWindow(windowId, sellerId, { is_active: false })
+);
+
+// ============ Blackout dates ============
+
+exports.getBlackoutDates = async (sellerId, { from = null, to = null } = {}) => {
+  let query = supabase
+    .from('seller_blackout_dates')
+    .select('id, blackout_date, reason, created_at')
+    .eq('seller_id', sellerId);
+
+  if (from) query = query.gte('blackout_date', from);
+  if (to) query = query.lte('blackout_date', to);
+
+  const { data, error } = await query.order('blackout_date', { ascending: true });
+
+  return { data: data || [], error };
+};
+
+exports.createBlackoutDate = async (sellerId, blackoutDate, reason = null) => {
+  const { data, error } = await supabaseService
+    .from('seller_blackout_dates')
+    .insert([{
+      seller_id: sellerId,
+      blackout_date: blackoutDate,
+      reason
+    }])
+    .select('id, blackout_date, reason, created_at')
+    .single();
+
+  return { data, error };
+};
+
+exports.deleteBlackoutDate = async (blackoutId, sellerId) => {
+  const { data, error } = await supabaseService
+    .from('seller_blackout_dates')
+    .delete()
+    .eq('id', blackoutId)
+    .eq('seller_id', sellerId)
+    .select('id')
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// ============ Bookings ============
+
+// Non-cancelled orders with a preferred date in [from, to]. withOrders adds
+// the fields the seller's day view shows.
+exports.getBookedOrders = async (sellerId, from, to, { withOrders = false } = {}) => {
+  const select = withOrders
+    ? `
+      id,
+      order_number,
+      status,
+      delivery_option,
+      delivery_window_id,
+      preferred_date,
+      preferred_time,
+      total_amount,
+      buyer:buyer_profiles!inner (
+        id,
+        municipality,
+        user:users!inner (full_name)
+      )
+    `
+    : 'id, delivery_window_id, preferred_date';
+
+  const { data, error } = await supabase
+    .from('orders')
+    .select(select)
+    .eq('seller_id', sellerId)
+    .gte('preferred_date', from)
+    .lte('preferred_date', to)
+    .neq('status', 'cancelled')
+    .order('preferred_date', { ascending: true });
+
+  return { data: data || [], error };
+};
+
+// Capacity is checked and the order updated in one transaction
+// (book_delivery_slot). error.details is 'full', 'blackout' or 'unavailable'.
+exports.bookSlot = async (orderId, windowId, slotDate) => {
+  const { data, error } = await supabaseService
+    .rpc('book_delivery_slot', {
+      p_order_id: orderId,
+      p_window_id: windowId,
+      p_slot_date: slotDate
+    });
+
+  return { data, error };
+};
@@ -0,0 +1,103 @@
+// src\models\deliveryTrackingModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+exports.getSessionByOrder = async (orderId) => {
+  const { data, error } = await supabase
+    .from('delivery_tracking_sessions')
+    .select('*')
+    .eq('order_id', orderId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// One session per order; starting again after a stop reuses the row
+exports.startSession = async ({ order_id, seller_id, buyer_user_id, seller_user_id }) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabaseService
+    .from('delivery_tracking_sessions')
+    .upsert({
+      order_id,
+      seller_id,
+      buyer_user_id,
+      seller_user_id,
+      status: 'active',
+      latitude: null,
+      longitude: null,
+      accuracy_m: null,
+      heading: null,
+      speed_mps: null,
+      location_updated_at: null,
+      started_at: now,
+      ended_at: null,
+      end_reason: null,
+      updated_at: now
+    }, { onConflict: 'order_id' })
+    .select()
+    .single();
+
+  return { data, error };
+};
+
+// No row back means the session is no longer active
+exports.updateLocation = async (orderId, location) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabaseService
+    .from('delivery_tracking_sessions')
+    .update({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      accuracy_m: location.accuracy ?? null,
+      heading: location.heading ?? null,
+      speed_mps: location.speed ?? null,
+      location_updated_at: now,
+      updated_at: now
+    })
+    .eq('order_id', orderId)
+    .eq('status', 'active')
+    .select()
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// The last position is cleared so it is not readable after the delivery
+const endedFields = (reason) => {
+  const now = new Date().toISOString();
+  return {
+    status: 'ended',
+    end_reason: reason,
+    ended_at: now,
+    latitude: null,
+    longitude: null,
+    accuracy_m: null,
+    heading: null,
+    speed_mps: null,
+    updated_at: now
+  };
+};
+
+exports.endSession = async (orderId, reason) => {
+  const { data, error } = await supabaseService
+    .from('delivery_tracking_sessions')
+    .update(endedFields(reason))
+    .eq('order_id', orderId)
+    .eq('status', 'active')
+    .select('id')
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.endSessionsStartedBefore = async (cutoff, reason) => {
+  const { data, error } = await supabaseService
+    .from('delivery_tracking_sessions')
+    .update(endedFields(reason))
+    .eq('status', 'active')
+    .lt('started_at', cutoff)
+    .select('id');
+
+  return { data: data || [], error };
+};
@@ -0,0 +1,151 @@
+// src\models\earningsModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+const LEDGER_SELECT = `
+  id,
+  entry_type,
+  amount,
+  balance_after,
+  order_id,
+  refund_id,
+  description,
+  created_at,
+  order:orders!seller_earnings_ledger_order_id_fkey (order_number)
+`;
+
+// Writes the ledger entry and updates seller_profiles totals atomically.
+// Recording the same order completion or refund twice returns the first entry.
+exports.recordEntry = async (entry) => {
+  const { data, error } = await supabaseService
+    .rpc('record_seller_earning', {
+      p_seller_id: entry.seller_id,
+      p_entry_type: entry.entry_type,
+      p_amount: entry.amount,
+      p_order_id: entry.order_id || null,
+      p_refund_id: entry.refund_id || null,
+      p_description: entry.description || null,
+      p_created_by: entry.created_by || null
+    });
+
+  return { data, error };
+};
+
+const applyLedgerFilters = (query, filters = {}) => {
+  if (filters.from) {
+    query = query.gte('created_at', filters.from);
+  }
+  if (filters.to) {
+    query = query.lt('created_at', filters.to);
+  }
+  if (filters.entry_type) {
+    query = query.eq('entry_type', filters.entry_type);
+  }
+  return query;
+};
+
+exports.getLedgerEntries = async (sellerId, filters = {}) => {
+  const page = filters.page || 1;
+  const limit = filters.limit || 50;
+  const from = (page - 1) * limit;
+
+  const query = applyLedgerFilters(
+    supabase
+      .from('seller_earnings_ledger')
+      .select(LEDGER_SELECT, { count: 'exact' })
+      .eq('seller_id', sellerId),
+    filters
+  );
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(from, from + limit - 1);
+
+  return {
+    data: data || [],
+    error,
+    count: count || 0,
+    total_pages: count ? Math.ceil(count / limit) : 0
+  };
+};
+
+// PostgREST caps how many rows one response returns, so statement entries
+// are read a page at a time
+const ENTRY_PAGE_SIZE = 1000;
+
+// Every entry in [from, to), oldest first, for statement listings
+exports.getEntriesInRange = async (sellerId, from, to) => {
+  const entries = [];
+  let offset = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const query = applyLedgerFilters(
+      supabase
+        .from('seller_earnings_ledger')
+        .select(LEDGER_SELECT)
+        .eq('seller_id', sellerId),
+      { from, to }
+    );
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + ENTRY_PAGE_SIZE - 1);
+
+    if (error) {
+      return { data: [], error };
+    }
+
+    entries.push(...data);
+    hasMore = data.length === ENTRY_PAGE_SIZE;
+    offset += ENTRY_PAGE_SIZE;
+  }
+
+  return { data: entries, error: null };
+};
+
+// Totals for each period between consecutive bounds (ISO strings or null
+// for an open end), summed by seller_earnings_totals (024_earnings_totals.sql)
+exports.getTotals = async (sellerId, bounds) => {
+  const { data, error } = await supabase.rpc('seller_earnings_totals', {
+    p_seller_id: sellerId,
+    p_bounds: bounds
+  });
+
+  return {
+    data: (data || []).map(row => ({
+      order_earnings: parseFloat(row.order_earnings) || 0,
+      refunds: parseFloat(row.refunds) || 0,
+      adjustments: parseFloat(row.adjustments) || 0,
+      completed_orders: Number(row.completed_orders),
+      entry_count: Number(row.entry_count)
+    })),
+    error
+  };
+};
+
+// What an order has added to the seller's balance so far: its completion
+// credit less any refunds and adjustments recorded against it
+exports.getOrderNet = async (orderId) => {
+  const { data, error } = await supabase
+    .from('seller_earnings_ledger')
+    .select('amount')
+    .eq('order_id', orderId);
+
+  const total = (data || []).reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+  return { data: parseFloat(total.toFixed(2)), error };
+};
+
+// Ledger balance just before a point in time
+exports.getBalanceBefore = async (sellerId, before) => {
+  const { data, error } = await supabase
+    .from('seller_earnings_ledger')
+    .select('balance_after')
+    .eq('seller_id', sellerId)
+    .lt('created_at', before)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return { data: data ? parseFloat(data.balance_after) : 0, error };
+};
@@ -0,0 +1,41 @@
+// src\models\handoverModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+exports.getCode = async (orderId) => {
+  const { data, error } = await supabase
+    .from('order_handover_codes')
+    .select('*')
+    .eq('order_id', orderId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// Leaves an existing code alone, so concurrent first views agree on one code
+exports.createCode = async (orderId, code) => {
+  const { error } = await supabaseService
+    .from('order_handover_codes')
+    .upsert({ order_id: orderId, code }, { onConflict: 'order_id', ignoreDuplicates: true });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  return exports.getCode(orderId);
+};
+
+// Resolves to one of the verify_order_handover() outcomes
+exports.verifyHandover = async ({ orderId, code, sellerUserId, latitude, longitude, accuracy, maxAttempts }) => {
+  const { data, error } = await supabaseService
+    .rpc('verify_order_handover', {
+      p_order_id: orderId,
+      p_code: code,
+      p_seller_user_id: sellerUserId,
+      p_latitude: latitude ?? null,
+      p_longitude: longitude ?? null,
+      p_accuracy: accuracy ?? null,
+      p_max_attempts: maxAttempts
+    });
+
+  return { data, error };
+};
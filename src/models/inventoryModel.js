@@ -0,0 +1,149 @@
+// src\models\inventoryModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+const MOVEMENT_SELECT = `
+  id,
+  product_id,
+  variant_id,
+  change,
+  quantity_after,
+  reason,
+  order_id,
+  note,
+  created_at,
+  variant:product_variants (id, name, sku),
+  actor:users (id, full_name, role)
+`;
+
+// Header values must be Latin-1, so anything else in a note is \u-escaped
+const toHeaderJson = (value) => JSON.stringify(value)
+  .replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+// Tells the inventory_movements trigger (021_inventory_movements.sql) why the
+// stock changed in this request. Works on any query or rpc builder.
+exports.withContext = (query, { reason, actorId = null, orderId = null, note = null } = {}) => (
+  query.setHeader('X-Inventory-Context', toHeaderJson({
+    reason,
+    actor_id: actorId,
+    order_id: orderId,
+    note: note ? String(note).slice(0, 255) : null
+  }))
+);
+
+const applyFilters = (query, productId, { variantId, reason, from, to } = {}) => {
+  query = query.eq('product_id', productId);
+
+  if (variantId) {
+    query = query.eq('variant_id', variantId);
+  }
+
+  if (reason) {
+    query = query.eq('reason', reason);
+  }
+
+  if (from) {
+    query = query.gte('created_at', from);
+  }
+
+  if (to) {
+    query = query.lte('created_at', to);
+  }
+
+  return query;
+};
+
+// Newest first. Orders are looked up separately because order_id has no
+// foreign key; an order that failed to place shows up without a number.
+exports.getMovements = async (productId, { page = 1, limit = 20, ...filters } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const { data, error, count } = await applyFilters(
+    supabase
+      .from('inventory_movements')
+      .select(MOVEMENT_SELECT, { count: 'exact' }),
+    productId,
+    filters
+  )
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return { data: [], error, count: 0, page, limit, total_pages: 0 };
+  }
+
+  const orderIds = [...new Set(data.map(row => row.order_id).filter(Boolean))];
+  let orders = [];
+
+  if (orderIds.length > 0) {
+    const { data: orderRows } = await supabase
+      .from('orders')
+      .select('id, order_number, status')
+      .in('id', orderIds);
+    orders = orderRows || [];
+  }
+
+  return {
+    data: data.map(row => ({
+      ...row,
+      order: orders.find(order => order.id === row.order_id) || null
+    })),
+    error: null,
+    count,
+    page,
+    limit,
+    total_pages: count ? Math.ceil(count / limit) : 0
+  };
+};
+
+// Units in and out per reason over the same filters as getMovements.
+// Totalled by inventory_movement_summary (023_inventory_summary.sql) so
+// the row cap on API responses cannot cut the totals short.
+exports.getSummary = async (productId, { variantId, reason, from, to } = {}) => {
+  const { data, error } = await supabase.rpc('inventory_movement_summary', {
+    p_product_id: productId,
+    p_variant_id: variantId || null,
+    p_reason: reason || null,
+    p_from: from || null,
+    p_to: to || null
+  });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const summary = { units_in: 0, units_out: 0, by_reason: {} };
+  data.forEach(row => {
+    const entry = {
+      count: Number(row.movement_count),
+      units_in: Number(row.units_in),
+      units_out: Number(row.units_out)
+    };
+
+    summary.units_in += entry.units_in;
+    summary.units_out += entry.units_out;
+    summary.by_reason[row.reason] = entry;
+  });
+
+  return { data: summary, error: null };
+};
+
+// Adds (positive) or removes (negative) stock outside of an order, e.g.
+// a recount or spoiled produce. Goes through change_item_stock so stock
+// never drops below zero; insufficient is true when it would have.
+exports.recordAdjustment = async ({ productId, variantId = null, change, reason, actorId, note = null }) => {
+  const { data, error } = await exports.withContext(
+    supabaseService.rpc('change_item_stock', {
+      p_product_id: productId,
+      p_variant_id: variantId,
+      p_delta: change
+    }),
+    { reason, actorId, note }
+  );
+
+  if (error) {
+    console.error('Record inventory adjustment error:', error);
+    return { success: false, insufficient: false, error };
+  }
+
+  return { success: data === true, insufficient: data !== true, error: null };
+};
@@ -0,0 +1,135 @@
+// src\models\orderAdjustmentModel.js
+const { supabase, supabaseService } = require('../config/database');
+const inventoryModel = require('./inventoryModel');
+
+const ADJUSTMENT_SELECT = `
+  id,
+  order_id,
+  status,
+  reason,
+  changes,
+  subtotal_before,
+  subtotal_after,
+  total_before,
+  total_after,
+  response_note,
+  responded_at,
+  created_at,
+  proposer:users!order_adjustments_proposed_by_fkey (id, full_name),
+  responder:users!order_adjustments_responded_by_fkey (id, full_name)
+`;
+
+exports.createAdjustment = async (adjustmentData) => {
+  const { data, error } = await supabaseService
+    .from('order_adjustments')
+    .insert([{
+      order_id: adjustmentData.order_id,
+      proposed_by: adjustmentData.proposed_by,
+      reason: adjustmentData.reason || null,
+      changes: adjustmentData.changes,
+      subtotal_before: adjustmentData.subtotal_before,
+      subtotal_after: adjustmentData.subtotal_after,
+      total_before: adjustmentData.total_before,
+      total_after: adjustmentData.total_after,
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  return { data, error };
+};
+
+exports.getAdjustmentById = async (adjustmentId) => {
+  const { data, error } = await supabase
+    .from('order_adjustments')
+    .select('*')
+    .eq('id', adjustmentId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.getPendingAdjustment = async (orderId) => {
+  const { data, error } = await supabase
+    .from('order_adjustments')
+    .select('*')
+    .eq('order_id', orderId)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// order_id -> pending adjustment id, for order lists
+exports.getPendingAdjustmentIds = async (orderIds) => {
+  const { data, error } = await supabase
+    .from('order_adjustments')
+    .select('id, order_id')
+    .in('order_id', orderIds)
+    .eq('status', 'pending');
+
+  const map = {};
+  (data || []).forEach(adjustment => {
+    map[adjustment.order_id] = adjustment.id;
+  });
+
+  return { data: map, error };
+};
+
+exports.getAdjustmentsByOrder = async (orderId) => {
+  const { data, error } = await supabase
+    .from('order_adjustments')
+    .select(ADJUSTMENT_SELECT)
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: false });
+
+  return { data: data || [], error };
+};
+
+// Items, stock and totals are updated in one transaction (apply_order_adjustment).
+// On a stock shortage error.details holds the product id.
+exports.applyAdjustment = async (adjustmentId, respondedBy, note = null, orderId = null) => {
+  const { data, error } = await inventoryModel.withContext(
+    supabaseService.rpc('apply_order_adjustment', {
+      p_adjustment_id: adjustmentId,
+      p_responded_by: respondedBy,
+      p_note: note
+    }),
+    { reason: 'order_adjusted', actorId: respondedBy, orderId }
+  );
+
+  return { data, error };
+};
+
+// Closes a pending adjustment without applying it (rejected / withdrawn)
+exports.closeAdjustment = async (adjustmentId, status, { respondedBy = null, note = null } = {}) => {
+  const { data, error } = await supabaseService
+    .from('order_adjustments')
+    .update({
+      status,
+      responded_by: respondedBy,
+      response_note: note,
+      responded_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', adjustmentId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.cancelPendingAdjustments = async (orderId) => {
+  const { error } = await supabaseService
+    .from('order_adjustments')
+    .update({
+      status: 'cancelled',
+      responded_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('order_id', orderId)
+    .eq('status', 'pending');
+
+  return { error };
+};
@@ -1,5 +1,11 @@
 // src\models\orderModel.js
 const { supabase, supabaseService } = require('../config/database');
+const crypto = require('crypto');
+const refundModel = require('./refundModel');
+const earningsModel = require('./earningsModel');
+const orderAdjustmentModel = require('./orderAdjustmentModel');
+const voucherModel = require('./voucherModel');
+const inventoryModel = require('./inventoryModel');
 
 exports.generateOrderNumber = async () => {
   const today = new Date();
@@ -15,12 +21,21 @@ exports.generateOrderNumber = async () => {
   return `ORD-${dateStr}-${orderNum}`;
 };
 
+// Shared reference shown to the buyer for all orders placed in one checkout
+exports.generateCheckoutReference = () => {
+  const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `CHK-${dateStr}-${suffix}`;
+};
+
 exports.createOrder = async (orderData) => {
   const orderNumber = await exports.generateOrderNumber();
 
   const { data, error } = await supabaseService
     .from('orders')
     .insert([{
+      // Set up front when stock is reserved before the order is written
+      ...(orderData.id && { id: orderData.id }),
       order_number: orderNumber,
       buyer_id: orderData.buyer_id,
       seller_id: orderData.seller_id,
@@ -33,10 +48,17 @@ exports.createOrder = async (orderData) => {
       order_notes: orderData.order_notes || null,
       subtotal: orderData.subtotal,
       delivery_fee: orderData.delivery_fee || 0,
+      delivery_distance_km: orderData.delivery_distance_km ?? null,
       total_amount: orderData.total_amount,
+      voucher_discount: orderData.voucher_discount || 0,
+      voucher_funded_by: orderData.voucher_funded_by || null,
       payment_method: orderData.payment_method || 'cod',
+      checkout_id: orderData.checkout_id || null,
+      checkout_reference: orderData.checkout_reference || null,
+      subscription_id: orderData.subscription_id || null,
       payment_status: 'unpaid',
-      status: 'pending'
+      is_preorder: Boolean(orderData.is_preorder),
+      status: orderData.is_preorder ? 'preorder' : 'pending'
     }])
     .select()
     .single();
@@ -48,9 +70,17 @@ exports.createOrderItems = async (orderId, items) => {
   const orderItems = items.map(item => ({
     order_id: orderId,
     product_id: item.product_id,
+    variant_id: item.variant_id || null,
+    variant_name: item.variant_name || null,
+    variant_sku: item.variant_sku || null,
     product_name: item.product_name,
     category: item.category,
     price_per_unit: item.price_per_unit,
+    base_price_per_unit: item.base_price_per_unit ?? null,
+    tier_min_quantity: item.tier_min_quantity ?? null,
+    promotion_id: item.promotion_id || null,
+    promotion_name: item.promotion_name || null,
+    promotion_discount: item.promotion_discount || 0,
     unit_type: item.unit_type,
     quantity: item.quantity,
     subtotal: item.subtotal
@@ -148,6 +178,25 @@ exports.getOrderById = async (orderId) => {
     order.unavailable_products = [];
   }
 
+  const { data: statusHistory } = await exports.getOrderStatusHistory(orderId);
+  order.status_history = statusHistory;
+
+  const { data: refunds } = await refundModel.getRefundsByOrder(orderId);
+  order.refunds = refunds;
+
+  const { data: adjustments } = await orderAdjustmentModel.getAdjustmentsByOrder(orderId);
+  order.adjustments = adjustments;
+
+  const { data: redemption } = await voucherModel.getOrderRedemption(orderId);
+  order.voucher = redemption ? {
+    code: redemption.voucher?.code || null,
+    description: redemption.voucher?.description || null,
+    funded_by: redemption.voucher?.seller_id ? 'seller' : 'platform',
+    discount_amount: Number(redemption.discount_amount),
+    redeemed_at: redemption.created_at,
+    released_at: redemption.released_at
+  } : null;
+
   return { data: order, error: null };
 };
 
@@ -159,6 +208,7 @@ exports.getBuyerOrders = async (buyerId, filters = {}) => {
     .select(`
       id,
       order_number,
+      checkout_reference,
       status,
       delivery_option,
       total_amount,
@@ -172,6 +222,7 @@ exports.getBuyerOrders = async (buyerId, filters = {}) => {
       buyer_delivery_proof_url,
       preferred_date,
       preferred_time,
+      subscription_id,
       created_at,
       confirmed_at,
       completed_at,
@@ -204,6 +255,8 @@ exports.getBuyerOrders = async (buyerId, filters = {}) => {
       .select('*')
       .in('order_id', orderIds);
 
+    const { data: pendingAdjustments } = await orderAdjustmentModel.getPendingAdjustmentIds(orderIds);
+
     // Get all product IDs to fetch their current status
     const productIds = [...new Set((allOrderItems || []).map(item => item.product_id))];
     let productStatusMap = {};
@@ -232,6 +285,7 @@ exports.getBuyerOrders = async (buyerId, filters = {}) => {
       });
       
       order.items = orderItems;
+      order.pending_adjustment_id = pendingAdjustments[order.id] || null;
       
       // Check if any item has paused or draft status
       order.has_unavailable_product = orderItems.some(item => 
@@ -250,6 +304,7 @@ exports.getBuyerOrders = async (buyerId, filters = {}) => {
     // Ensure items array exists for all orders
     data.forEach(order => {
       order.items = [];
+      order.pending_adjustment_id = null;
       order.has_unavailable_product = false;
       order.unavailable_products = [];
     });
@@ -265,8 +320,9 @@ exports.getBuyerOrders = async (buyerId, filters = {}) => {
   };
 };
 
+// from/to are ISO bounds on created_at ([from, to)), used by the export
 exports.getSellerOrders = async (sellerId, filters = {}) => {
-  const { status, page = 1, limit = 20 } = filters;
+  const { status, from, to, page = 1, limit = 20 } = filters;
   
   let query = supabase
     .from('orders')
@@ -279,6 +335,8 @@ exports.getSellerOrders = async (sellerId, filters = {}) => {
       preferred_date,
       preferred_time,
       total_amount,
+      delivery_fee,
+      payment_method,
       payment_status,
       buyer_confirmed,
       seller_confirmed,
@@ -302,6 +360,14 @@ exports.getSellerOrders = async (sellerId, filters = {}) => {
     query = query.eq('status', status);
   }
 
+  if (from) {
+    query = query.gte('created_at', from);
+  }
+
+  if (to) {
+    query = query.lt('created_at', to);
+  }
+
   const offset = (page - 1) * limit;
   query = query.range(offset, offset + limit - 1);
 
@@ -316,14 +382,18 @@ exports.getSellerOrders = async (sellerId, filters = {}) => {
       .select('*')
       .in('order_id', orderIds);
 
+    const { data: pendingAdjustments } = await orderAdjustmentModel.getPendingAdjustmentIds(orderIds);
+
     // Map items to their respective orders
     data.forEach(order => {
       order.items = (allOrderItems || []).filter(item => item.order_id === order.id);
+      order.pending_adjustment_id = pendingAdjustments[order.id] || null;
     });
   } else if (data) {
     // Ensure items array exists for all orders
     data.forEach(order => {
       order.items = [];
+      order.pending_adjustment_id = null;
     });
   }
 
@@ -337,8 +407,81 @@ exports.getSellerOrders = async (sellerId, filters = {}) => {
   };
 };
 
-exports.updateOrderStatus = async (orderId, status, deliveryProofUrl = null) => {
+// Orders to pack for one delivery day (preferred_date), with their items.
+// includeUnscheduled adds orders in the same statuses that have no date yet.
+exports.getPickListOrders = async (sellerId, { date, statuses, includeUnscheduled = true }) => {
+  let query = supabase
+    .from('orders')
+    .select(`
+      id,
+      order_number,
+      status,
+      delivery_option,
+      delivery_address,
+      preferred_date,
+      preferred_time,
+      order_notes,
+      total_amount,
+      delivery_fee,
+      payment_method,
+      payment_status,
+      created_at,
+      buyer:buyer_profiles!inner (
+        id,
+        municipality,
+        user:users!inner (
+          full_name,
+          phone_number
+        )
+      )
+    `)
+    .eq('seller_id', sellerId)
+    .in('status', statuses)
+    .order('preferred_time', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: true });
+
+  query = includeUnscheduled
+    ? query.or(`preferred_date.eq.${date},preferred_date.is.null`)
+    : query.eq('preferred_date', date);
+
+  const { data, error } = await query;
+
+  if (error || !data || data.length === 0) {
+    return { data: data || [], error };
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('order_items')
+    .select('*')
+    .in('order_id', data.map(order => order.id));
+
+  if (itemsError) {
+    return { data: [], error: itemsError };
+  }
+
+  data.forEach(order => {
+    order.items = (items || []).filter(item => item.order_id === order.id);
+  });
+
+  return { data, error: null };
+};
+
+exports.getOrderStatus = async (orderId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id, status, payment_method, payment_status')
+    .eq('id', orderId)
+    .single();
+
+  return { data, error };
+};
+
+// Prefer orderLifecycleService.transitionOrder, which validates the move
+// and records history. fromStatus makes the update conditional.
+exports.updateOrderStatus = async (orderId, status, deliveryProofUrl = null, options = {}) => {
+  const { fromStatus = null, extraUpdates = {} } = options;
   const updates = {
+    ...extraUpdates,
     status,
     updated_at: new Date().toISOString()
   };
@@ -347,7 +490,6 @@ exports.updateOrderStatus = async (orderId, status, deliveryProofUrl = null) =>
     updates.confirmed_at = new Date().toISOString();
   } else if (status === 'completed') {
     updates.completed_at = new Date().toISOString();
-    updates.payment_status = 'paid';
   } else if (status === 'cancelled') {
     updates.cancelled_at = new Date().toISOString();
   }
@@ -357,16 +499,60 @@ exports.updateOrderStatus = async (orderId, status, deliveryProofUrl = null) =>
     updates.seller_delivery_proof_url = deliveryProofUrl;
   }
 
-  const { data, error } = await supabaseService
+  let query = supabaseService
     .from('orders')
     .update(updates)
-    .eq('id', orderId)
+    .eq('id', orderId);
+
+  if (fromStatus) {
+    query = query.eq('status', fromStatus);
+  }
+
+  const { data, error } = await query
     .select()
     .single();
 
   return { data, error };
 };
 
+exports.recordStatusHistory = async (orderId, entry) => {
+  const { data, error } = await supabaseService
+    .from('order_status_history')
+    .insert([{
+      order_id: orderId,
+      from_status: entry.from_status || null,
+      to_status: entry.to_status,
+      changed_by: entry.changed_by || null,
+      changed_by_role: entry.changed_by_role,
+      note: entry.note || null
+    }])
+    .select()
+    .single();
+
+  return { data, error };
+};
+
+exports.getOrderStatusHistory = async (orderId) => {
+  const { data, error } = await supabase
+    .from('order_status_history')
+    .select(`
+      id,
+      from_status,
+      to_status,
+      changed_by_role,
+      note,
+      created_at,
+      actor:users!order_status_history_changed_by_fkey (
+        id,
+        full_name
+      )
+    `)
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  return { data: data || [], error };
+};
+
 exports.confirmOrder = async (orderId, role, deliveryProofUrl = null) => {
   const updates = {
     updated_at: new Date().toISOString()
@@ -386,127 +572,135 @@ exports.confirmOrder = async (orderId, role, deliveryProofUrl = null) => {
     }
   }
 
-  const { data: updatedOrder } = await supabaseService
+  // Completion once both sides confirm goes through orderLifecycleService
+  const { data, error } = await supabaseService
     .from('orders')
     .update(updates)
     .eq('id', orderId)
-    .select('buyer_confirmed, seller_confirmed')
-    .single();
-
-  if (updatedOrder && updatedOrder.buyer_confirmed && updatedOrder.seller_confirmed) {
-    await supabaseService
-      .from('orders')
-      .update({
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        payment_status: 'paid'
-      })
-      .eq('id', orderId);
-  }
-
-  const { data, error } = await supabase
-    .from('orders')
-    .select('*')
-    .eq('id', orderId)
+    .select()
     .single();
 
   return { data, error };
 };
 
-exports.cancelOrder = async (orderId, cancelledBy, reason) => {
-  const { data, error } = await supabaseService
-    .from('orders')
-    .update({
-      status: 'cancelled',
-      cancelled_by: cancelledBy,
-      cancellation_reason: reason,
-      cancelled_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', orderId)
-    .select()
-    .single();
+// Weighed items can hold a fractional quantity; stock is counted in whole
+// units, so an item holds CEIL(quantity) units (see 009_order_adjustments.sql).
+// Items bought as a variant draw on that variant's stock.
+const toStockPayload = (items) => items.map(item => ({
+  product_id: item.product_id,
+  variant_id: item.variant_id || null,
+  quantity: Math.ceil(Number(item.quantity))
+}));
+
+// Decrements stock for all items in one transaction (reserve_product_stock).
+// Either every item is reserved or nothing is; on shortage error.details
+// holds the product id that could not be reserved. context ({ reason,
+// actorId, orderId, note }) is what the inventory ledger records.
+exports.reserveProductStock = async (items, context = {}) => {
+  const { data, error } = await inventoryModel.withContext(
+    supabaseService.rpc('reserve_product_stock', { p_items: toStockPayload(items) }),
+    { reason: 'order_placed', ...context }
+  );
+
+  if (error) {
+    return {
+      success: false,
+      data: null,
+      error,
+      failedProductId: error.details || null
+    };
+  }
 
-  return { data, error };
+  return { success: true, data: data || [], error: null, failedProductId: null };
 };
 
-exports.updateProductStock = async (items) => {
-  try {
-    for (const item of items) {
-      const { data: product } = await supabase
-        .from('products')
-        .select('available_quantity, order_count')
-        .eq('id', item.product_id)
-        .single();
-
-      if (product) {
-        const newQuantity = Math.max(0, product.available_quantity - item.quantity);
-
-        await supabaseService
-          .from('products')
-          .update({
-            available_quantity: newQuantity,
-            order_count: (product.order_count || 0) + 1,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', item.product_id);
-      }
-    }
+exports.releaseProductStock = async (items, context = {}) => {
+  const { data, error } = await inventoryModel.withContext(
+    supabaseService.rpc('release_product_stock', { p_items: toStockPayload(items) }),
+    { reason: 'order_cancelled', ...context }
+  );
 
-    return { success: true, error: null };
-  } catch (error) {
-    console.error('Update product stock error:', error);
-    return { success: false, error };
+  if (error) {
+    console.error('Release product stock error:', error);
+    return { success: false, data: null, error };
   }
+
+  return { success: true, data: data || [], error: null };
 };
 
-exports.restoreProductStock = async (items) => {
-  try {
-    for (const item of items) {
-      const { data: product } = await supabase
-        .from('products')
-        .select('available_quantity, order_count')
-        .eq('id', item.product_id)
-        .single();
+// Pre-orders take quota instead of stock (reserve_preorder_quota); same
+// all-or-nothing behaviour and failedProductId as reserveProductStock.
+exports.reservePreorderQuota = async (items) => {
+  const { data, error } = await supabaseService
+    .rpc('reserve_preorder_quota', { p_items: toStockPayload(items) });
+
+  if (error) {
+    return {
+      success: false,
+      data: null,
+      error,
+      failedProductId: error.details || null
+    };
+  }
 
-      if (product) {
-        await supabaseService
-          .from('products')
-          .update({
-            available_quantity: product.available_quantity + item.quantity,
-            order_count: Math.max(0, (product.order_count || 0) - 1),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', item.product_id);
-      }
-    }
+  return { success: true, data: data || [], error: null, failedProductId: null };
+};
 
-    return { success: true, error: null };
-  } catch (error) {
-    console.error('Restore product stock error:', error);
-    return { success: false, error };
+exports.releasePreorderQuota = async (items) => {
+  const { data, error } = await supabaseService
+    .rpc('release_preorder_quota', { p_items: toStockPayload(items) });
+
+  if (error) {
+    console.error('Release pre-order quota error:', error);
+    return { success: false, data: null, error };
   }
+
+  return { success: true, data: data || [], error: null };
 };
 
-exports.updateSellerStats = async (sellerId, amount) => {
-  const { data: seller } = await supabase
-    .from('seller_profiles')
-    .select('total_sales, total_orders')
-    .eq('id', sellerId)
-    .single();
+// Gives back what a cancelled order was holding: quota while it was still
+// waiting for the harvest, stock otherwise.
+exports.releaseOrderHold = async (items, fromStatus, context = {}) => (
+  fromStatus === 'preorder'
+    ? exports.releasePreorderQuota(items)
+    : exports.releaseProductStock(items, context)
+);
+
+// What the seller is credited when an order completes. Platform vouchers
+// are paid for by the platform, so their discount is added back.
+exports.getSellerCredit = (order) => {
+  const total = parseFloat(order.total_amount) || 0;
+
+  return order.voucher_funded_by === 'platform'
+    ? parseFloat((total + (parseFloat(order.voucher_discount) || 0)).toFixed(2))
+    : total;
+};
 
-  if (seller) {
-    await supabaseService
-      .from('seller_profiles')
-      .update({
-        total_sales: (parseFloat(seller.total_sales) || 0) + amount,
-        total_orders: (seller.total_orders || 0) + 1,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', sellerId);
+// Every change to seller sales goes through the earnings ledger. amount is
+// negative for refunds; only 'order_completed' entries bump total_orders.
+exports.updateSellerStats = async (sellerId, amount, {
+  entryType = 'order_completed',
+  orderId = null,
+  refundId = null,
+  description = null,
+  createdBy = null
+} = {}) => {
+  const { data, error } = await earningsModel.recordEntry({
+    seller_id: sellerId,
+    entry_type: entryType,
+    amount,
+    order_id: orderId,
+    refund_id: refundId,
+    description,
+    created_by: createdBy
+  });
+
+  if (error) {
+    console.error('Record seller earning error:', error);
+    return { success: false, data: null, error };
   }
 
-  return { success: true, error: null };
+  return { success: true, data, error: null };
 };
 
 exports.checkOrderOwnership = async (orderId, userId) => {
@@ -537,6 +731,7 @@ exports.checkOrderOwnership = async (orderId, userId) => {
 exports.getOrderStats = async (userId, role) => {
   const stats = {
     total_orders: 0,
+    preorder_orders: 0,
     pending_orders: 0,
     confirmed_orders: 0,
     completed_orders: 0,
@@ -579,6 +774,7 @@ exports.getOrderStats = async (userId, role) => {
 
     if (orders) {
       stats.total_orders = orders.length;
+      stats.preorder_orders = orders.filter(o => o.status === 'preorder').length;
       stats.pending_orders = orders.filter(o => o.status === 'pending').length;
       stats.confirmed_orders = orders.filter(o => o.status === 'confirmed').length;
       stats.completed_orders = orders.filter(o => o.status === 'completed').length;
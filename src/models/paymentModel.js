@@ -0,0 +1,114 @@
+// src\models\paymentModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+exports.createPayment = async (paymentData) => {
+  const { data, error } = await supabaseService
+    .from('payments')
+    .insert([{
+      order_id: paymentData.order_id,
+      provider: paymentData.provider,
+      provider_reference: paymentData.provider_reference,
+      amount: paymentData.amount,
+      currency: paymentData.currency,
+      status: 'pending',
+      checkout_url: paymentData.checkout_url || null,
+      expires_at: paymentData.expires_at || null
+    }])
+    .select()
+    .single();
+
+  return { data, error };
+};
+
+exports.getPaymentByReference = async (provider, providerReference) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('provider', provider)
+    .eq('provider_reference', providerReference)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.getLatestPaymentForOrder = async (orderId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.getPaymentsByOrder = async (orderId) => {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('id, provider, provider_reference, amount, currency, status, paid_at, failure_reason, created_at')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  return { data: data || [], error };
+};
+
+// Only moves a payment that is still in fromStatus
+exports.updatePaymentStatus = async (paymentId, fromStatus, updates) => {
+  const { data, error } = await supabaseService
+    .from('payments')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', paymentId)
+    .eq('status', fromStatus)
+    .select()
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// Returns { duplicate: true } when the provider already delivered this event
+exports.recordPaymentEvent = async (eventData) => {
+  const { data, error } = await supabaseService
+    .from('payment_events')
+    .insert([{
+      payment_id: eventData.payment_id || null,
+      provider: eventData.provider,
+      event_id: eventData.event_id,
+      event_type: eventData.event_type,
+      payload: eventData.payload
+    }])
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    return { data: null, error: null, duplicate: true };
+  }
+
+  return { data, error, duplicate: false };
+};
+
+// skipCancelled leaves cancelled orders alone, so a payment that lands
+// after the order was cancelled does not mark it paid
+exports.updateOrderPaymentStatus = async (orderId, fromStatuses, updates, { skipCancelled = false } = {}) => {
+  let query = supabaseService
+    .from('orders')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', orderId)
+    .in('payment_status', fromStatuses);
+
+  if (skipCancelled) {
+    query = query.neq('status', 'cancelled');
+  }
+
+  const { data, error } = await query
+    .select()
+    .maybeSingle();
+
+  return { data, error };
+};
@@ -0,0 +1,95 @@
+// src\models\preorderModel.js
+const { supabase, supabaseService } = require('../config/database');
+const inventoryModel = require('./inventoryModel');
+
+const PREORDER_SELECT = 'id, seller_id, name, unit_type, status, available_quantity, is_preorder, expected_harvest_date, preorder_quota, preorder_reserved, harvested_at';
+
+exports.getPreorderProduct = async (productId) => {
+  const { data, error } = await supabase
+    .from('products')
+    .select(PREORDER_SELECT)
+    .eq('id', productId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// Quota may not drop below what is already reserved
+exports.updatePreorderSettings = async (productId, settings) => {
+  let query = supabaseService
+    .from('products')
+    .update({
+      ...settings,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', productId);
+
+  if (settings.preorder_quota !== undefined) {
+    query = query.lte('preorder_reserved', settings.preorder_quota);
+  }
+
+  const { data, error } = await query
+    .select(PREORDER_SELECT)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// Turning pre-order mode off only succeeds while nobody is waiting on it
+exports.disablePreorder = async (productId) => {
+  const { data, error } = await supabaseService
+    .from('products')
+    .update({
+      is_preorder: false,
+      expected_harvest_date: null,
+      preorder_quota: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', productId)
+    .eq('preorder_reserved', 0)
+    .select(PREORDER_SELECT)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// Orders still waiting for this product's harvest, oldest first (the order
+// they will be filled in)
+exports.getWaitingOrders = async (productId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select(`
+      id,
+      order_number,
+      status,
+      total_amount,
+      created_at,
+      buyer:buyer_profiles!inner (
+        id,
+        user:users!inner (id, full_name)
+      ),
+      items:order_items!inner (product_id, quantity)
+    `)
+    .eq('status', 'preorder')
+    .eq('items.product_id', productId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  return { data: data || [], error };
+};
+
+// Fills waiting orders first-come-first-served in one transaction
+// (allocate_preorder_harvest). Returns [{ order_id, allocated }]. What is
+// left over goes into stock and is logged as a harvest.
+exports.allocateHarvest = async (productId, harvestedQuantity, cancellationReason, actorId = null) => {
+  const { data, error } = await inventoryModel.withContext(
+    supabaseService.rpc('allocate_preorder_harvest', {
+      p_product_id: productId,
+      p_harvested_quantity: harvestedQuantity,
+      p_cancellation_reason: cancellationReason
+    }),
+    { reason: 'harvest', actorId, note: 'Left over after filling pre-orders' }
+  );
+
+  return { data: data || [], error };
+};
@@ -0,0 +1,42 @@
+// src\models\priceTierModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+const PRICE_TIER_SELECT = 'id, min_quantity, price_per_unit';
+
+exports.PRICE_TIER_SELECT = PRICE_TIER_SELECT;
+
+// Smallest break first
+exports.sortTiers = (tiers) => [...(tiers || [])].sort((a, b) => a.min_quantity - b.min_quantity);
+
+// The break a quantity reaches: the highest min_quantity at or below it
+exports.findTier = (tiers, quantity) => exports.sortTiers(tiers)
+  .filter(tier => tier.min_quantity <= quantity)
+  .pop() || null;
+
+// The next break above a quantity, for "buy 3 more to pay less" hints
+exports.findNextTier = (tiers, quantity) => exports.sortTiers(tiers)
+  .find(tier => tier.min_quantity > quantity) || null;
+
+exports.getProductTiers = async (productId) => {
+  const { data, error } = await supabase
+    .from('product_price_tiers')
+    .select(PRICE_TIER_SELECT)
+    .eq('product_id', productId);
+
+  return { data: exports.sortTiers(data), error };
+};
+
+exports.replaceTiers = async (productId, tiers) => {
+  const { data, error } = await supabaseService.rpc('replace_product_price_tiers', {
+    p_product_id: productId,
+    p_tiers: tiers.map(tier => ({
+      min_quantity: tier.min_quantity,
+      price_per_unit: tier.price_per_unit
+    }))
+  });
+
+  return {
+    data: exports.sortTiers((data || []).map(({ id, min_quantity, price_per_unit }) => ({ id, min_quantity, price_per_unit }))),
+    error
+  };
+};
@@ -1,8 +1,14 @@
 // src\models\productModel.js
 const { supabase, supabaseService } = require('../config/database');
-
-exports.createProduct = async (productData) => {
-  const { data, error } = await supabaseService
+const { SEARCH } = require('../utils/constants');
+const { VARIANT_SELECT, activeVariants } = require('./variantModel');
+const { PRICE_TIER_SELECT, sortTiers } = require('./priceTierModel');
+const promotionModel = require('./promotionModel');
+const inventoryModel = require('./inventoryModel');
+
+// actorId is recorded against the opening stock in the inventory ledger
+exports.createProduct = async (productData, actorId = null) => {
+  const { data, error } = await inventoryModel.withContext(supabaseService
     .from('products')
     .insert([{
       seller_id: productData.seller_id,
@@ -18,7 +24,7 @@ exports.createProduct = async (productData) => {
       status: productData.status || 'active'
     }])
     .select()
-    .single();
+    .single(), { reason: 'initial_stock', actorId });
 
   return { data, error };
 };
@@ -43,7 +49,9 @@ exports.getProductById = async (productId) => {
           status,
           verified_at
         )
-      )
+      ),
+      variants:product_variants (${VARIANT_SELECT}),
+      price_tiers:product_price_tiers (${PRICE_TIER_SELECT})
     `)
     .eq('id', productId)
     .single();
@@ -60,6 +68,9 @@ exports.getProductById = async (productId) => {
       .eq('product_id', productId);
     
     data.tags = tags ? tags.map(t => t.tag) : [];
+    data.variants = activeVariants(data.variants);
+    data.price_tiers = sortTiers(data.price_tiers);
+    await promotionModel.attachPromotions([data]);
     
     // Ensure rating fields exist
     data.average_rating = data.average_rating || 0;
@@ -69,9 +80,128 @@ exports.getProductById = async (productId) => {
   return { data, error };
 };
 
-exports.getAllProducts = async (filters = {}) => {
+const LISTING_SELECT = `
+  *,
+  seller:seller_profiles!inner (
+    id,
+    municipality,
+    farm_type,
+    rating,
+    user:users!inner (
+      id,
+      full_name,
+      status
+    )
+  ),
+  variants:product_variants (${VARIANT_SELECT}),
+  price_tiers:product_price_tiers (${PRICE_TIER_SELECT})
+`;
+
+const toTagList = (tags) => {
+  const list = Array.isArray(tags) ? tags : (tags ? [tags] : []);
+  return list.length > 0 ? list : null;
+};
+
+const attachListingDetails = async (products) => {
+  // Override product's stored municipality with seller's current municipality
+  products.forEach(product => {
+    if (product.seller && product.seller.municipality) {
+      product.municipality = product.seller.municipality;
+    }
+    product.variants = activeVariants(product.variants);
+    product.price_tiers = sortTiers(product.price_tiers);
+  });
+
+  // Always fetch tags for all products, regardless of filter
+  const productIds = products.map(p => p.id);
+  const { data: productTags } = await supabase
+    .from('product_tags')
+    .select('product_id, tag')
+    .in('product_id', productIds);
+
+  products.forEach(product => {
+    product.tags = productTags
+      ? productTags.filter(pt => pt.product_id === product.id).map(pt => pt.tag)
+      : [];
+  });
+
+  await promotionModel.attachPromotions(products);
+};
+
+// Ranked full-text search (search_products, 015_product_search.sql). The
+// function applies the listing filters and returns one page of ids in order;
+// the rows are then loaded with the usual listing select.
+const searchProducts = async (filters) => {
   const {
     search,
+    category,
+    municipality,
+    seller_id,
+    tags,
+    min_price,
+    max_price,
+    sort_by = 'relevance',
+    sort_order = 'desc',
+    page = 1,
+    limit = 20
+  } = filters;
+
+  const empty = { data: [], count: 0, page, limit, total_pages: 0 };
+
+  const { data: matches, error } = await supabase.rpc('search_products', {
+    p_query: search,
+    p_category: category || null,
+    p_municipality: municipality || null,
+    p_seller_id: seller_id || null,
+    p_tags: toTagList(tags),
+    p_min_price: min_price ?? null,
+    p_max_price: max_price ?? null,
+    p_sort_by: sort_by,
+    p_sort_order: sort_order,
+    p_limit: limit,
+    p_offset: (page - 1) * limit,
+    p_fuzzy_threshold: SEARCH.FUZZY_THRESHOLD,
+    p_synonym_similarity: SEARCH.SYNONYM_SIMILARITY
+  });
+
+  if (error || !matches || matches.length === 0) {
+    return { ...empty, error };
+  }
+
+  const { data: rows, error: rowsError } = await supabase
+    .from('products')
+    .select(LISTING_SELECT)
+    .in('id', matches.map(match => match.product_id));
+
+  if (rowsError) {
+    return { ...empty, error: rowsError };
+  }
+
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+  const data = matches
+    .filter(match => rowsById.has(match.product_id))
+    .map(match => ({ ...rowsById.get(match.product_id), search_rank: match.rank }));
+
+  await attachListingDetails(data);
+
+  const count = Number(matches[0].total_count) || 0;
+
+  return {
+    data,
+    error: null,
+    count,
+    page,
+    limit,
+    total_pages: Math.ceil(count / limit)
+  };
+};
+
+exports.getAllProducts = async (filters = {}) => {
+  if (filters.search) {
+    return searchProducts(filters);
+  }
+
+  const {
     category,
     municipality,
     seller_id,
@@ -84,60 +214,18 @@ exports.getAllProducts = async (filters = {}) => {
     limit = 20
   } = filters;
 
+  const tagList = toTagList(tags);
+
+  // Tags are matched through an inner join so the count and pages only
+  // cover products carrying at least one of them
   let query = supabase
     .from('products')
-    .select(`
-      *,
-      seller:seller_profiles!inner (
-        id,
-        municipality,
-        farm_type,
-        rating,
-        user:users!inner (
-          id,
-          full_name,
-          status
-        )
-      )
-    `, { count: 'exact' })
+    .select(tagList ? `${LISTING_SELECT}, tag_filter:product_tags!inner (tag)` : LISTING_SELECT, { count: 'exact' })
     .eq('status', 'active')
     .eq('seller.user.status', 'verified'); 
 
-  if (search) {
-    const searchPattern = `%${search}%`;
-
-    // Find seller profiles whose user full name matches the search term.
-    // We use seller_id matching in products query to avoid unsupported nested OR filters.
-    const { data: sellerMatches, error: sellerMatchesError } = await supabase
-      .from('seller_profiles')
-      .select(`
-        id,
-        user:users!inner (
-          full_name
-        )
-      `)
-      .ilike('user.full_name', searchPattern);
-
-    if (sellerMatchesError) {
-      return {
-        data: [],
-        error: sellerMatchesError,
-        count: 0,
-        page,
-        limit,
-        total_pages: 0
-      };
-    }
-
-    const sellerIds = (sellerMatches || [])
-      .map((seller) => seller?.id)
-      .filter(Boolean);
-
-    if (sellerIds.length > 0) {
-      query = query.or(`name.ilike.${searchPattern},seller_id.in.(${sellerIds.join(',')})`);
-    } else {
-      query = query.ilike('name', searchPattern);
-    }
+  if (tagList) {
+    query = query.in('tag_filter.tag', tagList);
   }
 
   if (category) {
@@ -172,41 +260,8 @@ exports.getAllProducts = async (filters = {}) => {
   const { data, error, count } = await query;
 
   if (data) {
-    // Override product's stored municipality with seller's current municipality
-    data.forEach(product => {
-      if (product.seller && product.seller.municipality) {
-        product.municipality = product.seller.municipality;
-      }
-    });
-
-    // Always fetch tags for all products, regardless of filter
-    const productIds = data.map(p => p.id);
-    const { data: productTags } = await supabase
-      .from('product_tags')
-      .select('product_id, tag')
-      .in('product_id', productIds);
-
-    data.forEach(product => {
-      product.tags = productTags
-        ? productTags.filter(pt => pt.product_id === product.id).map(pt => pt.tag)
-        : [];
-    });
-  }
-
-  if (tags && data) {
-    const tagArray = Array.isArray(tags) ? tags : [tags];
-    const filteredData = data.filter(product => 
-      tagArray.some(tag => product.tags.includes(tag))
-    );
-
-    return { 
-      data: filteredData, 
-      error, 
-      count: filteredData.length,
-      page,
-      limit,
-      total_pages: Math.ceil(filteredData.length / limit)
-    };
+    data.forEach(product => delete product.tag_filter);
+    await attachListingDetails(data);
   }
 
   return { 
@@ -219,6 +274,35 @@ exports.getAllProducts = async (filters = {}) => {
   };
 };
 
+// Counts per category, municipality, tag and price range for the same
+// filters getAllProducts takes (product_facets, 016_product_facets.sql)
+exports.getProductFacets = async (filters = {}) => {
+  const {
+    search,
+    category,
+    municipality,
+    seller_id,
+    tags,
+    min_price,
+    max_price
+  } = filters;
+
+  const { data, error } = await supabase.rpc('product_facets', {
+    p_query: search || null,
+    p_category: category || null,
+    p_municipality: municipality || null,
+    p_seller_id: seller_id || null,
+    p_tags: toTagList(tags),
+    p_min_price: min_price ?? null,
+    p_max_price: max_price ?? null,
+    p_price_bounds: SEARCH.FACET_PRICE_BOUNDS,
+    p_fuzzy_threshold: SEARCH.FUZZY_THRESHOLD,
+    p_synonym_similarity: SEARCH.SYNONYM_SIMILARITY
+  });
+
+  return { data, error };
+};
+
 exports.getSellerProducts = async (sellerId, filters = {}) => {
   const { status, category, page = 1, limit = 20 } = filters;
 
@@ -229,7 +313,9 @@ exports.getSellerProducts = async (sellerId, filters = {}) => {
       seller:seller_profiles!inner (
         id,
         municipality
-      )
+      ),
+      variants:product_variants (${VARIANT_SELECT}),
+      price_tiers:product_price_tiers (${PRICE_TIER_SELECT})
     `, { count: 'exact' })
     .eq('seller_id', sellerId)
     .order('created_at', { ascending: false });
@@ -253,6 +339,8 @@ exports.getSellerProducts = async (sellerId, filters = {}) => {
       if (product.seller && product.seller.municipality) {
         product.municipality = product.seller.municipality;
       }
+      product.variants = activeVariants(product.variants);
+      product.price_tiers = sortTiers(product.price_tiers);
     });
 
     if (data.length > 0) {
@@ -267,6 +355,8 @@ exports.getSellerProducts = async (sellerId, filters = {}) => {
           ? productTags.filter(pt => pt.product_id === product.id).map(pt => pt.tag)
           : [];
       });
+
+      await promotionModel.attachPromotions(data);
     }
   }
 
@@ -280,7 +370,8 @@ exports.getSellerProducts = async (sellerId, filters = {}) => {
   };
 };
 
-exports.updateProduct = async (productId, updates) => {
+// A change to available_quantity is logged as a manual edit by actorId
+exports.updateProduct = async (productId, updates, actorId = null) => {
   const allowedFields = [
     'name',
     'description',
@@ -302,12 +393,12 @@ exports.updateProduct = async (productId, updates) => {
 
   filteredUpdates.updated_at = new Date().toISOString();
 
-  const { data, error } = await supabaseService
+  const { data, error } = await inventoryModel.withContext(supabaseService
     .from('products')
     .update(filteredUpdates)
     .eq('id', productId)
     .select()
-    .single();
+    .single(), { reason: 'manual_edit', actorId });
 
   return { data, error };
 };
@@ -458,6 +549,13 @@ exports.getSellerAnalytics = async (sellerId) => {
         orders_last_7_days: 0,
         sales_last_7_days: 0,
         views_last_7_days: 0
+      },
+      promotions: {
+        active_count: 0,
+        order_count: 0,
+        revenue: 0,
+        discount_given: 0,
+        items: []
       }
     };
 
@@ -497,6 +595,36 @@ exports.getSellerAnalytics = async (sellerId) => {
       analytics.overview.conversion_rate = (analytics.overview.total_orders / analytics.overview.total_views * 100);
     }
 
+    // How each promotion performed, from the order lines that carried it
+    const { data: promotions } = await promotionModel.getSellerPromotions(sellerId);
+
+    if (promotions && promotions.length > 0) {
+      const { data: performance } = await promotionModel.getPromotionPerformance(promotions.map(p => p.id));
+
+      analytics.promotions.items = promotions.map(promotion => ({
+        id: promotion.id,
+        name: promotion.name,
+        discount_type: promotion.discount_type,
+        discount_value: promotion.discount_value,
+        starts_at: promotion.starts_at,
+        ends_at: promotion.ends_at,
+        status: promotionModel.getStatus(promotion),
+        usage_count: promotion.usage_count,
+        usage_limit: promotion.usage_limit,
+        order_count: 0,
+        units_sold: 0,
+        revenue: 0,
+        discount_given: 0,
+        last_order_at: null,
+        ...performance[promotion.id]
+      }));
+
+      analytics.promotions.active_count = analytics.promotions.items.filter(p => p.status === 'active').length;
+      analytics.promotions.order_count = analytics.promotions.items.reduce((sum, p) => sum + p.order_count, 0);
+      analytics.promotions.revenue = parseFloat(analytics.promotions.items.reduce((sum, p) => sum + p.revenue, 0).toFixed(2));
+      analytics.promotions.discount_given = parseFloat(analytics.promotions.items.reduce((sum, p) => sum + p.discount_given, 0).toFixed(2));
+    }
+
     return { data: analytics, error: null };
 
   } catch (error) {
@@ -634,28 +762,44 @@ exports.getTopProducts = async (sellerId, limit = 10, sortBy = 'sales') => {
     const productIds = products.map(p => p.id);
     const { data: orderItems, error: orderError } = await supabase
       .from('order_items')
-      .select('product_id, quantity, price_per_unit')
+      .select('product_id, variant_id, variant_name, quantity, price_per_unit')
       .in('product_id', productIds);
 
     if (orderError) {
       console.error('Error fetching order items:', orderError);
     }
 
-    // Calculate total sales per product
+    // Calculate total sales per product, and per variant for products sold in variants
     const productSales = {};
+    const variantSales = {};
     if (orderItems && orderItems.length > 0) {
       orderItems.forEach(item => {
+        const sales = item.quantity * parseFloat(item.price_per_unit);
+
         if (!productSales[item.product_id]) {
           productSales[item.product_id] = 0;
         }
-        productSales[item.product_id] += item.quantity * parseFloat(item.price_per_unit);
+        productSales[item.product_id] += sales;
+
+        if (item.variant_id) {
+          const byVariant = variantSales[item.product_id] || (variantSales[item.product_id] = {});
+          const entry = byVariant[item.variant_id] || (byVariant[item.variant_id] = {
+            variant_id: item.variant_id,
+            name: item.variant_name,
+            quantity: 0,
+            total_sales: 0
+          });
+          entry.quantity += Number(item.quantity);
+          entry.total_sales += sales;
+        }
       });
     }
 
     // Add sales data to products
     const enrichedProducts = products.map(product => ({
       ...product,
-      total_sales: productSales[product.id] || 0
+      total_sales: productSales[product.id] || 0,
+      variant_sales: Object.values(variantSales[product.id] || {}).sort((a, b) => b.total_sales - a.total_sales)
     }));
 
     // Sort by selected criteria
@@ -0,0 +1,303 @@
+// src\models\promotionModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+const PROMOTION_SELECT = `
+  id,
+  seller_id,
+  name,
+  discount_type,
+  discount_value,
+  scope,
+  categories,
+  starts_at,
+  ends_at,
+  usage_limit,
+  usage_count,
+  is_active,
+  created_at,
+  updated_at,
+  products:promotion_products (product_id)
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Flattens the product join into product_ids
+const toPromotion = (row) => {
+  if (!row) return row;
+
+  const { products, ...promotion } = row;
+  return {
+    ...promotion,
+    discount_value: Number(promotion.discount_value),
+    product_ids: (products || []).map(entry => entry.product_id)
+  };
+};
+
+// 'scheduled', 'active', 'ended', 'used_up' or 'inactive', as of now
+exports.getStatus = (promotion, now = new Date()) => {
+  if (!promotion.is_active) return 'inactive';
+  if (new Date(promotion.ends_at) <= now) return 'ended';
+  if (promotion.usage_limit !== null && promotion.usage_count >= promotion.usage_limit) return 'used_up';
+  if (new Date(promotion.starts_at) > now) return 'scheduled';
+  return 'active';
+};
+
+exports.appliesTo = (promotion, product) => (
+  promotion.seller_id === product.seller_id && (
+    promotion.scope === 'categories'
+      ? promotion.categories.includes(product.category)
+      : promotion.product_ids.includes(product.id)
+  )
+);
+
+// Price after the discount. A fixed amount that would bring the price to
+// zero or below does not apply, so callers get null back.
+exports.discountedPrice = (promotion, price) => {
+  const base = Number(price);
+  const discounted = promotion.discount_type === 'percentage'
+    ? roundMoney(base * (1 - promotion.discount_value / 100))
+    : roundMoney(base - promotion.discount_value);
+
+  return discounted > 0 && discounted < base ? discounted : null;
+};
+
+// The promotion that takes the most off a price, or null. Ties go to the
+// one ending soonest so the buyer sees the most urgent offer.
+exports.findBestPromotion = (promotions, product, price) => {
+  let best = null;
+  let bestPrice = null;
+
+  (promotions || []).forEach(promotion => {
+    if (!exports.appliesTo(promotion, product)) return;
+
+    const discounted = exports.discountedPrice(promotion, price);
+    if (discounted === null) return;
+
+    if (
+      bestPrice === null
+      || discounted < bestPrice
+      || (discounted === bestPrice && new Date(promotion.ends_at) < new Date(best.ends_at))
+    ) {
+      best = promotion;
+      bestPrice = discounted;
+    }
+  });
+
+  return best;
+};
+
+// What buyers see of a promotion on a product or cart line
+exports.toOffer = (promotion, price) => ({
+  id: promotion.id,
+  name: promotion.name,
+  discount_type: promotion.discount_type,
+  discount_value: promotion.discount_value,
+  ends_at: promotion.ends_at,
+  original_price: Number(price),
+  sale_price: exports.discountedPrice(promotion, price)
+});
+
+// Promotions running right now with uses left, for the given sellers
+exports.getActivePromotions = async (sellerIds) => {
+  const ids = [...new Set((sellerIds || []).filter(Boolean))];
+  if (ids.length === 0) {
+    return { data: [], error: null };
+  }
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .select(PROMOTION_SELECT)
+    .in('seller_id', ids)
+    .eq('is_active', true)
+    .lte('starts_at', now)
+    .gt('ends_at', now);
+
+  return {
+    data: (data || [])
+      .map(toPromotion)
+      .filter(promotion => promotion.usage_limit === null || promotion.usage_count < promotion.usage_limit),
+    error
+  };
+};
+
+// Sets product.promotion to the best running offer on its listed price
+exports.attachPromotions = async (products) => {
+  const list = (products || []).filter(Boolean);
+  if (list.length === 0) return;
+
+  const { data: promotions, error } = await exports.getActivePromotions(list.map(product => product.seller_id));
+
+  if (error) {
+    console.error('Load promotions error:', error);
+  }
+
+  list.forEach(product => {
+    const promotion = exports.findBestPromotion(promotions, product, product.price_per_unit);
+    product.promotion = promotion ? exports.toOffer(promotion, product.price_per_unit) : null;
+  });
+};
+
+exports.getSellerPromotions = async (sellerId) => {
+  const { data, error } = await supabase
+    .from('promotions')
+    .select(PROMOTION_SELECT)
+    .eq('seller_id', sellerId)
+    .order('starts_at', { ascending: false });
+
+  return { data: (data || []).map(toPromotion), error };
+};
+
+exports.getPromotionById = async (promotionId) => {
+  const { data, error } = await supabase
+    .from('promotions')
+    .select(PROMOTION_SELECT)
+    .eq('id', promotionId)
+    .maybeSingle();
+
+  return { data: toPromotion(data), error };
+};
+
+const replaceProducts = async (promotionId, productIds) => {
+  const { error } = await supabaseService.rpc('replace_promotion_products', {
+    p_promotion_id: promotionId,
+    p_product_ids: productIds
+  });
+
+  return { error };
+};
+
+exports.createPromotion = async (sellerId, { product_ids = [], ...promotionData }) => {
+  const { data: promotion, error } = await supabaseService
+    .from('promotions')
+    .insert([{ ...promotionData, seller_id: sellerId }])
+    .select('id')
+    .single();
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const { error: productsError } = await replaceProducts(promotion.id, product_ids);
+
+  if (productsError) {
+    await supabaseService.from('promotions').delete().eq('id', promotion.id);
+    return { data: null, error: productsError };
+  }
+
+  return exports.getPromotionById(promotion.id);
+};
+
+exports.updatePromotion = async (promotionId, { product_ids, ...updates }) => {
+  const { error } = await supabaseService
+    .from('promotions')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', promotionId);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  if (product_ids) {
+    const { error: productsError } = await replaceProducts(promotionId, product_ids);
+    if (productsError) {
+      return { data: null, error: productsError };
+    }
+  }
+
+  return exports.getPromotionById(promotionId);
+};
+
+// Distinct promotions used by a set of order items
+exports.promotionIdsOf = (items) => [...new Set(
+  (items || []).map(item => item.promotion_id).filter(Boolean)
+)];
+
+// One use per order of every promotion in it (claim_promotion_uses,
+// 019_seller_promotions.sql). All or nothing; failedPromotionId names the
+// promotion that had ended or run out.
+exports.claimUses = async (promotionIds) => {
+  if (promotionIds.length === 0) {
+    return { success: true, error: null, failedPromotionId: null };
+  }
+
+  const { error } = await supabaseService
+    .rpc('claim_promotion_uses', { p_promotion_ids: promotionIds });
+
+  if (error) {
+    return { success: false, error, failedPromotionId: error.details || null };
+  }
+
+  return { success: true, error: null, failedPromotionId: null };
+};
+
+exports.releaseUses = async (promotionIds) => {
+  if (promotionIds.length === 0) {
+    return { success: true, error: null };
+  }
+
+  const { error } = await supabaseService
+    .rpc('release_promotion_uses', { p_promotion_ids: promotionIds });
+
+  if (error) {
+    console.error('Release promotion uses error:', error);
+    return { success: false, error };
+  }
+
+  return { success: true, error: null };
+};
+
+// Orders, revenue and discount given per promotion, from the order items
+// that carried it. Cancelled orders are left out.
+exports.getPromotionPerformance = async (promotionIds) => {
+  if (promotionIds.length === 0) {
+    return { data: {}, error: null };
+  }
+
+  const { data: items, error } = await supabase
+    .from('order_items')
+    .select('order_id, promotion_id, quantity, subtotal, promotion_discount, order:orders!inner (status, created_at)')
+    .in('promotion_id', promotionIds)
+    .neq('order.status', 'cancelled');
+
+  if (error) {
+    return { data: {}, error };
+  }
+
+  const stats = {};
+  items.forEach(item => {
+    const entry = stats[item.promotion_id] || {
+      orders: new Set(),
+      units_sold: 0,
+      revenue: 0,
+      discount_given: 0,
+      last_order_at: null
+    };
+
+    entry.orders.add(item.order_id);
+    entry.units_sold += Number(item.quantity) || 0;
+    entry.revenue += Number(item.subtotal) || 0;
+    entry.discount_given += Number(item.promotion_discount) || 0;
+    if (!entry.last_order_at || item.order.created_at > entry.last_order_at) {
+      entry.last_order_at = item.order.created_at;
+    }
+    stats[item.promotion_id] = entry;
+  });
+
+  Object.keys(stats).forEach(id => {
+    const entry = stats[id];
+    stats[id] = {
+      order_count: entry.orders.size,
+      units_sold: entry.units_sold,
+      revenue: roundMoney(entry.revenue),
+      discount_given: roundMoney(entry.discount_given),
+      last_order_at: entry.last_order_at
+    };
+  });
+
+  return { data: stats, error: null };
+};
@@ -0,0 +1,112 @@
+// src\models\refundModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+const REFUND_SELECT = `
+  id,
+  order_id,
+  issue_id,
+  refund_type,
+  amount,
+  reason,
+  status,
+  provider_reference,
+  failure_reason,
+  processed_at,
+  created_at,
+  order:orders!refunds_order_id_fkey (id, order_number, total_amount, payment_method, payment_status),
+  approver:users!refunds_approved_by_fkey (id, full_name)
+`;
+
+// Balance check and insert happen in one transaction with the order locked
+// (create_refund, 022_atomic_refunds.sql). A 'full' refund takes whatever is
+// left; on refusal error.details says why.
+exports.createRefund = async (refundData) => {
+  const { data, error } = await supabaseService
+    .rpc('create_refund', {
+      p_order_id: refundData.order_id,
+      p_issue_id: refundData.issue_id || null,
+      p_refund_type: refundData.refund_type,
+      p_amount: refundData.amount ?? null,
+      p_reason: refundData.reason || null,
+      p_approved_by: refundData.approved_by || null
+    })
+    .single();
+
+  return { data, error };
+};
+
+// Only moves a refund that is still pending
+exports.updateRefundStatus = async (refundId, updates) => {
+  const { data, error } = await supabaseService
+    .from('refunds')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', refundId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.getActiveRefundForIssue = async (issueId) => {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('issue_id', issueId)
+    .neq('status', 'failed')
+    .maybeSingle();
+
+  return { data, error };
+};
+
+// Sum of refunds that are processed or still in flight
+exports.getRefundedAmount = async (orderId) => {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('amount')
+    .eq('order_id', orderId)
+    .neq('status', 'failed');
+
+  const total = (data || []).reduce((sum, refund) => sum + (parseFloat(refund.amount) || 0), 0);
+  return { data: parseFloat(total.toFixed(2)), error };
+};
+
+exports.getRefundsByOrder = async (orderId) => {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select(REFUND_SELECT)
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: false });
+
+  return { data: data || [], error };
+};
+
+// party is 'buyer' or 'seller'; profileId is the matching profile id
+exports.getRefundsForParty = async (party, profileId, filters = {}) => {
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+  const from = (page - 1) * limit;
+
+  let query = supabase
+    .from('refunds')
+    .select(REFUND_SELECT, { count: 'exact' })
+    .eq(party === 'seller' ? 'seller_id' : 'buyer_id', profileId);
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(from, from + limit - 1);
+
+  return {
+    data: data || [],
+    error,
+    count: count || 0,
+    total_pages: count ? Math.ceil(count / limit) : 0
+  };
+};
@@ -0,0 +1,58 @@
+// src\models\searchSynonymModel.js
+const { supabase } = require('../config/database');
+
+exports.getSynonyms = async ({ search, page = 1, limit = 50 } = {}) => {
+  let query = supabase
+    .from('search_synonyms')
+    .select('id, term, synonym, created_at, creator:users!search_synonyms_created_by_fkey (id, full_name)', { count: 'exact' })
+    .order('term', { ascending: true })
+    .order('synonym', { ascending: true });
+
+  if (search) {
+    const pattern = `%${search.toLowerCase()}%`;
+    query = query.or(`term.ilike.${pattern},synonym.ilike.${pattern}`);
+  }
+
+  const offset = (page - 1) * limit;
+  query = query.range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  return {
+    data: data || [],
+    error,
+    count,
+    page,
+    limit,
+    total_pages: count ? Math.ceil(count / limit) : 0
+  };
+};
+
+exports.getSynonymById = async (synonymId) => {
+  const { data, error } = await supabase
+    .from('search_synonyms')
+    .select('*')
+    .eq('id', synonymId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.createSynonym = async ({ term, synonym, createdBy }) => {
+  const { data, error } = await supabase
+    .from('search_synonyms')
+    .insert([{ term, synonym, created_by: createdBy }])
+    .select()
+    .single();
+
+  return { data, error };
+};
+
+exports.deleteSynonym = async (synonymId) => {
+  const { error } = await supabase
+    .from('search_synonyms')
+    .delete()
+    .eq('id', synonymId);
+
+  return { error };
+};
@@ -0,0 +1,202 @@
+// src\models\subscriptionModel.js
+const { supabase, supabaseService } = require('../config/database');
+const { PRICE_TIER_SELECT } = require('./priceTierModel');
+
+const SUBSCRIPTION_SELECT = `
+  *,
+  items:subscription_items (
+    id,
+    product_id,
+    quantity,
+    price_snapshot,
+    product:products (
+      id,
+      seller_id,
+      name,
+      category,
+      unit_type,
+      price_per_unit,
+      available_quantity,
+      status,
+      is_preorder,
+      photo_path,
+      variants:product_variants (id, is_active),
+      price_tiers:product_price_tiers (${PRICE_TIER_SELECT})
+    )
+  ),
+  seller:seller_profiles!inner (
+    id,
+    user_id,
+    municipality,
+    user:users!inner (full_name)
+  ),
+  buyer:buyer_profiles!inner (
+    id,
+    user_id,
+    municipality,
+    delivery_address,
+    delivery_latitude,
+    delivery_longitude,
+    user:users!inner (full_name)
+  ),
+  delivery_window:seller_delivery_windows (
+    id,
+    day_of_week,
+    start_time,
+    end_time,
+    is_active
+  )
+`;
+
+exports.getSubscriptionById = async (subscriptionId) => {
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select(SUBSCRIPTION_SELECT)
+    .eq('id', subscriptionId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.getBuyerSubscriptions = async (buyerId, { includeCancelled = false } = {}) => {
+  let query = supabase
+    .from('subscriptions')
+    .select(SUBSCRIPTION_SELECT)
+    .eq('buyer_id', buyerId);
+
+  if (!includeCancelled) {
+    query = query.neq('status', 'cancelled');
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+
+  return { data: data || [], error };
+};
+
+exports.getSellerSubscriptions = async (sellerId) => {
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select(SUBSCRIPTION_SELECT)
+    .eq('seller_id', sellerId)
+    .neq('status', 'cancelled')
+    .order('next_delivery_date', { ascending: true });
+
+  return { data: data || [], error };
+};
+
+// Subscriptions whose next delivery is on or before the given date
+exports.getDueSubscriptions = async (statuses, untilDate, limit) => {
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select(SUBSCRIPTION_SELECT)
+    .in('status', statuses)
+    .lte('next_delivery_date', untilDate)
+    .order('next_delivery_date', { ascending: true })
+    .limit(limit);
+
+  return { data: data || [], error };
+};
+
+exports.createSubscription = async (subscriptionData, items) => {
+  const { data: subscription, error } = await supabaseService
+    .from('subscriptions')
+    .insert([{
+      buyer_id: subscriptionData.buyer_id,
+      seller_id: subscriptionData.seller_id,
+      frequency: subscriptionData.frequency,
+      delivery_option: subscriptionData.delivery_option,
+      delivery_window_id: subscriptionData.delivery_window_id || null,
+      preferred_time: subscriptionData.preferred_time || null,
+      order_notes: subscriptionData.order_notes || null,
+      next_delivery_date: subscriptionData.next_delivery_date
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const { error: itemsError } = await exports.replaceItems(subscription.id, items);
+
+  if (itemsError) {
+    await supabaseService
+      .from('subscriptions')
+      .delete()
+      .eq('id', subscription.id);
+    return { data: null, error: itemsError };
+  }
+
+  return exports.getSubscriptionById(subscription.id);
+};
+
+// Status changes pass fromStatuses so a concurrent change (e.g. the
+// scheduler placing the order) is not overwritten; no row means it lost.
+// fromStatuses / fromDeliveryDate make the update conditional; data is null
+// when the subscription had already moved on
+exports.updateSubscription = async (subscriptionId, updates, { fromStatuses = null, fromDeliveryDate = null } = {}) => {
+  let query = supabaseService
+    .from('subscriptions')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', subscriptionId);
+
+  if (fromStatuses) {
+    query = query.in('status', fromStatuses);
+  }
+
+  if (fromDeliveryDate) {
+    query = query.eq('next_delivery_date', fromDeliveryDate);
+  }
+
+  const { data, error } = await query
+    .select('id')
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.replaceItems = async (subscriptionId, items) => {
+  const { error: deleteError } = await supabaseService
+    .from('subscription_items')
+    .delete()
+    .eq('subscription_id', subscriptionId);
+
+  if (deleteError) {
+    return { data: null, error: deleteError };
+  }
+
+  const { data, error } = await supabaseService
+    .from('subscription_items')
+    .insert(items.map(item => ({
+      subscription_id: subscriptionId,
+      product_id: item.product_id,
+      quantity: item.quantity,
+      price_snapshot: item.price_snapshot
+    })))
+    .select();
+
+  return { data: data || [], error };
+};
+
+exports.updateItemPrice = async (itemId, priceSnapshot) => {
+  const { error } = await supabaseService
+    .from('subscription_items')
+    .update({ price_snapshot: priceSnapshot })
+    .eq('id', itemId);
+
+  return { error };
+};
+
+exports.getSubscriptionOrders = async (subscriptionId, limit = 10) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id, order_number, status, preferred_date, total_amount, created_at')
+    .eq('subscription_id', subscriptionId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  return { data: data || [], error };
+};
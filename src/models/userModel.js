@@ -84,7 +84,16 @@ exports.updateUser = async (userId, updates) => {
 };
 
 exports.updateSellerProfile = async (userId, updates) => {
-  const allowedFields = ['municipality', 'farm_type', 'latitude', 'longitude'];
+  const allowedFields = [
+    'municipality',
+    'farm_type',
+    'latitude',
+    'longitude',
+    'delivery_base_fee',
+    'delivery_per_km_fee',
+    'free_delivery_threshold',
+    'max_delivery_radius_km'
+  ];
   const filteredUpdates = {};
 
   Object.keys(updates).forEach(key => {
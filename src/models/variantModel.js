@@ -0,0 +1,87 @@
+// src\models\variantModel.js
+const { supabase, supabaseService } = require('../config/database');
+const inventoryModel = require('./inventoryModel');
+
+const VARIANT_SELECT = 'id, product_id, name, sku, price_per_unit, unit_type, available_quantity, sort_order, is_active, created_at, updated_at';
+
+// Cheapest first within the seller's own ordering
+const sortVariants = (variants) => [...variants].sort((a, b) => (
+  (a.sort_order - b.sort_order) || (Number(a.price_per_unit) - Number(b.price_per_unit))
+));
+
+exports.VARIANT_SELECT = VARIANT_SELECT;
+
+// Active variants only, in display order
+exports.activeVariants = (variants) => sortVariants((variants || []).filter(variant => variant.is_active));
+
+exports.getProductVariants = async (productId, { includeInactive = false } = {}) => {
+  let query = supabase
+    .from('product_variants')
+    .select(VARIANT_SELECT)
+    .eq('product_id', productId);
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query;
+
+  return { data: sortVariants(data || []), error };
+};
+
+exports.getVariantById = async (variantId) => {
+  const { data, error } = await supabase
+    .from('product_variants')
+    .select(VARIANT_SELECT)
+    .eq('id', variantId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.countActiveVariants = async (productId) => {
+  const { count, error } = await supabase
+    .from('product_variants')
+    .select('id', { count: 'exact', head: true })
+    .eq('product_id', productId)
+    .eq('is_active', true);
+
+  return { count: count || 0, error };
+};
+
+// actorId is recorded against stock changes in the inventory ledger
+exports.createVariant = async (productId, variantData, actorId = null) => {
+  const { data, error } = await inventoryModel.withContext(supabaseService
+    .from('product_variants')
+    .insert([{
+      product_id: productId,
+      name: variantData.name,
+      sku: variantData.sku || null,
+      price_per_unit: variantData.price_per_unit,
+      unit_type: variantData.unit_type,
+      available_quantity: variantData.available_quantity,
+      sort_order: variantData.sort_order ?? 0
+    }])
+    .select(VARIANT_SELECT)
+    .single(), { reason: 'initial_stock', actorId });
+
+  return { data, error };
+};
+
+exports.updateVariant = async (variantId, updates, actorId = null) => {
+  const { data, error } = await inventoryModel.withContext(supabaseService
+    .from('product_variants')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', variantId)
+    .eq('is_active', true)
+    .select(VARIANT_SELECT)
+    .maybeSingle(), { reason: 'manual_edit', actorId });
+
+  return { data, error };
+};
+
+// Variants are never deleted outright so order items keep their reference
+exports.deactivateVariant = async (variantId) => exports.updateVariant(variantId, { is_active: false });
@@ -0,0 +1,262 @@
+// src\models\voucherModel.js
+const { supabase, supabaseService } = require('../config/database');
+
+const VOUCHER_SELECT = `
+  *,
+  seller:seller_profiles (
+    id,
+    user:users (full_name)
+  )
+`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toVoucher = (row) => {
+  if (!row) return row;
+
+  return {
+    ...row,
+    discount_value: Number(row.discount_value),
+    max_discount: row.max_discount === null ? null : Number(row.max_discount),
+    min_spend: Number(row.min_spend)
+  };
+};
+
+exports.normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// 'scheduled', 'active', 'expired', 'used_up' or 'inactive', as of now
+exports.getStatus = (voucher, now = new Date()) => {
+  if (!voucher.is_active) return 'inactive';
+  if (new Date(voucher.expires_at) <= now) return 'expired';
+  if (voucher.total_limit !== null && voucher.redemption_count >= voucher.total_limit) return 'used_up';
+  if (new Date(voucher.starts_at) > now) return 'scheduled';
+  return 'active';
+};
+
+exports.getVouchers = async ({ search, sellerId, scope, page = 1, limit = 20 } = {}) => {
+  let query = supabase
+    .from('vouchers')
+    .select(VOUCHER_SELECT, { count: 'exact' })
+    .order('created_at', { ascending: false });
+
+  if (search) {
+    query = query.ilike('code', `%${exports.normalizeCode(search)}%`);
+  }
+
+  if (sellerId) {
+    query = query.eq('seller_id', sellerId);
+  } else if (scope === 'platform') {
+    query = query.is('seller_id', null);
+  } else if (scope === 'seller') {
+    query = query.not('seller_id', 'is', null);
+  }
+
+  const offset = (page - 1) * limit;
+  query = query.range(offset, offset + limit - 1);
+
+  const { data, error, count } = await query;
+
+  return {
+    data: (data || []).map(toVoucher),
+    error,
+    count,
+    page,
+    limit,
+    total_pages: count ? Math.ceil(count / limit) : 0
+  };
+};
+
+exports.getVoucherById = async (voucherId) => {
+  const { data, error } = await supabase
+    .from('vouchers')
+    .select(VOUCHER_SELECT)
+    .eq('id', voucherId)
+    .maybeSingle();
+
+  return { data: toVoucher(data), error };
+};
+
+exports.getVoucherByCode = async (code) => {
+  const { data, error } = await supabase
+    .from('vouchers')
+    .select(VOUCHER_SELECT)
+    .eq('code', exports.normalizeCode(code))
+    .maybeSingle();
+
+  return { data: toVoucher(data), error };
+};
+
+exports.createVoucher = async (voucherData) => {
+  const { data, error } = await supabaseService
+    .from('vouchers')
+    .insert([voucherData])
+    .select('id')
+    .single();
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  return exports.getVoucherById(data.id);
+};
+
+exports.updateVoucher = async (voucherId, updates) => {
+  const { error } = await supabaseService
+    .from('vouchers')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', voucherId);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  return exports.getVoucherById(voucherId);
+};
+
+exports.deleteVoucher = async (voucherId) => {
+  const { error } = await supabaseService
+    .from('vouchers')
+    .delete()
+    .eq('id', voucherId);
+
+  return { error };
+};
+
+// Redemptions the buyer still holds; released ones do not count
+exports.countBuyerRedemptions = async (voucherId, buyerId) => {
+  const { count, error } = await supabase
+    .from('voucher_redemptions')
+    .select('id', { count: 'exact', head: true })
+    .eq('voucher_id', voucherId)
+    .eq('buyer_id', buyerId)
+    .is('released_at', null);
+
+  return { count: count || 0, error };
+};
+
+// Records the voucher against a placed order (redeem_voucher,
+// 020_vouchers.sql). outcome is 'ok' or the reason it was refused.
+exports.redeem = async ({ voucherId, orderId, buyerId, discountAmount }) => {
+  const { data, error } = await supabaseService.rpc('redeem_voucher', {
+    p_voucher_id: voucherId,
+    p_order_id: orderId,
+    p_buyer_id: buyerId,
+    p_discount: discountAmount
+  });
+
+  if (error) {
+    console.error('Redeem voucher error:', error);
+    return { outcome: null, error };
+  }
+
+  return { outcome: data, error: null };
+};
+
+exports.releaseRedemption = async (orderId) => {
+  const { error } = await supabaseService
+    .rpc('release_voucher_redemption', { p_order_id: orderId });
+
+  if (error) {
+    console.error('Release voucher redemption error:', error);
+    return { success: false, error };
+  }
+
+  return { success: true, error: null };
+};
+
+exports.getOrderRedemption = async (orderId) => {
+  const { data, error } = await supabase
+    .from('voucher_redemptions')
+    .select('id, discount_amount, created_at, released_at, voucher:vouchers (id, code, description, seller_id)')
+    .eq('order_id', orderId)
+    .maybeSingle();
+
+  return { data, error };
+};
+
+exports.getRedemptions = async (voucherId, { page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const { data, error, count } = await supabase
+    .from('voucher_redemptions')
+    .select(`
+      id,
+      discount_amount,
+      created_at,
+      released_at,
+      order:orders (id, order_number, status, total_amount),
+      buyer:buyer_profiles (id, user:users (full_name))
+    `, { count: 'exact' })
+    .eq('voucher_id', voucherId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  return {
+    data: data || [],
+    error,
+    count,
+    page,
+    limit,
+    total_pages: count ? Math.ceil(count / limit) : 0
+  };
+};
+
+// Redemptions, buyers, discount given and order revenue per voucher.
+// Released redemptions (cancelled orders) only show up in released_count.
+exports.getRedemptionStats = async (voucherIds) => {
+  if (voucherIds.length === 0) {
+    return { data: {}, error: null };
+  }
+
+  const { data: rows, error } = await supabase
+    .from('voucher_redemptions')
+    .select('voucher_id, buyer_id, discount_amount, created_at, released_at, order:orders (status, total_amount)')
+    .in('voucher_id', voucherIds);
+
+  if (error) {
+    return { data: {}, error };
+  }
+
+  const stats = {};
+  rows.forEach(row => {
+    const entry = stats[row.voucher_id] || {
+      buyers: new Set(),
+      redemption_count: 0,
+      released_count: 0,
+      completed_count: 0,
+      discount_given: 0,
+      order_revenue: 0,
+      last_redeemed_at: null
+    };
+
+    if (row.released_at) {
+      entry.released_count += 1;
+    } else {
+      entry.buyers.add(row.buyer_id);
+      entry.redemption_count += 1;
+      entry.discount_given += Number(row.discount_amount) || 0;
+      entry.order_revenue += Number(row.order?.total_amount) || 0;
+      if (row.order?.status === 'completed') entry.completed_count += 1;
+    }
+
+    if (!entry.last_redeemed_at || row.created_at > entry.last_redeemed_at) {
+      entry.last_redeemed_at = row.created_at;
+    }
+    stats[row.voucher_id] = entry;
+  });
+
+  Object.keys(stats).forEach(id => {
+    const { buyers, ...entry } = stats[id];
+    stats[id] = {
+      ...entry,
+      unique_buyers: buyers.size,
+      discount_given: roundMoney(entry.discount_given),
+      order_revenue: roundMoney(entry.order_revenue)
+    };
+  });
+
+  return { data: stats, error: null };
+};
@@ -6,7 +6,8 @@ const { body, query } = require('express-validator');
 
 const adminController = require('../controllers/adminController');
 const { protect, restrictTo } = require('../middleware/authMiddleware');
-const { validate, validateUUID } = require('../utils/validators');
+const { validate, validateUUID, RIZAL_MUNICIPALITIES } = require('../utils/validators');
+const { SEARCH, VOUCHER, PRODUCT } = require('../utils/constants');
 
 
 router.use(protect);
@@ -280,4 +281,218 @@ router.get(
   adminController.getMessagesForDispute
 );
 
+// ============ Seller Earnings ============
+
+router.post(
+  '/sellers/:sellerId/earnings-adjustments',
+  validateUUID('sellerId'),
+  [
+    body('amount')
+      .notEmpty().withMessage('Amount is required')
+      .isFloat().withMessage('Amount must be a number')
+      .toFloat()
+      .custom(value => value !== 0).withMessage('Amount must not be zero'),
+
+    body('reason')
+      .notEmpty().withMessage('Adjustment reason is required')
+      .trim()
+      .isLength({ min: 10, max: 500 }).withMessage('Reason must be 10-500 characters'),
+
+    validate
+  ],
+  adminController.createEarningsAdjustment
+);
+
+// ============ Search Synonyms ============
+
+router.get(
+  '/search-synonyms',
+  [
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: SEARCH.MAX_SYNONYM_LENGTH }).withMessage('Search query too long'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be positive')
+      .toInt(),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+      .toInt(),
+
+    validate
+  ],
+  adminController.getSearchSynonyms
+);
+
+router.post(
+  '/search-synonyms',
+  [
+    body('term')
+      .trim()
+      .notEmpty().withMessage('Term is required')
+      .isLength({ max: SEARCH.MAX_SYNONYM_LENGTH }).withMessage(`Term must be at most ${SEARCH.MAX_SYNONYM_LENGTH} characters`),
+
+    body('synonym')
+      .trim()
+      .notEmpty().withMessage('Synonym is required')
+      .isLength({ max: SEARCH.MAX_SYNONYM_LENGTH }).withMessage(`Synonym must be at most ${SEARCH.MAX_SYNONYM_LENGTH} characters`),
+
+    validate
+  ],
+  adminController.createSearchSynonym
+);
+
+router.delete(
+  '/search-synonyms/:synonymId',
+  validateUUID('synonymId'),
+  adminController.deleteSearchSynonym
+);
+
+// ============ Vouchers ============
+
+// Create requires the code, discount and expiry; update takes any subset
+const voucherFields = (isUpdate) => {
+  const required = (field) => (isUpdate ? field.optional() : field);
+
+  return [
+    required(body('code'))
+      .trim()
+      .customSanitizer(value => String(value || '').toUpperCase())
+      .matches(VOUCHER.CODE_PATTERN).withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+
+    body('description')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: VOUCHER.MAX_DESCRIPTION_LENGTH }).withMessage(`Description must be at most ${VOUCHER.MAX_DESCRIPTION_LENGTH} characters`),
+
+    body('seller_id')
+      .optional({ values: 'null' })
+      .isUUID().withMessage('Invalid seller ID'),
+
+    required(body('discount_type'))
+      .isIn(VOUCHER.DISCOUNT_TYPES).withMessage(`Discount type must be ${VOUCHER.DISCOUNT_TYPES.join(' or ')}`),
+
+    required(body('discount_value'))
+      .isFloat({ gt: 0 }).withMessage('Discount must be greater than zero')
+      .toFloat(),
+
+    body('max_discount')
+      .optional({ values: 'null' })
+      .isFloat({ gt: 0 }).withMessage('Maximum discount must be greater than zero')
+      .toFloat(),
+
+    body('min_spend')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Minimum spend cannot be negative')
+      .toFloat(),
+
+    body('per_user_limit')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Per-user limit must be at least 1')
+      .toInt(),
+
+    body('total_limit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 }).withMessage('Total limit must be at least 1')
+      .toInt(),
+
+    body('municipalities')
+      .optional()
+      .isArray().withMessage('Municipalities must be an array'),
+
+    body('municipalities.*')
+      .isIn(RIZAL_MUNICIPALITIES).withMessage('Invalid municipality. Must be in Rizal Province.'),
+
+    body('categories')
+      .optional()
+      .isArray().withMessage('Categories must be an array'),
+
+    body('categories.*')
+      .isIn(PRODUCT.CATEGORIES).withMessage('Invalid category'),
+
+    body('starts_at')
+      .optional()
+      .isISO8601().withMessage('Invalid start date'),
+
+    required(body('expires_at'))
+      .isISO8601().withMessage('Invalid expiry date'),
+
+    body('is_active')
+      .optional()
+      .isBoolean().withMessage('is_active must be true or false')
+      .toBoolean(),
+
+    validate
+  ];
+};
+
+router.get(
+  '/vouchers',
+  [
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 30 }).withMessage('Search query too long'),
+
+    query('scope')
+      .optional()
+      .isIn(['platform', 'seller']).withMessage('Scope must be platform or seller'),
+
+    query('seller_id')
+      .optional()
+      .isUUID().withMessage('Invalid seller ID'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be positive')
+      .toInt(),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+      .toInt(),
+
+    validate
+  ],
+  adminController.getVouchers
+);
+
+router.get(
+  '/vouchers/:voucherId',
+  validateUUID('voucherId'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be positive')
+      .toInt(),
+
+    validate
+  ],
+  adminController.getVoucher
+);
+
+router.post(
+  '/vouchers',
+  voucherFields(false),
+  adminController.createVoucher
+);
+
+router.put(
+  '/vouchers/:voucherId',
+  validateUUID('voucherId'),
+  voucherFields(true),
+  adminController.updateVoucher
+);
+
+router.delete(
+  '/vouchers/:voucherId',
+  validateUUID('voucherId'),
+  validate,
+  adminController.deleteVoucher
+);
+
 module.exports = router;
@@ -1,7 +1,7 @@
 // src\routes\cartRoutes.js
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 
 const cartController = require('../controllers/cartController');
 
@@ -27,6 +27,23 @@ router.get(
   '/validate',
   protect,
   restrictTo('buyer'),
+  [
+    query('delivery_option')
+      .optional()
+      .isIn(['pickup', 'drop-off']).withMessage('Delivery option must be pickup or drop-off'),
+
+    query('delivery_latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude')
+      .toFloat(),
+
+    query('delivery_longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+      .toFloat(),
+
+    validate
+  ],
   cartController.validateCart
 );
 
@@ -38,6 +55,10 @@ router.post(
     body('product_id')
       .notEmpty().withMessage('Product ID is required')
       .isUUID(4).withMessage('Invalid product ID'),
+
+    body('variant_id')
+      .optional({ values: 'null' })
+      .isUUID(4).withMessage('Invalid variant ID'),
     
     body('quantity')
       .optional()
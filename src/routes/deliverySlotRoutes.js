@@ -0,0 +1,142 @@
+// src\routes\deliverySlotRoutes.js
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+const deliverySlotController = require('../controllers/deliverySlotController');
+
+const { protect, restrictTo, requireVerified } = require('../middleware/authMiddleware');
+const { validate, validateUUID } = require('../utils/validators');
+const { DELIVERY_SLOTS } = require('../utils/constants');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const windowFields = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('day_of_week')
+      .isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6 (Saturday)')
+      .toInt(),
+
+    field('start_time')
+      .matches(TIME_PATTERN).withMessage('Start time must be in HH:MM format'),
+
+    field('end_time')
+      .matches(TIME_PATTERN).withMessage('End time must be in HH:MM format'),
+
+    field('capacity')
+      .isInt({ min: 1, max: DELIVERY_SLOTS.MAX_CAPACITY })
+      .withMessage(`Capacity must be between 1 and ${DELIVERY_SLOTS.MAX_CAPACITY}`)
+      .toInt()
+  ];
+};
+
+const dateRangeValidation = [
+  query('date_from')
+    .optional()
+    .matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format')
+    .isISO8601().withMessage('Invalid date format'),
+
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: DELIVERY_SLOTS.MAX_SCHEDULE_DAYS })
+    .withMessage(`Days must be between 1 and ${DELIVERY_SLOTS.MAX_SCHEDULE_DAYS}`)
+    .toInt()
+];
+
+// ============ Seller settings ============
+
+router.get(
+  '/seller',
+  protect,
+  restrictTo('seller'),
+  deliverySlotController.getMySlotSettings
+);
+
+router.get(
+  '/seller/schedule',
+  protect,
+  restrictTo('seller'),
+  dateRangeValidation,
+  validate,
+  deliverySlotController.getMySchedule
+);
+
+router.post(
+  '/seller/windows',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  windowFields(true),
+  body('end_time')
+    .custom((value, { req }) => value > req.body.start_time)
+    .withMessage('End time must be after start time'),
+  validate,
+  deliverySlotController.createWindow
+);
+
+router.put(
+  '/seller/windows/:windowId',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  validateUUID('windowId'),
+  windowFields(false),
+  validate,
+  deliverySlotController.updateWindow
+);
+
+router.delete(
+  '/seller/windows/:windowId',
+  protect,
+  restrictTo('seller'),
+  validateUUID('windowId'),
+  validate,
+  deliverySlotController.deleteWindow
+);
+
+router.post(
+  '/seller/blackouts',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  [
+    body('blackout_date')
+      .notEmpty().withMessage('Date is required')
+      .matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format')
+      .isISO8601().withMessage('Invalid date format'),
+
+    body('reason')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: DELIVERY_SLOTS.MAX_BLACKOUT_REASON_LENGTH })
+      .withMessage(`Reason must not exceed ${DELIVERY_SLOTS.MAX_BLACKOUT_REASON_LENGTH} characters`),
+
+    validate
+  ],
+  deliverySlotController.createBlackoutDate
+);
+
+router.delete(
+  '/seller/blackouts/:blackoutId',
+  protect,
+  restrictTo('seller'),
+  validateUUID('blackoutId'),
+  validate,
+  deliverySlotController.deleteBlackoutDate
+);
+
+// ============ Buyer checkout ============
+
+router.get(
+  '/sellers/:sellerId/available',
+  protect,
+  validateUUID('sellerId'),
+  dateRangeValidation,
+  validate,
+  deliverySlotController.getSellerAvailableSlots
+);
+
+module.exports = router;
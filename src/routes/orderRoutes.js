@@ -6,8 +6,16 @@ const { body } = require('express-validator');
 const orderController = require('../controllers/orderController');
 
 const { protect, restrictTo, requireVerified } = require('../middleware/authMiddleware');
-const { validate, validateUUID, orderQueryValidation } = require('../utils/validators');
+const {
+  validate,
+  validateUUID,
+  orderQueryValidation,
+  orderExportQueryValidation,
+  pickListQueryValidation,
+  bulkOrderStatusValidation
+} = require('../utils/validators');
 const { uploadOptional } = require('../middleware/uploadMiddleware');
+const { PAYMENT, ORDER, PRODUCT } = require('../utils/constants');
 
 router.get(
   '/',
@@ -24,6 +32,49 @@ router.get(
   orderController.getOrderStats
 );
 
+router.get(
+  '/export',
+  protect,
+  restrictTo('seller'),
+  orderExportQueryValidation,
+  orderController.exportOrders
+);
+
+router.get(
+  '/pick-list',
+  protect,
+  restrictTo('seller'),
+  pickListQueryValidation,
+  orderController.getPickList
+);
+
+router.post(
+  '/bulk-status',
+  protect,
+  restrictTo('seller'),
+  bulkOrderStatusValidation,
+  orderController.bulkUpdateOrderStatus
+);
+
+router.post(
+  '/vouchers/quote',
+  protect,
+  restrictTo('buyer'),
+  [
+    body('seller_id')
+      .notEmpty().withMessage('Seller ID is required')
+      .isUUID(4).withMessage('Invalid seller ID'),
+
+    body('voucher_code')
+      .trim()
+      .notEmpty().withMessage('Voucher code is required')
+      .isLength({ max: 30 }).withMessage('Voucher code is too long'),
+
+    validate
+  ],
+  orderController.quoteVoucher
+);
+
 router.get(
   '/:orderId',
   protect,
@@ -32,15 +83,61 @@ router.get(
   orderController.getOrderById
 );
 
+router.get(
+  '/:orderId/receipt',
+  protect,
+  restrictTo('buyer', 'seller', 'admin'),
+  validateUUID('orderId'),
+  validate,
+  orderController.getOrderReceipt
+);
+
+router.post(
+  '/:orderId/reorder',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('orderId'),
+  validate,
+  orderController.reorderOrder
+);
+
 router.post(
   '/:orderId/confirm',
   protect,
   restrictTo('buyer', 'seller'),
   validateUUID('orderId'),
   uploadOptional('delivery_proof'),
+  [
+    body('handover_code')
+      .optional({ checkFalsy: true })
+      .trim()
+      .matches(/^\d{6}$/).withMessage('Handover code must be 6 digits'),
+    body('latitude')
+      .optional({ checkFalsy: true })
+      .isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude')
+      .toFloat(),
+    body('longitude')
+      .optional({ checkFalsy: true })
+      .isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+      .toFloat(),
+    body('accuracy')
+      .optional({ checkFalsy: true })
+      .isFloat({ min: 0 }).withMessage('Invalid accuracy')
+      .toFloat(),
+    validate
+  ],
   orderController.confirmOrderCompletion
 );
 
+router.get(
+  '/:orderId/handover-code',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('orderId'),
+  validate,
+  orderController.getHandoverCode
+);
+
 router.put(
   '/:orderId/status',
   protect,
@@ -50,12 +147,139 @@ router.put(
   [
     body('status')
       .notEmpty().withMessage('Status is required')
-      .isIn(['pending', 'confirmed', 'ready', 'completed', 'cancelled']).withMessage('Invalid status'),
+      .isIn(['confirmed', 'ready']).withMessage('Status must be confirmed or ready'),
     validate
   ],
   orderController.updateOrderStatus
 );
 
+router.post(
+  '/:orderId/adjustments',
+  protect,
+  restrictTo('seller'),
+  validateUUID('orderId'),
+  [
+    body('changes')
+      .isArray({ min: 1, max: ORDER.MAX_ITEMS_PER_ORDER }).withMessage('Changes must be a non-empty array'),
+    body('changes.*.order_item_id')
+      .notEmpty().withMessage('Order item ID is required for each change')
+      .isUUID().withMessage('Invalid order item ID'),
+    body('changes.*.action')
+      .isIn(ORDER.ADJUSTMENT_ACTIONS).withMessage(`Action must be one of: ${ORDER.ADJUSTMENT_ACTIONS.join(', ')}`),
+    body('changes.*.quantity')
+      .optional({ values: 'null' })
+      .isFloat({ gt: 0, max: PRODUCT.MAX_QUANTITY }).withMessage('Quantity must be greater than zero')
+      .toFloat(),
+    body('changes.*.substitute_product_id')
+      .optional({ values: 'null' })
+      .isUUID().withMessage('Invalid substitute product ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: ORDER.MAX_ADJUSTMENT_REASON_LENGTH }).withMessage(`Reason must not exceed ${ORDER.MAX_ADJUSTMENT_REASON_LENGTH} characters`),
+    validate
+  ],
+  orderController.proposeOrderAdjustment
+);
+
+router.post(
+  '/:orderId/adjustments/:adjustmentId/accept',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('orderId'),
+  validateUUID('adjustmentId'),
+  [
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Note must not exceed 500 characters'),
+    validate
+  ],
+  orderController.acceptOrderAdjustment
+);
+
+router.post(
+  '/:orderId/adjustments/:adjustmentId/reject',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('orderId'),
+  validateUUID('adjustmentId'),
+  [
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Note must not exceed 500 characters'),
+    validate
+  ],
+  orderController.rejectOrderAdjustment
+);
+
+router.post(
+  '/:orderId/adjustments/:adjustmentId/withdraw',
+  protect,
+  restrictTo('seller'),
+  validateUUID('orderId'),
+  validateUUID('adjustmentId'),
+  validate,
+  orderController.withdrawOrderAdjustment
+);
+
+router.get(
+  '/:orderId/tracking',
+  protect,
+  restrictTo('buyer', 'seller'),
+  validateUUID('orderId'),
+  validate,
+  orderController.getDeliveryTracking
+);
+
+router.post(
+  '/:orderId/tracking/start',
+  protect,
+  restrictTo('seller'),
+  validateUUID('orderId'),
+  validate,
+  orderController.startDeliveryTracking
+);
+
+router.post(
+  '/:orderId/tracking/location',
+  protect,
+  restrictTo('seller'),
+  validateUUID('orderId'),
+  [
+    body('latitude')
+      .isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude')
+      .toFloat(),
+    body('longitude')
+      .isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+      .toFloat(),
+    body('accuracy')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 100000 }).withMessage('Invalid accuracy')
+      .toFloat(),
+    body('heading')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 360 }).withMessage('Invalid heading')
+      .toFloat(),
+    body('speed')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 1000 }).withMessage('Invalid speed')
+      .toFloat(),
+    validate
+  ],
+  orderController.updateDeliveryLocation
+);
+
+router.post(
+  '/:orderId/tracking/stop',
+  protect,
+  restrictTo('seller'),
+  validateUUID('orderId'),
+  validate,
+  orderController.stopDeliveryTracking
+);
+
 router.post(
   '/:orderId/cancel',
   protect,
@@ -107,28 +331,90 @@ router.post(
       .trim()
       .isLength({ max: 50 }).withMessage('Preferred time too long'),
 
+    body('delivery_window_id')
+      .optional({ nullable: true })
+      .isUUID().withMessage('Invalid delivery slot'),
+
     body('order_notes')
       .optional()
       .trim()
       .isLength({ max: 500 }).withMessage('Order notes must not exceed 500 characters'),
 
+    body('payment_method')
+      .optional()
+      .isIn(PAYMENT.METHODS).withMessage('Invalid payment method'),
+
+    body('voucher_code')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 30 }).withMessage('Voucher code is too long'),
+
     validate
   ],
   orderController.createOrder
 );
 
-router.put(
-  '/:orderId/status',
+router.post(
+  '/checkout',
   protect,
-  restrictTo('seller'),
-  validateUUID('orderId'),
+  requireVerified,
+  restrictTo('buyer'),
   [
-    body('status')
-      .notEmpty().withMessage('Status is required')
-      .isIn(['confirmed', 'ready']).withMessage('Status must be confirmed or ready'),
+    body('sellers')
+      .isArray({ min: 1, max: 20 }).withMessage('Sellers must be an array of 1-20 entries'),
+
+    body('sellers.*.seller_id')
+      .notEmpty().withMessage('Seller ID is required')
+      .isUUID(4).withMessage('Invalid seller ID'),
+
+    body('sellers.*.delivery_option')
+      .notEmpty().withMessage('Delivery option is required')
+      .isIn(['pickup', 'drop-off']).withMessage('Delivery option must be pickup or drop-off'),
+
+    body('sellers.*.delivery_address')
+      .optional()
+      .trim()
+      .isLength({ min: 10, max: 500 }).withMessage('Delivery address must be 10-500 characters'),
+
+    body('sellers.*.delivery_latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+
+    body('sellers.*.delivery_longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+
+    body('sellers.*.preferred_date')
+      .optional()
+      .isISO8601().withMessage('Invalid date format')
+      .toDate(),
+
+    body('sellers.*.preferred_time')
+      .optional()
+      .trim()
+      .isLength({ max: 50 }).withMessage('Preferred time too long'),
+
+    body('sellers.*.delivery_window_id')
+      .optional({ nullable: true })
+      .isUUID().withMessage('Invalid delivery slot'),
+
+    body('sellers.*.order_notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Order notes must not exceed 500 characters'),
+
+    body(['payment_method', 'sellers.*.payment_method'])
+      .optional()
+      .isIn(PAYMENT.METHODS).withMessage('Invalid payment method'),
+
+    body('sellers.*.voucher_code')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 30 }).withMessage('Voucher code is too long'),
+
     validate
   ],
-  orderController.updateOrderStatus
+  orderController.checkout
 );
 
 router.post(
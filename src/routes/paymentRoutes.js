@@ -0,0 +1,60 @@
+// src\routes\paymentRoutes.js
+const express = require('express');
+const router = express.Router();
+const { param } = require('express-validator');
+
+const paymentController = require('../controllers/paymentController');
+
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validate, validateUUID } = require('../utils/validators');
+
+router.get(
+  '/methods',
+  protect,
+  paymentController.getPaymentMethods
+);
+
+router.post(
+  '/orders/:orderId/intent',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('orderId'),
+  validate,
+  paymentController.createPaymentIntent
+);
+
+router.get(
+  '/orders/:orderId/status',
+  protect,
+  restrictTo('buyer', 'seller'),
+  validateUUID('orderId'),
+  validate,
+  paymentController.getPaymentStatus
+);
+
+// Called by payment providers; authenticated by signature, not JWT
+router.post(
+  '/webhook/:provider',
+  paymentController.handleWebhook
+);
+
+router.get(
+  '/mock/:reference',
+  [
+    param('reference').matches(/^MOCKGC-[A-F0-9]{16}$/).withMessage('Invalid payment reference'),
+    validate
+  ],
+  paymentController.renderMockCheckout
+);
+
+router.post(
+  '/mock/:reference/:outcome',
+  [
+    param('reference').matches(/^MOCKGC-[A-F0-9]{16}$/).withMessage('Invalid payment reference'),
+    param('outcome').isIn(['pay', 'cancel']).withMessage('Invalid outcome'),
+    validate
+  ],
+  paymentController.completeMockCheckout
+);
+
+module.exports = router;
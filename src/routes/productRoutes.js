@@ -3,15 +3,32 @@ const express = require('express');
 const router = express.Router();
 
 const productController = require('../controllers/productController');
+const preorderController = require('../controllers/preorderController');
+const variantController = require('../controllers/variantController');
+const priceTierController = require('../controllers/priceTierController');
+const promotionController = require('../controllers/promotionController');
+const inventoryController = require('../controllers/inventoryController');
 
 const { protect, restrictTo, requireVerified, optionalAuth } = require('../middleware/authMiddleware');
 const { uploadOptionalMultiple } = require('../middleware/uploadMiddleware');
-const { validateUUID } = require('../utils/validators');
+const { validate, validateUUID } = require('../utils/validators');
 const {
   createProductValidation,
   updateProductValidation,
   productQueryValidation,
-  myProductsQueryValidation
+  myProductsQueryValidation,
+  earningsQueryValidation,
+  earningsStatementsValidation,
+  earningsStatementValidation,
+  preorderSettingsValidation,
+  harvestValidation,
+  createVariantValidation,
+  updateVariantValidation,
+  priceTiersValidation,
+  createPromotionValidation,
+  updatePromotionValidation,
+  inventoryQueryValidation,
+  inventoryAdjustmentValidation
 } = require('../utils/productValidators');
 
 
@@ -72,6 +89,65 @@ router.get(
   productController.getTopProducts
 );
 
+router.get(
+  '/seller/earnings',
+  protect,
+  restrictTo('seller'),
+  earningsQueryValidation,
+  productController.getSellerEarnings
+);
+
+router.get(
+  '/seller/earnings/statements',
+  protect,
+  restrictTo('seller'),
+  earningsStatementsValidation,
+  productController.getEarningsStatements
+);
+
+router.get(
+  '/seller/earnings/statements/:periodStart',
+  protect,
+  restrictTo('seller'),
+  earningsStatementValidation,
+  productController.getEarningsStatement
+);
+
+// Seller promotions (percentage or fixed amount off products or categories)
+router.get(
+  '/seller/promotions',
+  protect,
+  restrictTo('seller'),
+  promotionController.getMyPromotions
+);
+
+router.post(
+  '/seller/promotions',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  createPromotionValidation,
+  promotionController.createPromotion
+);
+
+router.put(
+  '/seller/promotions/:promotionId',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  updatePromotionValidation,
+  promotionController.updatePromotion
+);
+
+router.delete(
+  '/seller/promotions/:promotionId',
+  protect,
+  restrictTo('seller'),
+  validateUUID('promotionId'),
+  validate,
+  promotionController.endPromotion
+);
+
 router.post(
   '/',
   protect,
@@ -102,6 +178,119 @@ router.delete(
   productController.deleteProduct
 );
 
+// Pre-orders against an upcoming harvest
+router.put(
+  '/:productId/preorder',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  preorderSettingsValidation,
+  preorderController.updatePreorderSettings
+);
+
+router.delete(
+  '/:productId/preorder',
+  protect,
+  restrictTo('seller'),
+  validateUUID('productId'),
+  validate,
+  preorderController.disablePreorder
+);
+
+router.get(
+  '/:productId/preorders',
+  protect,
+  restrictTo('seller'),
+  validateUUID('productId'),
+  validate,
+  preorderController.getPreorderQueue
+);
+
+router.post(
+  '/:productId/harvest',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  harvestValidation,
+  preorderController.recordHarvest
+);
+
+// Variants (size, grade, pack size) with their own price and stock
+router.get(
+  '/:productId/variants',
+  protect,
+  restrictTo('seller'),
+  validateUUID('productId'),
+  validate,
+  variantController.getVariants
+);
+
+router.post(
+  '/:productId/variants',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  createVariantValidation,
+  variantController.createVariant
+);
+
+router.put(
+  '/:productId/variants/:variantId',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  updateVariantValidation,
+  variantController.updateVariant
+);
+
+router.delete(
+  '/:productId/variants/:variantId',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  validateUUID('productId'),
+  validateUUID('variantId'),
+  validate,
+  variantController.deleteVariant
+);
+
+// Bulk price breaks (e.g. 10+ kg at a lower price)
+router.get(
+  '/:productId/price-tiers',
+  protect,
+  restrictTo('seller'),
+  validateUUID('productId'),
+  validate,
+  priceTierController.getPriceTiers
+);
+
+router.put(
+  '/:productId/price-tiers',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  priceTiersValidation,
+  priceTierController.replacePriceTiers
+);
+
+// Stock ledger: every change to the product's stock and why it happened
+router.get(
+  '/:productId/inventory',
+  protect,
+  restrictTo('seller'),
+  inventoryQueryValidation,
+  inventoryController.getInventoryHistory
+);
+
+router.post(
+  '/:productId/inventory/adjustments',
+  protect,
+  restrictTo('seller'),
+  requireVerified,
+  inventoryAdjustmentValidation,
+  inventoryController.recordAdjustment
+);
+
 // Get product reviews
 router.get(
   '/:productId/reviews',
@@ -0,0 +1,55 @@
+// src\routes\refundRoutes.js
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+const refundController = require('../controllers/refundController');
+
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validate, validateUUID } = require('../utils/validators');
+
+const refundQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processed', 'failed'])
+    .withMessage('Invalid refund status'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be positive')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  validate
+];
+
+router.get(
+  '/buyer',
+  protect,
+  restrictTo('buyer'),
+  refundQueryValidation,
+  refundController.getBuyerRefunds
+);
+
+router.get(
+  '/seller',
+  protect,
+  restrictTo('seller'),
+  refundQueryValidation,
+  refundController.getSellerRefunds
+);
+
+router.get(
+  '/order/:orderId',
+  protect,
+  restrictTo('buyer', 'seller'),
+  validateUUID('orderId'),
+  validate,
+  refundController.getOrderRefunds
+);
+
+module.exports = router;
@@ -0,0 +1,160 @@
+// src\routes\subscriptionRoutes.js
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const subscriptionController = require('../controllers/subscriptionController');
+
+const { protect, restrictTo, requireVerified } = require('../middleware/authMiddleware');
+const { validate, validateUUID } = require('../utils/validators');
+const { SUBSCRIPTION, PRODUCT } = require('../utils/constants');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const subscriptionFields = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('frequency')
+      .isIn(SUBSCRIPTION.FREQUENCIES)
+      .withMessage(`Frequency must be one of: ${SUBSCRIPTION.FREQUENCIES.join(', ')}`),
+
+    field('delivery_option')
+      .isIn(['pickup', 'drop-off']).withMessage('Invalid delivery option'),
+
+    body('delivery_window_id')
+      .optional({ nullable: true })
+      .isUUID().withMessage('Invalid delivery slot'),
+
+    body('preferred_time')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 }).withMessage('Preferred time too long'),
+
+    body('order_notes')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 }).withMessage('Order notes must not exceed 500 characters'),
+
+    field('items')
+      .isArray({ min: 1, max: SUBSCRIPTION.MAX_ITEMS })
+      .withMessage(`Add between 1 and ${SUBSCRIPTION.MAX_ITEMS} products`),
+
+    body('items.*.product_id')
+      .isUUID().withMessage('Invalid product ID'),
+
+    body('items.*.quantity')
+      .isInt({ min: 1, max: PRODUCT.MAX_QUANTITY }).withMessage('Quantity must be a whole number of at least 1')
+      .toInt()
+  ];
+};
+
+const dateField = (name) => body(name)
+  .matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format')
+  .isISO8601().withMessage('Invalid date format');
+
+// ============ Buyer ============
+
+router.get(
+  '/',
+  protect,
+  restrictTo('buyer'),
+  subscriptionController.getMySubscriptions
+);
+
+router.post(
+  '/',
+  protect,
+  restrictTo('buyer'),
+  requireVerified,
+  [
+    body('seller_id')
+      .notEmpty().withMessage('Seller ID is required')
+      .isUUID().withMessage('Invalid seller ID'),
+    dateField('start_date'),
+    ...subscriptionFields(true),
+    validate
+  ],
+  subscriptionController.createSubscription
+);
+
+// ============ Seller ============
+
+router.get(
+  '/seller',
+  protect,
+  restrictTo('seller'),
+  subscriptionController.getSellerSubscriptions
+);
+
+// ============ Single subscription ============
+
+router.get(
+  '/:subscriptionId',
+  protect,
+  restrictTo('buyer', 'seller'),
+  validateUUID('subscriptionId'),
+  validate,
+  subscriptionController.getSubscription
+);
+
+router.put(
+  '/:subscriptionId',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('subscriptionId'),
+  [
+    dateField('next_delivery_date').optional(),
+    ...subscriptionFields(false),
+    validate
+  ],
+  subscriptionController.updateSubscription
+);
+
+router.post(
+  '/:subscriptionId/confirm',
+  protect,
+  restrictTo('buyer'),
+  requireVerified,
+  validateUUID('subscriptionId'),
+  validate,
+  subscriptionController.confirmDelivery
+);
+
+router.post(
+  '/:subscriptionId/skip',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('subscriptionId'),
+  validate,
+  subscriptionController.skipNextDelivery
+);
+
+router.post(
+  '/:subscriptionId/pause',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('subscriptionId'),
+  validate,
+  subscriptionController.pauseSubscription
+);
+
+router.post(
+  '/:subscriptionId/resume',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('subscriptionId'),
+  validate,
+  subscriptionController.resumeSubscription
+);
+
+router.post(
+  '/:subscriptionId/cancel',
+  protect,
+  restrictTo('buyer'),
+  validateUUID('subscriptionId'),
+  validate,
+  subscriptionController.cancelSubscription
+);
+
+module.exports = router;
@@ -0,0 +1,149 @@
+// src\services\deliveryFeeService.js
+
+const mapService = require('./mapService');
+const { DELIVERY } = require('../utils/constants');
+
+const routeCache = new Map();
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const roundCurrency = (value) => parseFloat((Number(value) || 0).toFixed(2));
+
+const resolvePoint = (latitude, longitude, municipality) => {
+  const lat = toNumberOrNull(latitude);
+  const lon = toNumberOrNull(longitude);
+
+  if (lat !== null && lon !== null) {
+    return { latitude: lat, longitude: lon };
+  }
+
+  const coords = municipality ? mapService.getMunicipalityCoordinates(municipality) : null;
+  return coords ? { latitude: coords.latitude, longitude: coords.longitude } : null;
+};
+
+// Road distance between two points. Cached briefly so the cart summary,
+// checkout preview and order creation all quote the same distance.
+const getRouteDistance = async (origin, destination) => {
+  const cacheKey = [
+    origin.latitude.toFixed(5),
+    origin.longitude.toFixed(5),
+    destination.latitude.toFixed(5),
+    destination.longitude.toFixed(5)
+  ].join(',');
+
+  const cached = routeCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const route = await mapService.getRoute(
+    origin.latitude,
+    origin.longitude,
+    destination.latitude,
+    destination.longitude
+  );
+
+  const value = route.success
+    ? {
+      distance_km: route.data.distance_km,
+      duration_minutes: route.data.duration_minutes
+    }
+    : {
+      distance_km: mapService.calculateDistance(
+        origin.latitude,
+        origin.longitude,
+        destination.latitude,
+        destination.longitude
+      ),
+      duration_minutes: null
+    };
+
+  if (routeCache.size >= DELIVERY.ROUTE_CACHE_MAX_ENTRIES) {
+    routeCache.delete(routeCache.keys().next().value);
+  }
+  routeCache.set(cacheKey, { value, expiresAt: Date.now() + DELIVERY.ROUTE_CACHE_TTL_MS });
+
+  return value;
+};
+
+exports.getSellerDeliverySettings = (seller = {}) => {
+  const baseFee = toNumberOrNull(seller.delivery_base_fee);
+  const perKmFee = toNumberOrNull(seller.delivery_per_km_fee);
+
+  return {
+    base_fee: baseFee !== null ? baseFee : DELIVERY.DEFAULT_BASE_FEE,
+    per_km_fee: perKmFee !== null ? perKmFee : DELIVERY.DEFAULT_PER_KM_FEE,
+    free_delivery_threshold: toNumberOrNull(seller.free_delivery_threshold),
+    max_radius_km: toNumberOrNull(seller.max_delivery_radius_km)
+  };
+};
+
+// Pickup is free. Drop-off = base fee + per-km rate, waived at the seller's
+// free-delivery threshold. Beyond max radius returns success: false.
+exports.calculateDeliveryFee = async ({
+  seller,
+  subtotal = 0,
+  deliveryOption,
+  latitude,
+  longitude,
+  municipality
+}) => {
+  const settings = exports.getSellerDeliverySettings(seller || {});
+  const quote = {
+    delivery_option: deliveryOption,
+    delivery_fee: 0,
+    distance_km: null,
+    duration_minutes: null,
+    within_radius: true,
+    free_delivery_applied: false,
+    settings
+  };
+
+  if (deliveryOption !== 'drop-off') {
+    return { success: true, data: quote, error: null };
+  }
+
+  const origin = resolvePoint(seller?.latitude, seller?.longitude, seller?.municipality);
+  if (!origin) {
+    return {
+      success: false,
+      data: quote,
+      error: 'Seller farm location is not set. Drop-off is unavailable for this seller.'
+    };
+  }
+
+  const destination = resolvePoint(latitude, longitude, municipality);
+  if (!destination) {
+    return {
+      success: false,
+      data: quote,
+      error: 'Drop-off location could not be determined. Please set your delivery location in your profile.'
+    };
+  }
+
+  const { distance_km, duration_minutes } = await getRouteDistance(origin, destination);
+  quote.distance_km = distance_km;
+  quote.duration_minutes = duration_minutes;
+
+  if (settings.max_radius_km !== null && distance_km > settings.max_radius_km) {
+    quote.within_radius = false;
+    return {
+      success: false,
+      data: quote,
+      error: `Drop-off location is ${distance_km} km away, outside the seller's ${settings.max_radius_km} km delivery radius.`
+    };
+  }
+
+  if (settings.free_delivery_threshold !== null && Number(subtotal) >= settings.free_delivery_threshold) {
+    quote.free_delivery_applied = true;
+    return { success: true, data: quote, error: null };
+  }
+
+  quote.delivery_fee = roundCurrency(settings.base_fee + (settings.per_km_fee * distance_km));
+
+  return { success: true, data: quote, error: null };
+};
@@ -0,0 +1,226 @@
+// src\services\deliverySlotService.js
+
+const deliverySlotModel = require('../models/deliverySlotModel');
+const { DELIVERY_SLOTS } = require('../utils/constants');
+
+// ============ Calendar helpers (YYYY-MM-DD in Philippine time) ============
+
+const toLocalDate = (date) => {
+  const offsetMs = parseInt(DELIVERY_SLOTS.TIMEZONE_OFFSET, 10) * 60 * 60 * 1000;
+  return new Date(new Date(date).getTime() + offsetMs).toISOString().slice(0, 10);
+};
+
+const shiftDate = (dateStr, days) => {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+const dayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+// Postgres TIME comes back as HH:MM:SS
+const formatTime = (time) => String(time || '').slice(0, 5);
+
+const slotStartsAt = (dateStr, time) => new Date(`${dateStr}T${formatTime(time)}:00${DELIVERY_SLOTS.TIMEZONE_OFFSET}`);
+
+exports.todayLocal = () => toLocalDate(new Date());
+
+// Accepts a Date (express-validator toDate) or a YYYY-MM-DD string
+exports.toDateString = (value) => {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+};
+
+exports.formatSlotLabel = (window) => `${formatTime(window.start_time)}-${formatTime(window.end_time)}`;
+
+// ============ Slot building ============
+
+// Why a slot cannot be booked right now, or null when it is open
+const getClosedReason = (dateStr, window, booked, now) => {
+  if (slotStartsAt(dateStr, window.start_time).getTime() < now + DELIVERY_SLOTS.MIN_LEAD_MINUTES * 60 * 1000) {
+    return 'past';
+  }
+  if (booked >= window.capacity) {
+    return 'full';
+  }
+  return null;
+};
+
+const buildDays = ({ windows, blackouts, bookedOrders, from, days, withOrders = false }) => {
+  const now = Date.now();
+  const blackoutMap = {};
+  blackouts.forEach(blackout => {
+    blackoutMap[blackout.blackout_date] = blackout;
+  });
+
+  const result = [];
+  for (let i = 0; i < days; i += 1) {
+    const date = shiftDate(from, i);
+    const blackout = blackoutMap[date] || null;
+    const dayOrders = bookedOrders.filter(order => order.preferred_date === date);
+
+    const slots = windows
+      .filter(window => window.day_of_week === dayOfWeek(date))
+      .map(window => {
+        const slotOrders = dayOrders.filter(order => order.delivery_window_id === window.id);
+        const closedReason = blackout ? 'blackout' : getClosedReason(date, window, slotOrders.length, now);
+
+        return {
+          window_id: window.id,
+          date,
+          start_time: formatTime(window.start_time),
+          end_time: formatTime(window.end_time),
+          label: exports.formatSlotLabel(window),
+          capacity: window.capacity,
+          booked: slotOrders.length,
+          remaining: Math.max(0, window.capacity - slotOrders.length),
+          is_open: !closedReason,
+          closed_reason: closedReason,
+          ...(withOrders ? { orders: slotOrders } : {})
+        };
+      });
+
+    const day = {
+      date,
+      day_of_week: dayOfWeek(date),
+      is_blackout: Boolean(blackout),
+      blackout_reason: blackout?.reason || null,
+      slots
+    };
+
+    if (withOrders) {
+      // Orders that picked a free-text time before slots were set up
+      const windowIds = new Set(windows.map(window => window.id));
+      day.unscheduled_orders = dayOrders.filter(order => !windowIds.has(order.delivery_window_id));
+    }
+
+    result.push(day);
+  }
+
+  return result;
+};
+
+const loadRange = async (sellerId, from, days, { withOrders = false } = {}) => {
+  const to = shiftDate(from, days - 1);
+
+  const [windowsResult, blackoutsResult, bookedResult] = await Promise.all([
+    deliverySlotModel.getWindows(sellerId),
+    deliverySlotModel.getBlackoutDates(sellerId, { from, to }),
+    deliverySlotModel.getBookedOrders(sellerId, from, to, { withOrders })
+  ]);
+
+  const error = windowsResult.error || blackoutsResult.error || bookedResult.error;
+  if (error) {
+    return { error };
+  }
+
+  return {
+    windows: windowsResult.data,
+    days: buildDays({
+      windows: windowsResult.data,
+      blackouts: blackoutsResult.data,
+      bookedOrders: bookedResult.data,
+      from,
+      days,
+      withOrders
+    })
+  };
+};
+
+// Open slots a buyer can book, from today up to the booking horizon
+exports.getAvailableSlots = async (sellerId, { dateFrom = null, days = DELIVERY_SLOTS.BOOKING_HORIZON_DAYS } = {}) => {
+  const today = exports.todayLocal();
+  const horizonEnd = shiftDate(today, DELIVERY_SLOTS.BOOKING_HORIZON_DAYS - 1);
+  const from = dateFrom && dateFrom > today ? dateFrom : today;
+
+  if (from > horizonEnd) {
+    return { success: true, data: { uses_slots: false, days: [] }, error: null };
+  }
+
+  const maxDays = Math.round((new Date(`${horizonEnd}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000) + 1;
+  const range = await loadRange(sellerId, from, Math.min(days, maxDays));
+
+  if (range.error) {
+    return { success: false, data: null, error: range.error };
+  }
+
+  return {
+    success: true,
+    data: {
+      uses_slots: range.windows.length > 0,
+      booking_horizon_days: DELIVERY_SLOTS.BOOKING_HORIZON_DAYS,
+      days: range.days
+        .map(day => ({ ...day, slots: day.slots.filter(slot => slot.is_open) }))
+        .filter(day => day.slots.length > 0)
+    },
+    error: null
+  };
+};
+
+// Seller's per-day view: every slot with its bookings, including closed ones
+exports.getSellerSchedule = async (sellerId, { dateFrom = null, days = 7 } = {}) => {
+  const from = dateFrom || exports.todayLocal();
+  const range = await loadRange(sellerId, from, Math.min(days, DELIVERY_SLOTS.MAX_SCHEDULE_DAYS), { withOrders: true });
+
+  if (range.error) {
+    return { success: false, data: null, error: range.error };
+  }
+
+  return {
+    success: true,
+    data: {
+      uses_slots: range.windows.length > 0,
+      date_from: from,
+      days: range.days
+    },
+    error: null
+  };
+};
+
+// Checkout-time check for one slot. The booking itself re-checks capacity
+// atomically; this gives the buyer a clear message before anything is written.
+exports.checkSlot = async (sellerId, windowId, dateStr) => {
+  const { data: window } = await deliverySlotModel.getWindowById(windowId);
+
+  if (!window || !window.is_active || window.seller_id !== sellerId || window.day_of_week !== dayOfWeek(dateStr)) {
+    return { success: false, data: null, error: 'The selected delivery slot is not offered by this seller on that date.', statusCode: 400 };
+  }
+
+  const today = exports.todayLocal();
+  if (dateStr < today || dateStr > shiftDate(today, DELIVERY_SLOTS.BOOKING_HORIZON_DAYS - 1)) {
+    return {
+      success: false,
+      data: null,
+      error: `Delivery slots can be booked up to ${DELIVERY_SLOTS.BOOKING_HORIZON_DAYS} days ahead.`,
+      statusCode: 400
+    };
+  }
+
+  const range = await loadRange(sellerId, dateStr, 1);
+  if (range.error) {
+    return { success: false, data: null, error: 'Failed to check delivery slot availability.', statusCode: 500 };
+  }
+
+  const slot = range.days[0].slots.find(entry => entry.window_id === windowId);
+  const messages = {
+    blackout: 'The seller is not accepting orders on the selected date.',
+    past: 'The selected delivery slot has already closed. Please pick a later slot.',
+    full: 'The selected delivery slot is fully booked. Please pick another slot.'
+  };
+
+  if (!slot || !slot.is_open) {
+    return { success: false, data: null, error: messages[slot?.closed_reason] || messages.full, statusCode: 409 };
+  }
+
+  return { success: true, data: slot, error: null };
+};
+
+// Windows on the same day may not overlap
+exports.findOverlappingWindow = (windows, candidate, excludeId = null) => (
+  windows.find(window => (
+    window.id !== excludeId
+    && window.day_of_week === candidate.day_of_week
+    && formatTime(window.start_time) < formatTime(candidate.end_time)
+    && formatTime(candidate.start_time) < formatTime(window.end_time)
+  )) || null
+);
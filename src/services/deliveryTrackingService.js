@@ -0,0 +1,123 @@
+// src\services\deliveryTrackingService.js
+
+const deliveryTrackingModel = require('../models/deliveryTrackingModel');
+const notificationService = require('./notificationService');
+const { DELIVERY_TRACKING } = require('../utils/constants');
+
+// What the parties see; the two user ids only exist for the read policy
+const toPublicSession = (session) => session && ({
+  order_id: session.order_id,
+  status: session.status,
+  latitude: session.latitude !== null ? Number(session.latitude) : null,
+  longitude: session.longitude !== null ? Number(session.longitude) : null,
+  accuracy_m: session.accuracy_m !== null ? Number(session.accuracy_m) : null,
+  heading: session.heading !== null ? Number(session.heading) : null,
+  speed_mps: session.speed_mps !== null ? Number(session.speed_mps) : null,
+  location_updated_at: session.location_updated_at,
+  started_at: session.started_at,
+  ended_at: session.ended_at,
+  end_reason: session.end_reason
+});
+
+exports.toPublicSession = toPublicSession;
+
+// order comes from orderModel.getOrderById, so buyer and seller are expanded
+exports.start = async (order) => {
+  if (order.delivery_option !== 'drop-off') {
+    return { success: false, data: null, error: 'Live tracking is only available for drop-off orders.', statusCode: 400 };
+  }
+
+  if (order.status !== 'ready') {
+    return { success: false, data: null, error: 'Mark the order as ready before starting the delivery.', statusCode: 400 };
+  }
+
+  const { data: existing } = await deliveryTrackingModel.getSessionByOrder(order.id);
+  if (existing?.status === 'active') {
+    return { success: true, data: toPublicSession(existing), error: null, alreadyActive: true };
+  }
+
+  const { data: session, error } = await deliveryTrackingModel.startSession({
+    order_id: order.id,
+    seller_id: order.seller.id,
+    buyer_user_id: order.buyer.user.id,
+    seller_user_id: order.seller.user.id
+  });
+
+  if (error) {
+    console.error('Start delivery tracking error:', error);
+    return { success: false, data: null, error: 'Failed to start delivery tracking.', statusCode: 500 };
+  }
+
+  await notificationService.createNotification({
+    user_id: order.buyer.user.id,
+    title: 'Your Order Is On the Way',
+    message: `${order.seller.user.full_name} is delivering order ${order.order_number}. Open the order to follow it live.`,
+    type: 'order',
+    reference_id: order.id
+  });
+
+  return { success: true, data: toPublicSession(session), error: null, alreadyActive: false };
+};
+
+exports.updateLocation = async (orderId, sellerUserId, location) => {
+  const { data: session } = await deliveryTrackingModel.getSessionByOrder(orderId);
+
+  if (!session || session.seller_user_id !== sellerUserId) {
+    return { success: false, data: null, error: 'Delivery tracking not found.', statusCode: 404 };
+  }
+
+  if (session.status !== 'active') {
+    return { success: false, data: null, error: 'Delivery tracking has ended.', statusCode: 409 };
+  }
+
+  // Browsers can fire watchPosition many times a second; keep the last write
+  const lastUpdate = session.location_updated_at ? new Date(session.location_updated_at).getTime() : 0;
+  if (Date.now() - lastUpdate < DELIVERY_TRACKING.MIN_UPDATE_INTERVAL_SECONDS * 1000) {
+    return { success: true, data: toPublicSession(session), error: null, throttled: true };
+  }
+
+  const { data: updated, error } = await deliveryTrackingModel.updateLocation(orderId, location);
+
+  if (error) {
+    console.error('Update delivery location error:', error);
+    return { success: false, data: null, error: 'Failed to update location.', statusCode: 500 };
+  }
+
+  if (!updated) {
+    return { success: false, data: null, error: 'Delivery tracking has ended.', statusCode: 409 };
+  }
+
+  return { success: true, data: toPublicSession(updated), error: null, throttled: false };
+};
+
+// The seller can stop sharing early; completion and cancellation stop it
+// through the order lifecycle.
+exports.stop = async (orderId, sellerUserId) => {
+  const { data: session } = await deliveryTrackingModel.getSessionByOrder(orderId);
+
+  if (!session || session.seller_user_id !== sellerUserId) {
+    return { success: false, data: null, error: 'Delivery tracking not found.', statusCode: 404 };
+  }
+
+  const { error } = await deliveryTrackingModel.endSession(orderId, 'stopped');
+
+  if (error) {
+    console.error('Stop delivery tracking error:', error);
+    return { success: false, data: null, error: 'Failed to stop delivery tracking.', statusCode: 500 };
+  }
+
+  return { success: true, data: null, error: null };
+};
+
+// Scheduled: sessions whose seller never stopped them
+exports.expireStaleSessions = async () => {
+  const cutoff = new Date(Date.now() - DELIVERY_TRACKING.MAX_SESSION_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data: ended, error } = await deliveryTrackingModel.endSessionsStartedBefore(cutoff, 'expired');
+
+  if (error) {
+    throw new Error(`Failed to expire delivery tracking: ${error.message}`);
+  }
+
+  return { expired: ended.length };
+};
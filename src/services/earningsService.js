@@ -0,0 +1,192 @@
+// src\services\earningsService.js
+
+const earningsModel = require('../models/earningsModel');
+const { EARNINGS } = require('../utils/constants');
+const { toCsv } = require('../utils/fileHelpers');
+
+const roundCurrency = (value) => parseFloat((Number(value) || 0).toFixed(2));
+
+// ============ Calendar helpers (YYYY-MM-DD in Philippine time) ============
+
+const toLocalDate = (date) => {
+  const offsetMs = parseInt(EARNINGS.TIMEZONE_OFFSET, 10) * 60 * 60 * 1000;
+  return new Date(new Date(date).getTime() + offsetMs).toISOString().slice(0, 10);
+};
+
+const localMidnightIso = (dateStr) => new Date(`${dateStr}T00:00:00${EARNINGS.TIMEZONE_OFFSET}`).toISOString();
+
+const shiftDate = (dateStr, { days = 0, months = 0 }) => {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Weeks start on Monday, months on the 1st
+const getPeriodStart = (period, dateStr) => {
+  if (period === 'monthly') {
+    return `${dateStr.slice(0, 7)}-01`;
+  }
+
+  const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return shiftDate(dateStr, { days: day === 0 ? -6 : 1 - day });
+};
+
+const getPeriodEnd = (period, startStr) => (
+  period === 'monthly' ? shiftDate(startStr, { months: 1 }) : shiftDate(startStr, { days: 7 })
+);
+
+const getPreviousPeriodStart = (period, startStr) => (
+  period === 'monthly' ? shiftDate(startStr, { months: -1 }) : shiftDate(startStr, { days: -7 })
+);
+
+// ============ Summaries ============
+
+// One period's ledger totals (earningsModel.getTotals) as a summary
+// running on from the balance the period opened with
+const toSummary = (totals, openingBalance) => {
+  const netChange = roundCurrency(totals.order_earnings + totals.refunds + totals.adjustments);
+
+  return {
+    opening_balance: roundCurrency(openingBalance),
+    order_earnings: roundCurrency(totals.order_earnings),
+    refunds: roundCurrency(totals.refunds),
+    adjustments: roundCurrency(totals.adjustments),
+    net_change: netChange,
+    closing_balance: roundCurrency(openingBalance + netChange),
+    completed_orders: totals.completed_orders,
+    entry_count: totals.entry_count
+  };
+};
+
+// Converts optional YYYY-MM-DD bounds (inclusive) to an ISO [from, to) range
+exports.toDateRange = (dateFrom, dateTo) => ({
+  from: dateFrom ? localMidnightIso(dateFrom) : null,
+  to: dateTo ? localMidnightIso(shiftDate(dateTo, { days: 1 })) : null
+});
+
+exports.getEarnings = async (sellerId, { dateFrom, dateTo, entryType, page = 1, limit = 50 } = {}) => {
+  const { from, to } = exports.toDateRange(dateFrom, dateTo);
+
+  const [ledgerResult, totalsResult, openingResult] = await Promise.all([
+    earningsModel.getLedgerEntries(sellerId, { from, to, entry_type: entryType, page, limit }),
+    earningsModel.getTotals(sellerId, [from, to]),
+    from ? earningsModel.getBalanceBefore(sellerId, from) : Promise.resolve({ data: 0, error: null })
+  ]);
+
+  const error = ledgerResult.error || totalsResult.error || openingResult.error;
+  if (error) {
+    return { success: false, data: null, error };
+  }
+
+  return {
+    success: true,
+    data: {
+      entries: ledgerResult.data,
+      summary: toSummary(totalsResult.data[0], openingResult.data),
+      count: ledgerResult.count,
+      total_pages: ledgerResult.total_pages
+    },
+    error: null
+  };
+};
+
+// Most recent `count` statements, newest first. The current period is
+// included and marked is_closed: false.
+exports.listStatements = async (sellerId, period, count = EARNINGS.DEFAULT_STATEMENT_COUNT) => {
+  const today = toLocalDate(new Date());
+  const starts = [getPeriodStart(period, today)];
+  while (starts.length < count) {
+    starts.push(getPreviousPeriodStart(period, starts[starts.length - 1]));
+  }
+
+  // Oldest first; each period ends where the next one starts
+  const oldestFirst = starts.slice().reverse();
+  const bounds = [...oldestFirst, getPeriodEnd(period, starts[0])].map(localMidnightIso);
+
+  const [totalsResult, openingResult] = await Promise.all([
+    earningsModel.getTotals(sellerId, bounds),
+    earningsModel.getBalanceBefore(sellerId, bounds[0])
+  ]);
+
+  if (totalsResult.error || openingResult.error) {
+    return { success: false, data: null, error: totalsResult.error || openingResult.error };
+  }
+
+  let balance = openingResult.data;
+  const statements = oldestFirst.map((start, index) => {
+    const end = getPeriodEnd(period, start);
+    const summary = toSummary(totalsResult.data[index], balance);
+    balance = summary.closing_balance;
+
+    return {
+      period,
+      period_start: start,
+      period_end: shiftDate(end, { days: -1 }),
+      is_closed: end <= today,
+      ...summary
+    };
+  });
+
+  return { success: true, data: statements.reverse(), error: null };
+};
+
+exports.getStatement = async (sellerId, period, dateStr) => {
+  const start = getPeriodStart(period, dateStr);
+  const end = getPeriodEnd(period, start);
+  const from = localMidnightIso(start);
+
+  const to = localMidnightIso(end);
+
+  const [entriesResult, totalsResult, openingResult] = await Promise.all([
+    earningsModel.getEntriesInRange(sellerId, from, to),
+    earningsModel.getTotals(sellerId, [from, to]),
+    earningsModel.getBalanceBefore(sellerId, from)
+  ]);
+
+  const error = entriesResult.error || totalsResult.error || openingResult.error;
+  if (error) {
+    return { success: false, data: null, error };
+  }
+
+  return {
+    success: true,
+    data: {
+      period,
+      period_start: start,
+      period_end: shiftDate(end, { days: -1 }),
+      is_closed: end <= toLocalDate(new Date()),
+      ...toSummary(totalsResult.data[0], openingResult.data),
+      entries: entriesResult.data
+    },
+    error: null
+  };
+};
+
+exports.statementToCsv = (statement, sellerName = '') => {
+  const rows = [
+    ['AgriMarket Earnings Statement'],
+    ['Seller', sellerName],
+    ['Period', `${statement.period_start} to ${statement.period_end}`, statement.period],
+    ['Opening Balance', statement.opening_balance.toFixed(2)],
+    [],
+    ['Date', 'Type', 'Order Number', 'Description', 'Amount', 'Balance After', 'Entry ID'],
+    ...statement.entries.map(entry => [
+      entry.created_at,
+      entry.entry_type,
+      entry.order?.order_number || '',
+      entry.description || '',
+      parseFloat(entry.amount).toFixed(2),
+      parseFloat(entry.balance_after).toFixed(2),
+      entry.id
+    ]),
+    [],
+    ['Order Earnings', statement.order_earnings.toFixed(2)],
+    ['Refunds', statement.refunds.toFixed(2)],
+    ['Adjustments', statement.adjustments.toFixed(2)],
+    ['Net Change', statement.net_change.toFixed(2)],
+    ['Closing Balance', statement.closing_balance.toFixed(2)]
+  ];
+
+  return toCsv(rows);
+};
@@ -233,6 +233,18 @@ const getOrderStatusEmailContent = (status, recipientRole) => {
         action: 'You can review this transaction in your seller dashboard.'
       }
     },
+    auto_completed: {
+      buyer: {
+        subjectPrefix: 'Order Completed',
+        message: 'Your order was completed automatically because it was not confirmed as received within the confirmation window.',
+        action: 'If there is a problem with this order, report an issue from your buyer dashboard.'
+      },
+      seller: {
+        subjectPrefix: 'Order Completed',
+        message: 'This order was completed automatically after the buyer confirmation window ended.',
+        action: 'You can review this transaction in your seller dashboard.'
+      }
+    },
     cancelled: {
       buyer: {
         subjectPrefix: 'Order Cancelled',
@@ -539,12 +551,19 @@ exports.sendWelcomeEmail = async (user) => {
 
 exports.sendOrderCancellationEmail = async (user, order, reason, options = {}) => {
   const recipientRole = resolveRecipientRole(user, options.recipientRole);
-  const cancelledByRole = (options.cancelledByRole || 'buyer').toLowerCase() === 'seller' ? 'seller' : 'buyer';
+  const requestedRole = (options.cancelledByRole || 'buyer').toLowerCase();
+  const cancelledByRole = ['seller', 'system'].includes(requestedRole) ? requestedRole : 'buyer';
   const actorLabel = cancelledByRole === 'seller' ? 'seller' : 'buyer';
-  const recipientMessage = recipientRole === 'seller'
+  let recipientMessage = recipientRole === 'seller'
     ? `An order from a buyer was cancelled by the ${actorLabel}.`
     : `Your order was cancelled by the ${actorLabel}.`;
 
+  if (cancelledByRole === 'system') {
+    recipientMessage = recipientRole === 'seller'
+      ? 'An order from a buyer was cancelled automatically.'
+      : 'Your order was cancelled automatically.';
+  }
+
   const emailData = {
     to: user.email,
     subject: `Order Cancelled - ${order.order_number}`,
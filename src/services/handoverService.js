@@ -0,0 +1,113 @@
+// src\services\handoverService.js
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const handoverModel = require('../models/handoverModel');
+const mapService = require('./mapService');
+const { HANDOVER } = require('../utils/constants');
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+const VERIFY_ERRORS = {
+  invalid: { error: 'Incorrect handover code. Ask the buyer to check the code in their order.', statusCode: 400 },
+  locked: { error: 'Too many wrong codes. Ask the buyer to confirm receipt from their account instead.', statusCode: 423 },
+  missing: { error: 'The buyer has not opened their handover code yet. Ask them to open the order.', statusCode: 400 },
+  already_verified: { error: 'This order has already been handed over.', statusCode: 400 },
+  not_ready: { error: 'Order must be ready before confirmation.', statusCode: 400 }
+};
+
+// The buyer's code for an order, issued on first view
+exports.getBuyerCode = async (order) => {
+  if (!HANDOVER.VISIBLE_STATUSES.includes(order.status)) {
+    return { success: false, data: null, error: 'The handover code is available once the seller confirms the order.', statusCode: 400 };
+  }
+
+  let { data: record, error } = await handoverModel.getCode(order.id);
+
+  if (!error && !record) {
+    ({ data: record, error } = await handoverModel.createCode(order.id, generateCode()));
+  }
+
+  if (error || !record) {
+    console.error('Handover code error:', error);
+    return { success: false, data: null, error: 'Failed to load the handover code.', statusCode: 500 };
+  }
+
+  return {
+    success: true,
+    data: {
+      code: record.code,
+      locked: record.failed_attempts >= HANDOVER.MAX_ATTEMPTS,
+      verified_at: order.handover_verified_at || null
+    },
+    error: null
+  };
+};
+
+// Marks both sides confirmed when the code matches; location is optional
+// because sellers can refuse the browser's location prompt.
+exports.verify = async ({ orderId, code, sellerUserId, location = {} }) => {
+  const { data: outcome, error } = await handoverModel.verifyHandover({
+    orderId,
+    code: String(code).trim(),
+    sellerUserId,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    accuracy: location.accuracy,
+    maxAttempts: HANDOVER.MAX_ATTEMPTS
+  });
+
+  if (error) {
+    console.error('Verify handover error:', error);
+    return { success: false, error: 'Failed to check the handover code.', statusCode: 500 };
+  }
+
+  if (outcome !== 'ok') {
+    const failure = VERIFY_ERRORS[outcome] || VERIFY_ERRORS.invalid;
+    return { success: false, error: failure.error, statusCode: failure.statusCode };
+  }
+
+  return { success: true, error: null };
+};
+
+// What admins see in dispute review. The code itself is never included.
+exports.buildEvidence = async (order) => {
+  const { data: record } = await handoverModel.getCode(order.id);
+
+  let verifiedBy = null;
+  if (order.handover_verified_by) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, full_name, role')
+      .eq('id', order.handover_verified_by)
+      .maybeSingle();
+    verifiedBy = user || null;
+  }
+
+  const hasLocation = order.handover_latitude !== null && order.handover_latitude !== undefined
+    && order.handover_longitude !== null && order.handover_longitude !== undefined;
+  const hasDestination = order.delivery_latitude && order.delivery_longitude;
+
+  return {
+    verified: Boolean(order.handover_verified_at),
+    verified_at: order.handover_verified_at || null,
+    verified_by: verifiedBy,
+    latitude: hasLocation ? Number(order.handover_latitude) : null,
+    longitude: hasLocation ? Number(order.handover_longitude) : null,
+    accuracy_m: order.handover_accuracy_m !== null && order.handover_accuracy_m !== undefined
+      ? Number(order.handover_accuracy_m)
+      : null,
+    // How far from the buyer's drop-off point the code was entered
+    distance_from_delivery_km: hasLocation && hasDestination && order.delivery_option === 'drop-off'
+      ? mapService.calculateDistance(
+        Number(order.handover_latitude),
+        Number(order.handover_longitude),
+        Number(order.delivery_latitude),
+        Number(order.delivery_longitude)
+      )
+      : null,
+    code_issued_at: record?.created_at || null,
+    failed_attempts: record?.failed_attempts || 0,
+    last_failed_at: record?.last_failed_at || null
+  };
+};
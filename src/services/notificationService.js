@@ -96,9 +96,41 @@ exports.sendOrderNotification = async (userId, order, type) => {
       title: 'Order Cancelled',
       message: `Order ${order.order_number} has been cancelled.`
     },
+    'order_auto_cancelled': {
+      title: 'Order Cancelled',
+      message: `Order ${order.order_number} was cancelled automatically because the seller did not confirm it in time.`
+    },
+    'order_auto_completed': {
+      title: 'Order Completed',
+      message: `Order ${order.order_number} was completed automatically after the confirmation window ended.`
+    },
     'new_order': {
       title: 'New Order Received',
       message: `You have received a new order: ${order.order_number}`
+    },
+    'preorder_placed': {
+      title: 'Pre-order Placed',
+      message: `Your pre-order ${order.order_number} is in the queue. We will let you know once the harvest is in.`
+    },
+    'new_preorder': {
+      title: 'New Pre-order Received',
+      message: `You have received a new pre-order: ${order.order_number}`
+    },
+    'preorder_allocated': {
+      title: 'Pre-order Filled',
+      message: `The harvest is in! Your pre-order ${order.order_number} has been filled and is now waiting for seller confirmation.`
+    },
+    'subscription_order_placed': {
+      title: 'Subscription Order Placed',
+      message: `Your subscription order ${order.order_number} for ${order.preferred_date} has been placed.`
+    },
+    'new_subscription_order': {
+      title: 'New Subscription Order',
+      message: `A subscription order has come in: ${order.order_number} for ${order.preferred_date}.`
+    },
+    'preorder_unfilled': {
+      title: 'Pre-order Not Filled',
+      message: `Sorry, the harvest came in short and your pre-order ${order.order_number} could not be filled. It has been cancelled.`
     }
   };
 
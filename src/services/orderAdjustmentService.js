@@ -0,0 +1,328 @@
+// src\services\orderAdjustmentService.js
+
+const { supabase } = require('../config/database');
+const orderAdjustmentModel = require('../models/orderAdjustmentModel');
+const notificationService = require('./notificationService');
+const { ORDER, PRODUCT } = require('../utils/constants');
+
+const roundCurrency = (value) => parseFloat((Number(value) || 0).toFixed(2));
+
+// Measured units (kg, liter) allow two decimals; everything else is whole units
+const isValidQuantity = (quantity, unitType) => {
+  if (!Number.isFinite(quantity) || quantity <= 0 || quantity > PRODUCT.MAX_QUANTITY) {
+    return false;
+  }
+
+  if (ORDER.MEASURED_UNIT_TYPES.includes(unitType)) {
+    return Math.abs(quantity * 100 - Math.round(quantity * 100)) < 1e-9;
+  }
+
+  return Number.isInteger(quantity);
+};
+
+const formatQuantity = (quantity, unitType) => `${Number(quantity)} ${unitType || ''}`.trim();
+
+const itemName = (change) => (change.variant_name ? `${change.product_name} (${change.variant_name})` : change.product_name);
+
+const describeChange = (change) => {
+  if (change.action === 'remove') {
+    return `${itemName(change)} removed`;
+  }
+
+  if (change.action === 'substitute') {
+    return `${itemName(change)} replaced with ${formatQuantity(change.quantity_after, change.substitute_unit_type)} ${change.substitute_product_name}`;
+  }
+
+  return `${itemName(change)}: ${formatQuantity(change.quantity_before, change.unit_type)} -> ${formatQuantity(change.quantity_after, change.unit_type)}`;
+};
+
+const getSubstituteProducts = async (sellerId, productIds) => {
+  if (productIds.length === 0) return {};
+
+  const { data: products } = await supabase
+    .from('products')
+    .select('id, name, category, unit_type, price_per_unit, available_quantity, status, variants:product_variants (id, is_active)')
+    .eq('seller_id', sellerId)
+    .in('id', productIds);
+
+  const map = {};
+  (products || []).forEach(product => {
+    map[product.id] = product;
+  });
+  return map;
+};
+
+const checkAdjustable = (order) => {
+  if (!ORDER.ADJUSTABLE_STATUSES.includes(order.status)) {
+    return { error: `Items can only be adjusted on pending or confirmed orders. This order is ${order.status}.`, statusCode: 400 };
+  }
+
+  // Paid or in-flight online payments are settled for the original amount
+  if (order.payment_status !== 'unpaid') {
+    return { error: 'This order has already been paid online and can no longer be adjusted. Report an issue to arrange a refund instead.', statusCode: 400 };
+  }
+
+  return null;
+};
+
+// Validates the seller's requested changes against the order and snapshots
+// them with before/after amounts. Nothing is applied until the buyer accepts.
+exports.proposeAdjustment = async ({ order, sellerUserId, changes, reason = null }) => {
+  const notAdjustable = checkAdjustable(order);
+  if (notAdjustable) {
+    return { success: false, data: null, ...notAdjustable };
+  }
+
+  const { data: existing } = await orderAdjustmentModel.getPendingAdjustment(order.id);
+  if (existing) {
+    return { success: false, data: null, error: 'This order already has an adjustment waiting for the buyer.', statusCode: 409 };
+  }
+
+  const itemsById = {};
+  order.items.forEach(item => {
+    itemsById[item.id] = item;
+  });
+
+  const seenItems = new Set();
+  for (const change of changes) {
+    if (change.action === 'adjust_quantity' && (change.quantity === undefined || change.quantity === null)) {
+      return { success: false, data: null, error: 'Quantity is required when adjusting an item.', statusCode: 400 };
+    }
+    if (change.action === 'substitute' && !change.substitute_product_id) {
+      return { success: false, data: null, error: 'Choose a substitute product for each substituted item.', statusCode: 400 };
+    }
+    if (!itemsById[change.order_item_id]) {
+      return { success: false, data: null, error: 'One of the adjusted items is not part of this order.', statusCode: 400 };
+    }
+    if (seenItems.has(change.order_item_id)) {
+      return { success: false, data: null, error: 'Each order item can only be changed once per adjustment.', statusCode: 400 };
+    }
+    seenItems.add(change.order_item_id);
+  }
+
+  const substitutes = await getSubstituteProducts(
+    order.seller_id,
+    changes.filter(change => change.action === 'substitute').map(change => change.substitute_product_id)
+  );
+
+  const snapshot = [];
+  for (const change of changes) {
+    const item = itemsById[change.order_item_id];
+    const quantityBefore = Number(item.quantity);
+    const entry = {
+      action: change.action,
+      order_item_id: item.id,
+      product_id: item.product_id,
+      variant_id: item.variant_id || null,
+      product_name: item.product_name,
+      variant_name: item.variant_name || null,
+      unit_type: item.unit_type,
+      price_per_unit: Number(item.price_per_unit),
+      quantity_before: quantityBefore,
+      subtotal_before: roundCurrency(item.subtotal)
+    };
+
+    if (change.action === 'remove') {
+      entry.quantity_after = 0;
+      entry.subtotal_after = 0;
+    } else if (change.action === 'adjust_quantity') {
+      const quantity = Number(change.quantity);
+
+      if (!isValidQuantity(quantity, item.unit_type)) {
+        return { success: false, data: null, error: `Invalid quantity for ${item.product_name}.`, statusCode: 400 };
+      }
+      if (quantity === quantityBefore) {
+        return { success: false, data: null, error: `The quantity for ${item.product_name} is unchanged.`, statusCode: 400 };
+      }
+
+      entry.quantity_after = quantity;
+      entry.subtotal_after = roundCurrency(entry.price_per_unit * quantity);
+    } else {
+      const product = substitutes[change.substitute_product_id];
+
+      if (!product || product.status !== 'active') {
+        return { success: false, data: null, error: `The substitute for ${item.product_name} is not one of your active products.`, statusCode: 400 };
+      }
+      if (product.id === item.product_id) {
+        return { success: false, data: null, error: `Choose a different product to substitute for ${item.product_name}.`, statusCode: 400 };
+      }
+      // A substitute is a single line with no variant to pick
+      if ((product.variants || []).some(variant => variant.is_active)) {
+        return { success: false, data: null, error: `${product.name} is sold in variants and cannot be used as a substitute.`, statusCode: 400 };
+      }
+
+      const quantity = change.quantity !== undefined && change.quantity !== null
+        ? Number(change.quantity)
+        : quantityBefore;
+
+      if (!isValidQuantity(quantity, product.unit_type)) {
+        return { success: false, data: null, error: `Invalid quantity for substitute ${product.name}.`, statusCode: 400 };
+      }
+      if (Math.ceil(quantity) > product.available_quantity) {
+        return { success: false, data: null, error: `Only ${product.available_quantity} ${product.unit_type} of ${product.name} is in stock.`, statusCode: 409 };
+      }
+
+      entry.quantity_after = quantity;
+      entry.subtotal_after = roundCurrency(Number(product.price_per_unit) * quantity);
+      entry.substitute_product_id = product.id;
+      entry.substitute_product_name = product.name;
+      entry.substitute_category = product.category;
+      entry.substitute_unit_type = product.unit_type;
+      entry.substitute_price_per_unit = Number(product.price_per_unit);
+    }
+
+    snapshot.push(entry);
+  }
+
+  const subtotalBefore = roundCurrency(order.items.reduce((sum, item) => sum + (Number(item.subtotal) || 0), 0));
+  const subtotalAfter = roundCurrency(
+    subtotalBefore + snapshot.reduce((sum, entry) => sum + entry.subtotal_after - entry.subtotal_before, 0)
+  );
+
+  if (subtotalAfter <= 0 || snapshot.filter(entry => entry.action === 'remove').length === order.items.length) {
+    return { success: false, data: null, error: 'An adjustment cannot remove every item. Cancel the order instead.', statusCode: 400 };
+  }
+
+  const deliveryFee = Number(order.delivery_fee) || 0;
+  // Same as apply_order_adjustment: the voucher stays, capped at the new subtotal
+  const voucherDiscount = Math.min(Number(order.voucher_discount) || 0, subtotalAfter);
+  const { data: adjustment, error } = await orderAdjustmentModel.createAdjustment({
+    order_id: order.id,
+    proposed_by: sellerUserId,
+    reason,
+    changes: snapshot,
+    subtotal_before: subtotalBefore,
+    subtotal_after: subtotalAfter,
+    total_before: roundCurrency(order.total_amount),
+    total_after: roundCurrency(subtotalAfter - voucherDiscount + deliveryFee)
+  });
+
+  if (error) {
+    // Unique index: another proposal was created concurrently
+    if (error.code === '23505') {
+      return { success: false, data: null, error: 'This order already has an adjustment waiting for the buyer.', statusCode: 409 };
+    }
+    return { success: false, data: null, error: 'Failed to save the order adjustment.', statusCode: 500 };
+  }
+
+  await notificationService.createNotification({
+    user_id: order.buyer.user.id,
+    title: 'Order Adjustment Proposed',
+    message: `The seller proposed changes to order ${order.order_number} (${snapshot.map(describeChange).join('; ')}). New total: PHP ${adjustment.total_after}. Please accept or reject.`,
+    type: 'order',
+    reference_id: order.id
+  });
+
+  return { success: true, data: adjustment, error: null };
+};
+
+const getPendingForOrder = async (order, adjustmentId) => {
+  const { data: adjustment } = await orderAdjustmentModel.getAdjustmentById(adjustmentId);
+
+  if (!adjustment || adjustment.order_id !== order.id) {
+    return { error: 'Adjustment not found.', statusCode: 404 };
+  }
+
+  if (adjustment.status !== 'pending') {
+    return { error: `This adjustment has already been ${adjustment.status}.`, statusCode: 400 };
+  }
+
+  return { adjustment };
+};
+
+exports.acceptAdjustment = async ({ order, adjustmentId, buyerUserId, note = null }) => {
+  const { adjustment, error, statusCode } = await getPendingForOrder(order, adjustmentId);
+  if (error) {
+    return { success: false, data: null, error, statusCode };
+  }
+
+  const notAdjustable = checkAdjustable(order);
+  if (notAdjustable) {
+    return { success: false, data: null, ...notAdjustable };
+  }
+
+  const { data: applied, error: applyError } = await orderAdjustmentModel.applyAdjustment(
+    adjustment.id,
+    buyerUserId,
+    note,
+    order.id
+  );
+
+  if (applyError) {
+    console.error('Apply order adjustment error:', applyError);
+
+    const shortItem = applyError.details
+      ? adjustment.changes.find(change => [change.product_id, change.substitute_product_id].includes(applyError.details))
+      : null;
+
+    if (shortItem) {
+      const productName = shortItem.substitute_product_id === applyError.details
+        ? shortItem.substitute_product_name
+        : shortItem.product_name;
+      return { success: false, data: null, error: `Not enough stock of ${productName} left to apply this adjustment.`, statusCode: 409 };
+    }
+
+    return { success: false, data: null, error: 'The order changed since this adjustment was proposed. Please refresh and try again.', statusCode: 409 };
+  }
+
+  await notificationService.createNotification({
+    user_id: order.seller.user.id,
+    title: 'Order Adjustment Accepted',
+    message: `The buyer accepted your changes to order ${order.order_number}. New total: PHP ${applied.total_after}.`,
+    type: 'order',
+    reference_id: order.id
+  });
+
+  return { success: true, data: applied, error: null };
+};
+
+exports.rejectAdjustment = async ({ order, adjustmentId, buyerUserId, note = null }) => {
+  const { adjustment, error, statusCode } = await getPendingForOrder(order, adjustmentId);
+  if (error) {
+    return { success: false, data: null, error, statusCode };
+  }
+
+  const { data: rejected } = await orderAdjustmentModel.closeAdjustment(adjustment.id, 'rejected', {
+    respondedBy: buyerUserId,
+    note
+  });
+
+  if (!rejected) {
+    return { success: false, data: null, error: 'This adjustment is no longer pending.', statusCode: 409 };
+  }
+
+  await notificationService.createNotification({
+    user_id: order.seller.user.id,
+    title: 'Order Adjustment Rejected',
+    message: `The buyer rejected your changes to order ${order.order_number}.${note ? ` Note: ${note}` : ''} The order stays as placed.`,
+    type: 'order',
+    reference_id: order.id
+  });
+
+  return { success: true, data: rejected, error: null };
+};
+
+exports.withdrawAdjustment = async ({ order, adjustmentId, sellerUserId }) => {
+  const { adjustment, error, statusCode } = await getPendingForOrder(order, adjustmentId);
+  if (error) {
+    return { success: false, data: null, error, statusCode };
+  }
+
+  const { data: withdrawn } = await orderAdjustmentModel.closeAdjustment(adjustment.id, 'withdrawn', {
+    respondedBy: sellerUserId
+  });
+
+  if (!withdrawn) {
+    return { success: false, data: null, error: 'This adjustment is no longer pending.', statusCode: 409 };
+  }
+
+  await notificationService.createNotification({
+    user_id: order.buyer.user.id,
+    title: 'Order Adjustment Withdrawn',
+    message: `The seller withdrew the proposed changes to order ${order.order_number}.`,
+    type: 'order',
+    reference_id: order.id
+  });
+
+  return { success: true, data: withdrawn, error: null };
+};
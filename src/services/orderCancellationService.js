@@ -0,0 +1,112 @@
+// src\services\orderCancellationService.js
+
+const { supabase } = require('../config/database');
+const orderModel = require('../models/orderModel');
+const earningsModel = require('../models/earningsModel');
+const promotionModel = require('../models/promotionModel');
+const voucherModel = require('../models/voucherModel');
+const orderLifecycleService = require('./orderLifecycleService');
+const paymentService = require('./paymentService');
+const refundService = require('./refundService');
+
+// Cancels an order and gives back everything it was holding: reserved stock
+// (or pre-order quota), promotion uses, its voucher redemption and the
+// buyer's money (a paid order is refunded in full, an open payment session
+// is closed). A completed order also gives back what it earned the seller.
+// Every cancellation goes through here so buyer, seller, admin
+// and scheduled cancellations stay in step. Returns what transitionOrder
+// returns.
+// Takes back whatever a completed order still adds to the seller's balance
+// once its refund (if any) has been debited: all of it for cash on delivery
+// or a refund that failed, the platform-funded voucher share otherwise
+const reverseSellerCredit = async (order, adminId, reason) => {
+  const { data: net, error } = await earningsModel.getOrderNet(order.id);
+
+  if (error) {
+    console.error('Warning: Failed to read seller earnings for cancelled order', order.id, error);
+    return;
+  }
+
+  if (net <= 0) return;
+
+  const { success } = await orderModel.updateSellerStats(order.seller_id, -net, {
+    entryType: 'adjustment',
+    orderId: order.id,
+    description: `Order ${order.order_number} cancelled: ${reason}`,
+    createdBy: adminId
+  });
+
+  if (!success) {
+    console.error('Warning: Failed to reverse seller earnings for cancelled order', order.id);
+  }
+};
+
+exports.cancelOrder = async ({ orderId, actorId = null, actorRole, reason, extraUpdates = {} }) => {
+  const result = await orderLifecycleService.transitionOrder({
+    orderId,
+    toStatus: 'cancelled',
+    actorId,
+    actorRole,
+    note: reason,
+    extraUpdates: {
+      cancellation_reason: reason,
+      ...extraUpdates
+    }
+  });
+
+  if (result.error) {
+    return result;
+  }
+
+  const { data: items } = await supabase
+    .from('order_items')
+    .select('product_id, variant_id, quantity, promotion_id')
+    .eq('order_id', orderId);
+
+  // A completed order's goods were handed over, so nothing goes back on the shelf
+  if (result.previousStatus !== 'completed') {
+    const { success: stockReleased } = await orderModel.releaseOrderHold(items || [], result.previousStatus, {
+      actorId,
+      orderId,
+      note: reason
+    });
+
+    if (!stockReleased) {
+      console.error('Warning: Failed to restore product stock for cancelled order', orderId);
+    }
+  }
+
+  await promotionModel.releaseUses(promotionModel.promotionIdsOf(items));
+  await voucherModel.releaseRedemption(orderId);
+
+  // Refunds and ledger entries name the admin behind them; buyers and
+  // sellers cancelling their own orders are not approvers
+  const adminId = actorRole === 'admin' ? actorId : null;
+
+  if (result.data.payment_status === 'paid') {
+    const refund = await refundService.issueRefund({
+      orderId,
+      refundType: 'full',
+      reason: `Order cancelled: ${reason}`,
+      adminId,
+      // The order is no longer completed, but its sale was credited
+      debitSeller: result.previousStatus === 'completed'
+    });
+
+    if (!refund.success) {
+      console.error('Warning: Failed to refund cancelled order', orderId, refund.error);
+    }
+  } else if (result.data.payment_status === 'pending_payment') {
+    const { success: paymentClosed, error: paymentError } = await paymentService.expireOrderPayment(orderId);
+
+    if (!paymentClosed) {
+      console.error('Warning: Failed to close the open payment of cancelled order', orderId, paymentError);
+    }
+  }
+
+  if (result.previousStatus === 'completed') {
+    await reverseSellerCredit(result.data, adminId, reason);
+  }
+
+  return result;
+};
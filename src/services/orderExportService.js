@@ -0,0 +1,98 @@
+// src\services\orderExportService.js
+
+const orderModel = require('../models/orderModel');
+const earningsService = require('./earningsService');
+const { toCsv } = require('../utils/fileHelpers');
+const { ORDER } = require('../utils/constants');
+
+// Every order matching the seller's filters, newest first. dateFrom/dateTo
+// are inclusive YYYY-MM-DD dates in Philippine time.
+exports.getSellerOrdersForExport = async (sellerId, { status, dateFrom, dateTo } = {}) => {
+  const { from, to } = earningsService.toDateRange(dateFrom, dateTo);
+  const orders = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const result = await orderModel.getSellerOrders(sellerId, {
+      status,
+      from,
+      to,
+      page,
+      limit: ORDER.EXPORT_PAGE_SIZE
+    });
+
+    if (result.error) {
+      return { success: false, data: null, error: result.error };
+    }
+
+    orders.push(...result.data);
+    totalPages = result.total_pages;
+    page += 1;
+  } while (page <= totalPages && orders.length < ORDER.EXPORT_MAX_ORDERS);
+
+  return {
+    success: true,
+    data: orders.slice(0, ORDER.EXPORT_MAX_ORDERS),
+    truncated: orders.length >= ORDER.EXPORT_MAX_ORDERS && page <= totalPages,
+    error: null
+  };
+};
+
+const ORDER_COLUMNS = [
+  'Order Number', 'Order Date', 'Status', 'Buyer', 'Buyer Phone', 'Municipality',
+  'Delivery Option', 'Delivery Address', 'Preferred Date', 'Preferred Time',
+  'Payment Method', 'Payment Status', 'Delivery Fee', 'Order Total', 'Completed At'
+];
+
+const ITEM_COLUMNS = ['Product', 'Variant', 'SKU', 'Quantity', 'Unit', 'Price Per Unit', 'Item Subtotal'];
+
+const money = (value) => (value === null || value === undefined ? '' : parseFloat(value).toFixed(2));
+
+// One row per order item so each line can be summed in a spreadsheet; the
+// order columns repeat on every item row.
+exports.ordersToCsv = (orders) => {
+  const rows = [[...ORDER_COLUMNS, ...ITEM_COLUMNS]];
+
+  orders.forEach(order => {
+    const orderCells = [
+      order.order_number,
+      order.created_at,
+      order.status,
+      order.buyer?.user?.full_name || '',
+      order.buyer?.user?.phone_number || '',
+      order.buyer?.municipality || '',
+      order.delivery_option,
+      order.delivery_address || '',
+      order.preferred_date || '',
+      order.preferred_time || '',
+      order.payment_method || '',
+      order.payment_status || '',
+      money(order.delivery_fee),
+      money(order.total_amount),
+      order.completed_at || ''
+    ];
+
+    const items = order.items || [];
+
+    if (items.length === 0) {
+      rows.push([...orderCells, ...ITEM_COLUMNS.map(() => '')]);
+      return;
+    }
+
+    items.forEach(item => {
+      rows.push([
+        ...orderCells,
+        item.product_name,
+        item.variant_name || '',
+        item.variant_sku || '',
+        item.quantity,
+        item.unit_type,
+        money(item.price_per_unit),
+        money(item.subtotal)
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+};
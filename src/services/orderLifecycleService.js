@@ -0,0 +1,154 @@
+// src\services\orderLifecycleService.js
+
+const orderModel = require('../models/orderModel');
+const orderAdjustmentModel = require('../models/orderAdjustmentModel');
+const deliveryTrackingModel = require('../models/deliveryTrackingModel');
+const { PAYMENT } = require('../utils/constants');
+
+const ORDER_STATUSES = ['preorder', 'pending', 'confirmed', 'ready', 'completed', 'cancelled'];
+
+// from -> to -> roles allowed to make the move.
+// 'system' covers automatic moves (mutual confirmation, scheduled jobs).
+const TRANSITIONS = {
+  // Left only by allocate_preorder_harvest or a cancellation
+  preorder: {
+    pending: ['system'],
+    cancelled: ['buyer', 'seller', 'admin', 'system']
+  },
+  pending: {
+    confirmed: ['seller'],
+    cancelled: ['buyer', 'seller', 'admin', 'system']
+  },
+  confirmed: {
+    ready: ['seller'],
+    cancelled: ['buyer', 'seller', 'admin', 'system']
+  },
+  ready: {
+    completed: ['system', 'admin'],
+    cancelled: ['admin']
+  },
+  completed: {
+    // Dispute resolution only
+    cancelled: ['admin']
+  },
+  cancelled: {}
+};
+
+// Extra conditions on the order itself, checked after the role rules
+const GUARDS = {
+  'pending->confirmed': (order) => (
+    PAYMENT.ONLINE_METHODS.includes(order.payment_method) && order.payment_status !== 'paid'
+      ? 'Online payment must be completed before the order can be confirmed.'
+      : null
+  )
+};
+
+exports.ORDER_STATUSES = ORDER_STATUSES;
+exports.TRANSITIONS = TRANSITIONS;
+
+exports.getAllowedTransitions = (fromStatus, role) => {
+  const targets = TRANSITIONS[fromStatus] || {};
+  return Object.keys(targets).filter(toStatus => targets[toStatus].includes(role));
+};
+
+exports.canTransition = (fromStatus, toStatus, role, order = null) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    return { allowed: false, reason: `Invalid status: ${toStatus}.` };
+  }
+
+  if (fromStatus === toStatus) {
+    return { allowed: false, reason: `Order is already ${toStatus}.` };
+  }
+
+  const roles = (TRANSITIONS[fromStatus] || {})[toStatus];
+
+  if (!roles) {
+    return { allowed: false, reason: `Cannot move an order from ${fromStatus} to ${toStatus}.` };
+  }
+
+  if (!roles.includes(role)) {
+    return { allowed: false, reason: `A ${role} cannot move an order from ${fromStatus} to ${toStatus}.` };
+  }
+
+  const guard = GUARDS[`${fromStatus}->${toStatus}`];
+  const guardReason = guard && order ? guard(order) : null;
+  if (guardReason) {
+    return { allowed: false, reason: guardReason };
+  }
+
+  return { allowed: true, reason: null };
+};
+
+// Validates and applies a transition, then records it in order_status_history.
+// The update is conditional on the status we validated against, so a
+// concurrent change makes this call fail instead of overwriting it.
+exports.transitionOrder = async ({
+  orderId,
+  toStatus,
+  actorId = null,
+  actorRole,
+  note = null,
+  extraUpdates = {},
+  deliveryProofUrl = null
+}) => {
+  const { data: current, error: fetchError } = await orderModel.getOrderStatus(orderId);
+
+  if (fetchError || !current) {
+    return { data: null, error: 'Order not found.', statusCode: 404 };
+  }
+
+  const check = exports.canTransition(current.status, toStatus, actorRole, current);
+  if (!check.allowed) {
+    return { data: null, error: check.reason, statusCode: 400 };
+  }
+
+  const updates = { ...extraUpdates };
+  // Cash on delivery is collected when the order completes
+  if (toStatus === 'completed' && current.payment_method === 'cod' && current.payment_status === 'unpaid') {
+    updates.payment_status = 'paid';
+    updates.paid_at = new Date().toISOString();
+  }
+
+  const { data: order, error } = await orderModel.updateOrderStatus(orderId, toStatus, deliveryProofUrl, {
+    fromStatus: current.status,
+    extraUpdates: updates
+  });
+
+  if (error || !order) {
+    return {
+      data: null,
+      error: 'Order status changed while updating. Please refresh and try again.',
+      statusCode: 409
+    };
+  }
+
+  const { error: historyError } = await orderModel.recordStatusHistory(orderId, {
+    from_status: current.status,
+    to_status: toStatus,
+    changed_by: actorId,
+    changed_by_role: actorRole,
+    note
+  });
+
+  if (historyError) {
+    console.error('Failed to record order status history:', historyError);
+  }
+
+  // An open item adjustment dies with the order
+  if (toStatus === 'cancelled') {
+    const { error: adjustmentError } = await orderAdjustmentModel.cancelPendingAdjustments(orderId);
+    if (adjustmentError) {
+      console.error('Failed to close pending order adjustments:', adjustmentError);
+    }
+  }
+
+  // Live delivery tracking stops once the order is finished either way
+  if (toStatus === 'completed' || toStatus === 'cancelled') {
+    const { error: trackingError } = await deliveryTrackingModel.endSession(orderId, toStatus);
+    if (trackingError) {
+      console.error('Failed to end delivery tracking:', trackingError);
+    }
+  }
+
+  return { data: order, previousStatus: current.status, error: null, statusCode: 200 };
+};
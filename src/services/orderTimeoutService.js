@@ -0,0 +1,145 @@
+// src\services\orderTimeoutService.js
+
+const { supabase } = require('../config/database');
+const orderModel = require('../models/orderModel');
+const orderLifecycleService = require('./orderLifecycleService');
+const orderCancellationService = require('./orderCancellationService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const { ORDER } = require('../utils/constants');
+
+const BATCH_SIZE = 50;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+const getOrderParties = async (order) => {
+  const { data: seller } = await supabase
+    .from('seller_profiles')
+    .select('user:users!inner (id, email, full_name)')
+    .eq('id', order.seller_id)
+    .single();
+
+  const { data: buyer } = await supabase
+    .from('buyer_profiles')
+    .select('user:users!inner (id, email, full_name)')
+    .eq('id', order.buyer_id)
+    .single();
+
+  return { sellerUser: seller?.user || null, buyerUser: buyer?.user || null };
+};
+
+const cancelStaleOrder = async (staleOrder) => {
+  const reason = `Automatically cancelled: the seller did not confirm the order within ${ORDER.ORDER_TIMEOUT_HOURS} hours.`;
+
+  const { data: order, error } = await orderCancellationService.cancelOrder({
+    orderId: staleOrder.id,
+    actorRole: 'system',
+    reason
+  });
+
+  // Another request moved the order first; nothing to do
+  if (error) return false;
+
+  const { sellerUser, buyerUser } = await getOrderParties(order);
+
+  for (const [user, recipientRole] of [[buyerUser, 'buyer'], [sellerUser, 'seller']]) {
+    if (!user) continue;
+
+    await notificationService.sendOrderNotification(user.id, order, 'order_auto_cancelled');
+    await emailService.sendOrderCancellationEmail(user, order, reason, {
+      recipientRole,
+      cancelledByRole: 'system'
+    }).catch(err =>
+      console.error(`Failed to send ${recipientRole} auto-cancellation email:`, err.message)
+    );
+  }
+
+  return true;
+};
+
+const completeDeliveredOrder = async (deliveredOrder) => {
+  const { data: order, error } = await orderLifecycleService.transitionOrder({
+    orderId: deliveredOrder.id,
+    toStatus: 'completed',
+    actorRole: 'system',
+    note: `Automatically completed: the buyer did not confirm receipt within ${ORDER.ORDER_CONFIRMATION_TIMEOUT_HOURS} hours.`
+  });
+
+  if (error) return false;
+
+  await orderModel.updateSellerStats(order.seller_id, orderModel.getSellerCredit(order), {
+    orderId: order.id,
+    description: `Order ${order.order_number}`
+  });
+
+  const { sellerUser, buyerUser } = await getOrderParties(order);
+
+  for (const [user, recipientRole] of [[buyerUser, 'buyer'], [sellerUser, 'seller']]) {
+    if (!user) continue;
+
+    await notificationService.sendOrderNotification(user.id, order, 'order_auto_completed');
+    await emailService.sendOrderStatusEmail(order, user, 'auto_completed', { recipientRole }).catch(err =>
+      console.error(`Failed to send ${recipientRole} auto-completion email:`, err.message)
+    );
+  }
+
+  return true;
+};
+
+// Pending orders the seller never confirmed within ORDER_TIMEOUT_HOURS.
+// Filled pre-orders count from when they were allocated, not placed.
+exports.cancelStaleOrders = async () => {
+  const cutoff = hoursAgo(ORDER.ORDER_TIMEOUT_HOURS);
+  const { data: orders, error } = await supabase
+    .from('orders')
+    .select('id')
+    .eq('status', 'pending')
+    .lt('created_at', cutoff)
+    .or(`allocated_at.is.null,allocated_at.lt.${cutoff}`)
+    .order('created_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch stale orders: ${error.message}`);
+  }
+
+  let cancelled = 0;
+  for (const order of orders || []) {
+    try {
+      if (await cancelStaleOrder(order)) cancelled++;
+    } catch (err) {
+      console.error('Failed to auto-cancel order', order.id, err.message);
+    }
+  }
+
+  return { checked: (orders || []).length, cancelled };
+};
+
+// Ready orders the seller marked delivered but the buyer never confirmed
+// within ORDER_CONFIRMATION_TIMEOUT_HOURS
+exports.completeDeliveredOrders = async () => {
+  const { data: orders, error } = await supabase
+    .from('orders')
+    .select('id')
+    .eq('status', 'ready')
+    .eq('seller_confirmed', true)
+    .eq('buyer_confirmed', false)
+    .lt('seller_confirmed_at', hoursAgo(ORDER.ORDER_CONFIRMATION_TIMEOUT_HOURS))
+    .order('seller_confirmed_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch delivered orders: ${error.message}`);
+  }
+
+  let completed = 0;
+  for (const order of orders || []) {
+    try {
+      if (await completeDeliveredOrder(order)) completed++;
+    } catch (err) {
+      console.error('Failed to auto-complete order', order.id, err.message);
+    }
+  }
+
+  return { checked: (orders || []).length, completed };
+};
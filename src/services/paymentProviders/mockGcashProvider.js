@@ -0,0 +1,206 @@
+// src\services\paymentProviders\mockGcashProvider.js
+
+// Local stand-in for a GCash/e-wallet gateway. Intents live in memory and the
+// hosted checkout page is served by paymentRoutes under /api/payments/mock.
+// Outcomes are delivered as signed webhooks, the same way a real gateway would.
+
+const crypto = require('crypto');
+
+const intents = new Map();
+
+const getWebhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+const sign = (timestamp, rawBody) => crypto
+  .createHmac('sha256', getWebhookSecret())
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+exports.name = 'mock_gcash';
+exports.signatureHeader = 'x-mock-gcash-signature';
+
+// Opt-in only: the hosted checkout page lets anyone mark an intent paid, and
+// without a secret of our own webhooks could be forged
+exports.isEnabled = () => process.env.PAYMENT_MOCK_ENABLED === 'true' && Boolean(getWebhookSecret());
+
+if (process.env.PAYMENT_MOCK_ENABLED === 'true' && !getWebhookSecret()) {
+  console.error('Mock GCash payments are disabled: set MOCK_PAYMENT_WEBHOOK_SECRET to enable them.');
+}
+
+exports.createIntent = async ({ amount, currency, description, expiresAt, returnUrl }) => {
+  const reference = `MOCKGC-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+  intents.set(reference, {
+    reference,
+    amount,
+    currency,
+    description,
+    return_url: returnUrl || null,
+    expires_at: expiresAt,
+    status: 'pending',
+    paid_at: null,
+    failure_reason: null
+  });
+
+  return {
+    success: true,
+    data: {
+      reference,
+      checkout_url: `/api/payments/mock/${reference}`,
+      expires_at: expiresAt
+    },
+    error: null
+  };
+};
+
+exports.getIntent = (reference) => {
+  const intent = intents.get(reference);
+  if (intent && intent.status === 'pending' && new Date(intent.expires_at) < new Date()) {
+    intent.status = 'expired';
+  }
+  return intent || null;
+};
+
+exports.getIntentStatus = async (reference) => {
+  const intent = exports.getIntent(reference);
+
+  if (!intent) {
+    // Intents do not survive a restart of the mock gateway
+    return { success: true, data: { status: 'expired', paid_at: null, failure_reason: 'Payment session not found' }, error: null };
+  }
+
+  return {
+    success: true,
+    data: {
+      status: intent.status,
+      paid_at: intent.paid_at,
+      failure_reason: intent.failure_reason
+    },
+    error: null
+  };
+};
+
+// Closes a session nobody has paid yet, e.g. because the order was cancelled
+exports.cancelIntent = async (reference) => {
+  const intent = exports.getIntent(reference);
+
+  if (intent && intent.status !== 'pending') {
+    return { success: false, data: null, error: `Payment session is already ${intent.status}.` };
+  }
+
+  if (intent) {
+    intent.status = 'expired';
+    intent.failure_reason = 'Cancelled by merchant';
+  }
+
+  return { success: true, data: null, error: null };
+};
+
+// Buyer action on the hosted checkout page. Returns the signed webhook
+// delivery the gateway would POST to us.
+exports.completeCheckout = (reference, outcome) => {
+  const intent = exports.getIntent(reference);
+
+  if (!intent) {
+    return { success: false, data: null, error: 'Payment session not found.' };
+  }
+
+  if (intent.status !== 'pending') {
+    return { success: false, data: null, error: `Payment session is already ${intent.status}.` };
+  }
+
+  const paid = outcome === 'paid';
+  intent.status = paid ? 'paid' : 'failed';
+  intent.paid_at = paid ? new Date().toISOString() : null;
+  intent.failure_reason = paid ? null : 'Cancelled by payer';
+
+  const rawBody = JSON.stringify({
+    id: `evt_${crypto.randomBytes(10).toString('hex')}`,
+    type: paid ? 'payment.paid' : 'payment.failed',
+    created_at: new Date().toISOString(),
+    data: {
+      reference,
+      amount: intent.amount,
+      currency: intent.currency,
+      status: intent.status,
+      paid_at: intent.paid_at,
+      failure_reason: intent.failure_reason
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    success: true,
+    data: {
+      rawBody,
+      headers: { [exports.signatureHeader]: `t=${timestamp},v1=${sign(timestamp, rawBody)}` },
+      returnUrl: intent.return_url
+    },
+    error: null
+  };
+};
+
+// Refunds settle immediately. After a restart the intent is gone, so the
+// refund is accepted on trust like a real gateway would for a known charge.
+exports.refund = async (reference, amount) => {
+  const intent = exports.getIntent(reference);
+
+  if (intent && intent.status !== 'paid') {
+    return { success: false, data: null, error: `Payment session is ${intent.status}.` };
+  }
+
+  if (intent) {
+    const refunded = (intent.refunded_amount || 0) + amount;
+    if (refunded > intent.amount) {
+      return { success: false, data: null, error: 'Refund exceeds the amount paid.' };
+    }
+    intent.refunded_amount = refunded;
+  }
+
+  return {
+    success: true,
+    data: { refund_reference: `MOCKRF-${crypto.randomBytes(8).toString('hex').toUpperCase()}` },
+    error: null
+  };
+};
+
+exports.verifyWebhook = (rawBody, headers, toleranceSeconds) => {
+  const header = headers[exports.signatureHeader] || '';
+  const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v1) {
+    return { valid: false, event: null, error: 'Missing webhook signature.' };
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return { valid: false, event: null, error: 'Webhook signature expired.' };
+  }
+
+  const expected = Buffer.from(sign(timestamp, rawBody), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, event: null, error: 'Invalid webhook signature.' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    return { valid: false, event: null, error: 'Invalid webhook payload.' };
+  }
+
+  return {
+    valid: true,
+    event: {
+      id: payload.id,
+      type: payload.type,
+      reference: payload.data.reference,
+      status: payload.data.status,
+      paid_at: payload.data.paid_at,
+      failure_reason: payload.data.failure_reason,
+      payload
+    },
+    error: null
+  };
+};
@@ -0,0 +1,346 @@
+// src\services\paymentService.js
+
+// Provider interface (see paymentProviders/mockGcashProvider.js):
+//   name, isEnabled(), createIntent({ amount, currency, description, expiresAt, returnUrl }),
+//   getIntentStatus(reference), cancelIntent(reference),
+//   verifyWebhook(rawBody, headers, toleranceSeconds), refund(reference, amount, reason)
+
+const { supabase } = require('../config/database');
+const paymentModel = require('../models/paymentModel');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const mockGcashProvider = require('./paymentProviders/mockGcashProvider');
+const { PAYMENT } = require('../utils/constants');
+
+const providers = {
+  [mockGcashProvider.name]: mockGcashProvider
+};
+
+const METHOD_PROVIDERS = {
+  gcash: process.env.PAYMENT_PROVIDER_GCASH || mockGcashProvider.name
+};
+
+exports.getProvider = (providerName) => {
+  const provider = providers[providerName];
+  return provider && provider.isEnabled() ? provider : null;
+};
+
+exports.getProviderForMethod = (method) => exports.getProvider(METHOD_PROVIDERS[method]);
+
+exports.getAvailableMethods = () => PAYMENT.METHODS.filter(method =>
+  !PAYMENT.ONLINE_METHODS.includes(method) || exports.getProviderForMethod(method)
+);
+
+exports.isOnlineMethod = (method) => PAYMENT.ONLINE_METHODS.includes(method);
+
+const notifyPaymentReceived = async (order) => {
+  const { data: parties } = await supabase
+    .from('orders')
+    .select(`
+      buyer:buyer_profiles!inner (user:users!inner (id, email, full_name)),
+      seller:seller_profiles!inner (user_id)
+    `)
+    .eq('id', order.id)
+    .single();
+
+  const buyerUser = parties?.buyer?.user;
+
+  if (buyerUser) {
+    await notificationService.createNotification({
+      user_id: buyerUser.id,
+      title: 'Payment Confirmed',
+      message: `Your payment for order ${order.order_number} has been received.`,
+      type: 'order',
+      reference_id: order.id
+    });
+
+    await emailService.sendOrderPaymentConfirmationEmail(buyerUser, order).catch(err =>
+      console.error('Failed to send payment confirmation email:', err.message)
+    );
+  }
+
+  if (parties?.seller?.user_id) {
+    await notificationService.createNotification({
+      user_id: parties.seller.user_id,
+      title: 'Order Paid',
+      message: `Order ${order.order_number} has been paid online. You can now confirm it.`,
+      type: 'order',
+      reference_id: order.id
+    });
+  }
+};
+
+// The buyer paid after the order was cancelled: the money goes straight
+// back. If the provider refuses, the payment is flagged for an admin.
+const refundLatePayment = async (payment) => {
+  const { data: order } = await supabase
+    .from('orders')
+    .select('id, order_number, status, buyer:buyer_profiles!inner (user_id)')
+    .eq('id', payment.order_id)
+    .single();
+
+  if (!order || order.status !== 'cancelled') return;
+
+  const refund = await exports.refundOrderPayment(
+    order.id,
+    parseFloat(payment.amount),
+    'Order was cancelled before the payment arrived',
+    { fullRefund: true }
+  );
+
+  if (!refund.success) {
+    console.error('Failed to refund late payment for cancelled order', order.id, refund.error);
+    await paymentModel.updatePaymentStatus(payment.id, 'paid', {
+      failure_reason: `Paid after the order was cancelled; refund failed: ${refund.error}`
+    });
+    return;
+  }
+
+  await notificationService.createNotification({
+    user_id: order.buyer.user_id,
+    title: 'Payment Refunded',
+    message: `Order ${order.order_number} was cancelled before your payment arrived, so it has been refunded.`,
+    type: 'order',
+    reference_id: order.id
+  });
+};
+
+// Applies a provider-reported outcome to the payment and its order.
+// Safe to call more than once for the same outcome.
+const applyPaymentResult = async (payment, result) => {
+  if (payment.status !== 'pending' || result.status === 'pending') {
+    return { success: true, data: payment, error: null };
+  }
+
+  if (result.status === 'paid') {
+    const paidAt = result.paid_at || new Date().toISOString();
+    const { data: updatedPayment, error } = await paymentModel.updatePaymentStatus(payment.id, 'pending', {
+      status: 'paid',
+      paid_at: paidAt
+    });
+
+    if (error) return { success: false, data: null, error };
+    if (!updatedPayment) return { success: true, data: payment, error: null };
+
+    const { data: order } = await paymentModel.updateOrderPaymentStatus(
+      payment.order_id,
+      ['unpaid', 'pending_payment'],
+      { payment_status: 'paid', paid_at: paidAt },
+      { skipCancelled: true }
+    );
+
+    if (order) {
+      await notifyPaymentReceived(order);
+    } else {
+      await refundLatePayment(updatedPayment);
+    }
+
+    return { success: true, data: updatedPayment, error: null };
+  }
+
+  const failedStatus = result.status === 'expired' ? 'expired' : 'failed';
+  const { data: updatedPayment, error } = await paymentModel.updatePaymentStatus(payment.id, 'pending', {
+    status: failedStatus,
+    failure_reason: result.failure_reason || null
+  });
+
+  if (error) return { success: false, data: null, error };
+
+  if (updatedPayment) {
+    await paymentModel.updateOrderPaymentStatus(payment.order_id, ['pending_payment'], {
+      payment_status: 'unpaid'
+    });
+  }
+
+  return { success: true, data: updatedPayment || payment, error: null };
+};
+
+exports.createPaymentIntent = async (order, { returnUrl } = {}) => {
+  if (!exports.isOnlineMethod(order.payment_method)) {
+    return { success: false, data: null, error: 'This order is paid on delivery.', statusCode: 400 };
+  }
+
+  if (order.status === 'cancelled') {
+    return { success: false, data: null, error: 'Cannot pay for a cancelled order.', statusCode: 400 };
+  }
+
+  // Nothing is owed until the harvest is in and the pre-order is filled
+  if (order.status === 'preorder') {
+    return { success: false, data: null, error: 'Pre-orders can be paid once the harvest is in and your order is filled.', statusCode: 400 };
+  }
+
+  if (!['unpaid', 'pending_payment'].includes(order.payment_status)) {
+    return { success: false, data: null, error: `Order is already ${order.payment_status}.`, statusCode: 400 };
+  }
+
+  const provider = exports.getProviderForMethod(order.payment_method);
+  if (!provider) {
+    return { success: false, data: null, error: 'Online payment is not available right now.', statusCode: 503 };
+  }
+
+  // Reuse an open session instead of charging twice
+  const { data: latest } = await paymentModel.getLatestPaymentForOrder(order.id);
+  if (latest && latest.status === 'pending') {
+    const { data: status } = await provider.getIntentStatus(latest.provider_reference);
+    const { data: synced } = await applyPaymentResult(latest, status || { status: 'pending' });
+
+    if (synced && synced.status === 'pending') {
+      return { success: true, data: synced, error: null };
+    }
+    if (synced && synced.status === 'paid') {
+      return { success: false, data: synced, error: 'Order is already paid.', statusCode: 400 };
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + PAYMENT.INTENT_EXPIRY_MINUTES * 60 * 1000).toISOString();
+  const intent = await provider.createIntent({
+    amount: parseFloat(order.total_amount),
+    currency: PAYMENT.CURRENCY,
+    description: `AgriMarket order ${order.order_number}`,
+    expiresAt,
+    returnUrl
+  });
+
+  if (!intent.success) {
+    return { success: false, data: null, error: intent.error || 'Failed to start payment.', statusCode: 502 };
+  }
+
+  const { data: payment, error } = await paymentModel.createPayment({
+    order_id: order.id,
+    provider: provider.name,
+    provider_reference: intent.data.reference,
+    amount: parseFloat(order.total_amount),
+    currency: PAYMENT.CURRENCY,
+    checkout_url: intent.data.checkout_url,
+    expires_at: intent.data.expires_at
+  });
+
+  if (error) {
+    return { success: false, data: null, error: 'Failed to record payment.', statusCode: 500 };
+  }
+
+  await paymentModel.updateOrderPaymentStatus(order.id, ['unpaid', 'pending_payment'], {
+    payment_status: 'pending_payment'
+  });
+
+  return { success: true, data: payment, error: null };
+};
+
+exports.handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = exports.getProvider(providerName);
+  if (!provider) {
+    return { success: false, data: null, error: 'Unknown payment provider.', statusCode: 404 };
+  }
+
+  const { valid, event, error: verifyError } = provider.verifyWebhook(
+    rawBody,
+    headers,
+    PAYMENT.WEBHOOK_TOLERANCE_SECONDS
+  );
+
+  if (!valid) {
+    return { success: false, data: null, error: verifyError, statusCode: 401 };
+  }
+
+  const { data: payment } = await paymentModel.getPaymentByReference(provider.name, event.reference);
+
+  const { duplicate, error: eventError } = await paymentModel.recordPaymentEvent({
+    payment_id: payment?.id,
+    provider: provider.name,
+    event_id: event.id,
+    event_type: event.type,
+    payload: event.payload
+  });
+
+  if (eventError) {
+    return { success: false, data: null, error: 'Failed to record payment event.', statusCode: 500 };
+  }
+
+  if (duplicate || !payment) {
+    return { success: true, data: payment || null, error: null };
+  }
+
+  const result = await applyPaymentResult(payment, event);
+  return { ...result, statusCode: result.success ? 200 : 500 };
+};
+
+// Status polling: asks the provider about the latest open payment
+exports.syncOrderPayment = async (orderId) => {
+  const { data: payment } = await paymentModel.getLatestPaymentForOrder(orderId);
+
+  if (!payment) {
+    return { success: true, data: null, error: null };
+  }
+
+  if (payment.status !== 'pending') {
+    return { success: true, data: payment, error: null };
+  }
+
+  const provider = exports.getProvider(payment.provider);
+  if (!provider) {
+    return { success: true, data: payment, error: null };
+  }
+
+  const { success, data: status, error } = await provider.getIntentStatus(payment.provider_reference);
+  if (!success) {
+    return { success: false, data: payment, error };
+  }
+
+  return applyPaymentResult(payment, status);
+};
+
+// Closes the open payment session of a cancelled order so it can no longer
+// be paid. If the buyer paid in the meantime, the payment is synced instead
+// and refunded like any other late payment.
+exports.expireOrderPayment = async (orderId) => {
+  const { data: payment } = await paymentModel.getLatestPaymentForOrder(orderId);
+
+  if (!payment || payment.status !== 'pending') {
+    return { success: true, data: payment || null, error: null };
+  }
+
+  const provider = exports.getProvider(payment.provider);
+
+  if (provider) {
+    const cancelled = await provider.cancelIntent(payment.provider_reference);
+
+    if (!cancelled.success) {
+      const { data: status } = await provider.getIntentStatus(payment.provider_reference);
+      return applyPaymentResult(payment, status || { status: 'pending' });
+    }
+  }
+
+  return applyPaymentResult(payment, { status: 'expired', failure_reason: 'Order was cancelled' });
+};
+
+// Sends money back through the provider that took the payment. Orders
+// without a captured online payment (COD) return data: null and are
+// settled outside the platform.
+exports.refundOrderPayment = async (orderId, amount, reason, { fullRefund = false } = {}) => {
+  const { data: payments } = await paymentModel.getPaymentsByOrder(orderId);
+  const payment = payments.filter(entry => entry.status === 'paid').pop();
+
+  if (!payment) {
+    return { success: true, data: null, error: null };
+  }
+
+  const provider = exports.getProvider(payment.provider);
+  if (!provider || typeof provider.refund !== 'function') {
+    return { success: false, data: { payment_id: payment.id }, error: 'Payment provider cannot process refunds.' };
+  }
+
+  const { success, data, error } = await provider.refund(payment.provider_reference, amount, reason);
+  if (!success) {
+    return { success: false, data: { payment_id: payment.id }, error: error || 'Provider refund failed.' };
+  }
+
+  if (fullRefund) {
+    await paymentModel.updatePaymentStatus(payment.id, 'paid', { status: 'refunded' });
+  }
+
+  return {
+    success: true,
+    data: { payment_id: payment.id, provider_reference: data.refund_reference },
+    error: null
+  };
+};
@@ -0,0 +1,191 @@
+// src\services\pickListService.js
+
+const orderModel = require('../models/orderModel');
+
+const roundQuantity = (value) => parseFloat((Number(value) || 0).toFixed(3));
+
+// Totals to pick per product, variant and unit; the same product sold by kg
+// and by bundle stays on separate lines.
+const itemName = (item) => (item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name);
+
+const aggregateItems = (orders) => {
+  const lines = new Map();
+
+  orders.forEach(order => {
+    order.items.forEach(item => {
+      const key = `${item.product_id}:${item.variant_id || ''}:${item.unit_type}`;
+      const line = lines.get(key) || {
+        product_id: item.product_id,
+        product_name: item.product_name,
+        variant_id: item.variant_id || null,
+        variant_name: item.variant_name || null,
+        unit_type: item.unit_type,
+        total_quantity: 0,
+        order_count: 0
+      };
+
+      line.total_quantity = roundQuantity(line.total_quantity + Number(item.quantity));
+      line.order_count += 1;
+      lines.set(key, line);
+    });
+  });
+
+  return [...lines.values()].sort((a, b) => (
+    itemName(a).localeCompare(itemName(b)) || a.unit_type.localeCompare(b.unit_type)
+  ));
+};
+
+const toSlip = (order) => ({
+  order_id: order.id,
+  order_number: order.order_number,
+  status: order.status,
+  buyer_name: order.buyer?.user?.full_name || null,
+  buyer_phone: order.buyer?.user?.phone_number || null,
+  municipality: order.buyer?.municipality || null,
+  delivery_option: order.delivery_option,
+  delivery_address: order.delivery_address,
+  preferred_date: order.preferred_date,
+  preferred_time: order.preferred_time,
+  unscheduled: !order.preferred_date,
+  notes: order.order_notes,
+  payment_method: order.payment_method,
+  payment_status: order.payment_status,
+  delivery_fee: order.delivery_fee,
+  total_amount: order.total_amount,
+  items: order.items.map(item => ({
+    product_id: item.product_id,
+    product_name: item.product_name,
+    variant_name: item.variant_name || null,
+    quantity: Number(item.quantity),
+    unit_type: item.unit_type
+  }))
+});
+
+exports.buildPickList = async (sellerId, { date, statuses, includeUnscheduled = true }) => {
+  const { data: orders, error } = await orderModel.getPickListOrders(sellerId, {
+    date,
+    statuses,
+    includeUnscheduled
+  });
+
+  if (error) {
+    return { success: false, data: null, error };
+  }
+
+  return {
+    success: true,
+    data: {
+      date,
+      statuses,
+      include_unscheduled: includeUnscheduled,
+      order_count: orders.length,
+      products: aggregateItems(orders),
+      slips: orders.map(toSlip)
+    },
+    error: null
+  };
+};
+
+// ============ Printable HTML ============
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const humanize = (value) => (value ? String(value).replace(/[_-]/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : '-');
+
+const formatAmount = (value) => `PHP ${(Number(value) || 0).toLocaleString('en-PH', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDay = (dateStr) => new Date(`${dateStr}T00:00:00Z`)
+  .toLocaleDateString('en-PH', { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+const renderSlip = (slip) => `
+  <section class="slip">
+    <header>
+      <h2>Order #${escapeHtml(slip.order_number)}</h2>
+      <span class="tag">${escapeHtml(humanize(slip.status))}</span>
+    </header>
+    <dl>
+      <dt>Buyer</dt><dd>${escapeHtml(slip.buyer_name || '-')}${slip.buyer_phone ? ` &middot; ${escapeHtml(slip.buyer_phone)}` : ''}</dd>
+      <dt>${slip.delivery_option === 'pickup' ? 'Pickup' : 'Deliver to'}</dt>
+      <dd>${escapeHtml(slip.delivery_address || '-')}${slip.municipality ? `, ${escapeHtml(slip.municipality)}` : ''}</dd>
+      <dt>Schedule</dt>
+      <dd>${slip.unscheduled ? 'No date set' : escapeHtml(formatDay(slip.preferred_date))}${slip.preferred_time ? ` (${escapeHtml(humanize(slip.preferred_time))})` : ''}</dd>
+      <dt>Payment</dt>
+      <dd>${escapeHtml(String(slip.payment_method || 'cod').toUpperCase())} &middot; ${escapeHtml(humanize(slip.payment_status))} &middot; ${formatAmount(slip.total_amount)}</dd>
+      ${slip.notes ? `<dt>Notes</dt><dd class="notes">${escapeHtml(slip.notes)}</dd>` : ''}
+    </dl>
+    <table>
+      <thead><tr><th class="check"></th><th>Item</th><th class="num">Qty</th></tr></thead>
+      <tbody>
+        ${slip.items.map(item => `
+          <tr>
+            <td class="check">&#9744;</td>
+            <td>${escapeHtml(itemName(item))}</td>
+            <td class="num">${item.quantity} ${escapeHtml(item.unit_type)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  </section>
+`;
+
+// Self-contained page for the browser's print dialog; every slip starts on
+// a new sheet.
+exports.toHtml = (pickList, sellerName = '') => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Pick List - ${escapeHtml(pickList.date)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #111827; margin: 24px; }
+    h1 { color: #15803d; margin: 0 0 4px; font-size: 22px; }
+    .muted { color: #6b7280; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 12px; font-size: 14px; }
+    th, td { border-bottom: 1px solid #d1d5db; padding: 6px 8px; text-align: left; }
+    th { font-size: 12px; text-transform: uppercase; color: #6b7280; }
+    .num { text-align: right; white-space: nowrap; }
+    .check { width: 24px; font-size: 18px; }
+    .slip { page-break-before: always; break-before: page; padding-top: 8px; }
+    .slip header { display: flex; justify-content: space-between; align-items: center; border-bottom: 2px solid #15803d; }
+    .slip h2 { margin: 0 0 6px; font-size: 18px; }
+    .tag { font-size: 12px; border: 1px solid #d1d5db; border-radius: 999px; padding: 2px 10px; }
+    dl { display: grid; grid-template-columns: 110px 1fr; gap: 4px 12px; font-size: 14px; margin: 12px 0; }
+    dt { font-weight: bold; color: #6b7280; }
+    dd { margin: 0; }
+    .notes { white-space: pre-wrap; background: #fefce8; padding: 4px 6px; }
+    .toolbar { margin-bottom: 16px; }
+    @media print { .toolbar { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print</button></div>
+  <h1>Pick List &middot; ${escapeHtml(formatDay(pickList.date))}</h1>
+  <p class="muted">
+    ${escapeHtml(sellerName)}${sellerName ? ' &middot; ' : ''}${pickList.order_count} order${pickList.order_count === 1 ? '' : 's'}
+    &middot; ${pickList.statuses.map(humanize).map(escapeHtml).join(', ')}${pickList.include_unscheduled ? ' &middot; includes orders with no date set' : ''}
+  </p>
+  ${pickList.products.length > 0 ? `
+    <table>
+      <thead><tr><th class="check"></th><th>Product</th><th class="num">Total</th><th class="num">Orders</th></tr></thead>
+      <tbody>
+        ${pickList.products.map(line => `
+          <tr>
+            <td class="check">&#9744;</td>
+            <td>${escapeHtml(itemName(line))}</td>
+            <td class="num">${line.total_quantity} ${escapeHtml(line.unit_type)}</td>
+            <td class="num">${line.order_count}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  ` : '<p>No orders to pick for this day.</p>'}
+  ${pickList.slips.map(renderSlip).join('')}
+</body>
+</html>`;
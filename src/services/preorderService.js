@@ -0,0 +1,206 @@
+// src\services\preorderService.js
+
+const { supabase, supabaseService } = require('../config/database');
+const preorderModel = require('../models/preorderModel');
+const variantModel = require('../models/variantModel');
+const orderModel = require('../models/orderModel');
+const promotionModel = require('../models/promotionModel');
+const voucherModel = require('../models/voucherModel');
+const notificationService = require('./notificationService');
+const { PREORDER } = require('../utils/constants');
+
+// Philippine calendar date, YYYY-MM-DD
+const todayLocal = () => new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const shiftDate = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const getOrdersWithBuyers = async (orderIds) => {
+  if (orderIds.length === 0) return [];
+
+  const { data } = await supabase
+    .from('orders')
+    .select('id, order_number, status, seller_id, buyer:buyer_profiles!inner (user_id)')
+    .in('id', orderIds);
+
+  return data || [];
+};
+
+// Turns pre-order mode on, or updates the harvest date / quota while it is on.
+// Buyers already waiting are told when the harvest date moves.
+exports.updateSettings = async (product, { expectedHarvestDate, quota }) => {
+  const today = todayLocal();
+  if (expectedHarvestDate < today || expectedHarvestDate > shiftDate(today, PREORDER.MAX_HARVEST_LEAD_DAYS)) {
+    return {
+      success: false,
+      data: null,
+      error: `Expected harvest date must be between today and ${PREORDER.MAX_HARVEST_LEAD_DAYS} days from now.`,
+      statusCode: 400
+    };
+  }
+
+  // Quota and harvest allocation work on the product's own stock
+  if (!product.is_preorder) {
+    const { count: variantCount } = await variantModel.countActiveVariants(product.id);
+    if (variantCount > 0) {
+      return {
+        success: false,
+        data: null,
+        error: 'Products sold in variants cannot take pre-orders. Remove the variants first.',
+        statusCode: 409
+      };
+    }
+  }
+
+  if (product.is_preorder && quota < product.preorder_reserved) {
+    return {
+      success: false,
+      data: null,
+      error: `Buyers have already pre-ordered ${product.preorder_reserved} ${product.unit_type}. The quota cannot be lower than that.`,
+      statusCode: 409
+    };
+  }
+
+  const { data: updated, error } = await preorderModel.updatePreorderSettings(product.id, {
+    is_preorder: true,
+    expected_harvest_date: expectedHarvestDate,
+    preorder_quota: quota,
+    harvested_at: null
+  });
+
+  if (error) {
+    return { success: false, data: null, error: 'Failed to update pre-order settings.', statusCode: 500 };
+  }
+
+  // A concurrent pre-order pushed the reserved amount past the new quota
+  if (!updated) {
+    return { success: false, data: null, error: 'More pre-orders came in meanwhile. Please refresh and try again.', statusCode: 409 };
+  }
+
+  if (product.is_preorder && product.expected_harvest_date && product.expected_harvest_date !== expectedHarvestDate) {
+    const { data: waiting } = await preorderModel.getWaitingOrders(product.id);
+
+    if (waiting.length > 0) {
+      await supabaseService
+        .from('orders')
+        .update({ preferred_date: expectedHarvestDate, updated_at: new Date().toISOString() })
+        .in('id', waiting.map(order => order.id))
+        .eq('status', 'preorder');
+
+      for (const order of waiting) {
+        await notificationService.createNotification({
+          user_id: order.buyer.user.id,
+          title: 'Harvest Date Changed',
+          message: `The expected harvest for ${product.name} on pre-order ${order.order_number} moved from ${product.expected_harvest_date} to ${expectedHarvestDate}.`,
+          type: 'order',
+          reference_id: order.id
+        });
+      }
+    }
+  }
+
+  return { success: true, data: updated, error: null };
+};
+
+exports.disable = async (product) => {
+  if (!product.is_preorder) {
+    return { success: false, data: null, error: 'This product is not taking pre-orders.', statusCode: 400 };
+  }
+
+  const { data: updated, error } = await preorderModel.disablePreorder(product.id);
+
+  if (error) {
+    return { success: false, data: null, error: 'Failed to turn off pre-orders.', statusCode: 500 };
+  }
+
+  if (!updated) {
+    return {
+      success: false,
+      data: null,
+      error: 'Buyers are still waiting on this harvest. Record the harvest or cancel their pre-orders first.',
+      statusCode: 409
+    };
+  }
+
+  return { success: true, data: updated, error: null };
+};
+
+// Records the harvest: waiting orders are filled oldest first, the rest are
+// cancelled, and every buyer hears which way it went.
+exports.recordHarvest = async (product, harvestedQuantity, sellerUserId) => {
+  if (!product.is_preorder) {
+    return { success: false, data: null, error: 'This product is not taking pre-orders.', statusCode: 400 };
+  }
+
+  const { data: results, error } = await preorderModel.allocateHarvest(
+    product.id,
+    harvestedQuantity,
+    PREORDER.UNFILLED_REASON,
+    sellerUserId
+  );
+
+  if (error) {
+    console.error('Allocate pre-order harvest error:', error);
+    if (error.details === 'not_preorder') {
+      return { success: false, data: null, error: 'This product is not taking pre-orders.', statusCode: 400 };
+    }
+    return { success: false, data: null, error: 'Failed to record the harvest. Please try again.', statusCode: 500 };
+  }
+
+  const allocatedIds = new Set(results.filter(entry => entry.allocated).map(entry => entry.order_id));
+  const orders = await getOrdersWithBuyers(results.map(entry => entry.order_id));
+  const unfilledIds = orders.filter(order => !allocatedIds.has(order.id)).map(order => order.id);
+
+  // Unfilled orders were cancelled by allocate_preorder_harvest, which only
+  // gives back the quota; their promotion uses and vouchers are released here
+  const { data: unfilledItems } = unfilledIds.length > 0
+    ? await supabase
+      .from('order_items')
+      .select('order_id, promotion_id')
+      .in('order_id', unfilledIds)
+    : { data: [] };
+
+  for (const order of orders) {
+    const allocated = allocatedIds.has(order.id);
+
+    if (!allocated) {
+      await promotionModel.releaseUses(promotionModel.promotionIdsOf(
+        (unfilledItems || []).filter(item => item.order_id === order.id)
+      ));
+      await voucherModel.releaseRedemption(order.id);
+    }
+
+    const { error: historyError } = await orderModel.recordStatusHistory(order.id, {
+      from_status: 'preorder',
+      to_status: allocated ? 'pending' : 'cancelled',
+      changed_by: sellerUserId,
+      changed_by_role: 'seller',
+      note: allocated ? 'Pre-order filled from harvest' : PREORDER.UNFILLED_REASON
+    });
+
+    if (historyError) {
+      console.error('Failed to record order status history:', historyError);
+    }
+
+    await notificationService.sendOrderNotification(
+      order.buyer.user_id,
+      order,
+      allocated ? 'preorder_allocated' : 'preorder_unfilled'
+    );
+  }
+
+  const { data: updatedProduct } = await preorderModel.getPreorderProduct(product.id);
+
+  return {
+    success: true,
+    data: {
+      product: updatedProduct,
+      filled_orders: orders.filter(order => allocatedIds.has(order.id)),
+      unfilled_orders: orders.filter(order => !allocatedIds.has(order.id))
+    },
+    error: null
+  };
+};
@@ -0,0 +1,351 @@
+// src\services\receiptService.js
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const COLORS = {
+  brand: '#15803d',
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#d1d5db'
+};
+
+// Built-in PDF fonts have no peso sign, so amounts are written as "PHP 1,234.00"
+const formatAmount = (value) => `PHP ${(Number(value) || 0).toLocaleString('en-PH', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const itemLabel = (item) => (item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name);
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-PH', { timeZone: 'Asia/Manila', dateStyle: 'medium', timeStyle: 'short' })
+  : '-');
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-PH', { timeZone: 'Asia/Manila', dateStyle: 'medium' })
+  : '-');
+
+const humanize = (value) => (value ? String(value).replace(/[_-]/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : '-');
+
+const drawRule = (doc) => {
+  doc
+    .moveTo(PAGE_MARGIN, doc.y)
+    .lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+    .strokeColor(COLORS.rule)
+    .lineWidth(1)
+    .stroke();
+  doc.moveDown(0.5);
+};
+
+const drawLabelValue = (doc, label, value, x, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text(label.toUpperCase(), x, doc.y, { width });
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(value || '-', x, doc.y, { width });
+};
+
+// Two columns of label/value pairs; rows are aligned on the taller side
+const drawTwoColumns = (doc, left, right) => {
+  const columnWidth = (doc.page.width - PAGE_MARGIN * 2 - 20) / 2;
+  const rightX = PAGE_MARGIN + columnWidth + 20;
+  const rows = Math.max(left.length, right.length);
+
+  for (let i = 0; i < rows; i += 1) {
+    const rowTop = doc.y;
+    let bottom = rowTop;
+
+    [[left[i], PAGE_MARGIN], [right[i], rightX]].forEach(([entry, x]) => {
+      if (!entry) return;
+      doc.y = rowTop;
+      drawLabelValue(doc, entry[0], entry[1], x, columnWidth);
+      bottom = Math.max(bottom, doc.y);
+    });
+
+    doc.y = bottom + 6;
+  }
+};
+
+const ITEM_COLUMNS = [
+  { key: 'product', label: 'Item', width: 215, align: 'left' },
+  { key: 'quantity', label: 'Qty', width: 70, align: 'right' },
+  { key: 'price', label: 'Unit Price', width: 110, align: 'right' },
+  { key: 'subtotal', label: 'Amount', width: 100, align: 'right' }
+];
+
+const drawItemRow = (doc, values, { bold = false } = {}) => {
+  const rowTop = doc.y;
+  let x = PAGE_MARGIN;
+  let bottom = rowTop;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(COLORS.text);
+  ITEM_COLUMNS.forEach(column => {
+    doc.text(values[column.key], x, rowTop, { width: column.width, align: column.align });
+    bottom = Math.max(bottom, doc.y);
+    x += column.width;
+  });
+
+  doc.y = bottom + 4;
+};
+
+const drawItems = (doc, items) => {
+  drawItemRow(doc, Object.fromEntries(ITEM_COLUMNS.map(column => [column.key, column.label])), { bold: true });
+  drawRule(doc);
+
+  items.forEach(item => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 60) {
+      doc.addPage();
+    }
+
+    drawItemRow(doc, {
+      product: itemLabel(item),
+      quantity: `${item.quantity} ${item.unit_type || ''}`.trim(),
+      price: formatAmount(item.price_per_unit),
+      subtotal: formatAmount(item.subtotal)
+    });
+  });
+
+  drawRule(doc);
+};
+
+const drawTotals = (doc, rows) => {
+  const labelX = PAGE_MARGIN + 285;
+  rows.forEach(([label, value, bold]) => {
+    const rowTop = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10).fillColor(COLORS.text);
+    doc.text(label, labelX, rowTop, { width: 110, align: 'right' });
+    doc.text(value, labelX + 110, rowTop, { width: 100, align: 'right' });
+    doc.moveDown(0.3);
+  });
+};
+
+// Renders an order (as returned by orderModel.getOrderById) to a PDF Buffer
+exports.generateOrderReceipt = (order) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `AgriMarket Receipt ${order.order_number}`,
+      Author: 'AgriMarket'
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const isPaid = ['paid', 'refunded'].includes(order.payment_status);
+  const items = order.items || [];
+  const itemsSubtotal = items.reduce((sum, item) => sum + (parseFloat(item.subtotal) || 0), 0);
+  const subtotal = order.subtotal !== null && order.subtotal !== undefined ? order.subtotal : itemsSubtotal;
+  const refunds = (order.refunds || []).filter(refund => refund.status === 'processed');
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.brand).text('AgriMarket', PAGE_MARGIN, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text('Verified Agriculture & Fisheries Marketplace - Rizal Province');
+  doc.moveUp(2);
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text)
+    .text(isPaid ? 'OFFICIAL RECEIPT' : 'ORDER INVOICE', PAGE_MARGIN, doc.y, { align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+    .text(`Order No. ${order.order_number}`, { align: 'right' });
+  doc.moveDown(1.5);
+  drawRule(doc);
+
+  drawTwoColumns(doc, [
+    ['Order Date', formatDateTime(order.created_at)],
+    ['Order Status', humanize(order.status)],
+    order.checkout_reference ? ['Checkout Reference', order.checkout_reference] : null
+  ].filter(Boolean), [
+    ['Payment Method', String(order.payment_method || 'cod').toUpperCase()],
+    ['Payment Status', humanize(order.payment_status)],
+    order.paid_at ? ['Paid On', formatDateTime(order.paid_at)] : null
+  ].filter(Boolean));
+
+  drawRule(doc);
+
+  drawTwoColumns(doc, [
+    ['Seller', order.seller?.user?.full_name],
+    ['Seller Location', order.seller?.municipality],
+    ['Seller Contact', order.seller?.user?.phone_number || order.seller?.user?.email]
+  ], [
+    ['Buyer', order.buyer?.user?.full_name],
+    ['Buyer Location', order.buyer?.municipality],
+    ['Buyer Contact', order.buyer?.user?.phone_number || order.buyer?.user?.email]
+  ]);
+
+  drawRule(doc);
+
+  drawTwoColumns(doc, [
+    ['Delivery Option', humanize(order.delivery_option)],
+    ['Delivery Address', order.delivery_address]
+  ], [
+    ['Preferred Schedule', order.preferred_date
+      ? `${formatDate(order.preferred_date)}${order.preferred_time ? ` (${humanize(order.preferred_time)})` : ''}`
+      : 'Not set'],
+    ['Distance', order.delivery_distance_km ? `${order.delivery_distance_km} km` : '-']
+  ]);
+
+  doc.moveDown(0.5);
+  drawItems(doc, items);
+
+  const totalRows = [
+    ['Subtotal', formatAmount(subtotal)],
+    ['Delivery Fee', formatAmount(order.delivery_fee)],
+    ['Total', formatAmount(order.total_amount), true]
+  ];
+
+  if (parseFloat(order.voucher_discount) > 0) {
+    totalRows.splice(2, 0, [
+      order.voucher?.code ? `Voucher (${order.voucher.code})` : 'Voucher',
+      `- ${formatAmount(order.voucher_discount)}`
+    ]);
+  }
+
+  if (refunds.length > 0) {
+    const refunded = refunds.reduce((sum, refund) => sum + (parseFloat(refund.amount) || 0), 0);
+    totalRows.push(['Refunded', `- ${formatAmount(refunded)}`]);
+    totalRows.push(['Net Paid', formatAmount((parseFloat(order.total_amount) || 0) - refunded), true]);
+  }
+
+  drawTotals(doc, totalRows);
+
+  // Footer
+  doc.moveDown(2);
+  drawRule(doc);
+  doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(
+    `Generated on ${formatDateTime(new Date())}. This document was generated by AgriMarket from the order record `
+    + 'and is valid without a signature. Payments for COD orders are collected by the seller.',
+    PAGE_MARGIN,
+    doc.y,
+    { align: 'center' }
+  );
+
+  doc.end();
+});
+
+const PICK_COLUMNS = [
+  { key: 'check', label: '', width: 25, align: 'left' },
+  { key: 'product', label: 'Product', width: 300, align: 'left' },
+  { key: 'quantity', label: 'Total', width: 100, align: 'right' },
+  { key: 'orders', label: 'Orders', width: 70, align: 'right' }
+];
+
+const drawPickRow = (doc, columns, values, { bold = false } = {}) => {
+  const rowTop = doc.y;
+  let x = PAGE_MARGIN;
+  let bottom = rowTop;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(COLORS.text);
+  columns.forEach(column => {
+    doc.text(values[column.key] ?? '', x, rowTop, { width: column.width, align: column.align });
+    bottom = Math.max(bottom, doc.y);
+    x += column.width;
+  });
+
+  doc.y = bottom + 4;
+};
+
+// Empty box for ticking lines off by hand
+const CHECKBOX = '[   ]';
+
+const SLIP_COLUMNS = [
+  { key: 'check', label: '', width: 40, align: 'left' },
+  { key: 'product', label: 'Item', width: 335, align: 'left' },
+  { key: 'quantity', label: 'Qty', width: 120, align: 'right' }
+];
+
+const drawPackingSlip = (doc, slip) => {
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text)
+    .text(`Order No. ${slip.order_number}`, PAGE_MARGIN, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(`Packing Slip - ${humanize(slip.status)}`);
+  doc.moveDown(0.5);
+  drawRule(doc);
+
+  drawTwoColumns(doc, [
+    ['Buyer', slip.buyer_name],
+    ['Contact', slip.buyer_phone],
+    [slip.delivery_option === 'pickup' ? 'Pickup' : 'Deliver To',
+      [slip.delivery_address, slip.municipality].filter(Boolean).join(', ')]
+  ], [
+    ['Schedule', slip.unscheduled
+      ? 'No date set'
+      : `${formatDate(`${slip.preferred_date}T00:00:00+08:00`)}${slip.preferred_time ? ` (${humanize(slip.preferred_time)})` : ''}`],
+    ['Payment', `${String(slip.payment_method || 'cod').toUpperCase()} - ${humanize(slip.payment_status)}`],
+    ['Order Total', formatAmount(slip.total_amount)]
+  ]);
+
+  if (slip.notes) {
+    drawLabelValue(doc, 'Notes', slip.notes, PAGE_MARGIN, doc.page.width - PAGE_MARGIN * 2);
+    doc.moveDown(0.5);
+  }
+
+  drawRule(doc);
+  drawPickRow(doc, SLIP_COLUMNS, Object.fromEntries(SLIP_COLUMNS.map(column => [column.key, column.label])), { bold: true });
+  drawRule(doc);
+
+  slip.items.forEach(item => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 40) {
+      doc.addPage();
+    }
+    drawPickRow(doc, SLIP_COLUMNS, {
+      check: CHECKBOX,
+      product: itemLabel(item),
+      quantity: `${item.quantity} ${item.unit_type || ''}`.trim()
+    });
+  });
+};
+
+// Renders a pick list (pickListService.buildPickList) to a PDF Buffer: the
+// product totals first, then one packing slip per page
+exports.generatePickList = (pickList, sellerName = '') => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `AgriMarket Pick List ${pickList.date}`,
+      Author: 'AgriMarket'
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.brand).text('Pick List', PAGE_MARGIN, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+    .text(formatDate(`${pickList.date}T00:00:00+08:00`));
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text([
+    sellerName,
+    `${pickList.order_count} order${pickList.order_count === 1 ? '' : 's'}`,
+    pickList.statuses.map(humanize).join(', '),
+    pickList.include_unscheduled ? 'includes orders with no date set' : null
+  ].filter(Boolean).join(' - '));
+  doc.moveDown(1);
+  drawRule(doc);
+
+  if (pickList.products.length === 0) {
+    doc.font('Helvetica').fontSize(11).fillColor(COLORS.text).text('No orders to pick for this day.');
+  } else {
+    drawPickRow(doc, PICK_COLUMNS, Object.fromEntries(PICK_COLUMNS.map(column => [column.key, column.label])), { bold: true });
+    drawRule(doc);
+
+    pickList.products.forEach(line => {
+      if (doc.y > doc.page.height - PAGE_MARGIN - 40) {
+        doc.addPage();
+      }
+      drawPickRow(doc, PICK_COLUMNS, {
+        check: CHECKBOX,
+        product: itemLabel(line),
+        quantity: `${line.total_quantity} ${line.unit_type}`,
+        orders: String(line.order_count)
+      });
+    });
+  }
+
+  pickList.slips.forEach(slip => {
+    doc.addPage();
+    drawPackingSlip(doc, slip);
+  });
+
+  doc.end();
+});
@@ -0,0 +1,143 @@
+// src\services\refundService.js
+
+const { supabase } = require('../config/database');
+const refundModel = require('../models/refundModel');
+const orderModel = require('../models/orderModel');
+const paymentModel = require('../models/paymentModel');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+
+const roundCurrency = (value) => parseFloat((Number(value) || 0).toFixed(2));
+
+// Records a refund against an order and pays it out. refundType 'full'
+// refunds whatever is left of the order total; 'partial' refunds amount.
+// Issue refunds are idempotent: a live refund for the issue is returned as-is.
+// debitSeller defaults to whether the order is completed; callers that have
+// just moved a completed order on pass it explicitly.
+exports.issueRefund = async ({
+  orderId,
+  issueId = null,
+  refundType,
+  amount = null,
+  reason = null,
+  adminId = null,
+  debitSeller = null
+}) => {
+  if (issueId) {
+    const { data: existing } = await refundModel.getActiveRefundForIssue(issueId);
+    if (existing) {
+      return { success: true, data: existing, error: null };
+    }
+  }
+
+  const { data: order } = await supabase
+    .from('orders')
+    .select(`
+      id, order_number, buyer_id, seller_id, status, total_amount, payment_status,
+      buyer:buyer_profiles!inner (user_id)
+    `)
+    .eq('id', orderId)
+    .single();
+
+  if (!order) {
+    return { success: false, data: null, error: 'Order not found.', statusCode: 404 };
+  }
+
+  if (!['paid', 'refunded'].includes(order.payment_status)) {
+    return { success: false, data: null, error: 'Order has no payment to refund.', statusCode: 400 };
+  }
+
+  const total = roundCurrency(order.total_amount);
+
+  const { data: refund, error: createError } = await refundModel.createRefund({
+    order_id: orderId,
+    issue_id: issueId,
+    refund_type: refundType,
+    amount: refundType === 'full' ? null : roundCurrency(amount),
+    reason,
+    approved_by: adminId
+  });
+
+  if (createError) {
+    // Another request got in first with a refund for the same issue
+    if (createError.code === '23505' && issueId) {
+      const { data: existing } = await refundModel.getActiveRefundForIssue(issueId);
+      if (existing) {
+        return { success: true, data: existing, error: null };
+      }
+    }
+
+    if (createError.details === 'fully_refunded') {
+      return { success: false, data: null, error: 'Order has already been fully refunded.', statusCode: 400 };
+    }
+
+    if (createError.details === 'invalid_amount') {
+      return { success: false, data: null, error: 'Refund amount must be greater than zero.', statusCode: 400 };
+    }
+
+    if (createError.details === 'exceeds_balance') {
+      const { data: alreadyRefunded } = await refundModel.getRefundedAmount(orderId);
+      return {
+        success: false,
+        data: null,
+        error: `Refund amount exceeds the refundable balance of ${roundCurrency(total - alreadyRefunded).toFixed(2)}.`,
+        statusCode: 400
+      };
+    }
+
+    return { success: false, data: null, error: 'Failed to record refund.', statusCode: 500 };
+  }
+
+  const refundAmount = roundCurrency(refund.amount);
+  const { data: refundedSoFar } = await refundModel.getRefundedAmount(orderId);
+  const fullyRefunded = roundCurrency(refundedSoFar) >= total;
+  const payout = await paymentService.refundOrderPayment(orderId, refundAmount, reason, {
+    fullRefund: fullyRefunded
+  });
+
+  if (!payout.success) {
+    const { data: failedRefund } = await refundModel.updateRefundStatus(refund.id, {
+      status: 'failed',
+      payment_id: payout.data?.payment_id || null,
+      failure_reason: payout.error
+    });
+
+    return { success: false, data: failedRefund || refund, error: payout.error, statusCode: 502 };
+  }
+
+  const { data: processedRefund, error: updateError } = await refundModel.updateRefundStatus(refund.id, {
+    status: 'processed',
+    payment_id: payout.data?.payment_id || null,
+    provider_reference: payout.data?.provider_reference || null,
+    processed_at: new Date().toISOString()
+  });
+
+  if (updateError) {
+    return { success: false, data: refund, error: 'Refund paid out but failed to update its status.', statusCode: 500 };
+  }
+
+  // Completed orders already count towards the seller's sales
+  if (debitSeller ?? order.status === 'completed') {
+    await orderModel.updateSellerStats(order.seller_id, -refundAmount, {
+      entryType: 'refund',
+      orderId,
+      refundId: refund.id,
+      description: `Refund for order ${order.order_number}`,
+      createdBy: adminId
+    });
+  }
+
+  if (fullyRefunded) {
+    await paymentModel.updateOrderPaymentStatus(orderId, ['paid'], { payment_status: 'refunded' });
+  }
+
+  await notificationService.createNotification({
+    user_id: order.buyer.user_id,
+    title: 'Refund Processed',
+    message: `A refund of PHP ${refundAmount.toFixed(2)} for order ${order.order_number} has been processed.`,
+    type: 'order',
+    reference_id: orderId
+  });
+
+  return { success: true, data: processedRefund, error: null };
+};
@@ -0,0 +1,153 @@
+// src\services\reorderService.js
+
+const { supabase } = require('../config/database');
+const cartModel = require('../models/cartModel');
+const { PRODUCT } = require('../utils/constants');
+
+const roundCurrency = (value) => parseFloat((Number(value) || 0).toFixed(2));
+
+// Adjusted orders can hold measured quantities (1.5 kg); the cart is whole units
+const toCartQuantity = (quantity) => Math.min(
+  PRODUCT.MAX_QUANTITY,
+  Math.max(1, Math.ceil(Number(quantity) || 1))
+);
+
+const getCurrentProducts = async (productIds) => {
+  const { data } = await supabase
+    .from('products')
+    .select(`
+      id,
+      seller_id,
+      name,
+      unit_type,
+      price_per_unit,
+      available_quantity,
+      is_preorder,
+      preorder_quota,
+      preorder_reserved,
+      status,
+      variants:product_variants (id, name, unit_type, price_per_unit, available_quantity, is_active),
+      seller:seller_profiles!inner (
+        user:users!inner (status)
+      )
+    `)
+    .in('id', productIds);
+
+  return new Map((data || []).map(product => [product.id, product]));
+};
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+const getCartQuantities = async (buyerId, productIds) => {
+  const { data } = await supabase
+    .from('shopping_carts')
+    .select('product_id, variant_id, quantity')
+    .eq('buyer_id', buyerId)
+    .in('product_id', productIds);
+
+  return new Map((data || []).map(row => [lineKey(row.product_id, row.variant_id), row.quantity]));
+};
+
+const findVariant = (product, variantId) => (
+  variantId ? (product?.variants || []).find(variant => variant.id === variantId && variant.is_active) || null : null
+);
+
+const unavailableReason = (product, item, variant) => {
+  if (!product) return 'removed';
+  if (product.status !== 'active') return product.status;
+  if (product.seller.user.status !== 'verified') return 'seller_unavailable';
+  if (item.variant_id && !variant) return 'variant_unavailable';
+  // Bought before the seller split the product into variants; the buyer has to pick one
+  if (!item.variant_id && (product.variants || []).some(option => option.is_active)) return 'choose_variant';
+  return null;
+};
+
+// Re-checks every item of a past order against the product as it is now and
+// adds what can still be bought to the buyer's cart at the current price.
+exports.reorder = async (buyerId, order) => {
+  const items = (order.items || []).filter(item => item.product_id);
+
+  if (items.length === 0) {
+    return { success: false, data: null, error: 'This order has no items that can be reordered.', statusCode: 400 };
+  }
+
+  const productIds = [...new Set(items.map(item => item.product_id))];
+  const [products, cartQuantities] = await Promise.all([
+    getCurrentProducts(productIds),
+    getCartQuantities(buyerId, productIds)
+  ]);
+
+  const report = {
+    added: [],
+    unavailable: [],
+    price_changes: [],
+    reduced_quantities: []
+  };
+
+  for (const item of items) {
+    const product = products.get(item.product_id);
+    const variant = findVariant(product, item.variant_id);
+    const base = {
+      product_id: item.product_id,
+      variant_id: item.variant_id || null,
+      product_name: product?.name || item.product_name,
+      variant_name: variant?.name || item.variant_name || null,
+      unit_type: variant?.unit_type || product?.unit_type || item.unit_type
+    };
+
+    const reason = unavailableReason(product, item, variant);
+    if (reason) {
+      report.unavailable.push({ ...base, reason });
+      continue;
+    }
+
+    const requested = toCartQuantity(item.quantity);
+    const key = lineKey(item.product_id, variant?.id);
+    const inCart = cartQuantities.get(key) || 0;
+    const available = Math.max(0, cartModel.getOrderableQuantity(product, variant) - inCart);
+
+    if (available === 0) {
+      report.unavailable.push({ ...base, reason: product.is_preorder && !variant ? 'preorder_full' : 'out_of_stock' });
+      continue;
+    }
+
+    const quantity = Math.min(requested, available);
+    const currentPrice = variant ? variant.price_per_unit : product.price_per_unit;
+
+    const { error } = await cartModel.addToCart({
+      buyer_id: buyerId,
+      product_id: product.id,
+      variant_id: variant?.id || null,
+      seller_id: product.seller_id,
+      quantity,
+      price_snapshot: currentPrice
+    });
+
+    if (error) {
+      console.error('Reorder add to cart error:', error);
+      report.unavailable.push({ ...base, reason: 'failed' });
+      continue;
+    }
+
+    cartQuantities.set(key, inCart + quantity);
+    report.added.push({ ...base, quantity, price_per_unit: Number(currentPrice) });
+
+    if (quantity < requested) {
+      report.reduced_quantities.push({ ...base, requested, added: quantity });
+    }
+
+    // Compare list prices; the old line may have been charged a bulk price
+    const oldPrice = roundCurrency(item.base_price_per_unit ?? item.price_per_unit);
+    const newPrice = roundCurrency(currentPrice);
+    if (oldPrice !== newPrice) {
+      report.price_changes.push({
+        ...base,
+        old_price: oldPrice,
+        new_price: newPrice,
+        difference: roundCurrency(newPrice - oldPrice)
+      });
+    }
+  }
+
+  return { success: true, data: report, error: null };
+};
@@ -0,0 +1,767 @@
+// src\services\subscriptionService.js
+
+const crypto = require('crypto');
+const { supabase, supabaseService } = require('../config/database');
+const subscriptionModel = require('../models/subscriptionModel');
+const orderModel = require('../models/orderModel');
+const cartModel = require('../models/cartModel');
+const promotionModel = require('../models/promotionModel');
+const deliverySlotModel = require('../models/deliverySlotModel');
+const deliverySlotService = require('./deliverySlotService');
+const deliveryFeeService = require('./deliveryFeeService');
+const notificationService = require('./notificationService');
+const { SUBSCRIPTION } = require('../utils/constants');
+
+const BATCH_SIZE = 50;
+
+const shiftDate = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const dayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+const cycleDays = (frequency) => SUBSCRIPTION.CYCLE_DAYS[frequency] || SUBSCRIPTION.CYCLE_DAYS.weekly;
+
+// First delivery date of the subscription's cycle that falls on or after minDate
+const alignToCycle = (dateStr, frequency, minDate) => {
+  let next = dateStr;
+  while (next < minDate) {
+    next = shiftDate(next, cycleDays(frequency));
+  }
+  return next;
+};
+
+// ============ Template checks ============
+
+// Loads the products for a new basket template. Every product must belong
+// to the seller and be orderable right now.
+// Products sold in variants are left out of baskets, like pre-orders.
+const hasVariants = (product) => (product.variants || []).some(variant => variant.is_active);
+
+// Whether a basket product can still be ordered as it is
+const isOrderable = (product) => Boolean(
+  product && product.status === 'active' && !product.is_preorder && !hasVariants(product)
+);
+
+const resolveTemplateItems = async (sellerId, items) => {
+  const quantities = new Map();
+  items.forEach(item => {
+    quantities.set(item.product_id, (quantities.get(item.product_id) || 0) + Number(item.quantity));
+  });
+
+  if (quantities.size > SUBSCRIPTION.MAX_ITEMS) {
+    return { error: `A subscription can hold at most ${SUBSCRIPTION.MAX_ITEMS} products.`, statusCode: 400 };
+  }
+
+  const { data: products, error } = await supabase
+    .from('products')
+    .select('id, seller_id, name, price_per_unit, status, is_preorder, variants:product_variants (id, is_active)')
+    .in('id', [...quantities.keys()]);
+
+  if (error) {
+    return { error: 'Failed to load subscription products.', statusCode: 500 };
+  }
+
+  const byId = new Map((products || []).map(product => [product.id, product]));
+  const resolved = [];
+
+  for (const [productId, quantity] of quantities) {
+    const product = byId.get(productId);
+    if (!product || product.seller_id !== sellerId) {
+      return { error: 'All subscription products must come from the same seller.', statusCode: 400 };
+    }
+    if (product.status !== 'active' || product.is_preorder || hasVariants(product)) {
+      return { error: `${product.name} cannot be added to a subscription right now.`, statusCode: 400 };
+    }
+    resolved.push({ product_id: productId, quantity, price_snapshot: product.price_per_unit });
+  }
+
+  return { data: resolved };
+};
+
+// Sellers with delivery windows deliver subscriptions in one of them, so the
+// delivery date has to fall on that window's weekday.
+const resolveSchedule = async (sellerId, windowId, deliveryDate) => {
+  const { data: windows } = await deliverySlotModel.getWindows(sellerId);
+
+  if (windows.length === 0) {
+    if (windowId) {
+      return { error: 'This seller does not offer delivery slots.', statusCode: 400 };
+    }
+    return { data: { window: null, deliveryDate } };
+  }
+
+  const window = windows.find(entry => entry.id === windowId);
+  if (!window) {
+    return { error: 'Please choose one of the seller\'s delivery slots.', statusCode: 400 };
+  }
+
+  let date = deliveryDate;
+  while (dayOfWeek(date) !== window.day_of_week) {
+    date = shiftDate(date, 1);
+  }
+
+  return { data: { window, deliveryDate: date } };
+};
+
+// Compares the basket template with the products as they are now. Anything
+// returned here has to be confirmed by the buyer before the cycle is ordered.
+exports.reviewItems = (subscription) => {
+  const issues = [];
+
+  (subscription.items || []).forEach(item => {
+    const product = item.product;
+    const base = {
+      item_id: item.id,
+      product_id: item.product_id,
+      product_name: product?.name || 'Removed product',
+      quantity: item.quantity
+    };
+
+    if (!isOrderable(product)) {
+      issues.push({ ...base, type: 'unavailable' });
+      return;
+    }
+
+    const available = Number(product.available_quantity || 0);
+    if (available < item.quantity) {
+      issues.push({ ...base, type: 'out_of_stock', available_quantity: available });
+    }
+
+    if (Number(product.price_per_unit) !== Number(item.price_snapshot)) {
+      issues.push({
+        ...base,
+        type: 'price_changed',
+        old_price: Number(item.price_snapshot),
+        new_price: Number(product.price_per_unit)
+      });
+    }
+  });
+
+  return issues;
+};
+
+// The slot this cycle books, or why it cannot be booked
+const checkCycleSlot = async (subscription, deliveryDate) => {
+  const { data: windows } = await deliverySlotModel.getWindows(subscription.seller_id);
+
+  // The seller stopped using slots; fall back to the free-form time
+  if (windows.length === 0) {
+    return { slot: null, issue: null };
+  }
+
+  if (!subscription.delivery_window_id || !windows.some(window => window.id === subscription.delivery_window_id)) {
+    return {
+      slot: null,
+      issue: {
+        type: 'slot_required',
+        message: 'The seller changed their delivery slots. Pick a new slot for this subscription.'
+      }
+    };
+  }
+
+  const check = await deliverySlotService.checkSlot(subscription.seller_id, subscription.delivery_window_id, deliveryDate);
+  if (!check.success) {
+    return { slot: null, issue: { type: 'slot_unavailable', message: check.error } };
+  }
+
+  return { slot: check.data, issue: null };
+};
+
+// ============ Order placement ============
+
+// Promotions the seller is running right now. A failed lookup only means
+// the cycle is ordered at the regular price.
+const loadPromotions = async (sellerId) => {
+  const { data, error } = await promotionModel.getActivePromotions([sellerId]);
+
+  if (error) {
+    console.error('Load subscription promotions error:', error);
+  }
+
+  return data;
+};
+
+// Places one cycle as a normal pending order. Mirrors checkout: promotion
+// uses are claimed and stock reserved first, and everything is undone if a
+// later step fails.
+const placeCycleOrder = async (subscription, orderItems, deliveryDate, slot, actorUserId = null) => {
+  const buyer = subscription.buyer;
+  const subtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+  const isDropOff = subscription.delivery_option === 'drop-off';
+
+  if (isDropOff && !buyer.delivery_address) {
+    return { success: false, data: null, error: 'Add a delivery address to your profile for drop-off deliveries.', statusCode: 400 };
+  }
+
+  const { data: sellerProfile } = await supabase
+    .from('seller_profiles')
+    .select('id, user_id, municipality, latitude, longitude, delivery_base_fee, delivery_per_km_fee, free_delivery_threshold, max_delivery_radius_km')
+    .eq('id', subscription.seller_id)
+    .single();
+
+  if (!sellerProfile) {
+    return { success: false, data: null, error: 'Seller not found.', statusCode: 404 };
+  }
+
+  const deliveryQuote = await deliveryFeeService.calculateDeliveryFee({
+    seller: sellerProfile,
+    subtotal,
+    deliveryOption: subscription.delivery_option,
+    latitude: buyer.delivery_latitude,
+    longitude: buyer.delivery_longitude,
+    municipality: buyer.municipality
+  });
+
+  if (!deliveryQuote.success) {
+    return { success: false, data: null, error: deliveryQuote.error, statusCode: 400 };
+  }
+
+  const promotionIds = promotionModel.promotionIdsOf(orderItems);
+  const claim = await promotionModel.claimUses(promotionIds);
+  if (!claim.success) {
+    const failedItem = orderItems.find(item => item.promotion_id === claim.failedPromotionId);
+    return {
+      success: false,
+      data: null,
+      error: failedItem
+        ? `The "${failedItem.promotion_name}" promotion has just ended or run out.`
+        : 'Failed to apply promotions to this order.',
+      statusCode: failedItem ? 409 : 500
+    };
+  }
+
+  // Known before the order is written so the stock ledger can point at it
+  const orderId = crypto.randomUUID();
+  const reservation = await orderModel.reserveProductStock(orderItems, {
+    actorId: actorUserId,
+    orderId,
+    note: 'Subscription order'
+  });
+  if (!reservation.success) {
+    await promotionModel.releaseUses(promotionIds);
+    const failedItem = orderItems.find(item => item.product_id === reservation.failedProductId);
+    return {
+      success: false,
+      data: null,
+      error: failedItem
+        ? `${failedItem.product_name} is no longer available in the requested quantity.`
+        : 'Some items are no longer available in the requested quantity.',
+      statusCode: 409
+    };
+  }
+
+  const deliveryFee = deliveryQuote.data.delivery_fee;
+  const { data: order, error: orderError } = await orderModel.createOrder({
+    id: orderId,
+    buyer_id: buyer.id,
+    seller_id: subscription.seller_id,
+    delivery_option: subscription.delivery_option,
+    delivery_address: isDropOff ? buyer.delivery_address : null,
+    delivery_latitude: isDropOff ? buyer.delivery_latitude : null,
+    delivery_longitude: isDropOff ? buyer.delivery_longitude : null,
+    preferred_date: deliveryDate,
+    preferred_time: slot ? slot.label : subscription.preferred_time,
+    order_notes: subscription.order_notes,
+    payment_method: 'cod',
+    subtotal,
+    delivery_fee: deliveryFee,
+    delivery_distance_km: deliveryQuote.data.distance_km,
+    total_amount: parseFloat((subtotal + deliveryFee).toFixed(2)),
+    subscription_id: subscription.id
+  });
+
+  if (orderError) {
+    await orderModel.releaseProductStock(orderItems, {
+      actorId: actorUserId,
+      orderId,
+      note: 'Order could not be placed'
+    });
+    await promotionModel.releaseUses(promotionIds);
+    return { success: false, data: null, error: 'Failed to create order.', statusCode: 500 };
+  }
+
+  const discardOrder = async () => {
+    await supabaseService
+      .from('orders')
+      .delete()
+      .eq('id', order.id);
+    await orderModel.releaseProductStock(orderItems, {
+      actorId: actorUserId,
+      orderId,
+      note: 'Order could not be placed'
+    });
+    await promotionModel.releaseUses(promotionIds);
+  };
+
+  const { error: itemsError } = await orderModel.createOrderItems(order.id, orderItems);
+  if (itemsError) {
+    await discardOrder();
+    return { success: false, data: null, error: 'Failed to create order items.', statusCode: 500 };
+  }
+
+  if (slot) {
+    const { error: slotError } = await deliverySlotModel.bookSlot(order.id, slot.window_id, slot.date);
+    if (slotError) {
+      await discardOrder();
+      return {
+        success: false,
+        data: null,
+        error: slotError.details === 'blackout'
+          ? 'The seller is not accepting orders on this delivery date.'
+          : 'The delivery slot for this date is fully booked.',
+        statusCode: 409
+      };
+    }
+  }
+
+  await orderModel.recordStatusHistory(order.id, {
+    from_status: null,
+    to_status: 'pending',
+    changed_by: actorUserId,
+    changed_by_role: actorUserId ? 'buyer' : 'system',
+    note: 'Subscription order placed'
+  });
+
+  await notificationService.sendOrderNotification(buyer.user_id, order, 'subscription_order_placed');
+  await notificationService.sendOrderNotification(sellerProfile.user_id, order, 'new_subscription_order');
+
+  return { success: true, data: order, error: null };
+};
+
+// Priced the way checkout prices a cart line at the product's current price:
+// the bulk break the quantity reaches, then the best running promotion
+const toOrderItem = (item, quantity, promotions) => {
+  const line = {
+    product: item.product,
+    variant: null,
+    quantity,
+    price_snapshot: Number(item.product.price_per_unit),
+    promotions
+  };
+  const chargedPrice = cartModel.getChargedPrice(line);
+  const promotion = cartModel.getLinePromotion(line);
+
+  return {
+    product_id: item.product_id,
+    product_name: item.product.name,
+    category: item.product.category,
+    price_per_unit: chargedPrice,
+    base_price_per_unit: line.price_snapshot,
+    tier_min_quantity: cartModel.getLineTier(line)?.min_quantity || null,
+    promotion_id: promotion?.id || null,
+    promotion_name: promotion?.name || null,
+    promotion_discount: parseFloat(((cartModel.getRegularPrice(line) - chargedPrice) * quantity).toFixed(2)),
+    unit_type: item.product.unit_type,
+    quantity,
+    subtotal: quantity * chargedPrice
+  };
+};
+
+// Also puts next_delivery_date back on the flagged delivery, which a claimed
+// cycle has already moved past
+const flagForReview = async (subscription, deliveryDate, issues) => {
+  const { data: updated } = await subscriptionModel.updateSubscription(subscription.id, {
+    status: 'needs_review',
+    next_delivery_date: deliveryDate,
+    review_issues: {
+      delivery_date: deliveryDate,
+      issues,
+      flagged_at: new Date().toISOString()
+    }
+  }, { fromStatuses: ['active'] });
+
+  if (!updated) return false;
+
+  await notificationService.createNotification({
+    user_id: subscription.buyer.user_id,
+    title: 'Subscription Needs Your Review',
+    message: `Some items in your ${subscription.frequency} order from ${subscription.seller.user.full_name} for ${deliveryDate} changed. Confirm or skip this delivery.`,
+    type: 'order',
+    reference_id: null
+  });
+
+  return true;
+};
+
+// One scheduler pass for an active subscription that is due
+const runCycle = async (subscription, today) => {
+  const horizon = shiftDate(today, SUBSCRIPTION.GENERATE_LEAD_DAYS);
+  const deliveryDate = alignToCycle(subscription.next_delivery_date, subscription.frequency, today);
+
+  // Deliveries missed while the scheduler was down are not back-filled
+  if (deliveryDate !== subscription.next_delivery_date) {
+    await subscriptionModel.updateSubscription(subscription.id, { next_delivery_date: deliveryDate }, { fromStatuses: ['active'] });
+    if (deliveryDate > horizon) return 'rescheduled';
+  }
+
+  const issues = exports.reviewItems(subscription);
+  const { slot, issue: slotIssue } = await checkCycleSlot(subscription, deliveryDate);
+  if (slotIssue) issues.push(slotIssue);
+
+  if (issues.length > 0) {
+    return (await flagForReview(subscription, deliveryDate, issues)) ? 'flagged' : 'skipped';
+  }
+
+  // Claim the cycle before ordering so a later pass cannot order the same
+  // delivery again, even if the bookkeeping below fails
+  const { data: claimed, error: claimError } = await subscriptionModel.updateSubscription(subscription.id, {
+    next_delivery_date: shiftDate(deliveryDate, cycleDays(subscription.frequency)),
+    review_issues: null
+  }, { fromStatuses: ['active'], fromDeliveryDate: deliveryDate });
+
+  if (claimError) {
+    throw new Error(`Failed to claim subscription cycle: ${claimError.message}`);
+  }
+
+  if (!claimed) return 'skipped';
+
+  const promotions = await loadPromotions(subscription.seller_id);
+  const orderItems = subscription.items.map(item => toOrderItem(item, item.quantity, promotions));
+  const result = await placeCycleOrder(subscription, orderItems, deliveryDate, slot);
+
+  if (!result.success) {
+    await flagForReview(subscription, deliveryDate, [{ type: 'order_failed', message: result.error }]);
+    return 'flagged';
+  }
+
+  const { error: updateError } = await subscriptionModel.updateSubscription(subscription.id, {
+    last_order_id: result.data.id,
+    last_generated_at: new Date().toISOString()
+  });
+
+  if (updateError) {
+    console.error('Failed to record subscription order', subscription.id, updateError);
+  }
+
+  return 'placed';
+};
+
+// Scheduler job: places orders for subscriptions delivering within the lead
+// time and skips reviews the buyer never answered.
+exports.generateDueOrders = async () => {
+  const today = deliverySlotService.todayLocal();
+
+  const { data: unanswered, error: unansweredError } = await subscriptionModel.getDueSubscriptions(
+    ['needs_review'],
+    shiftDate(today, -1),
+    BATCH_SIZE
+  );
+
+  if (unansweredError) {
+    throw new Error(`Failed to fetch subscriptions awaiting review: ${unansweredError.message}`);
+  }
+
+  let missed = 0;
+  for (const subscription of unanswered) {
+    const { data: updated } = await subscriptionModel.updateSubscription(subscription.id, {
+      status: 'active',
+      next_delivery_date: alignToCycle(subscription.next_delivery_date, subscription.frequency, today),
+      review_issues: null
+    }, { fromStatuses: ['needs_review'] });
+
+    if (!updated) continue;
+    missed++;
+
+    await notificationService.createNotification({
+      user_id: subscription.buyer.user_id,
+      title: 'Subscription Delivery Skipped',
+      message: `Your ${subscription.next_delivery_date} delivery from ${subscription.seller.user.full_name} was skipped because the changes were not confirmed in time.`,
+      type: 'order',
+      reference_id: null
+    });
+  }
+
+  const { data: due, error } = await subscriptionModel.getDueSubscriptions(
+    ['active'],
+    shiftDate(today, SUBSCRIPTION.GENERATE_LEAD_DAYS),
+    BATCH_SIZE
+  );
+
+  if (error) {
+    throw new Error(`Failed to fetch due subscriptions: ${error.message}`);
+  }
+
+  const counts = { placed: 0, flagged: 0 };
+  for (const subscription of due) {
+    try {
+      const outcome = await runCycle(subscription, today);
+      if (counts[outcome] !== undefined) counts[outcome]++;
+    } catch (err) {
+      console.error('Failed to process subscription', subscription.id, err.message);
+    }
+  }
+
+  return { checked: due.length, ...counts, missed };
+};
+
+// ============ Buyer actions ============
+
+exports.create = async (buyerProfile, {
+  seller_id,
+  frequency,
+  delivery_option,
+  delivery_window_id,
+  preferred_time,
+  order_notes,
+  start_date,
+  items
+}) => {
+  const today = deliverySlotService.todayLocal();
+  if (start_date <= today || start_date > shiftDate(today, SUBSCRIPTION.MAX_START_LEAD_DAYS)) {
+    return {
+      success: false,
+      data: null,
+      error: `The first delivery must be between tomorrow and ${SUBSCRIPTION.MAX_START_LEAD_DAYS} days from now.`,
+      statusCode: 400
+    };
+  }
+
+  if (delivery_option === 'drop-off' && !buyerProfile.delivery_address) {
+    return { success: false, data: null, error: 'Add a delivery address to your profile for drop-off deliveries.', statusCode: 400 };
+  }
+
+  const templateItems = await resolveTemplateItems(seller_id, items);
+  if (templateItems.error) {
+    return { success: false, data: null, error: templateItems.error, statusCode: templateItems.statusCode };
+  }
+
+  const schedule = await resolveSchedule(seller_id, delivery_window_id, start_date);
+  if (schedule.error) {
+    return { success: false, data: null, error: schedule.error, statusCode: schedule.statusCode };
+  }
+
+  const { data: subscription, error } = await subscriptionModel.createSubscription({
+    buyer_id: buyerProfile.id,
+    seller_id,
+    frequency,
+    delivery_option,
+    delivery_window_id: schedule.data.window?.id || null,
+    preferred_time: schedule.data.window ? null : preferred_time,
+    order_notes,
+    next_delivery_date: schedule.data.deliveryDate
+  }, templateItems.data);
+
+  if (error) {
+    console.error('Create subscription error:', error);
+    return { success: false, data: null, error: 'Failed to create subscription.', statusCode: 500 };
+  }
+
+  return { success: true, data: subscription, error: null };
+};
+
+// Changing the basket or schedule clears a pending review; the scheduler
+// checks the new template on its next pass.
+exports.update = async (subscription, changes) => {
+  if (subscription.status === 'cancelled') {
+    return { success: false, data: null, error: 'This subscription has been cancelled.', statusCode: 400 };
+  }
+
+  const updates = {};
+  ['frequency', 'delivery_option', 'preferred_time', 'order_notes'].forEach(field => {
+    if (changes[field] !== undefined) updates[field] = changes[field];
+  });
+
+  const deliveryOption = updates.delivery_option || subscription.delivery_option;
+  if (deliveryOption === 'drop-off' && !subscription.buyer.delivery_address) {
+    return { success: false, data: null, error: 'Add a delivery address to your profile for drop-off deliveries.', statusCode: 400 };
+  }
+
+  if (changes.delivery_window_id !== undefined || changes.next_delivery_date !== undefined) {
+    const today = deliverySlotService.todayLocal();
+    const requestedDate = changes.next_delivery_date || subscription.next_delivery_date;
+
+    if (requestedDate <= today) {
+      return { success: false, data: null, error: 'The next delivery must be after today.', statusCode: 400 };
+    }
+
+    const windowId = changes.delivery_window_id !== undefined
+      ? changes.delivery_window_id
+      : subscription.delivery_window_id;
+    const schedule = await resolveSchedule(subscription.seller_id, windowId, requestedDate);
+    if (schedule.error) {
+      return { success: false, data: null, error: schedule.error, statusCode: schedule.statusCode };
+    }
+
+    updates.delivery_window_id = schedule.data.window?.id || null;
+    updates.next_delivery_date = schedule.data.deliveryDate;
+    if (schedule.data.window) updates.preferred_time = null;
+  }
+
+  if (changes.items) {
+    const templateItems = await resolveTemplateItems(subscription.seller_id, changes.items);
+    if (templateItems.error) {
+      return { success: false, data: null, error: templateItems.error, statusCode: templateItems.statusCode };
+    }
+
+    const { error: itemsError } = await subscriptionModel.replaceItems(subscription.id, templateItems.data);
+    if (itemsError) {
+      return { success: false, data: null, error: 'Failed to update subscription items.', statusCode: 500 };
+    }
+  }
+
+  if (subscription.status === 'needs_review') {
+    updates.status = 'active';
+    updates.review_issues = null;
+  }
+
+  if (Object.keys(updates).length > 0) {
+    const { error } = await subscriptionModel.updateSubscription(subscription.id, updates);
+    if (error) {
+      return { success: false, data: null, error: 'Failed to update subscription.', statusCode: 500 };
+    }
+  }
+
+  const { data: updated } = await subscriptionModel.getSubscriptionById(subscription.id);
+  return { success: true, data: updated, error: null };
+};
+
+// Accepts the flagged changes and orders this cycle now: current prices
+// become the new agreed prices, short items are ordered at what is left and
+// unavailable ones sit this cycle out.
+exports.confirmCycle = async (subscription, buyerUserId) => {
+  if (subscription.status !== 'needs_review') {
+    return { success: false, data: null, error: 'This subscription has nothing waiting for confirmation.', statusCode: 400 };
+  }
+
+  const deliveryDate = subscription.next_delivery_date;
+  if (deliveryDate < deliverySlotService.todayLocal()) {
+    return { success: false, data: null, error: 'This delivery date has already passed.', statusCode: 409 };
+  }
+
+  const promotions = await loadPromotions(subscription.seller_id);
+  const orderItems = [];
+  for (const item of subscription.items) {
+    const product = item.product;
+    if (!isOrderable(product)) continue;
+
+    if (Number(product.price_per_unit) !== Number(item.price_snapshot)) {
+      await subscriptionModel.updateItemPrice(item.id, product.price_per_unit);
+    }
+
+    const quantity = Math.min(item.quantity, Math.floor(Number(product.available_quantity || 0)));
+    if (quantity > 0) {
+      orderItems.push(toOrderItem(item, quantity, promotions));
+    }
+  }
+
+  if (orderItems.length === 0) {
+    return {
+      success: false,
+      data: null,
+      error: 'None of the items in this subscription are available right now. Skip this delivery instead.',
+      statusCode: 409
+    };
+  }
+
+  const { slot, issue } = await checkCycleSlot(subscription, deliveryDate);
+  if (issue) {
+    return { success: false, data: null, error: issue.message, statusCode: 409 };
+  }
+
+  // Claim the cycle so the scheduler does not act on it at the same time
+  const { data: claimed } = await subscriptionModel.updateSubscription(subscription.id, {
+    status: 'active',
+    review_issues: null,
+    next_delivery_date: shiftDate(deliveryDate, cycleDays(subscription.frequency))
+  }, { fromStatuses: ['needs_review'] });
+
+  if (!claimed) {
+    return { success: false, data: null, error: 'This subscription was changed meanwhile. Please refresh and try again.', statusCode: 409 };
+  }
+
+  const result = await placeCycleOrder(subscription, orderItems, deliveryDate, slot, buyerUserId);
+
+  if (!result.success) {
+    await subscriptionModel.updateSubscription(subscription.id, {
+      status: 'needs_review',
+      review_issues: subscription.review_issues,
+      next_delivery_date: deliveryDate
+    }, { fromStatuses: ['active'] });
+    return result;
+  }
+
+  await subscriptionModel.updateSubscription(subscription.id, {
+    last_order_id: result.data.id,
+    last_generated_at: new Date().toISOString()
+  });
+
+  return { success: true, data: result.data, error: null };
+};
+
+exports.skipNext = async (subscription) => {
+  if (!['active', 'needs_review'].includes(subscription.status)) {
+    return { success: false, data: null, error: 'Only running subscriptions can skip a delivery.', statusCode: 400 };
+  }
+
+  const { data: updated, error } = await subscriptionModel.updateSubscription(subscription.id, {
+    status: 'active',
+    review_issues: null,
+    next_delivery_date: shiftDate(subscription.next_delivery_date, cycleDays(subscription.frequency))
+  }, { fromStatuses: ['active', 'needs_review'] });
+
+  if (error || !updated) {
+    return { success: false, data: null, error: 'Failed to skip the next delivery.', statusCode: error ? 500 : 409 };
+  }
+
+  return { success: true, data: updated, error: null };
+};
+
+exports.pause = async (subscription) => {
+  if (!['active', 'needs_review'].includes(subscription.status)) {
+    return { success: false, data: null, error: 'Only running subscriptions can be paused.', statusCode: 400 };
+  }
+
+  const { data: updated, error } = await subscriptionModel.updateSubscription(subscription.id, {
+    status: 'paused',
+    review_issues: null,
+    paused_at: new Date().toISOString()
+  }, { fromStatuses: ['active', 'needs_review'] });
+
+  if (error || !updated) {
+    return { success: false, data: null, error: 'Failed to pause subscription.', statusCode: error ? 500 : 409 };
+  }
+
+  return { success: true, data: updated, error: null };
+};
+
+// Picks up again on the first cycle date after today
+exports.resume = async (subscription) => {
+  if (subscription.status !== 'paused') {
+    return { success: false, data: null, error: 'This subscription is not paused.', statusCode: 400 };
+  }
+
+  const tomorrow = shiftDate(deliverySlotService.todayLocal(), 1);
+  const { data: updated, error } = await subscriptionModel.updateSubscription(subscription.id, {
+    status: 'active',
+    paused_at: null,
+    next_delivery_date: alignToCycle(subscription.next_delivery_date, subscription.frequency, tomorrow)
+  }, { fromStatuses: ['paused'] });
+
+  if (error || !updated) {
+    return { success: false, data: null, error: 'Failed to resume subscription.', statusCode: error ? 500 : 409 };
+  }
+
+  return { success: true, data: updated, error: null };
+};
+
+// Orders already placed are not touched; the buyer cancels those separately
+exports.cancel = async (subscription) => {
+  if (subscription.status === 'cancelled') {
+    return { success: false, data: null, error: 'This subscription is already cancelled.', statusCode: 400 };
+  }
+
+  const { data: updated, error } = await subscriptionModel.updateSubscription(subscription.id, {
+    status: 'cancelled',
+    review_issues: null,
+    cancelled_at: new Date().toISOString()
+  }, { fromStatuses: ['active', 'paused', 'needs_review'] });
+
+  if (error || !updated) {
+    return { success: false, data: null, error: 'Failed to cancel subscription.', statusCode: error ? 500 : 409 };
+  }
+
+  return { success: true, data: updated, error: null };
+};
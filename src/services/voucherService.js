@@ -0,0 +1,117 @@
+// src\services\voucherService.js
+
+const voucherModel = require('../models/voucherModel');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const formatPeso = (value) => `₱${Number(value).toLocaleString('en-PH', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+// Why a redemption was refused, from redeem_voucher or the checks below
+const MESSAGES = {
+  not_found: 'This voucher code does not exist.',
+  inactive: 'This voucher is no longer available.',
+  not_started: 'This voucher cannot be used yet.',
+  scheduled: 'This voucher cannot be used yet.',
+  expired: 'This voucher has expired.',
+  used_up: 'This voucher has been fully redeemed.',
+  user_limit: 'You have already used this voucher the maximum number of times.'
+};
+
+exports.getRefusalMessage = (reason) => MESSAGES[reason] || 'This voucher can no longer be used.';
+
+// Discount on one order's lines ({ category, subtotal }). Only lines in the
+// voucher's categories count towards the minimum spend and the discount.
+exports.calculateDiscount = (voucher, lines) => {
+  const eligibleSubtotal = roundMoney(lines
+    .filter(line => voucher.categories.length === 0 || voucher.categories.includes(line.category))
+    .reduce((sum, line) => sum + (Number(line.subtotal) || 0), 0));
+
+  if (eligibleSubtotal <= 0 || eligibleSubtotal < voucher.min_spend) {
+    return { eligible_subtotal: eligibleSubtotal, discount: 0 };
+  }
+
+  let discount = voucher.discount_type === 'percentage'
+    ? eligibleSubtotal * (voucher.discount_value / 100)
+    : voucher.discount_value;
+
+  if (voucher.max_discount !== null) {
+    discount = Math.min(discount, voucher.max_discount);
+  }
+
+  return {
+    eligible_subtotal: eligibleSubtotal,
+    discount: roundMoney(Math.min(discount, eligibleSubtotal))
+  };
+};
+
+// Checks a code for one seller's part of the cart. orders holds the lines of
+// each order that part becomes (in-stock items, then each pre-order); the
+// voucher goes on whichever order it takes the most off. Per-user and total
+// limits are checked again when the order is placed.
+exports.quoteVoucher = async (code, { buyerProfile, sellerId, orders }) => {
+  const { data: voucher, error } = await voucherModel.getVoucherByCode(code);
+
+  if (error) {
+    return { success: false, data: null, error: 'Failed to check voucher.', statusCode: 500 };
+  }
+
+  if (!voucher) {
+    return { success: false, data: null, error: MESSAGES.not_found, statusCode: 404 };
+  }
+
+  const status = voucherModel.getStatus(voucher);
+  if (status !== 'active') {
+    return { success: false, data: null, error: exports.getRefusalMessage(status), statusCode: 400 };
+  }
+
+  if (voucher.seller_id && voucher.seller_id !== sellerId) {
+    return { success: false, data: null, error: 'This voucher is not valid for this seller.', statusCode: 400 };
+  }
+
+  if (voucher.municipalities.length > 0 && !voucher.municipalities.includes(buyerProfile.municipality)) {
+    return {
+      success: false,
+      data: null,
+      error: `This voucher is only for buyers in ${voucher.municipalities.join(', ')}.`,
+      statusCode: 400
+    };
+  }
+
+  const { count: used, error: countError } = await voucherModel.countBuyerRedemptions(voucher.id, buyerProfile.id);
+
+  if (countError) {
+    return { success: false, data: null, error: 'Failed to check voucher.', statusCode: 500 };
+  }
+
+  if (used >= voucher.per_user_limit) {
+    return { success: false, data: null, error: MESSAGES.user_limit, statusCode: 400 };
+  }
+
+  const quotes = orders.map(lines => exports.calculateDiscount(voucher, lines));
+  const orderIndex = quotes.reduce((bestIndex, quote, index) => (
+    quote.discount > quotes[bestIndex].discount ? index : bestIndex
+  ), 0);
+  const best = quotes[orderIndex];
+
+  if (!best || best.discount <= 0) {
+    const hasEligibleItems = quotes.some(quote => quote.eligible_subtotal > 0);
+    const error = hasEligibleItems
+      ? `Spend at least ${formatPeso(voucher.min_spend)} on eligible items to use this voucher.`
+      : `This voucher only applies to ${voucher.categories.join(', ').replace(/_/g, ' ')} items.`;
+    return { success: false, data: null, error, statusCode: 400 };
+  }
+
+  return {
+    success: true,
+    data: {
+      voucher,
+      order_index: orderIndex,
+      eligible_subtotal: best.eligible_subtotal,
+      discount: best.discount
+    },
+    error: null
+  };
+};
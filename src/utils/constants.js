@@ -22,14 +22,158 @@ const PRODUCT = {
   MIN_PRICE: 0.01,
   MAX_PRICE: 999999.99,
   MIN_QUANTITY: 0,
-  MAX_QUANTITY: 999999
+  MAX_QUANTITY: 999999,
+  CATEGORIES: ['vegetables', 'fruits', 'fish_seafood', 'meat_poultry', 'other'],
+  UNIT_TYPES: ['kg', 'pcs', 'bundle', 'box', 'dozen', 'liter', 'other']
+};
+
+// Sizes, grades or pack sizes sold under one product
+const VARIANT = {
+  MAX_PER_PRODUCT: 20,
+  MAX_NAME_LENGTH: 100,
+  MAX_SKU_LENGTH: 64
+};
+
+// Quantity price breaks on top of a product's base price
+const PRICE_TIER = {
+  MAX_PER_PRODUCT: 5
+};
+
+// Seller discounts on selected products or categories
+const PROMOTION = {
+  DISCOUNT_TYPES: ['percentage', 'fixed'],
+  SCOPES: ['products', 'categories'],
+  MAX_PERCENTAGE: 90,
+  MAX_PRODUCTS: 100,
+  MAX_DURATION_DAYS: 90,
+  MAX_NAME_LENGTH: 100
+};
+
+// Checkout codes, platform-wide or for one seller
+const VOUCHER = {
+  DISCOUNT_TYPES: ['percentage', 'fixed'],
+  CODE_PATTERN: /^[A-Z0-9_-]{3,30}$/,
+  MAX_PERCENTAGE: 90,
+  MAX_DESCRIPTION_LENGTH: 255,
+  REDEMPTIONS_PAGE_SIZE: 20
+};
+
+// Stock ledger (inventory_movements). Sellers can only record the manual
+// reasons themselves; the rest come from orders, harvests and product edits.
+const INVENTORY = {
+  REASONS: [
+    'initial_stock', 'manual_edit', 'order_placed', 'order_cancelled',
+    'order_adjusted', 'harvest', 'adjustment', 'spoilage'
+  ],
+  MANUAL_REASONS: ['adjustment', 'spoilage'],
+  MAX_NOTE_LENGTH: 255,
+  MOVEMENTS_PAGE_SIZE: 20,
+  // History filters follow Philippine calendar days (UTC+8, no DST)
+  TIMEZONE_OFFSET: '+08:00'
 };
 
 const ORDER = {
   MAX_ITEMS_PER_ORDER: 100,
   ORDER_TIMEOUT_HOURS: 48,
   ORDER_CONFIRMATION_TIMEOUT_HOURS: 72,
-  MAX_CANCELLATION_NOTES_LENGTH: 500
+  TIMEOUT_CHECK_INTERVAL_MINUTES: 15,
+  MAX_CANCELLATION_NOTES_LENGTH: 500,
+  ADJUSTABLE_STATUSES: ['pending', 'confirmed'],
+  ADJUSTMENT_ACTIONS: ['adjust_quantity', 'remove', 'substitute'],
+  // Units that may settle on a fractional quantity after weighing
+  MEASURED_UNIT_TYPES: ['kg', 'liter'],
+  MAX_ADJUSTMENT_REASON_LENGTH: 500,
+  // Seller bulk actions and bookkeeping export
+  BULK_STATUSES: ['confirmed', 'ready'],
+  BULK_MAX_ORDERS: 50,
+  EXPORT_PAGE_SIZE: 200,
+  EXPORT_MAX_ORDERS: 5000,
+  // Statuses a seller can still be packing for
+  PICK_LIST_STATUSES: ['pending', 'confirmed', 'ready'],
+  PICK_LIST_DEFAULT_STATUSES: ['confirmed']
+};
+
+const PREORDER = {
+  // How far ahead a harvest can be announced
+  MAX_HARVEST_LEAD_DAYS: 180,
+  MAX_QUOTA: 999999,
+  UNFILLED_REASON: 'The harvest came in short and this pre-order could not be filled.'
+};
+
+const SUBSCRIPTION = {
+  FREQUENCIES: ['weekly', 'biweekly'],
+  CYCLE_DAYS: { weekly: 7, biweekly: 14 },
+  // Orders are placed this many days before the delivery date
+  GENERATE_LEAD_DAYS: 2,
+  MAX_START_LEAD_DAYS: 60,
+  MAX_ITEMS: 30,
+  CHECK_INTERVAL_MINUTES: 60
+};
+
+const DELIVERY = {
+  DEFAULT_BASE_FEE: 0,
+  DEFAULT_PER_KM_FEE: 0,
+  MAX_BASE_FEE: 10000,
+  MAX_PER_KM_FEE: 1000,
+  MAX_RADIUS_KM: 200,
+  ROUTE_CACHE_TTL_MS: 10 * 60 * 1000,
+  ROUTE_CACHE_MAX_ENTRIES: 500
+};
+
+const DELIVERY_SLOTS = {
+  MAX_CAPACITY: 100,
+  MAX_WINDOWS_PER_DAY: 12,
+  // How far ahead buyers can book, and how soon before a slot starts it closes
+  BOOKING_HORIZON_DAYS: 14,
+  MIN_LEAD_MINUTES: 60,
+  MAX_SCHEDULE_DAYS: 31,
+  MAX_BLACKOUT_REASON_LENGTH: 200,
+  // Slots follow Philippine calendar days (UTC+8, no DST)
+  TIMEZONE_OFFSET: '+08:00'
+};
+
+const DELIVERY_TRACKING = {
+  // Positions closer together than this are dropped to spare Realtime
+  MIN_UPDATE_INTERVAL_SECONDS: 5,
+  // Sessions left running (closed browser, dead phone) end on their own
+  MAX_SESSION_HOURS: 6,
+  CHECK_INTERVAL_MINUTES: 15
+};
+
+const HANDOVER = {
+  // Wrong entries allowed before the code stops working
+  MAX_ATTEMPTS: 5,
+  // Statuses in which the buyer can see their code
+  VISIBLE_STATUSES: ['confirmed', 'ready']
+};
+
+const SEARCH = {
+  // Trigram similarity a product name needs to match a misspelled query, and
+  // a dictionary entry needs to be treated as the word the buyer meant
+  FUZZY_THRESHOLD: 0.3,
+  SYNONYM_SIMILARITY: 0.5,
+  MAX_SYNONYM_LENGTH: 100,
+  // Upper bounds of the browse page's price ranges, in PHP; the last range
+  // has no upper bound
+  FACET_PRICE_BOUNDS: [50, 100, 250, 500]
+};
+
+const PAYMENT = {
+  METHODS: ['cod', 'gcash'],
+  ONLINE_METHODS: ['gcash'],
+  STATUSES: ['unpaid', 'pending_payment', 'paid', 'refunded'],
+  CURRENCY: 'PHP',
+  INTENT_EXPIRY_MINUTES: 30,
+  WEBHOOK_TOLERANCE_SECONDS: 300
+};
+
+const EARNINGS = {
+  ENTRY_TYPES: ['order_completed', 'refund', 'adjustment'],
+  STATEMENT_PERIODS: ['weekly', 'monthly'],
+  DEFAULT_STATEMENT_COUNT: 12,
+  MAX_STATEMENT_COUNT: 52,
+  // Statements follow Philippine calendar days (UTC+8, no DST)
+  TIMEZONE_OFFSET: '+08:00'
 };
 
 const MESSAGE = {
@@ -108,7 +252,21 @@ module.exports = {
   AUTH,
   FILE_UPLOAD,
   PRODUCT,
+  VARIANT,
+  PRICE_TIER,
+  PROMOTION,
+  VOUCHER,
+  INVENTORY,
   ORDER,
+  PREORDER,
+  SUBSCRIPTION,
+  DELIVERY,
+  DELIVERY_SLOTS,
+  DELIVERY_TRACKING,
+  HANDOVER,
+  SEARCH,
+  PAYMENT,
+  EARNINGS,
   MESSAGE,
   RATING,
   PAGINATION,
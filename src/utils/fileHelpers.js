@@ -232,4 +232,19 @@ exports.isSafePath = (filePath) => {
   return !normalized.includes('..');
 };
 
+// Text a spreadsheet would run as a formula (=, +, -, @, tab or CR first) is
+// prefixed with ' so it shows as plain text. Plain numbers such as -50.00 are
+// left alone so amounts still add up.
+const neutraliseFormula = (text) => (
+  /^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text) ? `'${text}` : text
+);
+
+const csvCell = (value) => {
+  const text = neutraliseFormula(value === null || value === undefined ? '' : String(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows is an array of arrays; cells are quoted only when they need it
+exports.toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\n');
+
 module.exports = exports;
\ No newline at end of file
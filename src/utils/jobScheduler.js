@@ -0,0 +1,163 @@
+// src\utils\jobScheduler.js
+
+const os = require('os');
+const logger = require('./logger');
+const { supabaseService } = require('../config/database');
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = new Map();
+    this.running = false;
+    this.enabled = process.env.JOB_SCHEDULER_ENABLED !== 'false';
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  register(name, intervalMs, handler) {
+    this.jobs.set(name, { name, intervalMs, handler });
+    return this;
+  }
+
+  async loadState(name) {
+    const { data, error } = await supabaseService
+      .from('scheduled_jobs')
+      .select('*')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) {
+      logger.warn('Could not load scheduled job state', { job: name, error: error.message });
+    }
+
+    return data || null;
+  }
+
+  async saveState(name, updates) {
+    const { error } = await supabaseService
+      .from('scheduled_jobs')
+      .upsert({
+        name,
+        ...updates,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'name' });
+
+    if (error) {
+      logger.warn('Could not save scheduled job state', { job: name, error: error.message });
+    }
+  }
+
+  // Claims the job row so only one instance runs it at a time.
+  async acquireLock(job) {
+    const now = new Date();
+    const lockUntil = new Date(now.getTime() + job.intervalMs).toISOString();
+
+    const { data, error } = await supabaseService
+      .from('scheduled_jobs')
+      .update({
+        locked_until: lockUntil,
+        locked_by: this.instanceId,
+        updated_at: now.toISOString()
+      })
+      .eq('name', job.name)
+      .or(`locked_until.is.null,locked_until.lt."${now.toISOString()}"`)
+      .select('name');
+
+    if (error) {
+      logger.warn('Could not acquire scheduled job lock', { job: job.name, error: error.message });
+      return false;
+    }
+
+    return Array.isArray(data) && data.length > 0;
+  }
+
+  async runJob(job) {
+    if (!this.running) return;
+
+    const startedAt = new Date();
+    let state = await this.loadState(job.name);
+
+    if (!state) {
+      await this.saveState(job.name, { interval_ms: job.intervalMs });
+      state = await this.loadState(job.name);
+    }
+
+    const locked = await this.acquireLock(job);
+    if (!locked) {
+      const retryAt = state?.next_run_at ? new Date(state.next_run_at) : null;
+      this.scheduleNext(job, retryAt && retryAt > startedAt ? retryAt.getTime() - startedAt.getTime() : job.intervalMs);
+      return;
+    }
+
+    const nextRunAt = new Date(startedAt.getTime() + job.intervalMs).toISOString();
+
+    try {
+      const result = await job.handler();
+
+      await this.saveState(job.name, {
+        interval_ms: job.intervalMs,
+        last_run_at: startedAt.toISOString(),
+        last_success_at: new Date().toISOString(),
+        last_error: null,
+        last_result: result || null,
+        run_count: (state?.run_count || 0) + 1,
+        next_run_at: nextRunAt,
+        locked_until: null,
+        locked_by: null
+      });
+
+      logger.info('Scheduled job completed', { job: job.name, result });
+    } catch (error) {
+      await this.saveState(job.name, {
+        interval_ms: job.intervalMs,
+        last_run_at: startedAt.toISOString(),
+        last_error: error.message,
+        run_count: (state?.run_count || 0) + 1,
+        next_run_at: nextRunAt,
+        locked_until: null,
+        locked_by: null
+      });
+
+      logger.error('Scheduled job failed', { job: job.name, error: error.message });
+    }
+
+    this.scheduleNext(job, job.intervalMs);
+  }
+
+  scheduleNext(job, delayMs) {
+    if (!this.running) return;
+
+    clearTimeout(this.timers.get(job.name));
+    const timer = setTimeout(() => this.runJob(job), Math.max(0, delayMs));
+    // Do not keep the process alive just for scheduled jobs
+    if (timer.unref) timer.unref();
+    this.timers.set(job.name, timer);
+  }
+
+  async start() {
+    if (!this.enabled) {
+      logger.info('Job scheduler disabled');
+      return;
+    }
+
+    this.running = true;
+
+    for (const job of this.jobs.values()) {
+      // Resume from the persisted schedule; overdue jobs run right away
+      const state = await this.loadState(job.name);
+      const nextRunAt = state?.next_run_at ? new Date(state.next_run_at).getTime() : 0;
+      this.scheduleNext(job, nextRunAt - Date.now());
+    }
+
+    logger.info('Job scheduler started', { jobs: [...this.jobs.keys()] });
+  }
+
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+const jobScheduler = new JobScheduler();
+
+module.exports = jobScheduler;
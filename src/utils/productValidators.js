@@ -1,5 +1,6 @@
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const { validate } = require('./validators');
+const { EARNINGS, PREORDER, PRODUCT, VARIANT, PRICE_TIER, PROMOTION, INVENTORY } = require('./constants');
 
 
 const createProductValidation = [
@@ -157,7 +158,7 @@ const productQueryValidation = [
 
   query('sort_by')
     .optional()
-    .isIn(['created_at', 'price_per_unit', 'name', 'view_count', 'order_count'])
+    .isIn(['created_at', 'price_per_unit', 'name', 'view_count', 'order_count', 'relevance'])
     .withMessage('Invalid sort field'),
 
   query('sort_order')
@@ -175,6 +176,11 @@ const productQueryValidation = [
     .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
     .toInt(),
 
+  query('include_facets')
+    .optional()
+    .isBoolean().withMessage('include_facets must be true or false')
+    .toBoolean(),
+
   validate
 ];
 
@@ -202,9 +208,314 @@ const myProductsQueryValidation = [
   validate
 ];
 
+// Calendar dates only; earningsService applies the Philippine day boundaries
+const dateOnly = (chain, label) => chain
+  .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage(`${label} must be a YYYY-MM-DD date`)
+  .isISO8601({ strict: true }).withMessage(`${label} must be a valid date`);
+
+const earningsQueryValidation = [
+  dateOnly(query('date_from').optional(), 'date_from'),
+
+  dateOnly(query('date_to').optional(), 'date_to')
+    .custom((value, { req }) => {
+      if (req.query.date_from && value < req.query.date_from) {
+        throw new Error('date_to must not be before date_from');
+      }
+      return true;
+    }),
+
+  query('entry_type')
+    .optional()
+    .isIn(EARNINGS.ENTRY_TYPES)
+    .withMessage(`Entry type must be one of: ${EARNINGS.ENTRY_TYPES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be positive')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  validate
+];
+
+const statementPeriodValidation = query('period')
+  .optional()
+  .isIn(EARNINGS.STATEMENT_PERIODS)
+  .withMessage('Period must be weekly or monthly');
+
+const earningsStatementsValidation = [
+  statementPeriodValidation,
+
+  query('count')
+    .optional()
+    .isInt({ min: 1, max: EARNINGS.MAX_STATEMENT_COUNT })
+    .withMessage(`Count must be between 1 and ${EARNINGS.MAX_STATEMENT_COUNT}`)
+    .toInt(),
+
+  validate
+];
+
+const earningsStatementValidation = [
+  dateOnly(param('periodStart'), 'Period start'),
+
+  statementPeriodValidation,
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+
+  validate
+];
+
+const preorderSettingsValidation = [
+  param('productId').isUUID().withMessage('Invalid productId format'),
+
+  dateOnly(body('expected_harvest_date'), 'Expected harvest date'),
+
+  body('preorder_quota')
+    .isInt({ min: 1, max: PREORDER.MAX_QUOTA })
+    .withMessage(`Pre-order quota must be between 1 and ${PREORDER.MAX_QUOTA}`)
+    .toInt(),
+
+  validate
+];
+
+const harvestValidation = [
+  param('productId').isUUID().withMessage('Invalid productId format'),
+
+  body('harvested_quantity')
+    .isInt({ min: 0, max: PRODUCT.MAX_QUANTITY })
+    .withMessage(`Harvested quantity must be between 0 and ${PRODUCT.MAX_QUANTITY}`)
+    .toInt(),
+
+  validate
+];
+
+const variantFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty().withMessage('Variant name is required')
+      .isLength({ max: VARIANT.MAX_NAME_LENGTH }).withMessage(`Variant name must not exceed ${VARIANT.MAX_NAME_LENGTH} characters`),
+
+    body('sku')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: VARIANT.MAX_SKU_LENGTH }).withMessage(`SKU must not exceed ${VARIANT.MAX_SKU_LENGTH} characters`)
+      .matches(/^[A-Za-z0-9\-_.]*$/).withMessage('SKU may only contain letters, numbers, dashes, dots and underscores'),
+
+    field('price_per_unit')
+      .isFloat({ min: 1, max: 1000000 }).withMessage('Price must be between ₱1 and ₱1,000,000')
+      .toFloat(),
+
+    field('unit_type')
+      .isIn(PRODUCT.UNIT_TYPES)
+      .withMessage('Invalid unit type'),
+
+    field('available_quantity')
+      .isInt({ min: 0, max: PRODUCT.MAX_QUANTITY }).withMessage(`Quantity must be between 0 and ${PRODUCT.MAX_QUANTITY}`)
+      .toInt(),
+
+    body('sort_order')
+      .optional()
+      .isInt({ min: 0, max: 999 }).withMessage('Sort order must be between 0 and 999')
+      .toInt()
+  ];
+};
+
+const createVariantValidation = [
+  param('productId').isUUID().withMessage('Invalid productId format'),
+
+  ...variantFields(false),
+
+  validate
+];
+
+const updateVariantValidation = [
+  param('productId').isUUID().withMessage('Invalid productId format'),
+  param('variantId').isUUID().withMessage('Invalid variantId format'),
+
+  ...variantFields(true),
+
+  validate
+];
+
+const priceTiersValidation = [
+  param('productId').isUUID().withMessage('Invalid productId format'),
+
+  body('tiers')
+    .isArray({ max: PRICE_TIER.MAX_PER_PRODUCT })
+    .withMessage(`Add at most ${PRICE_TIER.MAX_PER_PRODUCT} bulk prices`),
+
+  body('tiers.*.min_quantity')
+    .isInt({ min: 2, max: PRODUCT.MAX_QUANTITY }).withMessage('Bulk prices start at a quantity of 2 or more')
+    .toInt(),
+
+  body('tiers.*.price_per_unit')
+    .isFloat({ min: 1, max: 1000000 }).withMessage('Price must be between ₱1 and ₱1,000,000')
+    .toFloat(),
+
+  validate
+];
+
+const promotionFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty().withMessage('Promotion name is required')
+      .isLength({ max: PROMOTION.MAX_NAME_LENGTH }).withMessage(`Promotion name must not exceed ${PROMOTION.MAX_NAME_LENGTH} characters`),
+
+    field('discount_type')
+      .isIn(PROMOTION.DISCOUNT_TYPES)
+      .withMessage('Discount type must be percentage or fixed'),
+
+    field('discount_value')
+      .isFloat({ min: 0.01, max: 1000000 }).withMessage('Discount must be more than zero')
+      .toFloat(),
+
+    field('scope')
+      .isIn(PROMOTION.SCOPES)
+      .withMessage('A promotion applies to products or categories'),
+
+    body('product_ids')
+      .optional()
+      .isArray({ max: PROMOTION.MAX_PRODUCTS }).withMessage(`Choose at most ${PROMOTION.MAX_PRODUCTS} products`),
+
+    body('product_ids.*')
+      .isUUID().withMessage('Invalid product id'),
+
+    body('categories')
+      .optional()
+      .isArray({ max: PRODUCT.CATEGORIES.length }).withMessage('Invalid categories'),
+
+    body('categories.*')
+      .isIn(PRODUCT.CATEGORIES).withMessage('Invalid category'),
+
+    field('starts_at')
+      .isISO8601().withMessage('Start must be a valid date and time'),
+
+    field('ends_at')
+      .isISO8601().withMessage('End must be a valid date and time'),
+
+    body('usage_limit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 1000000 }).withMessage('Usage limit must be at least 1')
+      .toInt(),
+
+    body('is_active')
+      .optional()
+      .isBoolean().withMessage('is_active must be true or false')
+      .toBoolean()
+  ];
+};
+
+const createPromotionValidation = [
+  ...promotionFields(false),
+
+  validate
+];
+
+const updatePromotionValidation = [
+  param('promotionId').isUUID().withMessage('Invalid promotionId format'),
+
+  ...promotionFields(true),
+
+  validate
+];
+
+const inventoryQueryValidation = [
+  param('productId').isUUID().withMessage('Invalid productId format'),
+
+  query('variant_id')
+    .optional()
+    .isUUID().withMessage('Invalid variant_id format'),
+
+  query('reason')
+    .optional()
+    .isIn(INVENTORY.REASONS)
+    .withMessage(`Reason must be one of: ${INVENTORY.REASONS.join(', ')}`),
+
+  dateOnly(query('date_from').optional(), 'date_from'),
+
+  dateOnly(query('date_to').optional(), 'date_to')
+    .custom((value, { req }) => {
+      if (req.query.date_from && value < req.query.date_from) {
+        throw new Error('date_to must not be before date_from');
+      }
+      return true;
+    }),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be positive')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  validate
+];
+
+const inventoryAdjustmentValidation = [
+  param('productId').isUUID().withMessage('Invalid productId format'),
+
+  body('change')
+    .isInt({ min: -PRODUCT.MAX_QUANTITY, max: PRODUCT.MAX_QUANTITY })
+    .withMessage(`Change must be a whole number between -${PRODUCT.MAX_QUANTITY} and ${PRODUCT.MAX_QUANTITY}`)
+    .toInt()
+    .custom((value, { req }) => {
+      if (value === 0) {
+        throw new Error('Change cannot be zero');
+      }
+      if (req.body.reason === 'spoilage' && value > 0) {
+        throw new Error('Spoilage can only remove stock');
+      }
+      return true;
+    }),
+
+  body('reason')
+    .isIn(INVENTORY.MANUAL_REASONS)
+    .withMessage(`Reason must be one of: ${INVENTORY.MANUAL_REASONS.join(', ')}`),
+
+  body('note')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: INVENTORY.MAX_NOTE_LENGTH })
+    .withMessage(`Note cannot exceed ${INVENTORY.MAX_NOTE_LENGTH} characters`),
+
+  body('variant_id')
+    .optional({ nullable: true })
+    .isUUID().withMessage('Invalid variant_id format'),
+
+  validate
+];
+
 module.exports = {
   createProductValidation,
   updateProductValidation,
   productQueryValidation,
-  myProductsQueryValidation
+  myProductsQueryValidation,
+  earningsQueryValidation,
+  earningsStatementsValidation,
+  earningsStatementValidation,
+  preorderSettingsValidation,
+  harvestValidation,
+  createVariantValidation,
+  updateVariantValidation,
+  priceTiersValidation,
+  createPromotionValidation,
+  updatePromotionValidation,
+  inventoryQueryValidation,
+  inventoryAdjustmentValidation
 };
@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { AppError } = require('../middleware/errorHandler');
+const { DELIVERY, ORDER } = require('./constants');
 
 
 const validate = (req, res, next) => {
@@ -64,17 +65,17 @@ const validateRole = () => {
     .isIn(['buyer', 'seller']).withMessage('Role must be either buyer or seller');
 };
 
-const validateMunicipality = () => {
-  const rizalMunicipalities = [
-    'Angono', 'Antipolo', 'Baras', 'Binangonan', 'Cainta',
-    'Cardona', 'Jalajala', 'Morong', 'Pililla', 'Rodriguez',
-    'San Mateo', 'Tanay', 'Taytay', 'Teresa'
-  ];
+const RIZAL_MUNICIPALITIES = [
+  'Angono', 'Antipolo', 'Baras', 'Binangonan', 'Cainta',
+  'Cardona', 'Jalajala', 'Morong', 'Pililla', 'Rodriguez',
+  'San Mateo', 'Tanay', 'Taytay', 'Teresa'
+];
 
+const validateMunicipality = () => {
   return body('municipality')
     .trim()
     .notEmpty().withMessage('Municipality is required')
-    .isIn(rizalMunicipalities).withMessage('Invalid municipality. Must be in Rizal Province.');
+    .isIn(RIZAL_MUNICIPALITIES).withMessage('Invalid municipality. Must be in Rizal Province.');
 };
 
 
@@ -140,8 +141,23 @@ const loginValidation = [
 
 
 const sellerProfileValidation = [
-  validateMunicipality(),
-  validateFarmType(),
+  validateMunicipality().optional(),
+  validateFarmType().optional(),
+  body('delivery_base_fee')
+    .optional()
+    .isFloat({ min: 0, max: DELIVERY.MAX_BASE_FEE })
+    .withMessage(`Delivery base fee must be between 0 and ${DELIVERY.MAX_BASE_FEE}`),
+  body('delivery_per_km_fee')
+    .optional()
+    .isFloat({ min: 0, max: DELIVERY.MAX_PER_KM_FEE })
+    .withMessage(`Per-km delivery fee must be between 0 and ${DELIVERY.MAX_PER_KM_FEE}`),
+  body('free_delivery_threshold')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Free delivery threshold must be a positive number'),
+  body('max_delivery_radius_km')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0, max: DELIVERY.MAX_RADIUS_KM })
+    .withMessage(`Delivery radius must be greater than 0 and at most ${DELIVERY.MAX_RADIUS_KM} km`),
   validate
 ];
 
@@ -191,7 +207,7 @@ const updateProfileValidation = [
 const orderQueryValidation = [
   query('status')
     .optional()
-    .isIn(['pending', 'confirmed', 'ready', 'completed', 'cancelled'])
+    .isIn(['preorder', 'pending', 'confirmed', 'ready', 'completed', 'cancelled'])
     .withMessage('Invalid order status'),
 
   query('page')
@@ -207,6 +223,75 @@ const orderQueryValidation = [
   validate
 ];
 
+const orderExportQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['preorder', 'pending', 'confirmed', 'ready', 'completed', 'cancelled'])
+    .withMessage('Invalid order status'),
+
+  query('date_from')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date_from must be a YYYY-MM-DD date')
+    .isISO8601({ strict: true }).withMessage('date_from must be a valid date'),
+
+  query('date_to')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date_to must be a YYYY-MM-DD date')
+    .isISO8601({ strict: true }).withMessage('date_to must be a valid date')
+    .custom((value, { req }) => {
+      if (req.query.date_from && value < req.query.date_from) {
+        throw new Error('date_to must not be before date_from');
+      }
+      return true;
+    }),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+
+  validate
+];
+
+const pickListQueryValidation = [
+  query('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date must be a YYYY-MM-DD date')
+    .isISO8601({ strict: true }).withMessage('date must be a valid date'),
+
+  query('status')
+    .optional()
+    .custom(value => String(value).split(',').every(status => ORDER.PICK_LIST_STATUSES.includes(status.trim())))
+    .withMessage(`Status must be one or more of ${ORDER.PICK_LIST_STATUSES.join(', ')}`),
+
+  query('include_unscheduled')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_unscheduled must be true or false'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf', 'html'])
+    .withMessage('Format must be json, pdf or html'),
+
+  validate
+];
+
+const bulkOrderStatusValidation = [
+  body('order_ids')
+    .isArray({ min: 1, max: ORDER.BULK_MAX_ORDERS })
+    .withMessage(`Select between 1 and ${ORDER.BULK_MAX_ORDERS} orders`),
+
+  body('order_ids.*')
+    .isUUID().withMessage('Invalid order ID'),
+
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(ORDER.BULK_STATUSES).withMessage(`Status must be ${ORDER.BULK_STATUSES.join(' or ')}`),
+
+  validate
+];
+
 const sellersQueryValidation = [
   query('municipality')
     .optional()
@@ -232,6 +317,7 @@ const sellersQueryValidation = [
 ];
 
 module.exports = {
+  RIZAL_MUNICIPALITIES,
   validate,
   validateEmail,
   validatePassword,
@@ -253,5 +339,8 @@ module.exports = {
   resetPasswordValidation,
   updateProfileValidation,
   orderQueryValidation,
+  orderExportQueryValidation,
+  pickListQueryValidation,
+  bulkOrderStatusValidation,
   sellersQueryValidation
 };